@@ -1,19 +1,135 @@
 /**
  * AnalyticsManager - Handles analytics, reporting, and data visualization
- * Provides insights into voucher data, technician performance, and business metrics
+ * Provides insights into voucher data, technician performance, and business metrics,
+ * including gross profit after part cost and technician commission, read from the
+ * aggregate totals VoucherTotalsManager keeps
  */
 
+import { VOUCHER_STATUSES } from './voucherStatus.js';
+import { getVoucherProfit } from './InventoryManager.js';
+import { serviceTypeLabel } from './ServiceCatalogManager.js';
+
+// Profit chart breakdowns and the analytics data each one reads
+export const PROFIT_BREAKDOWNS = {
+    model: 'profitByModel',
+    serviceType: 'profitByServiceType'
+};
+
+// Days the daily revenue chart covers, and so how far back loadRecentAnalytics() reads daily totals
+export const DAILY_CHART_DAYS = 30;
+
+/**
+ * Value of a theme colour variable, so chart text follows the light and dark themes
+ */
+function themeColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(`--${name}`);
+}
+
+/**
+ * Legend and axis colours for the themed charts; `axes` adds x/y scales
+ */
+function themedChartOptions(axes = true) {
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                labels: {
+                    color: themeColor('text-primary')
+                }
+            }
+        }
+    };
+    if (axes) {
+        const axis = {
+            ticks: { color: themeColor('text-secondary') },
+            grid: { color: themeColor('border-color') }
+        };
+        options.scales = { x: axis, y: axis };
+    }
+    return options;
+}
+
+/**
+ * YYYY-MM-DD of a date, as the totals key their days
+ */
+function isoDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Revenue, part cost, technician commission and gross profit of one voucher
+ * The commission stored on the voucher wins; older vouchers use `commissionFor` when payroll rules are known.
+ */
+export function getVoucherCosts(voucher, commissionFor = null) {
+    const revenue = Number(voucher.amount) || 0;
+    const partsCost = revenue - getVoucherProfit(voucher);
+    const commission = voucher.commission !== undefined && voucher.commission !== null
+        ? Number(voucher.commission) || 0
+        : (commissionFor && commissionFor(voucher)) || 0;
+    return { revenue, partsCost, commission, grossProfit: revenue - partsCost - commission };
+}
+
+/**
+ * Gross profit as a one-decimal percentage of revenue
+ */
+export function grossMargin({ revenue, grossProfit }) {
+    return revenue > 0 ? Number(((grossProfit / revenue) * 100).toFixed(1)) : 0;
+}
+
+/**
+ * Count, revenue, cost and profit per group of aggregate entries, keyed by `keyOf(entry)`
+ * Groups whose vouchers have all moved elsewhere (count 0) are left out.
+ */
+export function summarizeTotalsBy(entries, keyOf) {
+    const groups = {};
+    entries.forEach(entry => {
+        const key = keyOf(entry) || 'Unknown';
+        if (!groups[key]) {
+            groups[key] = { count: 0, total: 0, partsCost: 0, commission: 0, grossProfit: 0, margin: 0 };
+        }
+        ['count', 'total', 'partsCost', 'commission', 'grossProfit'].forEach(figure => {
+            groups[key][figure] += Number(entry[figure]) || 0;
+        });
+    });
+    Object.entries(groups).forEach(([key, group]) => {
+        if (!group.count) {
+            delete groups[key];
+            return;
+        }
+        group.margin = grossMargin({ revenue: group.total, grossProfit: group.grossProfit });
+    });
+    return groups;
+}
+
+/**
+ * Revenue, cost and profit totals per group for the profit breakdown charts
+ */
+export function summarizeProfitBy(entries, keyOf) {
+    return Object.fromEntries(Object.entries(summarizeTotalsBy(entries, keyOf))
+        .map(([key, { total, ...group }]) => [key, { revenue: total, ...group }]));
+}
+
 export class AnalyticsManager {
-    constructor(firebaseService, errorHandler) {
+    constructor(firebaseService, errorHandler, technicianManager = null, payrollManager = null, serviceCatalogManager = null, deviceCatalogManager = null, voucherTotalsManager = null) {
         this.firebaseService = firebaseService;
         this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+        this.payrollManager = payrollManager;
+        this.serviceCatalogManager = serviceCatalogManager;
+        this.deviceCatalogManager = deviceCatalogManager;
+        this.voucherTotalsManager = voucherTotalsManager;
         this.charts = {};
         this.analyticsData = {
-            vouchers: [],
+            totals: { days: [], months: [], technicianMonths: [], serviceTypeMonths: [], modelMonths: [], statuses: [] },
             technicians: [],
             dailyTotals: {},
-            monthlyTotals: {}
+            monthlyTotals: {},
+            technicianPerformance: {},
+            profitByModel: {},
+            profitByServiceType: {}
         };
+        this.profitBreakdown = 'model';
     }
 
     /**
@@ -30,33 +146,35 @@ export class AnalyticsManager {
      */
     setupEventListeners() {
         const toggleAnalyticsBtn = document.getElementById('toggleAnalyticsBtn');
-        const analyticsSection = document.getElementById('analyticsSection');
 
         if (toggleAnalyticsBtn) {
             toggleAnalyticsBtn.addEventListener('click', () => {
                 this.toggleAnalytics();
             });
         }
+
+        const profitBreakdownSelect = document.getElementById('profitBreakdownSelect');
+        if (profitBreakdownSelect) {
+            profitBreakdownSelect.addEventListener('change', () => {
+                this.profitBreakdown = profitBreakdownSelect.value;
+                this.createProfitBreakdownChart();
+            });
+        }
     }
 
     /**
-     * Load analytics data
+     * Load analytics data; `daysSince` (YYYY-MM-DD) limits the daily totals read
      */
-    async loadAnalyticsData() {
+    async loadAnalyticsData({ daysSince = null } = {}) {
         try {
             this.showMessage("Analytics ဒေတာ ရယူနေပါသည်...", false);
-            
-            // Get all vouchers for analytics
-            const vouchersCollection = this.firebaseService.collection(`artifacts/${this.firebaseService.appId}/users/${this.currentUserId}/vouchers`);
-            const querySnapshot = await this.firebaseService.getDocs(vouchersCollection);
-            
-            this.analyticsData.vouchers = [];
-            querySnapshot.forEach((doc) => {
-                this.analyticsData.vouchers.push({ id: doc.id, ...doc.data() });
-            });
+
+            // Read the maintained totals rather than every voucher
+            this.analyticsData.totals = await this.voucherTotalsManager.loadTotals({ daysSince });
 
             // Calculate analytics
             this.calculateRevenueSummaries();
+            this.renderRevenueSummaries();
             this.createCharts();
             
             this.showMessage("Analytics ဒေတာ ပြင်ဆင်ပြီးပါပြီ", false);
@@ -69,76 +187,121 @@ export class AnalyticsManager {
      * Calculate revenue summaries
      */
     calculateRevenueSummaries() {
-        const vouchers = this.analyticsData.vouchers;
-        
-        // Daily totals
-        this.analyticsData.dailyTotals = {};
-        vouchers.forEach(voucher => {
-            const date = voucher.date;
-            if (!this.analyticsData.dailyTotals[date]) {
-                this.analyticsData.dailyTotals[date] = {
-                    count: 0,
-                    total: 0,
-                    technicians: new Set()
-                };
-            }
-            
-            this.analyticsData.dailyTotals[date].count++;
-            this.analyticsData.dailyTotals[date].total += Number(voucher.amount) || 0;
-            if (voucher.technicianName) {
-                this.analyticsData.dailyTotals[date].technicians.add(voucher.technicianName);
-            }
-        });
+        const { days, months, technicianMonths, serviceTypeMonths, modelMonths } = this.analyticsData.totals;
 
-        // Monthly totals
-        this.analyticsData.monthlyTotals = {};
+        // Daily and monthly totals, each month with the days it had vouchers on
+        this.analyticsData.dailyTotals = summarizeTotalsBy(days, entry => entry.date);
+        this.analyticsData.monthlyTotals = summarizeTotalsBy(months, entry => entry.month);
+        Object.values(this.analyticsData.monthlyTotals).forEach(monthData => { monthData.days = new Set(); });
         Object.keys(this.analyticsData.dailyTotals).forEach(date => {
-            const month = date.substring(0, 7); // YYYY-MM
-            if (!this.analyticsData.monthlyTotals[month]) {
-                this.analyticsData.monthlyTotals[month] = {
-                    count: 0,
-                    total: 0,
-                    days: new Set()
-                };
-            }
-            
-            const dailyData = this.analyticsData.dailyTotals[date];
-            this.analyticsData.monthlyTotals[month].count += dailyData.count;
-            this.analyticsData.monthlyTotals[month].total += dailyData.total;
-            this.analyticsData.monthlyTotals[month].days.add(date);
+            const monthData = this.analyticsData.monthlyTotals[date.substring(0, 7)];
+            if (monthData) monthData.days.add(date);
         });
 
-        // Technician performance
-        this.analyticsData.technicianPerformance = {};
-        vouchers.forEach(voucher => {
-            if (voucher.technicianName) {
-                if (!this.analyticsData.technicianPerformance[voucher.technicianName]) {
-                    this.analyticsData.technicianPerformance[voucher.technicianName] = {
-                        voucherCount: 0,
-                        totalAmount: 0,
-                        averageAmount: 0,
-                        dates: new Set()
-                    };
-                }
-                
-                const techData = this.analyticsData.technicianPerformance[voucher.technicianName];
-                techData.voucherCount++;
-                techData.totalAmount += Number(voucher.amount) || 0;
-                techData.averageAmount = techData.totalAmount / techData.voucherCount;
-                if (voucher.date) {
-                    techData.dates.add(voucher.date);
-                }
-            }
-        });
+        // Technician performance under current names, skipping unassigned vouchers
+        const technicianOf = this.technicianManager
+            ? entry => this.technicianManager.resolveName(entry)
+            : entry => entry.technicianName;
+        const technicianTotals = summarizeTotalsBy(technicianMonths.filter(entry => technicianOf(entry)), technicianOf);
+        this.analyticsData.technicianPerformance = Object.fromEntries(Object.entries(technicianTotals).map(([name, totals]) => [name, {
+            voucherCount: totals.count,
+            totalAmount: totals.total,
+            averageAmount: totals.total / totals.count,
+            partsCost: totals.partsCost,
+            commission: totals.commission,
+            grossProfit: totals.grossProfit,
+            margin: totals.margin
+        }]));
+
+        // Profit per catalogue phone model and per catalogue service type
+        const modelOf = this.deviceCatalogManager
+            ? entry => this.deviceCatalogManager.labelFor(entry)
+            : entry => entry.phoneModel;
+        const serviceTypeOf = this.serviceCatalogManager
+            ? entry => this.serviceCatalogManager.labelFor(entry)
+            : entry => serviceTypeLabel(entry);
+        this.analyticsData.profitByModel = summarizeProfitBy(modelMonths, modelOf);
+        this.analyticsData.profitByServiceType = summarizeProfitBy(serviceTypeMonths, serviceTypeOf);
+    }
+
+    /**
+     * Load the analytics for the signed-in member, reading daily totals only as far back as the daily revenue chart
+     */
+    async loadRecentAnalytics() {
+        if (!this.firebaseService.getCurrentUser()) return;
+        const since = new Date();
+        since.setDate(since.getDate() - DAILY_CHART_DAYS);
+        await this.loadAnalyticsData({ daysSince: isoDate(since) });
+    }
+
+    /**
+     * Revenue today, this week (from Sunday), this month and all time, with the month's and all-time gross profit
+     */
+    getRevenueSummary(now = new Date()) {
+        const today = isoDate(now);
+        const weekStartDate = new Date(now);
+        weekStartDate.setDate(now.getDate() - now.getDay());
+        const weekStart = isoDate(weekStartDate);
+        const month = isoDate(new Date(now.getFullYear(), now.getMonth(), 1)).slice(0, 7);
+
+        const { dailyTotals, monthlyTotals } = this.analyticsData;
+        const thisMonth = monthlyTotals[month] || { total: 0, grossProfit: 0 };
+        const allTime = this.getAllTimeTotals();
+        return {
+            today: dailyTotals[today] ? dailyTotals[today].total : 0,
+            week: Object.entries(dailyTotals)
+                .filter(([date]) => date >= weekStart)
+                .reduce((sum, [, day]) => sum + day.total, 0),
+            month: thisMonth.total,
+            total: allTime.total,
+            monthProfit: thisMonth.grossProfit,
+            totalProfit: allTime.grossProfit
+        };
+    }
+
+    /**
+     * Fill in the revenue summary figures under the charts, where the page has them
+     */
+    renderRevenueSummaries() {
+        const summary = this.getRevenueSummary();
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+
+        setText('todayRevenue', `${summary.today.toLocaleString()} ¥`);
+        setText('weekRevenue', `${summary.week.toLocaleString()} ¥`);
+        setText('monthRevenue', `${summary.month.toLocaleString()} ¥`);
+        setText('totalRevenue', `${summary.total.toLocaleString()} ¥`);
+        setText('monthProfit', `${summary.monthProfit.toLocaleString()} ¥ (${grossMargin({ revenue: summary.month, grossProfit: summary.monthProfit })}%)`);
+        setText('totalProfit', `${summary.totalProfit.toLocaleString()} ¥ (${grossMargin({ revenue: summary.total, grossProfit: summary.totalProfit })}%)`);
     }
 
     /**
      * Create charts
+     * Each chart draws only when the page has its canvas.
      */
     createCharts() {
         this.createRevenueChart();
         this.createTechnicianChart();
         this.createDailyChart();
+        this.createProfitBreakdownChart();
+        this.createDailyRevenueChart();
+        this.createMonthlyChart();
+        this.createTechnicianShareChart();
+        this.createServiceChart();
+        this.createTechnicianRevenueChart();
+    }
+
+    /**
+     * Redraw the charts, e.g. after the theme changes their colours
+     */
+    updateCharts() {
+        Object.values(this.charts).forEach(chart => {
+            if (chart && chart.update) {
+                chart.update();
+            }
+        });
     }
 
     /**
@@ -166,6 +329,14 @@ export class AnalyticsManager {
                     borderWidth: 2,
                     fill: true,
                     tension: 0.4
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: monthlyData.profit,
+                    borderColor: '#f59e0b',
+                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4
                 }]
             },
             options: {
@@ -230,6 +401,12 @@ export class AnalyticsManager {
                     ],
                     borderColor: '#ffffff',
                     borderWidth: 1
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: technicianData.profit,
+                    backgroundColor: '#f59e0b',
+                    borderColor: '#ffffff',
+                    borderWidth: 1
                 }]
             },
             options: {
@@ -288,7 +465,7 @@ export class AnalyticsManager {
                 datasets: [{
                     data: dailyData.data,
                     backgroundColor: [
-                        '#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ef4444'
+                        '#6b7280', '#3b82f6', '#f97316', '#8b5cf6', '#f59e0b', '#10b981', '#ef4444'
                     ],
                     borderColor: '#ffffff',
                     borderWidth: 2
@@ -309,6 +486,274 @@ export class AnalyticsManager {
         });
     }
 
+    /**
+     * Create gross profit chart by phone model or service type
+     */
+    createProfitBreakdownChart() {
+        const ctx = document.getElementById('profitBreakdownChart');
+        if (!ctx) return;
+
+        const breakdownData = this.getProfitBreakdownData(this.profitBreakdown);
+
+        if (this.charts.profitBreakdown) {
+            this.charts.profitBreakdown.destroy();
+        }
+
+        this.charts.profitBreakdown = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: breakdownData.labels,
+                datasets: [{
+                    label: 'Revenue (¥)',
+                    data: breakdownData.revenue,
+                    backgroundColor: '#3b82f6'
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: breakdownData.profit,
+                    backgroundColor: '#f59e0b'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#ffffff'
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            footer: (items) => `Margin: ${breakdownData.margin[items[0].dataIndex]}%`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            color: '#ffffff',
+                            callback: function(value) {
+                                return value.toLocaleString() + ' ¥';
+                            }
+                        },
+                        grid: {
+                            color: '#374151'
+                        }
+                    },
+                    x: {
+                        ticks: {
+                            color: '#ffffff'
+                        },
+                        grid: {
+                            color: '#374151'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Create the revenue and gross profit line for the last DAILY_CHART_DAYS days
+     */
+    createDailyRevenueChart() {
+        const ctx = document.getElementById('dailyRevenueChart');
+        if (!ctx) return;
+
+        const dailyData = this.getDailyRevenueData();
+
+        if (this.charts.dailyRevenue) {
+            this.charts.dailyRevenue.destroy();
+        }
+
+        this.charts.dailyRevenue = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: dailyData.labels,
+                datasets: [{
+                    label: 'Daily Revenue (¥)',
+                    data: dailyData.data,
+                    borderColor: '#10b981',
+                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                    tension: 0.4
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: dailyData.profit,
+                    borderColor: '#f59e0b',
+                    backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                    tension: 0.4
+                }]
+            },
+            options: themedChartOptions()
+        });
+    }
+
+    /**
+     * Create the revenue and gross profit bars for the last twelve months
+     */
+    createMonthlyChart() {
+        const ctx = document.getElementById('monthlyChart');
+        if (!ctx) return;
+
+        const monthlyData = this.getLastTwelveMonthsData();
+
+        if (this.charts.monthly) {
+            this.charts.monthly.destroy();
+        }
+
+        this.charts.monthly = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: monthlyData.labels,
+                datasets: [{
+                    label: 'Monthly Revenue (¥)',
+                    data: monthlyData.data,
+                    backgroundColor: '#10b981',
+                    borderColor: '#059669',
+                    borderWidth: 1
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: monthlyData.profit,
+                    backgroundColor: '#f59e0b',
+                    borderColor: '#d97706',
+                    borderWidth: 1
+                }]
+            },
+            options: themedChartOptions()
+        });
+    }
+
+    /**
+     * Create each technician's share of revenue
+     */
+    createTechnicianShareChart() {
+        const ctx = document.getElementById('technicianShareChart');
+        if (!ctx) return;
+
+        const technicianData = this.getTechnicianPerformanceData();
+
+        if (this.charts.technicianShare) {
+            this.charts.technicianShare.destroy();
+        }
+
+        this.charts.technicianShare = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: technicianData.labels,
+                datasets: [{
+                    data: technicianData.data,
+                    backgroundColor: [
+                        '#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'
+                    ]
+                }]
+            },
+            options: themedChartOptions(false)
+        });
+    }
+
+    /**
+     * Create the voucher count per service type
+     */
+    createServiceChart() {
+        const ctx = document.getElementById('serviceChart');
+        if (!ctx) return;
+
+        const serviceData = Object.entries(this.analyticsData.profitByServiceType);
+
+        if (this.charts.service) {
+            this.charts.service.destroy();
+        }
+
+        this.charts.service = new Chart(ctx, {
+            type: 'pie',
+            data: {
+                labels: serviceData.map(([service]) => service),
+                datasets: [{
+                    data: serviceData.map(([, data]) => data.count),
+                    backgroundColor: [
+                        '#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16', '#f97316'
+                    ]
+                }]
+            },
+            options: themedChartOptions(false)
+        });
+    }
+
+    /**
+     * Create each technician's revenue and gross profit bars
+     */
+    createTechnicianRevenueChart() {
+        const ctx = document.getElementById('technicianRevenueChart');
+        if (!ctx) return;
+
+        const technicianData = this.getTechnicianPerformanceData();
+
+        if (this.charts.technicianRevenue) {
+            this.charts.technicianRevenue.destroy();
+        }
+
+        const options = themedChartOptions();
+        options.scales.y = { ...options.scales.y, beginAtZero: true };
+        this.charts.technicianRevenue = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: technicianData.labels,
+                datasets: [{
+                    label: 'Total Revenue (¥)',
+                    data: technicianData.data,
+                    backgroundColor: '#3b82f6',
+                    borderColor: '#1d4ed8',
+                    borderWidth: 1
+                }, {
+                    label: 'Gross Profit (¥)',
+                    data: technicianData.profit,
+                    backgroundColor: '#f59e0b',
+                    borderColor: '#d97706',
+                    borderWidth: 1
+                }]
+            },
+            options
+        });
+    }
+
+    /**
+     * Revenue and gross profit for each of the last DAILY_CHART_DAYS days, zero on days without vouchers
+     */
+    getDailyRevenueData(now = new Date()) {
+        const dates = [];
+        for (let i = DAILY_CHART_DAYS - 1; i >= 0; i--) {
+            const date = new Date(now);
+            date.setDate(date.getDate() - i);
+            dates.push(isoDate(date));
+        }
+        const { dailyTotals } = this.analyticsData;
+
+        return {
+            labels: dates.map(date => new Date(date).toLocaleDateString()),
+            data: dates.map(date => dailyTotals[date] ? dailyTotals[date].total : 0),
+            profit: dates.map(date => dailyTotals[date] ? dailyTotals[date].grossProfit : 0)
+        };
+    }
+
+    /**
+     * Revenue and gross profit for each of the last twelve months, zero for months without vouchers
+     */
+    getLastTwelveMonthsData(now = new Date()) {
+        const months = [];
+        for (let i = 11; i >= 0; i--) {
+            const date = new Date(now);
+            date.setMonth(date.getMonth() - i);
+            months.push(date.toISOString().slice(0, 7));
+        }
+        const { monthlyTotals } = this.analyticsData;
+
+        return {
+            labels: months.map(month => new Date(month + '-01').toLocaleDateString('en-US', { year: 'numeric', month: 'short' })),
+            data: months.map(month => monthlyTotals[month] ? monthlyTotals[month].total : 0),
+            profit: months.map(month => monthlyTotals[month] ? monthlyTotals[month].grossProfit : 0)
+        };
+    }
+
     /**
      * Get monthly revenue data for chart
      */
@@ -318,7 +763,8 @@ export class AnalyticsManager {
         
         return {
             labels: monthlyData.map(([month]) => month),
-            data: monthlyData.map(([, data]) => data.total)
+            data: monthlyData.map(([, data]) => data.total),
+            profit: monthlyData.map(([, data]) => data.grossProfit)
         };
     }
 
@@ -331,7 +777,25 @@ export class AnalyticsManager {
         
         return {
             labels: technicianData.map(([name]) => name),
-            data: technicianData.map(([, data]) => data.totalAmount)
+            data: technicianData.map(([, data]) => data.totalAmount),
+            profit: technicianData.map(([, data]) => data.grossProfit)
+        };
+    }
+
+    /**
+     * Get the top ten groups by gross profit for the model or service type chart
+     */
+    getProfitBreakdownData(breakdown = 'model') {
+        const groups = this.analyticsData[PROFIT_BREAKDOWNS[breakdown] || PROFIT_BREAKDOWNS.model] || {};
+        const breakdownData = Object.entries(groups)
+            .sort(([, a], [, b]) => b.grossProfit - a.grossProfit)
+            .slice(0, 10);
+
+        return {
+            labels: breakdownData.map(([name]) => name),
+            revenue: breakdownData.map(([, data]) => data.revenue),
+            profit: breakdownData.map(([, data]) => data.grossProfit),
+            margin: breakdownData.map(([, data]) => data.margin)
         };
     }
 
@@ -339,13 +803,12 @@ export class AnalyticsManager {
      * Get daily activity data for chart
      */
     getDailyActivityData() {
-        const vouchers = this.analyticsData.vouchers;
-        const takenCount = vouchers.filter(v => v.takenByCustomer).length;
-        const notTakenCount = vouchers.length - takenCount;
+        const counts = {};
+        this.analyticsData.totals.statuses.forEach(entry => { counts[entry.voucherStatus] = Number(entry.count) || 0; });
         
         return {
-            labels: ['Taken by Customer', 'Not Taken Yet'],
-            data: [takenCount, notTakenCount]
+            labels: VOUCHER_STATUSES.map(status => status.english),
+            data: VOUCHER_STATUSES.map(status => counts[status.value] || 0)
         };
     }
 
@@ -383,8 +846,9 @@ export class AnalyticsManager {
     exportAnalytics() {
         const data = {
             summary: {
-                totalVouchers: this.analyticsData.vouchers.length,
-                totalRevenue: this.analyticsData.vouchers.reduce((sum, v) => sum + (Number(v.amount) || 0), 0),
+                totalVouchers: this.getAllTimeTotals().count,
+                totalRevenue: this.getAllTimeTotals().total,
+                ...this.getProfitTotals(),
                 averageVoucherValue: this.getAverageVoucherValue(),
                 topTechnician: this.getTopTechnician(),
                 dateRange: this.getDateRange()
@@ -392,6 +856,8 @@ export class AnalyticsManager {
             dailyTotals: this.analyticsData.dailyTotals,
             monthlyTotals: this.analyticsData.monthlyTotals,
             technicianPerformance: this.analyticsData.technicianPerformance,
+            profitByModel: this.analyticsData.profitByModel,
+            profitByServiceType: this.analyticsData.profitByServiceType,
             generatedAt: new Date().toISOString()
         };
 
@@ -406,15 +872,33 @@ export class AnalyticsManager {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Count, revenue, cost and profit across all months
+     */
+    getAllTimeTotals() {
+        return summarizeTotalsBy(this.analyticsData.totals.months, () => 'all').all
+            || { count: 0, total: 0, partsCost: 0, commission: 0, grossProfit: 0, margin: 0 };
+    }
+
+    /**
+     * Get part cost, commission, gross profit and margin across all vouchers
+     */
+    getProfitTotals() {
+        const totals = this.getAllTimeTotals();
+        return {
+            totalPartsCost: totals.partsCost,
+            totalCommission: totals.commission,
+            totalGrossProfit: totals.grossProfit,
+            grossMargin: totals.margin
+        };
+    }
+
     /**
      * Get average voucher value
      */
     getAverageVoucherValue() {
-        const vouchers = this.analyticsData.vouchers;
-        if (vouchers.length === 0) return 0;
-        
-        const total = vouchers.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
-        return total / vouchers.length;
+        const { count, total } = this.getAllTimeTotals();
+        return count === 0 ? 0 : total / count;
     }
 
     /**
@@ -432,10 +916,9 @@ export class AnalyticsManager {
      * Get date range of data
      */
     getDateRange() {
-        const vouchers = this.analyticsData.vouchers;
-        if (vouchers.length === 0) return { start: null, end: null };
+        const dates = Object.keys(this.analyticsData.dailyTotals).sort();
+        if (dates.length === 0) return { start: null, end: null };
         
-        const dates = vouchers.map(v => v.date).filter(Boolean).sort();
         return {
             start: dates[0],
             end: dates[dates.length - 1]
@@ -7,7 +7,94 @@ import { FirebaseService } from './FirebaseService.js';
 import { VoucherManager } from './VoucherManager.js';
 import { VirtualScrollingManager } from './VirtualScrollingManager.js';
 import { AnalyticsManager } from './AnalyticsManager.js';
+import { VoucherTotalsManager } from './VoucherTotalsManager.js';
 import { AutoSaveManager } from './AutoSaveManager.js';
+import { WorkspaceManager, ROLES } from './WorkspaceManager.js';
+import { CustomerManager } from './customerManager.js';
+import { InventoryManager } from './InventoryManager.js';
+import { TechnicianManager, TECHNICIAN_STATUSES } from './TechnicianManager.js';
+import { NotificationManager, NOTIFICATION_LANGUAGES, NOTIFICATION_STATUSES, TEMPLATE_PLACEHOLDERS } from './NotificationManager.js';
+import { NOTIFICATION_PROVIDERS } from './notificationProviders.js';
+import { WarrantyManager, renderWarrantyBadge, buildWarrantyReportHtml } from './WarrantyManager.js';
+import { VoucherAuditLog, buildAuditLogHtml } from './VoucherAuditLog.js';
+import { ServiceCatalogManager, formatPriceRange, formatPriceOverrides, parsePriceOverrides } from './ServiceCatalogManager.js';
+import { DeviceCatalogManager, deviceName } from './DeviceCatalogManager.js';
+import {
+    PayrollManager, ADJUSTMENT_TYPES, normalizePayrollRules, monthPeriod, rangePeriod, buildPayslipHtml, buildPayslipCardHtml,
+    buildPayslipSheets
+} from './PayrollManager.js';
+import { createRowEditor } from './rowEditor.js';
+import { BackupManager, RESTORE_MODES } from './BackupManager.js';
+import { isGzip, decompressToJson } from './backupStore.js';
+import { isEncryptedBackup, encryptBackupJson, decryptBackupJson, MIN_PASSPHRASE_LENGTH } from './backupCrypto.js';
+import { StatusReportManager, buildStatusReportHtml, buildStatusReportSheets } from './StatusReportManager.js';
+import { OfflineOutbox } from './OfflineOutbox.js';
+import { createOfflineActionExecutor } from './offlineActions.js';
+import { resolveQueuedVoucherEdit } from './voucherConflicts.js';
+import { printReceiptHtml } from './receipt.js';
+import { errorHandler } from './errorHandler.js';
+import { appConfig } from './config.js';
+import { getVoucherStatus, getStatusInfo, renderStatusBadge, formatStatusHistory, canTransition } from './voucherStatus.js';
+import { isCameraScanSupported, startCameraScan, attachWedgeScanner, normalizeScannedCode } from './scanner.js';
+
+// Header connection indicator text
+const CONNECTION_LABELS = {
+    online: 'အွန်လိုင်း',
+    offline: 'အော့ဖ်လိုင်း',
+    syncing: 'ချိတ်ဆက်နေသည်...'
+};
+
+// How often the header indicator checks the shop can still be reached
+const CONNECTION_CHECK_INTERVAL = 5000;
+
+// Labels for what started a stored backup
+const BACKUP_TRIGGER_LABELS = { manual: 'Manual', daily: 'Daily (auto)', weekly: 'Weekly (auto)' };
+
+// Backup schedule retention inputs by the kind of version they keep
+const RETENTION_INPUTS = {
+    daily: 'retainDaily',
+    weekly: 'retainWeekly',
+    monthly: 'retainMonthly',
+    manual: 'retainManual'
+};
+
+// Entries listed per section of the restore preview
+const RESTORE_PREVIEW_ROWS = 50;
+
+/**
+ * Escape text for the HTML the panels build, attribute values included
+ */
+function escapeHtml(value) {
+    return (value ?? '').toString().replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Describe a queued change for the offline queue modal
+ */
+function describeOutboxItem(item) {
+    const voucher = item.data && item.data.voucherNumber ? ` · ${escapeHtml(item.data.voucherNumber)} ${escapeHtml(item.data.customerName)}` : '';
+    const voucherId = !voucher && item.voucherId ? ` · ${escapeHtml(item.voucherId)}` : '';
+    return `
+        <p class="theme-text-primary">${escapeHtml(item.type)}${voucher}${voucherId}</p>
+        <p class="theme-text-muted text-xs">${new Date(item.createdAt).toLocaleString()} · attempts: ${item.attempts}${item.completedSteps.length ? ` · done: ${item.completedSteps.join(', ')}` : ''}</p>
+        ${item.lastError ? `<p class="text-red-400 text-xs">${escapeHtml(item.lastError.code)} ${escapeHtml(item.lastError.message)}</p>` : ''}
+    `;
+}
+
+/**
+ * Offer JSON text as a file download
+ */
+function saveJsonFile(json, fileName) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
 
 export class AppController {
     constructor() {
@@ -15,8 +102,41 @@ export class AppController {
         this.voucherManager = null;
         this.virtualScrollingManager = null;
         this.analyticsManager = null;
+        this.voucherTotalsManager = null;
         this.autoSaveManager = null;
+        this.workspaceManager = null;
+        this.customerManager = null;
+        this.inventoryManager = null;
+        this.technicianManager = null;
+        this.notificationManager = null;
+        this.warrantyManager = null;
+        this.serviceCatalogManager = null;
+        this.deviceCatalogManager = null;
+        this.payrollManager = null;
+        this.backupManager = null;
+        this.statusReportManager = null;
+        this.voucherAuditLog = null;
+        this.offlineOutbox = null;
+        this.executeOfflineAction = null;
+        this.currentPayslips = null;
         this.currentUserId = null;
+        this.syncInProgress = false;
+        this.restoreBackup = null; // backup chosen for the restore panel
+        this.restorePlan = null; // plan last shown in the preview, reused if the mode has not changed
+        this.encryptedBackupEnvelope = null; // selected file is encrypted and waiting for its passphrase
+        this.payrollDefaultRules = null; // shop default rules as edited, saved or not
+        this.payrollOverrides = {}; // technician id -> rules, edited before saving
+        this.payrollEditingScope = ''; // rule editor scope: '' for the shop default or a technician id
+        this.payrollRuleEditors = null;
+        this.payrollAdjustmentsEditor = null;
+        this.shownPayslips = [];
+        this.shownPayslipsCoverAll = false; // true when the payslips shown are a full pay run that can be closed
+        this.payrollRuns = [];
+        this.warrantyClaimVoucher = null; // voucher the warranty return modal is open for
+        this.lookupVoucher = null; // voucher shown in the scan lookup modal
+        this.stopCameraScan = null;
+        this.serviceCatalogEditor = null;
+        this.modelNormalizationPlan = [];
         this.isInitialized = false;
         
         // Initialize error handler
@@ -24,7 +144,8 @@ export class AppController {
             handleError: (error, context) => {
                 console.error(`[${context}] Error:`, error);
                 this.showMessage(`Error in ${context}: ${error.message}`, true);
-            }
+            },
+            retry: (operation, maxRetries, delay) => errorHandler.retry(operation, maxRetries, delay)
         };
     }
 
@@ -35,12 +156,7 @@ export class AppController {
         try {
             this.showMessage("Application စတင်နေပါသည်...", false);
             
-            // Initialize Firebase Service
-            this.firebaseService = new FirebaseService();
-            
-            // Initialize managers
-            this.voucherManager = new VoucherManager(this.firebaseService, this.errorHandler);
-            this.analyticsManager = new AnalyticsManager(this.firebaseService, this.errorHandler);
+            this.createManagers();
             this.autoSaveManager = new AutoSaveManager();
             
             // Setup authentication
@@ -51,6 +167,23 @@ export class AppController {
             
             // Setup global event listeners
             this.setupGlobalEventListeners();
+            this.setupTechnicians();
+            this.setupScanLookup();
+            this.setupServicePricing();
+            this.attachDeviceAutocomplete();
+            this.setupOfflineSync();
+            this.setupStatusReport();
+            this.setupPayroll();
+            this.setupBackups();
+            this.setupTotals();
+            this.setupCustomerPanel();
+            this.setupTechnicianPanel();
+            this.setupMembersPanel();
+            this.setupAuditPanel();
+            this.setupNotificationPanel();
+            this.setupServiceCatalogPanel();
+            this.setupDeviceCatalogPanel();
+            this.setupWarranty();
             
             this.isInitialized = true;
             this.showMessage("Application စတင်ပြီးပါပြီ", false);
@@ -60,14 +193,62 @@ export class AppController {
         }
     }
 
+    /**
+     * Create the Firebase service and the shop managers the pages share
+     */
+    createManagers() {
+        this.firebaseService = new FirebaseService();
+        this.workspaceManager = new WorkspaceManager(this.firebaseService, this.errorHandler);
+        this.customerManager = new CustomerManager(this.firebaseService, this.errorHandler);
+        this.inventoryManager = new InventoryManager(this.firebaseService, this.errorHandler);
+        this.offlineOutbox = new OfflineOutbox(this.errorHandler, { maxItems: appConfig.maxOfflineQueue });
+        this.technicianManager = new TechnicianManager(this.firebaseService, this.errorHandler);
+        this.notificationManager = new NotificationManager(this.firebaseService, this.errorHandler, this.customerManager);
+        this.warrantyManager = new WarrantyManager(this.firebaseService, this.errorHandler, this.technicianManager);
+        this.serviceCatalogManager = new ServiceCatalogManager(this.firebaseService, this.errorHandler);
+        this.deviceCatalogManager = new DeviceCatalogManager(this.firebaseService, this.errorHandler);
+        this.payrollManager = new PayrollManager(this.firebaseService, this.errorHandler, this.technicianManager);
+        this.voucherManager = this.createVoucherManager();
+        this.voucherTotalsManager = new VoucherTotalsManager(this.firebaseService, this.errorHandler, this.technicianManager);
+        this.backupManager = new BackupManager(this.firebaseService, this.errorHandler, this.technicianManager, this.voucherTotalsManager);
+        this.statusReportManager = new StatusReportManager(this.firebaseService, this.errorHandler, this.technicianManager);
+        this.analyticsManager = this.createAnalyticsManager();
+        this.voucherAuditLog = new VoucherAuditLog(this.firebaseService, this.errorHandler);
+    }
+
+    /**
+     * Voucher manager wired to the shared customer, inventory, offline queue, technician, notification, service catalogue, payroll, device catalogue and workspace modules
+     */
+    createVoucherManager() {
+        const voucherManager = new VoucherManager(this.firebaseService, this.errorHandler, this.customerManager, this.inventoryManager, this.offlineOutbox, this.technicianManager, this.notificationManager, this.serviceCatalogManager, this.payrollManager, this.deviceCatalogManager, this.workspaceManager);
+        voucherManager.onDailyVouchersChange((vouchers) => this.showDailyVouchers(vouchers));
+        voucherManager.onSearchResultsChange((vouchers) => this.showSearchResults(vouchers));
+        voucherManager.setRowActions({
+            showAuditLog: (voucher) => this.showAuditLog(`📜 ${voucher.voucherNumber || ''} ပြင်ဆင်မှတ်တမ်း`, () => this.voucherAuditLog.getForVoucher(voucher.id), false),
+            openWarrantyClaim: (voucher) => this.openWarrantyClaim(voucher),
+            onTrashed: () => this.loadTrash()
+        });
+        this.executeOfflineAction = createOfflineActionExecutor({
+            voucherManager,
+            technicianManager: this.technicianManager,
+            resolveVoucherEdit: resolveQueuedVoucherEdit
+        });
+        return voucherManager;
+    }
+
+    /**
+     * Analytics manager reading the maintained totals, with names from the technician, service and device catalogues
+     */
+    createAnalyticsManager() {
+        return new AnalyticsManager(this.firebaseService, this.errorHandler, this.technicianManager, this.payrollManager, this.serviceCatalogManager, this.deviceCatalogManager, this.voucherTotalsManager);
+    }
+
     /**
      * Setup Firebase authentication
      */
     async setupAuthentication() {
         const googleSignInBtn = document.getElementById('googleSignInBtn');
         const logoutBtn = document.getElementById('logoutBtn');
-        const userInfo = document.getElementById('userInfo');
-        const loginSection = document.getElementById('loginSection');
 
         // Listen for authentication state changes
         this.firebaseService.onAuthStateChanged(async (user) => {
@@ -123,6 +304,37 @@ export class AppController {
             if (userNameDisplay) userNameDisplay.textContent = user.displayName || 'User';
             if (userEmailDisplay) userEmailDisplay.textContent = user.email || '';
 
+            // Resolve the shop workspace before any data path is built
+            const { role } = await this.workspaceManager.resolveWorkspace(user);
+            const userRoleDisplay = document.getElementById('userRole');
+            if (userRoleDisplay) userRoleDisplay.textContent = ROLES[role] || role;
+            this.applyRolePermissions();
+            this.loadMembersPanel();
+            this.loadAuditPanel();
+
+            this.customerManager.listen();
+            this.deviceCatalogManager.listen();
+            this.inventoryManager.listen();
+            this.technicianManager.listen({ seedDefaults: this.workspaceManager.can('manageTechnicians') });
+            if (this.workspaceManager.can('manageNotifications')) {
+                // Managers' devices send the pickup notifications technicians queue
+                this.notificationManager.listen();
+                this.loadNotificationPanel();
+            }
+            this.attachCustomerAutocomplete();
+            await this.loadServiceTypes();
+            if (this.workspaceManager.can('rebuildTotals')) {
+                // Shops with vouchers from before the totals were kept get them built once
+                await this.voucherTotalsManager.ensureBuilt().catch(error => this.errorHandler.handleError(error, 'Build revenue totals'));
+            }
+            if (this.workspaceManager.can('viewPayroll')) {
+                // Vouchers saved on this device carry their technician's commission
+                await this.payrollManager.loadConfig().catch(error => this.errorHandler.handleError(error, 'Load payroll rules'));
+            } else {
+                // Other members price commission from the rules managers publish
+                await this.payrollManager.loadCommissionRules().catch(error => this.errorHandler.handleError(error, 'Load commission rules'));
+            }
+
             // Initialize managers with user ID
             console.log('🔄 Initializing voucher manager...');
             await this.voucherManager.initialize(this.currentUserId);
@@ -137,6 +349,12 @@ export class AppController {
             await this.loadInitialData();
             console.log('✅ Initial data loaded');
 
+            this.backupManager.startScheduler(() => this.loadBackupHistory());
+            this.loadBackupHistory();
+            // Changes queued by the old localStorage queue belong to this shop
+            await this.offlineOutbox.importLegacyQueue(this.workspaceManager.shopId);
+            this.syncOfflineQueue();
+
         } catch (error) {
             this.errorHandler.handleError(error, 'User sign-in handling');
         }
@@ -157,8 +375,66 @@ export class AppController {
 
         // Reset managers
         this.currentUserId = null;
-        this.voucherManager = new VoucherManager(this.firebaseService, this.errorHandler);
-        this.analyticsManager = new AnalyticsManager(this.firebaseService, this.errorHandler);
+        this.backupManager.stopScheduler();
+        this.customerManager.stopListening();
+        this.deviceCatalogManager.stopListening();
+        this.inventoryManager.stopListening();
+        this.technicianManager.stopListening();
+        this.notificationManager.stopListening();
+        this.voucherManager.stopListening();
+        this.voucherTotalsManager.stopListening();
+        this.statusReportManager.clear();
+        this.payrollManager.clear();
+        this.currentPayslips = null;
+        this.workspaceManager.reset();
+        this.voucherManager = this.createVoucherManager();
+        this.analyticsManager = this.createAnalyticsManager();
+    }
+
+    /**
+     * Show or hide controls based on the member's role
+     */
+    applyRolePermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('hidden', !this.workspaceManager.can(element.dataset.permission));
+        });
+    }
+
+    /**
+     * Wire customer autocomplete into the add-voucher form
+     */
+    attachCustomerAutocomplete() {
+        const form = document.getElementById('addVoucherForm');
+        if (!form) return;
+
+        const nameInput = form.querySelector('[data-customer-autocomplete]');
+        this.customerManager.attachAutocomplete(nameInput, {
+            onSelect: (customer) => {
+                form.elements.customerId.value = customer.id;
+                if (!form.elements.customerPhone.value && customer.phones && customer.phones.length) {
+                    form.elements.customerPhone.value = customer.phones[0];
+                }
+            },
+            onInput: () => {
+                form.elements.customerId.value = '';
+            }
+        });
+    }
+
+    /**
+     * Wire the phone model autocomplete into the add-voucher form; a known model offers its colours
+     */
+    attachDeviceAutocomplete() {
+        const form = document.getElementById('addVoucherForm');
+        if (!form) return;
+
+        const colorOptions = document.getElementById(form.elements.phoneColor.getAttribute('list'));
+        const showColors = () => {
+            const device = this.deviceCatalogManager.find(form.elements.phoneModel.value);
+            if (colorOptions) colorOptions.innerHTML = (device ? device.colors : []).map(color => `<option value="${color}"></option>`).join('');
+        };
+        this.deviceCatalogManager.attachAutocomplete(form.elements.phoneModel, { onSelect: showColors });
+        form.elements.phoneModel.addEventListener('change', showColors);
     }
 
     /**
@@ -167,7 +443,12 @@ export class AppController {
     initializeVirtualScrolling() {
         try {
             const tableBody = document.getElementById('voucherTableBody');
-            if (tableBody) {
+            if (!tableBody && document.getElementById('virtualVoucherContainer')) {
+                this.virtualScrollingManager = new VirtualScrollingManager('#virtualVoucherContainer', 60, 5);
+                this.virtualScrollingManager.renderFunction = (item, voucher, index) => {
+                    this.renderVoucherRow(item, voucher, index);
+                };
+            } else if (tableBody) {
                 // Create container for virtual scrolling
                 const virtualContainer = document.createElement('div');
                 virtualContainer.id = 'virtualVoucherContainer';
@@ -197,9 +478,7 @@ export class AppController {
      * Render voucher row for virtual scrolling
      */
     renderVoucherRow(item, voucher, index) {
-        const takenStatus = voucher.takenByCustomer ? 
-            '<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-900 text-green-300">Taken</span>' :
-            '<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-900 text-red-300">Not Taken</span>';
+        const statusBadge = renderStatusBadge(getVoucherStatus(voucher));
         
         item.innerHTML = `
             <div class="flex items-center space-x-4 w-full">
@@ -209,13 +488,13 @@ export class AppController {
                 <div class="flex-1 text-gray-300">${voucher.phoneColor || 'Unknown'}</div>
                 <div class="flex-1 text-green-400 font-semibold">${voucher.voucherNumber || 'N/A'}</div>
                 <div class="flex-1 text-green-400 font-semibold">${(Number(voucher.amount) || 0).toLocaleString()} ¥</div>
-                <div class="flex-1">${takenStatus}</div>
+                <div class="flex-1">${statusBadge}${renderWarrantyBadge(voucher)}</div>
                 <div class="flex-1">
                     <div class="text-sm text-gray-300 font-semibold">${voucher.technicianName || 'Unknown'}</div>
                     <div class="text-xs text-gray-400">${voucher.date || 'No Date'}</div>
                 </div>
                 <div class="w-20">
-                    <button class="edit-voucher-btn bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs" data-id="${voucher.id}">
+                    <button class="edit-voucher-btn ${this.workspaceManager.can('editVoucher') ? '' : 'hidden'} bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs" data-id="${voucher.id}">
                         Edit
                     </button>
                 </div>
@@ -238,153 +517,2678 @@ export class AppController {
     }
 
     /**
-     * Load vouchers for a specific date
+     * Listen to the vouchers of a specific date
      */
     async loadVouchersForDate(date) {
-        try {
-            const querySnapshot = await this.firebaseService.getVouchersByDate(this.currentUserId, date);
-            const vouchers = [];
-            
-            querySnapshot.forEach((doc) => {
-                vouchers.push({ id: doc.id, ...doc.data() });
-            });
-
-            // Update virtual scrolling with new data
-            if (this.virtualScrollingManager) {
-                this.virtualScrollingManager.setData(vouchers, this.renderVoucherRow.bind(this));
-            }
+        const datePicker = document.getElementById('datePicker');
+        if (datePicker && !datePicker.value) datePicker.value = date;
+        this.voucherManager.listenForDate(date);
+        this.voucherTotalsManager.listenForMonthlyTotals((totals) => this.showMonthlyTotals(totals));
+    }
 
-            // Update daily total
-            const totalAmount = vouchers.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
-            const dailyTotalDisplay = document.getElementById('dailyTotal');
-            if (dailyTotalDisplay) {
-                dailyTotalDisplay.textContent = `${totalAmount.toLocaleString()} ¥`;
-            }
+    /**
+     * Show the filtered daily vouchers and their total, in the virtual list or else the voucher table
+     */
+    showDailyVouchers(vouchers) {
+        if (this.virtualScrollingManager) {
+            this.virtualScrollingManager.setData(vouchers, this.renderVoucherRow.bind(this));
+        } else {
+            this.voucherManager.displayVouchers(vouchers);
+        }
 
-        } catch (error) {
-            this.errorHandler.handleError(error, 'Loading vouchers for date');
+        const totalAmount = vouchers.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
+        const dailyTotalDisplay = document.getElementById('dailyTotal');
+        if (dailyTotalDisplay) {
+            dailyTotalDisplay.textContent = `${totalAmount.toLocaleString()} ¥`;
         }
     }
 
     /**
-     * Setup global event listeners
+     * Show search results, reading further matches as the list is scrolled to its end
      */
-    setupGlobalEventListeners() {
-        // Date picker change
-        const datePicker = document.getElementById('datePicker');
-        if (datePicker) {
-            datePicker.addEventListener('change', async (event) => {
-                await this.loadVouchersForDate(event.target.value);
+    showSearchResults(vouchers) {
+        if (this.virtualScrollingManager) {
+            this.virtualScrollingManager.setData([...vouchers], this.renderVoucherRow.bind(this), async () => {
+                const { vouchers: rows, hasMore } = await this.voucherManager.loadMoreSearchResults();
+                return { rows, hasMore };
             });
         }
+    }
 
-        // Technician selection change
-        const technicianSelect = document.getElementById('technicianSelect');
-        if (technicianSelect) {
-            technicianSelect.addEventListener('change', () => {
-                this.filterVouchersByTechnician();
-            });
-        }
+    /**
+     * Show this month's per-technician totals
+     */
+    showMonthlyTotals(totals) {
+        const display = document.getElementById('monthlyTechnicianTotalsDisplay');
+        if (!display) return;
+        const entries = Object.entries(totals);
+        display.innerHTML = entries.length === 0
+            ? '<p class="text-center text-gray-400 col-span-full">ဤလအတွက် Technician စုစုပေါင်းမှတ်တမ်းမရှိသေးပါ</p>'
+            : entries.map(([technician, data]) => `
+                <div class="bg-gray-600 p-4 rounded-lg shadow-md">
+                    <p class="text-lg font-semibold text-teal-300">${technician}</p>
+                    <p class="text-xl font-bold text-white mt-1">${data.total.toLocaleString()} ¥</p>
+                    <p class="text-sm text-gray-300 mt-1">Voucher Count: ${data.count}</p>
+                </div>
+            `).join('');
+    }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (event) => {
-            this.handleKeyboardShortcuts(event);
+    /**
+     * Keep the technician dropdowns in step with the technicians
+     * New vouchers can only go to active technicians; filters and reports list everyone.
+     */
+    setupTechnicians() {
+        this.technicianManager.onChange((technicians) => {
+            const toOption = (technician) => `<option value="${technician.name}">${technician.name}${technician.status === 'inactive' ? ' (Inactive)' : ''}</option>`;
+            const allOptions = technicians.map(toOption).join('');
+            const activeOptions = technicians.filter(technician => technician.status !== 'inactive').map(toOption).join('');
+            const technicianSelect = document.getElementById('technicianSelect');
+            if (technicianSelect) {
+                const selected = technicianSelect.value;
+                technicianSelect.innerHTML = `<option value="">All Technicians</option>${allOptions}`;
+                technicianSelect.value = technicians.some(technician => technician.name === selected) ? selected : '';
+            }
+            const formSelect = document.querySelector('#addVoucherForm select[name="technicianName"]');
+            if (formSelect) {
+                formSelect.innerHTML = `<option value="">Select Technician</option>${activeOptions}`;
+            }
+            const reportSelect = document.getElementById('statusReportTechnician');
+            if (reportSelect) {
+                reportSelect.innerHTML = `<option value="all">All Technicians</option>${allOptions}`;
+            }
         });
+    }
 
-        // Window resize
-        window.addEventListener('resize', () => {
-            if (this.virtualScrollingManager) {
-                this.virtualScrollingManager.updateContainerHeight();
+    /**
+     * Claim ticket scanning: camera or wedge scanner opens the voucher with a one-tap pickup release
+     * Pages without the lookup modal show the scanned voucher in the table instead.
+     */
+    setupScanLookup() {
+        const modal = document.getElementById('voucherLookupModal');
+        if (!modal) {
+            attachWedgeScanner((code) => this.voucherManager.showScannedVoucher(code));
+            return;
+        }
+
+        // USB / Bluetooth scanners type the code and press Enter
+        attachWedgeScanner((code) => this.lookupScannedVoucher(code));
+
+        document.getElementById('scanVoucherBtn').addEventListener('click', async () => {
+            if (!this.firebaseService.getCurrentUser()) {
+                this.showMessage("ကျေးဇူးပြု၍ အကောင့်ဝင်ပါ", true);
+                return;
+            }
+            if (!isCameraScanSupported()) {
+                this.showMessage("ဤ Browser တွင် ကင်မရာဖြင့် Scan ဖတ်၍ မရပါ။ Scanner သို့မဟုတ် Voucher Number ရိုက်ထည့်ပါ", true);
+                return;
+            }
+
+            document.getElementById('voucherLookupDetails').innerHTML = '';
+            document.getElementById('markPickedUpBtn').classList.add('hidden');
+            document.getElementById('scanVideoWrapper').classList.remove('hidden');
+            modal.classList.remove('hidden');
+            try {
+                this.stopCameraScan = await startCameraScan(document.getElementById('scanVideo'), (code) => {
+                    this.stopCameraScan = null;
+                    this.lookupScannedVoucher(code);
+                });
+            } catch (error) {
+                this.closeVoucherLookup();
+                this.showMessage(`ကင်မရာ ဖွင့်၍ မရပါ: ${error.message}`, true);
             }
         });
 
-        // Add voucher modal controls
-        const addVoucherBtn = document.getElementById('addVoucherBtn');
-        const cancelVoucherBtn = document.getElementById('cancelVoucherBtn');
-        const clearAutoSaveBtn = document.getElementById('clearAutoSaveBtn');
+        document.getElementById('closeVoucherLookupBtn').addEventListener('click', () => this.closeVoucherLookup());
 
-        if (addVoucherBtn) {
-            addVoucherBtn.addEventListener('click', () => {
-                const modal = document.getElementById('addVoucherModal');
-                if (modal) {
-                    modal.classList.remove('hidden');
-                    // Set today's date as default
-                    const dateInput = document.querySelector('input[name="date"]');
-                    if (dateInput) {
-                        dateInput.value = new Date().toISOString().split('T')[0];
+        const markPickedUpBtn = document.getElementById('markPickedUpBtn');
+        markPickedUpBtn.addEventListener('click', async () => {
+            const voucher = this.lookupVoucher;
+            if (!voucher || !this.requirePermission('updateVoucherStatus')) return;
+
+            try {
+                const { data, historyEntry } = this.voucherManager.buildPickupUpdate(voucher, this.voucherManager.currentUserLabel());
+                markPickedUpBtn.disabled = true;
+                const saved = await this.voucherManager.saveStatusChange(voucher.id, voucher, data, historyEntry);
+                if (saved) {
+                    this.showVoucherLookup(voucher);
+                    if (this.voucherManager.isSearchMode) {
+                        this.voucherManager.displaySearchResults();
                     }
+                } else {
+                    markPickedUpBtn.disabled = false;
                 }
-            });
+            } catch (error) {
+                this.showMessage(error.message, true);
+            }
+        });
+    }
+
+    /**
+     * Exact voucher number matches among the vouchers already loaded (used when offline)
+     */
+    findLocalVouchersByNumber(code) {
+        const matches = new Map();
+        [...this.voucherManager.dailyVouchers, ...this.voucherManager.searchResults].forEach(voucher => {
+            if (normalizeScannedCode(voucher.voucherNumber) === code) {
+                matches.set(voucher.id, voucher);
+            }
+        });
+        return Array.from(matches.values());
+    }
+
+    /**
+     * Jump straight to the voucher for a scanned code; duplicate numbers are listed in the table to pick from
+     */
+    async lookupScannedVoucher(code) {
+        if (!this.firebaseService.getCurrentUser() || !code) return;
+
+        let matches;
+        try {
+            matches = this.firebaseService.isOnline() ? await this.voucherManager.findByVoucherNumber(code) : this.findLocalVouchersByNumber(code);
+        } catch (error) {
+            console.error("Error looking up scanned voucher: ", error);
+            matches = this.findLocalVouchersByNumber(code);
         }
 
-        if (cancelVoucherBtn) {
-            cancelVoucherBtn.addEventListener('click', () => {
-                const modal = document.getElementById('addVoucherModal');
-                if (modal) {
-                    modal.classList.add('hidden');
-                }
-            });
+        if (matches.length === 0) {
+            this.closeVoucherLookup();
+            this.showMessage(`Voucher "${code}" ကို မတွေ့ပါ`, true);
+            return;
         }
+        if (matches.length > 1) {
+            this.closeVoucherLookup();
+            document.getElementById('voucherSearchInput').value = code;
+            this.voucherManager.showVoucherMatches(code, matches);
+            this.showMessage(`Voucher "${code}" ${matches.length} ခု တွေ့ပါသည်`, false);
+            return;
+        }
+        this.showVoucherLookup(matches[0]);
+    }
 
-        if (clearAutoSaveBtn) {
-            clearAutoSaveBtn.addEventListener('click', () => {
-                if (this.autoSaveManager) {
-                    this.autoSaveManager.clearAllSavedData();
-                }
-            });
+    /**
+     * Show a voucher's pickup details, with the release button when its stage allows it
+     */
+    showVoucherLookup(voucher) {
+        this.lookupVoucher = voucher;
+        const status = getVoucherStatus(voucher);
+        const detailRow = (label, value) => value ? `<div class="flex justify-between gap-4"><span>${label}</span><span class="theme-text-primary font-semibold text-right">${escapeHtml(value)}</span></div>` : '';
+
+        document.getElementById('voucherLookupDetails').innerHTML = `
+            <div class="text-center mb-3">
+                <div class="text-2xl font-bold text-teal-400">${escapeHtml(voucher.voucherNumber)}</div>
+                <div class="mt-1">${renderStatusBadge(status)}</div>
+            </div>
+            ${detailRow('Customer', voucher.customerName)}
+            ${detailRow('Phone', voucher.customerPhone)}
+            ${detailRow('Model', voucher.phoneModel)}
+            ${detailRow('Colour', voucher.phoneColor)}
+            ${detailRow('Error', voucher.error)}
+            ${detailRow('Amount', `${(Number(voucher.amount) || 0).toLocaleString()} ¥`)}
+            ${detailRow('Date', voucher.date)}
+            ${detailRow('Technician', voucher.technicianName)}
+            ${voucher.releasedAt ? detailRow('Released', `${new Date(voucher.releasedAt).toLocaleString()} · ${voucher.releasedBy || ''}`) : ''}
+            ${voucher.statusHistory && voucher.statusHistory.length ? `<pre class="text-xs text-gray-400 whitespace-pre-wrap mt-2">${escapeHtml(formatStatusHistory(voucher.statusHistory))}</pre>` : ''}
+        `;
+
+        const markPickedUpBtn = document.getElementById('markPickedUpBtn');
+        const canRelease = canTransition(status, 'picked_up') && this.workspaceManager.can('updateVoucherStatus');
+        markPickedUpBtn.classList.toggle('hidden', status === 'picked_up');
+        markPickedUpBtn.disabled = !canRelease;
+        markPickedUpBtn.title = canRelease ? '' : `"${getStatusInfo(status).label}" အဆင့်မှ ယူသွားပြီး သို့ ပြောင်း၍ မရပါ`;
+
+        document.getElementById('scanVideoWrapper').classList.add('hidden');
+        document.getElementById('voucherLookupModal').classList.remove('hidden');
+    }
+
+    /**
+     * Close the lookup modal, stopping the camera if it is still scanning
+     */
+    closeVoucherLookup() {
+        if (this.stopCameraScan) {
+            this.stopCameraScan();
+            this.stopCameraScan = null;
         }
+        this.lookupVoucher = null;
+        document.getElementById('voucherLookupModal').classList.add('hidden');
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Technician panel: add, edit and retire technicians; retired ones keep their vouchers, payslips and reports
      */
-    handleKeyboardShortcuts(event) {
-        // Ctrl+N - New voucher
-        if (event.ctrlKey && event.key === 'n') {
-            event.preventDefault();
-            const addVoucherBtn = document.getElementById('addVoucherBtn');
-            if (addVoucherBtn) addVoucherBtn.click();
+    setupTechnicianPanel() {
+        const technicianList = document.getElementById('technicianList');
+        if (!technicianList) return;
+
+        this.technicianManager.onChange((technicians) => this.renderTechnicianList(technicians));
+
+        const toggleManagementBtn = document.getElementById('toggleManagementBtn');
+        const controls = document.getElementById('technicianManagementControls');
+        toggleManagementBtn.addEventListener('click', () => {
+            const isOpen = !controls.classList.toggle('hidden');
+            toggleManagementBtn.textContent = isOpen ? 'စီမံခန့်ခွဲမှု ပိတ်ရန်' : 'စီမံခန့်ခွဲရန်';
+        });
+
+        document.getElementById('addTechnicianBtn').addEventListener('click', async () => {
+            if (!this.requirePermission('manageTechnicians')) return;
+            const nameInput = document.getElementById('newTechnicianName');
+            const phoneInput = document.getElementById('newTechnicianPhone');
+            const joinDateInput = document.getElementById('newTechnicianJoinDate');
+            const name = nameInput.value.trim();
+            if (!name) {
+                this.showMessage("ကျေးဇူးပြု၍ နာမည်အသစ် ထည့်သွင်းပါ", true);
+                return;
+            }
+
+            try {
+                const saved = await this.saveTechnicianRecord(this.technicianManager.withAdded({
+                    name,
+                    phone: phoneInput.value,
+                    joinDate: joinDateInput.value
+                }));
+                this.showMessage(saved ? "Technician အသစ် ထည့်သွင်းပြီးပါပြီ။" : "Technician အသစ် ထည့်သွင်းပြီးပါပြီ။ (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)");
+                nameInput.value = '';
+                phoneInput.value = '';
+                joinDateInput.value = '';
+            } catch (error) {
+                this.showMessage(`Error adding technician: ${error.message}`, true);
+                console.error("Error adding technician: ", error);
+            }
+        });
+
+        technicianList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-id]');
+            if (!button) return;
+            if (button.classList.contains('status-btn')) {
+                this.setTechnicianStatus(button.dataset.id, button.dataset.status);
+            } else if (button.dataset.editing) {
+                this.saveTechnicianEdit(button.dataset.id);
+            } else {
+                this.editTechnician(button);
+            }
+        });
+    }
+
+    /**
+     * List the technicians with their status, phone, join date and previous names
+     */
+    renderTechnicianList(technicians) {
+        const technicianList = document.getElementById('technicianList');
+        if (technicians.length === 0) {
+            technicianList.innerHTML = '<p class="text-center text-gray-400">Technician နာမည်များ ထည့်သွင်းထားခြင်း မရှိသေးပါ</p>';
+            return;
         }
 
-        // Ctrl+F - Focus search
-        if (event.ctrlKey && event.key === 'f') {
-            event.preventDefault();
-            const searchInput = document.getElementById('voucherSearchInput');
-            if (searchInput) searchInput.focus();
+        technicianList.innerHTML = technicians.map(technician => {
+            const isActive = technician.status !== 'inactive';
+            const details = [
+                technician.phone ? `📞 ${escapeHtml(technician.phone)}` : '',
+                technician.joinDate ? `အလုပ်ဝင်: ${technician.joinDate}` : '',
+                technician.previousNames.length ? `ယခင်နာမည်: ${escapeHtml(technician.previousNames.join(', '))}` : ''
+            ].filter(Boolean).join(' · ');
+            return `
+                <div class="flex items-center justify-between p-3 bg-gray-600 rounded-lg ${isActive ? '' : 'opacity-60'}">
+                    <div id="technician-${technician.id}">
+                        <span class="text-gray-200">${escapeHtml(technician.name)}</span>
+                        <span class="ml-2 text-xs px-2 py-0.5 rounded-full ${isActive ? 'bg-green-700 text-green-100' : 'bg-gray-500 text-gray-200'}">${TECHNICIAN_STATUSES[technician.status]?.label || technician.status}</span>
+                        ${details ? `<p class="text-xs text-gray-400 mt-1">${details}</p>` : ''}
+                    </div>
+                    <div class="flex-shrink-0">
+                        <button class="edit-btn bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-1 px-3 rounded-lg text-sm mr-2" data-id="${technician.id}" ${technician.id ? '' : 'disabled'}>ပြုပြင်ရန်</button>
+                        <button class="status-btn ${isActive ? 'bg-red-500 hover:bg-red-600' : 'bg-green-600 hover:bg-green-700'} text-white font-bold py-1 px-3 rounded-lg text-sm" data-id="${technician.id}" data-status="${isActive ? 'inactive' : 'active'}" ${technician.id ? '' : 'disabled'}>
+                            ${isActive ? 'အလုပ်ထွက်ရန်' : 'ပြန်ခေါ်ရန်'}
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Swap a technician's row for name, phone and join date inputs
+     */
+    editTechnician(button) {
+        const technicianId = button.dataset.id;
+        const technician = this.technicianManager.get(technicianId);
+        if (!technician) return;
+
+        document.getElementById(`technician-${technicianId}`).innerHTML = `
+            <div class="flex flex-col sm:flex-row gap-2">
+                <input type="text" id="edit-name-${technicianId}" value="${escapeHtml(technician.name)}" placeholder="နာမည်" class="bg-gray-500 p-1 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-400">
+                <input type="tel" id="edit-phone-${technicianId}" value="${escapeHtml(technician.phone)}" placeholder="ဖုန်းနံပါတ်" class="bg-gray-500 p-1 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-400">
+                <input type="date" id="edit-join-${technicianId}" value="${technician.joinDate}" title="အလုပ်ဝင်သည့်ရက်" class="bg-gray-500 p-1 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-teal-400">
+            </div>
+        `;
+        button.textContent = 'သိမ်းရန်';
+        button.classList.replace('bg-yellow-500', 'bg-blue-500');
+        button.dataset.editing = 'true';
+    }
+
+    /**
+     * Save an edited technician; a rename keeps the old name on the record, so vouchers and reports follow it
+     */
+    async saveTechnicianEdit(technicianId) {
+        if (!this.requirePermission('manageTechnicians')) return;
+        try {
+            const saved = await this.saveTechnicianRecord(this.technicianManager.withUpdated(technicianId, {
+                name: document.getElementById(`edit-name-${technicianId}`).value,
+                phone: document.getElementById(`edit-phone-${technicianId}`).value,
+                joinDate: document.getElementById(`edit-join-${technicianId}`).value
+            }));
+            this.showMessage(saved ? "Technician ပြင်ဆင်ပြီးပါပြီ။" : "Technician ပြင်ဆင်ပြီးပါပြီ။ (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)");
+            this.renderTechnicianList(this.technicianManager.getAll());
+        } catch (error) {
+            this.showMessage(`Error updating technician: ${error.message}`, true);
+            console.error("Error updating technician: ", error);
         }
+    }
 
-        // Ctrl+A - Show analytics
-        if (event.ctrlKey && event.key === 'a') {
-            event.preventDefault();
-            const analyticsBtn = document.getElementById('toggleAnalyticsBtn');
-            if (analyticsBtn) analyticsBtn.click();
+    /**
+     * Retire or bring back a technician; technicians are never deleted
+     */
+    async setTechnicianStatus(technicianId, status) {
+        if (!this.requirePermission('manageTechnicians')) return;
+        const technician = this.technicianManager.get(technicianId);
+        if (!technician) return;
+        if (status === 'inactive' && !window.confirm(`ယခု Technician ကို အလုပ်ထွက်အဖြစ် သတ်မှတ်ရန် သေချာပါသလား?\nName: ${technician.name}\n(ယခင် Voucher နှင့် လစာမှတ်တမ်းများ ဆက်ရှိနေပါမည်)`)) return;
+
+        try {
+            const saved = await this.saveTechnicianRecord(this.technicianManager.withStatus(technicianId, status));
+            this.showMessage(saved ? "Technician အခြေအနေ ပြောင်းပြီးပါပြီ။" : "Technician အခြေအနေ ပြောင်းပြီးပါပြီ။ (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)");
+        } catch (error) {
+            this.showMessage(`Error updating technician: ${error.message}`, true);
+            console.error("Error updating technician status: ", error);
         }
+    }
 
-        // Ctrl+S - Manual save
-        if (event.ctrlKey && event.key === 's') {
-            event.preventDefault();
-            if (this.autoSaveManager) {
-                this.autoSaveManager.saveNow();
-                this.showMessage('Form data saved manually', false);
+    /**
+     * Save a technician record online, or queue it while offline; true when written directly
+     */
+    async saveTechnicianRecord({ technicianId, data }) {
+        if (this.firebaseService.isOnline()) {
+            await this.technicianManager.save(technicianId, data);
+            return true;
+        }
+        await this.queueOfflineAction({ type: 'saveTechnician', technicianId, data });
+        return false;
+    }
+
+    /**
+     * Fill the add form's service picker, and the catalogue editor for managers, from the catalogue
+     * A manager's first sign-in saves the catalogue, carrying over the old warranty list.
+     */
+    async loadServiceTypes() {
+        try {
+            const serviceTypes = await this.serviceCatalogManager.load({ canMigrate: this.workspaceManager.can('manageServices') });
+            const formSelect = document.querySelector('#addVoucherForm select[name="serviceTypeId"]');
+            if (formSelect) {
+                formSelect.innerHTML = `<option value="">Select Service</option>${serviceTypes.map(type => `<option value="${type.id}">${type.label}${type.warrantyDays ? ` (${type.warrantyDays}d warranty)` : ''}</option>`).join('')}`;
+            }
+            if (this.serviceCatalogEditor && this.workspaceManager.can('manageServices')) {
+                this.serviceCatalogEditor.setRows(serviceTypes.map(type => ({ ...type, pricesText: formatPriceOverrides(type.prices) })));
             }
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Load service types');
         }
     }
 
     /**
-     * Filter vouchers by technician
+     * Pre-fill the amount with the chosen service's standard price for the phone model
+     * Only an amount the picker filled in is replaced; one typed by hand is kept.
      */
-    filterVouchersByTechnician() {
-        const technicianSelect = document.getElementById('technicianSelect');
-        if (!technicianSelect || !this.virtualScrollingManager) return;
+    setupServicePricing() {
+        const form = document.getElementById('addVoucherForm');
+        if (!form) return;
+        const hint = form.querySelector('[data-price-hint]');
+        let prefilled = '';
 
-        const selectedTechnician = technicianSelect.value;
-        const allVouchers = this.voucherManager.allVouchersCache || [];
-        
-        const filteredVouchers = selectedTechnician ? 
-            allVouchers.filter(v => v.technicianName === selectedTechnician) : 
-            allVouchers;
+        const suggest = () => {
+            const price = this.serviceCatalogManager.suggestPrice(form.elements.serviceTypeId.value, form.elements.phoneModel.value);
+            if (hint) hint.textContent = price ? `Standard price: ${formatPriceRange(price)}${price.match ? ` (${price.match})` : ''}` : '';
+            if (price && (!form.elements.amount.value || form.elements.amount.value === prefilled)) {
+                prefilled = String(price.minPrice || price.maxPrice);
+                form.elements.amount.value = prefilled;
+            }
+        };
+        form.elements.serviceTypeId.addEventListener('change', suggest);
+        form.elements.phoneModel.addEventListener('change', suggest);
+        form.addEventListener('reset', () => {
+            prefilled = '';
+            if (hint) hint.textContent = '';
+        });
+    }
+
+    /**
+     * Show the offline queue counts, watch the connection and replay the queue when it returns
+     */
+    setupOfflineSync() {
+        this.offlineOutbox.subscribe((counts) => this.showOutboxCounts(counts));
+        this.offlineOutbox.notify().catch(error => console.error('Error opening offline queue:', error));
+        this.setupOutboxModal();
 
-        this.virtualScrollingManager.setData(filteredVouchers, this.renderVoucherRow.bind(this));
+        window.addEventListener('online', () => {
+            this.checkConnection();
+            this.showMessage("အင်တာနက် ချိတ်ဆက်ပြီးပါပြီ။", false);
+        });
+        window.addEventListener('offline', () => {
+            this.setConnectionStatus('offline');
+            this.showMessage("အင်တာနက် ချိတ်ဆက်မှု ပြတ်တောက်ပါသည်။", true);
+        });
+        this.checkConnection();
+        setInterval(() => this.checkConnection(), CONNECTION_CHECK_INTERVAL);
+    }
+
+    /**
+     * Check the shop can be reached, then pick up queued items whose backoff has expired
+     */
+    async checkConnection() {
+        if (!this.firebaseService.isOnline()) {
+            this.setConnectionStatus('offline');
+            return;
+        }
+        try {
+            if (!this.syncInProgress) this.setConnectionStatus('syncing');
+            if (this.workspaceManager.shopId) {
+                await this.firebaseService.getDoc(this.firebaseService.doc(this.firebaseService.shopPath('technicianList/technicians')));
+            }
+            if (!this.syncInProgress) this.setConnectionStatus('online');
+            this.syncOfflineQueue();
+        } catch (error) {
+            console.log('Firebase connection test failed:', error);
+            this.setConnectionStatus('offline');
+        }
+    }
+
+    /**
+     * Show the pending and failed counts on the header badges, refreshing the queue modal while it is open
+     */
+    showOutboxCounts({ pending, deadLetters }) {
+        const status = document.getElementById('offlineQueueStatus');
+        if (status) {
+            status.textContent = [
+                pending ? `${pending} pending` : '',
+                deadLetters ? `⚠ ${deadLetters} failed` : ''
+            ].filter(Boolean).join(' · ');
+            status.classList.toggle('hidden', !pending && !deadLetters);
+        }
+
+        const pendingBadge = document.getElementById('outboxPendingBadge');
+        if (pendingBadge) {
+            pendingBadge.textContent = `${pending} pending`;
+            pendingBadge.classList.toggle('hidden', pending === 0);
+        }
+        const deadLetterBadge = document.getElementById('outboxDeadLetterBadge');
+        if (deadLetterBadge) {
+            deadLetterBadge.textContent = `⚠ ${deadLetters}`;
+            deadLetterBadge.classList.toggle('hidden', deadLetters === 0);
+        }
+
+        const outboxModal = document.getElementById('outboxModal');
+        if (outboxModal && !outboxModal.classList.contains('hidden')) {
+            this.renderOutboxModal();
+        }
+    }
+
+    /**
+     * Open the offline queue modal from the connection indicator or the queue badge
+     */
+    setupOutboxModal() {
+        const outboxModal = document.getElementById('outboxModal');
+        if (!outboxModal) return;
+
+        const open = () => {
+            outboxModal.classList.remove('hidden');
+            this.renderOutboxModal();
+        };
+        ['connectionIndicator', 'offlineQueueStatus'].forEach(id => {
+            const trigger = document.getElementById(id);
+            if (trigger) trigger.addEventListener('click', open);
+        });
+        document.getElementById('closeOutboxBtn').addEventListener('click', () => outboxModal.classList.add('hidden'));
+        document.getElementById('syncOutboxNowBtn').addEventListener('click', () => this.syncOfflineQueue());
+    }
+
+    /**
+     * List the pending changes, and the failed ones with retry and discard buttons
+     */
+    async renderOutboxModal() {
+        const outboxPendingList = document.getElementById('outboxPendingList');
+        const outboxDeadLetterList = document.getElementById('outboxDeadLetterList');
+        const [pendingItems, deadLetters] = await Promise.all([this.offlineOutbox.list(), this.offlineOutbox.listDeadLetters()]);
+        outboxPendingList.innerHTML = pendingItems.length
+            ? pendingItems.map(item => `<div class="office-card p-2">${describeOutboxItem(item)}</div>`).join('')
+            : '<p class="theme-text-muted">မရှိပါ</p>';
+        outboxDeadLetterList.innerHTML = deadLetters.length
+            ? deadLetters.map(item => `
+                <div class="office-card p-2 flex justify-between items-start gap-2">
+                    <div>${describeOutboxItem(item)}</div>
+                    <div class="flex gap-2 shrink-0">
+                        <button class="outbox-retry-btn office-button text-xs px-2" data-id="${item.id}">🔄 Retry</button>
+                        <button class="outbox-discard-btn bg-red-600 hover:bg-red-700 text-white text-xs px-2 rounded" data-id="${item.id}">🗑️</button>
+                    </div>
+                </div>
+            `).join('')
+            : '<p class="theme-text-muted">မရှိပါ</p>';
+
+        outboxDeadLetterList.querySelectorAll('.outbox-retry-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                await this.offlineOutbox.retryDeadLetter(button.dataset.id);
+                this.syncOfflineQueue();
+            });
+        });
+        outboxDeadLetterList.querySelectorAll('.outbox-discard-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!window.confirm('ဤပြင်ဆင်မှုကို ပယ်ဖျက်ရန် သေချာပါသလား? ဒေတာ ဆုံးရှုံးနိုင်ပါသည်။')) return;
+                await this.offlineOutbox.discardDeadLetter(button.dataset.id);
+            });
+        });
+    }
+
+    /**
+     * Queue a change made while offline for the current shop
+     */
+    async queueOfflineAction(action) {
+        const item = await this.offlineOutbox.enqueue(action, this.workspaceManager.shopId);
+        console.log('Action queued for offline sync:', item);
+        return item;
+    }
+
+    /**
+     * Replay queued offline changes for the current shop
+     */
+    async syncOfflineQueue() {
+        const shopId = this.workspaceManager.shopId;
+        if (this.syncInProgress || !shopId || !this.firebaseService.isOnline()) return;
+
+        this.syncInProgress = true;
+        try {
+            const { pending } = await this.offlineOutbox.getCounts();
+            if (pending === 0) return;
+
+            this.setConnectionStatus('syncing');
+            this.showMessage(`ဒေတာ ${pending} ခု ချိတ်ဆက်နေသည်...`, false);
+            const result = await this.offlineOutbox.process(shopId, this.executeOfflineAction);
+            if (result.synced > 0) {
+                this.showMessage(`ဒေတာ ${result.synced} ခု ချိတ်ဆက်ပြီးပါပြီ။`, false);
+            }
+            if (result.failed > 0) {
+                this.showMessage(`ဒေတာ ${result.failed} ခု ချိတ်ဆက်မရပါ။ နောက်တစ်ကြိမ် ကြိုးစားပါမည်။`, true);
+            }
+            if (result.parked > 0) {
+                this.showMessage(`ဒေတာ ${result.parked} ခု ချိတ်ဆက်၍ မရတော့ပါ။ Offline Queue တွင် စစ်ဆေးပါ။`, true);
+            }
+            this.setConnectionStatus('online');
+        } catch (error) {
+            this.setConnectionStatus('online');
+            this.errorHandler.handleError(error, 'Offline sync');
+        } finally {
+            this.syncInProgress = false;
+        }
+    }
+
+    /**
+     * Show 'online', 'offline' or 'syncing' on the header connection indicator
+     */
+    setConnectionStatus(status) {
+        const indicator = document.getElementById('connectionIndicator');
+        const text = document.getElementById('connectionText');
+        if (!indicator || !text) return;
+        indicator.className = `connection-indicator ${status}`;
+        text.textContent = CONNECTION_LABELS[status] || status;
+    }
+
+    /**
+     * Status report: generate for a date range and export to Excel
+     */
+    setupStatusReport() {
+        const generateBtn = document.getElementById('statusReportBtn');
+        const exportBtn = document.getElementById('exportStatusReportBtn');
+        const closeBtn = document.getElementById('toggleStatusReportBtn');
+        const display = document.getElementById('statusReportDisplay');
+        if (!generateBtn || !display) return;
+
+        // Pages without their own report range use the date range totals' pickers
+        const startInput = document.getElementById('statusReportStart') || document.getElementById('startDatePicker');
+        const endInput = document.getElementById('statusReportEnd') || document.getElementById('endDatePicker');
+        const technicianInput = document.getElementById('statusReportTechnician') || document.getElementById('rangeTechnicianSelect');
+
+        generateBtn.addEventListener('click', async () => {
+            const startDate = startInput.value;
+            const endDate = endInput.value;
+            if (!startDate || !endDate) {
+                this.showMessage("ကျေးဇူးပြု၍ စတင်ရက်စွဲနှင့် ပြီးဆုံးရက်စွဲ ရွေးချယ်ပါ", true);
+                return;
+            }
+            try {
+                const report = await this.statusReportManager.generate(startDate, endDate, technicianInput.value || 'all');
+                display.innerHTML = buildStatusReportHtml(report);
+                display.classList.remove('hidden');
+                if (exportBtn) exportBtn.classList.remove('hidden');
+                if (closeBtn) {
+                    closeBtn.classList.remove('hidden');
+                    generateBtn.classList.add('hidden');
+                }
+            } catch (error) {
+                this.errorHandler.handleError(error, 'Status report');
+            }
+        });
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const report = this.statusReportManager.currentReport;
+                const XLSX = window.XLSX;
+                if (!report || !XLSX) return;
+                const wb = XLSX.utils.book_new();
+                buildStatusReportSheets(report).forEach(sheet => {
+                    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+                });
+                XLSX.writeFile(wb, `status_report_${report.startDate}_to_${report.endDate}.xlsx`);
+            });
+        }
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                [display, exportBtn, closeBtn].forEach(element => element && element.classList.add('hidden'));
+                generateBtn.classList.remove('hidden');
+                this.statusReportManager.clear();
+            });
+        }
+    }
+
+    /**
+     * Payroll: monthly pay run for every technician, print and close the period
+     */
+    setupPayroll() {
+        const runBtn = document.getElementById('runPayrollBtn');
+        const printBtn = document.getElementById('printPayslipsBtn');
+        const closeBtn = document.getElementById('closePayrollBtn');
+        const results = document.getElementById('payrollResults');
+        if (!runBtn || !results) return;
+
+        runBtn.addEventListener('click', async () => {
+            const monthValue = document.getElementById('payrollMonth').value;
+            if (!monthValue) {
+                this.showMessage("ကျေးဇူးပြု၍ လ ရွေးချယ်ပါ", true);
+                return;
+            }
+            try {
+                const [year, month] = monthValue.split('-').map(Number);
+                const period = monthPeriod(year, month);
+                await this.payrollManager.loadConfig();
+                this.currentPayslips = { period, payslips: await this.payrollManager.runPayroll(await this.payrollManager.getPayrollTechnicianNames(period), period) };
+                results.innerHTML = `
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="theme-text-muted text-left border-b border-gray-600">
+                                <th class="py-2 px-2">Technician</th><th class="py-2 px-2">Vouchers</th>
+                                <th class="py-2 px-2 text-right">Gross</th><th class="py-2 px-2 text-right">Deductions</th><th class="py-2 px-2 text-right">Net Pay</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.currentPayslips.payslips.map(payslip => `
+                                <tr class="border-b border-gray-700">
+                                    <td class="py-2 px-2">${payslip.technicianName}</td>
+                                    <td class="py-2 px-2">${payslip.voucherCount}</td>
+                                    <td class="py-2 px-2 text-right">${payslip.gross.toLocaleString()} ¥</td>
+                                    <td class="py-2 px-2 text-right">${payslip.deductions.toLocaleString()} ¥</td>
+                                    <td class="py-2 px-2 text-right font-semibold text-green-400">${payslip.net.toLocaleString()} ¥</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+                if (printBtn) printBtn.classList.remove('hidden');
+                if (closeBtn) closeBtn.classList.remove('hidden');
+            } catch (error) {
+                this.errorHandler.handleError(error, 'Payroll run');
+            }
+        });
+
+        if (printBtn) {
+            printBtn.addEventListener('click', () => {
+                if (this.currentPayslips) printReceiptHtml(buildPayslipHtml(this.currentPayslips.payslips));
+            });
+        }
+
+        if (closeBtn) {
+            closeBtn.addEventListener('click', async () => {
+                if (!this.currentPayslips) return;
+                const { period, payslips } = this.currentPayslips;
+                if (!window.confirm(`${period.label} လစာကာလကို ပိတ်မှာ သေချာပါသလား? ပေးပြီးသော Voucher များကို ပြင်၍ မရတော့ပါ။`)) return;
+                try {
+                    const user = this.firebaseService.getCurrentUser();
+                    await this.payrollManager.closePeriod(payslips, period, user ? (user.displayName || user.email) : '');
+                    this.showMessage(`${period.label} လစာကာလ ပိတ်ပြီးပါပြီ`, false);
+                    closeBtn.classList.add('hidden');
+                } catch (error) {
+                    this.errorHandler.handleError(error, 'Close payroll period');
+                }
+            });
+        }
+    }
+
+    /**
+     * Backups: manual snapshot, version history and merge-restore from a version
+     */
+    setupBackups() {
+        const createBtn = document.getElementById('createBackupBtn');
+        if (!createBtn) return;
+
+        createBtn.addEventListener('click', async () => {
+            try {
+                const backup = await this.backupManager.collectBackup('all');
+                const snapshot = await this.backupManager.saveSnapshot(backup, 'manual');
+                this.showMessage(`Backup v${snapshot.version} သိမ်းပြီးပါပြီ`, false);
+                this.loadBackupHistory();
+            } catch (error) {
+                this.errorHandler.handleError(error, 'Create backup');
+            }
+        });
+    }
+
+    /**
+     * Revenue totals: recompute them from the raw vouchers on request
+     */
+    setupTotals() {
+        const rebuildBtn = document.getElementById('rebuildTotalsBtn');
+        if (!rebuildBtn) return;
+
+        rebuildBtn.addEventListener('click', async () => {
+            if (!this.requirePermission('rebuildTotals')) return;
+            if (!window.confirm('Voucher အားလုံးမှ စုစုပေါင်းများကို ပြန်တွက်မည်။ ဆက်လုပ်မလား?')) return;
+            rebuildBtn.disabled = true;
+            try {
+                const { voucherCount } = await this.voucherTotalsManager.rebuild();
+                this.showMessage(`Voucher ${voucherCount} ခုမှ စုစုပေါင်းများ ပြန်တွက်ပြီးပါပြီ`, false);
+                await this.analyticsManager.loadRecentAnalytics();
+            } catch (error) {
+                this.errorHandler.handleError(error, 'Rebuild revenue totals');
+            } finally {
+                rebuildBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * List stored backup versions with a restore button each
+     */
+    async loadBackupHistory() {
+        const list = document.getElementById('backupHistoryList');
+        if (!list || !this.workspaceManager.shopId) return;
+
+        try {
+            const snapshots = await this.backupManager.listSnapshots();
+            const canRestore = this.workspaceManager.can('restore');
+            list.innerHTML = snapshots.length === 0
+                ? '<p class="theme-text-muted text-sm">Backup မရှိသေးပါ</p>'
+                : snapshots.map(snapshot => `
+                    <div class="flex justify-between items-center bg-gray-700 p-2 rounded-lg text-sm">
+                        <span>v${snapshot.version} · ${new Date(snapshot.createdAt).toLocaleString()} · ${snapshot.trigger} · ${snapshot.voucherCount} vouchers</span>
+                        <button class="restore-version-btn ${canRestore ? '' : 'hidden'} bg-orange-600 hover:bg-orange-700 text-white px-2 py-1 rounded text-xs" data-id="${snapshot.id}">Restore</button>
+                    </div>
+                `).join('');
+            list.querySelectorAll('.restore-version-btn').forEach(button => {
+                button.addEventListener('click', () => this.restoreBackupVersion(button.dataset.id));
+            });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Backup history');
+        }
+    }
+
+    /**
+     * Merge a stored backup version back into the shop (matching vouchers by id)
+     */
+    async restoreBackupVersion(snapshotId) {
+        if (!this.requirePermission('restore')) return;
+        try {
+            const { snapshot, backup } = await this.backupManager.loadSnapshot(snapshotId);
+            const plan = await this.backupManager.previewRestore(backup, 'mergeById');
+            const confirmed = window.confirm(
+                `Backup v${snapshot.version} ကို ပြန်ထည့်မည်:\n` +
+                `အသစ် ${plan.toAdd.length} · ပြင်ဆင် ${plan.toUpdate.length} · မပြောင်း ${plan.unchanged}`
+            );
+            if (!confirmed) return;
+            await this.backupManager.applyRestorePlan(plan);
+            this.showMessage(`Backup v${snapshot.version} ပြန်ထည့်ပြီးပါပြီ`, false);
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Restore backup');
+        }
+    }
+
+    /**
+     * Payroll panel: pay rules per technician, adjustments, payslips, closing a period and past payslips
+     * This is the full panel (#togglePayrollBtn); setupPayroll() wires the compact one.
+     */
+    setupPayrollPanel() {
+        const togglePayrollBtn = document.getElementById('togglePayrollBtn');
+        if (!togglePayrollBtn) return;
+
+        const payrollControls = document.getElementById('payrollControls');
+        const customDateRangeInputs = document.getElementById('customDateRangeInputs');
+        const payrollRuleScope = document.getElementById('payrollRuleScope');
+        const payrollUseDefault = document.getElementById('payrollUseDefault');
+
+        togglePayrollBtn.addEventListener('click', () => {
+            payrollControls.classList.toggle('hidden');
+            if (!payrollControls.classList.contains('hidden')) {
+                togglePayrollBtn.textContent = 'လစာစနစ် ပိတ်ရန်';
+                togglePayrollBtn.classList.replace('bg-purple-600', 'bg-red-600');
+                this.loadPayrollSettings();
+                this.populatePayrollTechnicianDropdown();
+                this.loadPayrollHistory();
+            } else {
+                togglePayrollBtn.textContent = 'လစာစနစ် ဖွင့်ရန်';
+                togglePayrollBtn.classList.replace('bg-red-600', 'bg-purple-600');
+            }
+        });
+
+        // Calculating needs a technician and a complete date range
+        document.getElementById('payrollTechnicianSelect').addEventListener('change', () => this.validatePayrollInputs());
+        document.getElementById('currentMonthOption').addEventListener('change', () => {
+            customDateRangeInputs.classList.add('hidden');
+            this.validatePayrollInputs();
+        });
+        document.getElementById('customRangeOption').addEventListener('change', () => {
+            customDateRangeInputs.classList.remove('hidden');
+            this.validatePayrollInputs();
+        });
+        document.getElementById('payrollStartDate').addEventListener('change', () => this.validatePayrollInputs());
+        document.getElementById('payrollEndDate').addEventListener('change', () => this.validatePayrollInputs());
+
+        // Switching scope keeps unsaved edits to the previous scope
+        payrollRuleScope.addEventListener('change', () => {
+            this.stashPayrollRuleEdits(this.payrollEditingScope);
+            this.payrollEditingScope = payrollRuleScope.value;
+            this.renderPayrollRuleEditor();
+        });
+        payrollUseDefault.addEventListener('change', () => {
+            const technicianId = payrollRuleScope.value;
+            if (payrollUseDefault.checked) {
+                delete this.payrollOverrides[technicianId];
+            } else {
+                this.payrollOverrides[technicianId] = { ...this.readPayrollRuleEditor() };
+            }
+            this.renderPayrollRuleEditor();
+        });
+
+        document.getElementById('savePayrollRulesBtn').addEventListener('click', () => this.savePayrollRules());
+        document.getElementById('savePayrollAdjustmentsBtn').addEventListener('click', () => this.savePayrollAdjustments());
+        document.getElementById('payrollHistoryTechnicianSelect').addEventListener('change', () => this.renderPayrollHistory());
+        document.getElementById('runPayrollAllBtn').addEventListener('click', () => this.runPayrollForAll());
+        document.getElementById('calculateIndividualPayrollBtn').addEventListener('click', () => this.calculateIndividualPayroll(document.getElementById('payrollTechnicianSelect').value));
+    }
+
+    /**
+     * Enable the payroll buttons once a technician and a valid period are picked, and load that technician's adjustments
+     */
+    validatePayrollInputs() {
+        const isValid = !!document.getElementById('payrollTechnicianSelect').value && !!this.getSelectedPayrollPeriod();
+
+        document.getElementById('calculateIndividualPayrollBtn').disabled = !isValid;
+        document.getElementById('savePayrollAdjustmentsBtn').disabled = !isValid;
+        document.getElementById('runPayrollAllBtn').disabled = !this.getSelectedPayrollPeriod();
+        if (isValid) {
+            this.loadPayrollAdjustments();
+        }
+    }
+
+    /**
+     * Load the saved pay rules into the rule editor
+     */
+    async loadPayrollSettings() {
+        try {
+            if (!this.firebaseService.getCurrentUser() || !this.workspaceManager.can('viewPayroll')) return;
+            const config = await this.payrollManager.loadConfig();
+            this.payrollDefaultRules = config.defaults;
+            this.payrollOverrides = { ...config.technicians };
+            this.payrollEditingScope = document.getElementById('payrollRuleScope').value;
+            this.renderPayrollRuleEditor();
+        } catch (error) {
+            this.showMessage(`လစာ စည်းမျဉ်း ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading payroll settings: ", error);
+        }
+    }
+
+    /**
+     * Row editors for the list-type pay rules, created on first use
+     */
+    getPayrollRuleEditors() {
+        if (!this.payrollRuleEditors) {
+            this.payrollRuleEditors = {
+                commissionTiers: createRowEditor(document.getElementById('payrollTiersEditor'), [
+                    { key: 'threshold', type: 'number', placeholder: 'Threshold (¥)' },
+                    { key: 'rate', type: 'number', placeholder: 'Rate %', width: 'w-24' }
+                ], 'Tier'),
+                serviceRates: createRowEditor(document.getElementById('payrollServiceRatesEditor'), [
+                    { key: 'match', type: 'text', placeholder: 'Keyword (e.g. screen)' },
+                    { key: 'label', type: 'text', placeholder: 'Label' },
+                    { key: 'amount', type: 'number', placeholder: '¥ / voucher', width: 'w-28' }
+                ], 'Service Rate'),
+                bonuses: createRowEditor(document.getElementById('payrollBonusesEditor'), [
+                    { key: 'label', type: 'text', placeholder: 'Label' },
+                    { key: 'metric', type: 'select', options: { vouchers: 'Voucher အရေအတွက်', revenue: 'ဝင်ငွေ' }, width: 'w-40' },
+                    { key: 'threshold', type: 'number', placeholder: 'Threshold', width: 'w-28' },
+                    { key: 'amount', type: 'number', placeholder: 'Bonus ¥', width: 'w-28' }
+                ], 'Bonus'),
+                deductions: createRowEditor(document.getElementById('payrollDeductionsEditor'), [
+                    { key: 'label', type: 'text', placeholder: 'Label' },
+                    { key: 'amount', type: 'number', placeholder: '¥', width: 'w-28' }
+                ], 'Deduction')
+            };
+        }
+        return this.payrollRuleEditors;
+    }
+
+    /**
+     * Row editor for a technician's advances and one-off deductions, created on first use
+     */
+    getPayrollAdjustmentsEditor() {
+        if (!this.payrollAdjustmentsEditor) {
+            this.payrollAdjustmentsEditor = createRowEditor(document.getElementById('payrollAdjustmentsEditor'), [
+                { key: 'type', type: 'select', options: Object.fromEntries(Object.entries(ADJUSTMENT_TYPES).map(([value, type]) => [value, type.label])), width: 'w-48' },
+                { key: 'label', type: 'text', placeholder: 'မှတ်ချက်' },
+                { key: 'amount', type: 'number', placeholder: '¥', width: 'w-28' }
+            ], 'ကြိုတင်ငွေ / နုတ်ငွေ');
+        }
+        return this.payrollAdjustmentsEditor;
+    }
+
+    /**
+     * Rules currently shown in the editor
+     */
+    readPayrollRuleEditor() {
+        const editors = this.getPayrollRuleEditors();
+        return normalizePayrollRules({
+            baseSalary: document.getElementById('payrollBaseSalary').value,
+            perVoucherRate: document.getElementById('voucherRate').value,
+            commissionBasis: document.getElementById('payrollCommissionBasis').value,
+            commissionTiers: editors.commissionTiers.getRows(),
+            serviceRates: editors.serviceRates.getRows(),
+            bonuses: editors.bonuses.getRows(),
+            deductions: editors.deductions.getRows()
+        });
+    }
+
+    /**
+     * Keep the editor's values for a scope ('' = shop default) before switching away
+     */
+    stashPayrollRuleEdits(scope) {
+        if (!this.payrollDefaultRules) return;
+        if (!scope) {
+            this.payrollDefaultRules = this.readPayrollRuleEditor();
+        } else if (this.payrollOverrides[scope]) {
+            this.payrollOverrides[scope] = this.readPayrollRuleEditor();
+        }
+    }
+
+    /**
+     * Make the calculation use what is on screen, saved or not
+     */
+    applyPayrollEdits() {
+        this.stashPayrollRuleEdits(document.getElementById('payrollRuleScope').value);
+        if (this.payrollDefaultRules) {
+            this.payrollManager.useRules({ defaults: this.payrollDefaultRules, technicians: this.payrollOverrides });
+        }
+    }
+
+    /**
+     * Show the rules of the selected scope; a technician on the shop default sees it greyed out
+     */
+    renderPayrollRuleEditor() {
+        if (!this.payrollDefaultRules) return;
+        const technicianId = document.getElementById('payrollRuleScope').value;
+        const usesDefault = technicianId && !this.payrollOverrides[technicianId];
+        const payrollRuleFields = document.getElementById('payrollRuleFields');
+        document.getElementById('payrollUseDefaultLabel').classList.toggle('hidden', !technicianId);
+        document.getElementById('payrollUseDefault').checked = !!usesDefault;
+        payrollRuleFields.classList.toggle('opacity-50', !!usesDefault);
+
+        const rules = technicianId && this.payrollOverrides[technicianId] ? normalizePayrollRules(this.payrollOverrides[technicianId]) : this.payrollDefaultRules;
+        const editors = this.getPayrollRuleEditors();
+        document.getElementById('payrollBaseSalary').value = rules.baseSalary;
+        document.getElementById('voucherRate').value = rules.perVoucherRate;
+        document.getElementById('payrollCommissionBasis').value = rules.commissionBasis;
+        editors.commissionTiers.setRows(rules.commissionTiers);
+        editors.serviceRates.setRows(rules.serviceRates);
+        editors.bonuses.setRows(rules.bonuses);
+        editors.deductions.setRows(rules.deductions);
+        // Row editors re-render their inputs, so lock fields after filling them
+        payrollRuleFields.querySelectorAll('input, select, button').forEach(el => { el.disabled = !!usesDefault; });
+    }
+
+    /**
+     * Save the shop default and per-technician rules as edited
+     */
+    async savePayrollRules() {
+        if (!this.requirePermission('viewPayroll')) return;
+        try {
+            this.stashPayrollRuleEdits(document.getElementById('payrollRuleScope').value);
+            await this.payrollManager.saveConfig({ defaults: this.payrollDefaultRules, technicians: this.payrollOverrides });
+            this.showMessage("လစာ စည်းမျဉ်းများ သိမ်းပြီးပါပြီ", false);
+        } catch (error) {
+            this.showMessage(`လစာ စည်းမျဉ်း သိမ်းရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error saving payroll rules: ", error);
+        }
+    }
+
+    /**
+     * Period picked in the date step (null if the custom range is incomplete)
+     */
+    getSelectedPayrollPeriod() {
+        if (document.getElementById('currentMonthOption').checked) {
+            const now = new Date();
+            return monthPeriod(now.getFullYear(), now.getMonth() + 1);
+        }
+        const start = document.getElementById('payrollStartDate').value;
+        const end = document.getElementById('payrollEndDate').value;
+        return start && end && start <= end ? rangePeriod(start, end) : null;
+    }
+
+    /**
+     * Show the selected technician's adjustments for the selected period
+     */
+    async loadPayrollAdjustments() {
+        const period = this.getSelectedPayrollPeriod();
+        const technicianName = document.getElementById('payrollTechnicianSelect').value;
+        const editor = this.getPayrollAdjustmentsEditor();
+        if (!period || !technicianName) {
+            editor.setRows([]);
+            return;
+        }
+        try {
+            const adjustments = await this.payrollManager.loadAdjustments(period.key);
+            editor.setRows(this.payrollManager.adjustmentsFor(adjustments, technicianName));
+        } catch (error) {
+            console.error("Error loading payroll adjustments: ", error);
+        }
+    }
+
+    /**
+     * Save the adjustments on screen for the selected technician and period
+     */
+    async savePayrollAdjustments() {
+        if (!this.requirePermission('viewPayroll')) return;
+        const period = this.getSelectedPayrollPeriod();
+        const technicianName = document.getElementById('payrollTechnicianSelect').value;
+        if (!period || !technicianName) return;
+        try {
+            const editor = this.getPayrollAdjustmentsEditor();
+            const saved = await this.payrollManager.saveAdjustments(period.key, technicianName, editor.getRows());
+            editor.setRows(saved);
+            this.showMessage(`${technicianName} - ${period.label} ကြိုတင်ငွေ/နုတ်ငွေ သိမ်းပြီးပါပြီ`, false);
+        } catch (error) {
+            this.showMessage(`သိမ်းရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error saving payroll adjustments: ", error);
+        }
+    }
+
+    /**
+     * List the technicians in the payslip and rule scope selects; inactive technicians stay listed for back pay
+     */
+    populatePayrollTechnicianDropdown() {
+        if (!this.firebaseService.getCurrentUser()) {
+            console.error("No current user ID available");
+            return;
+        }
+
+        const payrollTechnicianSelect = document.getElementById('payrollTechnicianSelect');
+        if (!this.technicianManager.loaded) {
+            // No technicians document exists
+            payrollTechnicianSelect.innerHTML = '<option value="" disabled selected>Technician မတွေ့ပါ</option>';
+            return;
+        }
+
+        // Pay profiles are keyed by technician id
+        const technicians = this.technicianManager.getAll();
+        const labelOf = (technician) => technician.status === 'inactive' ? `${technician.name} (Inactive)` : technician.name;
+        payrollTechnicianSelect.innerHTML = '<option value="" disabled selected>Technician ရွေးချယ်ရန်</option>';
+        document.getElementById('payrollRuleScope').innerHTML = '<option value="">ဆိုင် Default</option>' +
+            technicians.map(technician => `<option value="${technician.id || technician.name}">${labelOf(technician)}</option>`).join('');
+        this.payrollEditingScope = '';
+        this.renderPayrollRuleEditor();
+
+        if (technicians.length === 0) {
+            payrollTechnicianSelect.insertAdjacentHTML('beforeend', '<option value="" disabled>Technician မရှိပါ</option>');
+            return;
+        }
+        technicians.forEach(technician => {
+            const option = document.createElement('option');
+            option.value = technician.name;
+            option.textContent = labelOf(technician);
+            payrollTechnicianSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Payslip for the selected technician and period, with the rules and adjustments on screen
+     */
+    async calculateIndividualPayroll(technicianName) {
+        if (!this.requirePermission('viewPayroll')) return;
+        if (!technicianName) {
+            this.showMessage("ကျေးဇူးပြု၍ Technician ရွေးချယ်ပါ", true);
+            return;
+        }
+        const period = this.getSelectedPayrollPeriod();
+        if (!period) {
+            this.showMessage("ကျေးဇူးပြု၍ ရက်စွဲ ရွေးချယ်ပါ", true);
+            return;
+        }
+
+        try {
+            // Unsaved rule edits and adjustments on screen are used for the preview
+            this.applyPayrollEdits();
+            this.shownPayslips = [await this.payrollManager.previewPayslip(technicianName, period, this.getPayrollAdjustmentsEditor().getRows())];
+            this.shownPayslipsCoverAll = false;
+            this.displayPayslips(this.shownPayslips);
+        } catch (error) {
+            this.showMessage(`လစာ တွက်ချက်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error calculating payroll: ", error);
+            document.getElementById('individualPayrollResult').innerHTML = `
+                <div class="bg-red-900 p-4 rounded-lg">
+                    <p class="text-red-200">လစာ တွက်ချက်ရာတွင် အမှား: ${error.message}</p>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Payslips for every technician paid in the selected period
+     */
+    async runPayrollForAll() {
+        if (!this.requirePermission('viewPayroll')) return;
+        const period = this.getSelectedPayrollPeriod();
+        if (!period) return;
+        if (this.technicianManager.getNames().length === 0) {
+            this.showMessage("Technician မရှိပါ", true);
+            return;
+        }
+        try {
+            this.applyPayrollEdits();
+            // Technicians who left during the period are still paid for their vouchers
+            this.shownPayslips = await this.payrollManager.runPayroll(await this.payrollManager.getPayrollTechnicianNames(period), period);
+            this.shownPayslipsCoverAll = true;
+            this.displayPayslips(this.shownPayslips);
+            this.showMessage(`${this.shownPayslips.length} ဦးအတွက် လစာစာရွက် ထုတ်ပြီးပါပြီ`, false);
+        } catch (error) {
+            this.showMessage(`လစာ တွက်ချက်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error running payroll: ", error);
+        }
+    }
+
+    /**
+     * Show payslips with print and XLSX buttons, and a close button for a full pay run not yet closed
+     */
+    displayPayslips(payslips) {
+        const total = payslips.reduce((sum, payslip) => sum + payslip.net, 0);
+        const period = payslips[0]?.period;
+        const alreadyClosed = period && this.payrollRuns.some(run => run.id === period.key);
+        document.getElementById('individualPayrollResult').innerHTML = `
+            ${payslips.length > 1 ? `<p class="text-lg font-semibold text-white">စုစုပေါင်း ပေးရန်: ${total.toLocaleString(undefined, { maximumFractionDigits: 2 })} ယွမ် (${payslips.length} ဦး)</p>` : ''}
+            ${payslips.map(buildPayslipCardHtml).join('')}
+            <div class="flex flex-wrap gap-2">
+                <button id="printPayslipsBtn" class="office-button py-2 px-6">🖨️ လစာစာရွက် ထုတ်ရန် / PDF</button>
+                <button id="exportPayslipsBtn" class="office-button py-2 px-6">📊 XLSX</button>
+                ${this.shownPayslipsCoverAll && !alreadyClosed ? `
+                    <button id="closePayrollPeriodBtn" class="bg-red-600 hover:bg-red-700 text-white py-2 px-6 rounded-lg">🔒 ${period.label} လစာကာလ ပိတ်ရန်</button>
+                ` : ''}
+            </div>
+            ${alreadyClosed ? `<p class="text-sm text-yellow-400">🔒 ${period.label} လစာကာလကို ပိတ်ပြီးပါပြီ။ ပေးပြီးသော Voucher များကို ထပ်မတွက်ပါ။</p>` : ''}
+        `;
+        document.getElementById('printPayslipsBtn').addEventListener('click', () => {
+            printReceiptHtml(buildPayslipHtml(payslips));
+        });
+        document.getElementById('exportPayslipsBtn').addEventListener('click', () => {
+            this.exportPayslipsToXlsx(payslips, `payslips_${period.key}.xlsx`);
+        });
+        const closeButton = document.getElementById('closePayrollPeriodBtn');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.closePayrollPeriod(period));
+        }
+    }
+
+    /**
+     * Download payslips as a workbook: a summary sheet and one sheet per payslip
+     */
+    exportPayslipsToXlsx(payslips, fileName) {
+        const XLSX = window.XLSX;
+        if (!XLSX) {
+            this.showMessage("XLSX library မရရှိနိုင်ပါ", true);
+            return;
+        }
+        const wb = XLSX.utils.book_new();
+        buildPayslipSheets(payslips).forEach(sheet => {
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheet.rows), sheet.name);
+        });
+        XLSX.writeFile(wb, fileName);
+    }
+
+    /**
+     * Close the period of the pay run shown, locking the vouchers it paid
+     */
+    async closePayrollPeriod(period) {
+        if (!this.requirePermission('viewPayroll')) return;
+        if (!this.firebaseService.isOnline()) {
+            this.showMessage("လစာကာလ ပိတ်ရန် အင်တာနက် လိုအပ်ပါသည်", true);
+            return;
+        }
+        const payslips = this.shownPayslips;
+        const total = payslips.reduce((sum, payslip) => sum + payslip.net, 0);
+        const confirmed = window.confirm(`${period.label} လစာကာလကို ပိတ်ရန် သေချာပါသလား?\n${payslips.length} ဦး၊ စုစုပေါင်း ${total.toLocaleString()} ယွမ်\nပိတ်ပြီးနောက် ပါဝင်သော Voucher များ၏ ပမာဏ၊ Parts နှင့် Technician ကို ပြင်၍ မရတော့ပါ။`);
+        if (!confirmed) return;
+        try {
+            await this.payrollManager.closePeriod(payslips, period, this.voucherManager.currentUserLabel());
+            this.showMessage(`${period.label} လစာကာလ ပိတ်ပြီးပါပြီ`, false);
+            await this.loadPayrollHistory();
+            this.displayPayslips(payslips);
+        } catch (error) {
+            this.showMessage(`လစာကာလ ပိတ်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error closing payroll period: ", error);
+        }
+    }
+
+    /**
+     * Read the closed pay runs and list their payslips
+     */
+    async loadPayrollHistory() {
+        try {
+            this.payrollRuns = await this.payrollManager.listRuns();
+            this.renderPayrollHistory();
+        } catch (error) {
+            console.error("Error loading payroll history: ", error);
+            document.getElementById('payrollHistoryList').innerHTML = `<p class="text-red-400">လစာ မှတ်တမ်း ရယူရာတွင် အမှား: ${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Past payslips, optionally one technician's, each with view, print and XLSX buttons
+     */
+    renderPayrollHistory() {
+        const historySelect = document.getElementById('payrollHistoryTechnicianSelect');
+        const historyList = document.getElementById('payrollHistoryList');
+        const technicianName = historySelect.value;
+        // Payslips closed under an earlier name are listed under the technician's current name
+        const technicians = [...new Set([
+            ...this.technicianManager.getNames(),
+            ...this.payrollRuns.flatMap(run => (run.payslips || []).map(payslip => this.technicianManager.resolveName(payslip)))
+        ])];
+        historySelect.innerHTML = '<option value="">Technician အားလုံး</option>' +
+            technicians.map(name => `<option value="${name}" ${name === technicianName ? 'selected' : ''}>${name}</option>`).join('');
+
+        const rows = this.payrollManager.listHistoryRows(this.payrollRuns, technicianName);
+        if (rows.length === 0) {
+            historyList.innerHTML = '<p class="text-center text-gray-400">ပိတ်ထားသော လစာကာလ မရှိသေးပါ</p>';
+            return;
+        }
+
+        historyList.innerHTML = `
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-gray-400 border-b border-gray-600">
+                            <th class="py-2 pr-2">ကာလ</th>
+                            <th class="py-2 pr-2">Technician</th>
+                            <th class="py-2 pr-2 text-right">Voucher</th>
+                            <th class="py-2 pr-2 text-right">Net</th>
+                            <th class="py-2 pr-2">ပိတ်သူ</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(({ run, payslip, runIndex, slipIndex }) => `
+                            <tr class="border-b border-gray-700">
+                                <td class="py-2 pr-2 text-white">${payslip.period.label}</td>
+                                <td class="py-2 pr-2 text-white">${payslip.technicianName}</td>
+                                <td class="py-2 pr-2 text-right">${payslip.voucherCount}</td>
+                                <td class="py-2 pr-2 text-right text-blue-400 font-semibold">${payslip.net.toLocaleString(undefined, { maximumFractionDigits: 2 })} ယွမ်</td>
+                                <td class="py-2 pr-2 text-gray-400">${(run.closedAt || '').slice(0, 10)} ${run.closedBy || ''}</td>
+                                <td class="py-2 whitespace-nowrap">
+                                    <button class="history-view-btn text-teal-400 hover:text-teal-300 mr-2" data-run="${runIndex}" data-slip="${slipIndex}">ကြည့်ရန်</button>
+                                    <button class="history-print-btn text-teal-400 hover:text-teal-300 mr-2" data-run="${runIndex}" data-slip="${slipIndex}">🖨️ PDF</button>
+                                    <button class="history-xlsx-btn text-teal-400 hover:text-teal-300" data-run="${runIndex}" data-slip="${slipIndex}">📊 XLSX</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${technicianName ? `<button id="exportTechnicianHistoryBtn" class="office-button py-2 px-6">📊 ${technicianName} မှတ်တမ်းအားလုံး XLSX</button>` : ''}
+        `;
+
+        const payslipFor = (button) => this.payrollRuns[Number(button.dataset.run)].payslips[Number(button.dataset.slip)];
+        historyList.querySelectorAll('.history-view-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.shownPayslips = [payslipFor(button)];
+                this.shownPayslipsCoverAll = false;
+                this.displayPayslips(this.shownPayslips);
+                document.getElementById('individualPayrollResult').scrollIntoView({ behavior: 'smooth' });
+            });
+        });
+        historyList.querySelectorAll('.history-print-btn').forEach(button => {
+            button.addEventListener('click', () => printReceiptHtml(buildPayslipHtml([payslipFor(button)])));
+        });
+        historyList.querySelectorAll('.history-xlsx-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const payslip = payslipFor(button);
+                this.exportPayslipsToXlsx([payslip], `payslip_${payslip.technicianName}_${payslip.period.key}.xlsx`);
+            });
+        });
+        const exportHistoryButton = document.getElementById('exportTechnicianHistoryBtn');
+        if (exportHistoryButton) {
+            exportHistoryButton.addEventListener('click', () => {
+                this.exportPayslipsToXlsx(rows.map(row => row.payslip), `payslips_${technicianName}.xlsx`);
+            });
+        }
+    }
+
+    /**
+     * Backup/Restore panel: backups by type, the automatic schedule, versions, and restore from a file
+     * This is the full panel (#backupAllBtn); setupBackups() wires the compact one.
+     */
+    setupBackupPanel() {
+        const backupAllBtn = document.getElementById('backupAllBtn');
+        if (!backupAllBtn) return;
+
+        const restoreFileInput = document.getElementById('restoreFileInput');
+        const restorePassphrase = document.getElementById('restorePassphrase');
+        const encryptBackupCheckbox = document.getElementById('encryptBackupCheckbox');
+        const restoreModeSelect = document.getElementById('restoreModeSelect');
+
+        backupAllBtn.addEventListener('click', () => this.createBackup('all'));
+        document.getElementById('backupVouchersBtn').addEventListener('click', () => this.createBackup('vouchers'));
+        document.getElementById('backupTechniciansBtn').addEventListener('click', () => this.createBackup('technicians'));
+        document.getElementById('saveBackupScheduleBtn').addEventListener('click', () => this.saveBackupSchedule());
+        restoreFileInput.addEventListener('change', (event) => this.readRestoreFile(event.target.files[0]));
+        document.getElementById('unlockBackupBtn').addEventListener('click', () => this.unlockEncryptedBackup());
+        restorePassphrase.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.unlockEncryptedBackup();
+            }
+        });
+        encryptBackupCheckbox.addEventListener('change', () => {
+            document.getElementById('backupPassphraseFields').classList.toggle('hidden', !encryptBackupCheckbox.checked);
+        });
+        document.getElementById('restoreBtn').addEventListener('click', () => this.restoreData());
+        document.getElementById('previewRestoreBtn').addEventListener('click', () => this.previewRestoreData());
+        restoreModeSelect.addEventListener('change', () => {
+            this.updateRestoreModeDescription();
+            if (this.restoreBackup && !document.getElementById('restorePreview').classList.contains('hidden')) {
+                this.previewRestoreData();
+            }
+        });
+        this.updateRestoreModeDescription();
+    }
+
+    /**
+     * Store a backup version of the chosen type, downloading it too when asked
+     */
+    async createBackup(type = 'all') {
+        if (!this.firebaseService.getCurrentUser()) {
+            this.showMessage("ကျေးဇူးပြု၍ အကောင့်ဝင်ပါ", true);
+            return;
+        }
+        if (!this.requirePermission('backup')) return;
+        const download = document.getElementById('downloadBackupCheckbox').checked;
+        if (download && this.getBackupPassphrase() === null) return;
+
+        try {
+            this.showMessage("Backup ဖန်တီးနေပါသည်...", false);
+
+            const backup = await this.backupManager.collectBackup(type);
+            const snapshot = await this.backupManager.saveSnapshot(backup, 'manual');
+
+            if (download) {
+                await this.downloadBackupFile(JSON.stringify(backup, null, 2), `backup_${type}_v${snapshot.version}_${backup.timestamp.split('T')[0]}`);
+            }
+
+            this.loadBackupVersions();
+            this.showMessage(`${type} backup (v${snapshot.version}) ဖန်တီးပြီးပါပြီ။`, false);
+        } catch (error) {
+            this.showMessage(`Backup ဖန်တီးရာတွင် အမှားတစ်ခု ဖြစ်ပွားပါသည်: ${error.message}`, true);
+            console.error("Error creating backup: ", error);
+        }
+    }
+
+    /**
+     * Passphrase to encrypt downloads with: '' when encryption is off, null if the inputs are invalid
+     */
+    getBackupPassphrase() {
+        if (!document.getElementById('encryptBackupCheckbox').checked) return '';
+        const passphrase = document.getElementById('backupPassphrase').value;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            this.showMessage(`Passphrase သည် အနည်းဆုံး ${MIN_PASSPHRASE_LENGTH} လုံး ရှိရပါမည်`, true);
+            return null;
+        }
+        if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+            this.showMessage("Passphrase နှစ်ခု မတူညီပါ", true);
+            return null;
+        }
+        return passphrase;
+    }
+
+    /**
+     * Download a backup as .json, or as .enc.json when encryption is on
+     */
+    async downloadBackupFile(json, baseName) {
+        const passphrase = this.getBackupPassphrase();
+        if (passphrase === null) return;
+        if (passphrase) {
+            const envelope = await encryptBackupJson(json, passphrase);
+            saveJsonFile(JSON.stringify(envelope), `${baseName}.enc.json`);
+        } else {
+            saveJsonFile(json, `${baseName}.json`);
+        }
+    }
+
+    /**
+     * List the stored backup versions in the full panel, each with restore, download and delete buttons
+     */
+    async loadBackupVersions() {
+        const backupHistory = document.getElementById('backupHistory');
+        if (!backupHistory) return;
+
+        let history = [];
+        try {
+            history = await this.backupManager.listSnapshots();
+        } catch (error) {
+            backupHistory.innerHTML = `<p class="text-red-400 text-center">Backup history ဖတ်၍ မရပါ: ${error.message}</p>`;
+            console.error("Error loading backup history: ", error);
+            return;
+        }
+
+        if (history.length === 0) {
+            backupHistory.innerHTML = '<p class="theme-text-muted text-center">No backups created yet</p>';
+            return;
+        }
+
+        backupHistory.innerHTML = history.map(backup => `
+            <div class="office-card p-3 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
+                <div>
+                    <p class="theme-text-primary font-semibold">v${backup.version} · ${backup.type} Backup · ${BACKUP_TRIGGER_LABELS[backup.trigger] || backup.trigger}</p>
+                    <p class="theme-text-muted text-sm">${new Date(backup.createdAt).toLocaleString()}</p>
+                    <p class="theme-text-muted text-xs">Vouchers: ${backup.voucherCount}, Technicians: ${backup.technicianCount}, ${(backup.size / 1024).toFixed(1)} KB</p>
+                    <p class="theme-text-muted text-xs font-mono" title="SHA-256">${backup.checksum.slice(0, 16)}…</p>
+                </div>
+                <div class="flex gap-2 shrink-0">
+                    <button class="backup-restore-btn office-button text-sm" data-id="${backup.id}" data-permission="restore">🔄 Restore</button>
+                    <button class="backup-download-btn office-button text-sm" data-id="${backup.id}">⬇️</button>
+                    <button class="backup-delete-btn bg-red-600 hover:bg-red-700 text-white text-sm px-3 rounded-lg" data-id="${backup.id}">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+
+        this.applyRolePermissions();
+        backupHistory.querySelectorAll('.backup-restore-btn').forEach(button => {
+            button.addEventListener('click', () => this.loadBackupVersionForRestore(button.dataset.id));
+        });
+        backupHistory.querySelectorAll('.backup-download-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    if (this.getBackupPassphrase() === null) return;
+                    const { snapshot, json } = await this.backupManager.loadSnapshot(button.dataset.id);
+                    await this.downloadBackupFile(json, `backup_${snapshot.type}_v${snapshot.version}_${snapshot.createdAt.split('T')[0]}`);
+                } catch (error) {
+                    this.showMessage(`Backup download မရပါ: ${error.message}`, true);
+                }
+            });
+        });
+        backupHistory.querySelectorAll('.backup-delete-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!window.confirm('ဤ backup version ကို ဖျက်ရန် သေချာပါသလား?')) return;
+                await this.backupManager.deleteSnapshot(button.dataset.id);
+                this.loadBackupVersions();
+            });
+        });
+    }
+
+    /**
+     * Load a stored version into the restore panel; the normal preview/mode flow applies
+     */
+    async loadBackupVersionForRestore(id) {
+        if (!this.requirePermission('restore')) return;
+        try {
+            const { snapshot, backup } = await this.backupManager.loadSnapshot(id);
+            this.resetRestoreForm();
+            this.acceptRestoreBackup(backup);
+            this.showMessage(`Backup v${snapshot.version} (checksum OK) ကို restore အတွက် ရွေးထားပါသည်။`, false);
+            await this.previewRestoreData();
+            document.getElementById('restorePreview').scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            this.showMessage(`Backup ဖတ်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading backup version: ", error);
+        }
+    }
+
+    /**
+     * Fill the schedule form from the saved backup schedule
+     */
+    loadBackupScheduleForm() {
+        const schedule = this.backupManager.getSchedule();
+        document.getElementById('backupFrequencySelect').value = schedule.frequency;
+        Object.entries(RETENTION_INPUTS).forEach(([key, id]) => {
+            document.getElementById(id).value = schedule.retention[key];
+        });
+    }
+
+    /**
+     * Save the schedule form, prune versions past the new retention and restart the scheduler
+     */
+    async saveBackupSchedule() {
+        const frequencySelect = document.getElementById('backupFrequencySelect');
+        const retention = Object.fromEntries(Object.entries(RETENTION_INPUTS)
+            .map(([key, id]) => [key, document.getElementById(id).value]));
+        const schedule = this.backupManager.setSchedule({ frequency: frequencySelect.value, retention });
+        this.loadBackupScheduleForm();
+        try {
+            await this.backupManager.pruneSnapshots();
+        } catch (error) {
+            console.error("Error pruning backups: ", error);
+        }
+        this.startBackupScheduler();
+        this.loadBackupVersions();
+        this.showMessage(`Automatic backup: ${frequencySelect.options[frequencySelect.selectedIndex].text}`, false);
+        return schedule;
+    }
+
+    /**
+     * Run scheduled backups for members who may back up, refreshing the open panel after each one
+     */
+    startBackupScheduler() {
+        if (!this.firebaseService.getCurrentUser() || !this.workspaceManager.can('backup')) {
+            this.backupManager.stopScheduler();
+            return;
+        }
+        this.backupManager.startScheduler(() => {
+            const backupSection = document.getElementById('backupSection');
+            if (backupSection && !backupSection.classList.contains('hidden-section')) {
+                this.loadBackupVersions();
+            }
+        });
+    }
+
+    /**
+     * Show restore progress text, with a bar when `percent` is given
+     */
+    setRestoreProgress(text, percent = null) {
+        const restoreStatus = document.getElementById('restoreStatus');
+        const restoreProgressBar = document.getElementById('restoreProgressBar');
+        restoreStatus.classList.remove('hidden');
+        restoreStatus.querySelector('p').textContent = text;
+        restoreProgressBar.parentElement.classList.toggle('hidden', percent === null);
+        restoreProgressBar.style.width = `${percent || 0}%`;
+    }
+
+    /**
+     * Clear the chosen backup and the restore form
+     */
+    resetRestoreForm() {
+        this.restoreBackup = null;
+        this.restorePlan = null;
+        this.encryptedBackupEnvelope = null;
+        document.getElementById('restorePassphrase').value = '';
+        document.getElementById('restorePassphraseRow').classList.add('hidden');
+        document.getElementById('restoreFileInput').value = '';
+        document.getElementById('restoreBtn').disabled = true;
+        document.getElementById('previewRestoreBtn').disabled = true;
+        document.getElementById('restorePreview').classList.add('hidden');
+    }
+
+    /**
+     * Read a backup file for restore: plain .json, gzip-compressed, or passphrase-encrypted
+     */
+    async readRestoreFile(file) {
+        if (!file) return;
+        this.restoreBackup = null;
+        this.restorePlan = null;
+        this.encryptedBackupEnvelope = null;
+        document.getElementById('restoreBtn').disabled = true;
+        document.getElementById('previewRestoreBtn').disabled = true;
+        document.getElementById('restorePreview').classList.add('hidden');
+        const restorePassphraseRow = document.getElementById('restorePassphraseRow');
+        restorePassphraseRow.classList.add('hidden');
+        try {
+            const text = await isGzip(file) ? await decompressToJson(file) : await file.text();
+            const content = JSON.parse(text);
+            if (isEncryptedBackup(content)) {
+                const restorePassphrase = document.getElementById('restorePassphrase');
+                this.encryptedBackupEnvelope = content;
+                restorePassphrase.value = '';
+                restorePassphraseRow.classList.remove('hidden');
+                restorePassphrase.focus();
+                return;
+            }
+            this.acceptRestoreBackup(content);
+            this.showMessage("Backup ဖိုင် ဖတ်ပြီးပါပြီ။", false);
+        } catch (error) {
+            this.showMessage("အမှားတစ်ခု ရှိသော backup ဖိုင်ဖြစ်ပါသည်။", true);
+            console.error("Error parsing backup file: ", error);
+        }
+    }
+
+    /**
+     * Choose a read backup for restore and enable its buttons
+     */
+    acceptRestoreBackup(backup) {
+        this.restoreBackup = backup;
+        this.restorePlan = null;
+        document.getElementById('restoreBtn').disabled = false;
+        document.getElementById('previewRestoreBtn').disabled = false;
+    }
+
+    /**
+     * Decrypt the selected encrypted backup with the typed passphrase, then preview it
+     */
+    async unlockEncryptedBackup() {
+        if (!this.encryptedBackupEnvelope) return;
+        const unlockBackupBtn = document.getElementById('unlockBackupBtn');
+        const restorePassphrase = document.getElementById('restorePassphrase');
+        try {
+            unlockBackupBtn.disabled = true;
+            const json = await decryptBackupJson(this.encryptedBackupEnvelope, restorePassphrase.value);
+            this.encryptedBackupEnvelope = null;
+            restorePassphrase.value = '';
+            document.getElementById('restorePassphraseRow').classList.add('hidden');
+            this.acceptRestoreBackup(JSON.parse(json));
+            this.showMessage("Backup ဖိုင် ဖတ်ပြီးပါပြီ။", false);
+            await this.previewRestoreData();
+        } catch (error) {
+            this.showMessage("Passphrase မှားနေပါသည် (သို့) ဖိုင် ပျက်နေပါသည်", true);
+            console.error("Error decrypting backup: ", error);
+        } finally {
+            unlockBackupBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Restore the chosen backup in the selected mode after confirming its plan
+     */
+    async restoreData() {
+        if (!this.requirePermission('restore')) return;
+        if (!this.restoreBackup) {
+            this.showMessage("ကျေးဇူးပြု၍ backup ဖိုင်ရွေးချယ်ပါ", true);
+            return;
+        }
+        if (!this.firebaseService.isOnline()) {
+            this.showMessage("Restore လုပ်ရန် အင်တာနက် လိုအပ်ပါသည်", true);
+            return;
+        }
+
+        const mode = document.getElementById('restoreModeSelect').value;
+        try {
+            this.setRestoreProgress("ပြောင်းလဲမှုများ စစ်ဆေးနေပါသည်...");
+            const plan = this.restorePlan && this.restorePlan.mode === mode
+                ? this.restorePlan
+                : await this.backupManager.previewRestore(this.restoreBackup, mode);
+            this.renderRestorePreview(plan);
+
+            const technicianChanges = plan.technicianDiff ? plan.technicianDiff.added.length + plan.technicianDiff.removed.length : 0;
+            if (plan.toAdd.length + plan.toUpdate.length + plan.toRemove.length + technicianChanges === 0) {
+                this.setRestoreProgress("ပြောင်းလဲရန် မရှိပါ။ ဒေတာများ backup နှင့် တူညီပါသည်။");
+                return;
+            }
+
+            const confirmed = window.confirm(`${RESTORE_MODES[plan.mode].label} mode ဖြင့် restore လုပ်ရန် သေချာပါသလား?\n` +
+                `ထည့်မည်: ${plan.toAdd.length}\nပြင်မည်: ${plan.toUpdate.length}\nဖျက်မည်: ${plan.toRemove.length}` +
+                (plan.locked.length ? `\nလစာပိတ်ပြီး၍ ကျော်မည်: ${plan.locked.length}` : ''));
+            if (!confirmed) {
+                this.setRestoreProgress("Restore ကို ပယ်ဖျက်လိုက်ပါသည်။");
+                return;
+            }
+
+            const result = await this.backupManager.applyRestorePlan(plan, ({ done, total, phase }) => {
+                const label = phase === 'remove' ? 'ဖျက်နေပါသည်' : 'ရေးသွင်းနေပါသည်';
+                this.setRestoreProgress(`${label}... ${done}/${total}`, Math.round((done / total) * 100));
+            });
+
+            this.setRestoreProgress(`Restore ပြီးပါပြီ။ ထည့်: ${result.added}၊ ပြင်: ${result.updated}၊ ဖျက်: ${result.removed}` +
+                (result.skipped ? `၊ ကျော်: ${result.skipped}` : ''), 100);
+            this.showMessage("ဒေတာ restore လုပ်ပြီးပါပြီ။", false);
+            this.resetRestoreForm();
+        } catch (error) {
+            // Batches that already committed stay written; the preview shows what remains
+            this.restorePlan = null;
+            this.setRestoreProgress(`Restore မပြီးဆုံးပါ: ${error.message}။ ထပ်မံ restore လုပ်ပါက ကျန်ရှိသည်များကိုသာ ရေးသွင်းပါမည်။`);
+            this.showMessage(`ဒေတာ restore လုပ်ရာတွင် အမှားတစ်ခု ဖြစ်ပွားပါသည်: ${error.message}`, true);
+            console.error("Error restoring data: ", error);
+        }
+    }
+
+    /**
+     * Work out and show what restoring the chosen backup in the selected mode would change
+     */
+    async previewRestoreData() {
+        if (!this.restoreBackup) return;
+        const previewContent = document.getElementById('previewContent');
+        try {
+            previewContent.innerHTML = '<p>ပြောင်းလဲမှုများ စစ်ဆေးနေပါသည်...</p>';
+            document.getElementById('restorePreview').classList.remove('hidden');
+            this.restorePlan = await this.backupManager.previewRestore(this.restoreBackup, document.getElementById('restoreModeSelect').value);
+            this.renderRestorePreview(this.restorePlan);
+        } catch (error) {
+            previewContent.innerHTML = `<p class="text-red-400">Preview မရနိုင်ပါ: ${error.message}</p>`;
+            console.error("Error previewing restore: ", error);
+        }
+    }
+
+    /**
+     * Show a restore plan: counts, then the vouchers added, changed (field by field), removed and skipped
+     */
+    renderRestorePreview(plan) {
+        const backup = this.restoreBackup;
+        const describe = (voucher) => voucher
+            ? `${escapeHtml(voucher.voucherNumber)} · ${escapeHtml(voucher.customerName)} · ${escapeHtml(voucher.date)}`
+            : '';
+        const show = (value) => escapeHtml(typeof value === 'object' && value !== null ? JSON.stringify(value) : value);
+        const section = (title, colour, entries, renderEntry) => entries.length === 0 ? '' : `
+            <details class="mt-2" ${entries.length <= 10 ? 'open' : ''}>
+                <summary class="cursor-pointer ${colour} font-semibold">${title} (${entries.length})</summary>
+                <ul class="ml-4 mt-1 space-y-1 text-xs">
+                    ${entries.slice(0, RESTORE_PREVIEW_ROWS).map(entry => `<li>${renderEntry(entry)}</li>`).join('')}
+                    ${entries.length > RESTORE_PREVIEW_ROWS ? `<li class="theme-text-muted">... နောက်ထပ် ${entries.length - RESTORE_PREVIEW_ROWS} ခု</li>` : ''}
+                </ul>
+            </details>
+        `;
+
+        const technicianDiff = plan.technicianDiff;
+        document.getElementById('previewContent').innerHTML = `
+            <strong>Backup Type:</strong> ${escapeHtml(backup.type)}<br>
+            <strong>Created:</strong> ${new Date(backup.timestamp).toLocaleString()}<br>
+            <strong>Mode:</strong> ${RESTORE_MODES[plan.mode].label}<br>
+            <strong>Vouchers:</strong> ${backup.data.vouchers ? backup.data.vouchers.length : 0}
+            (+${plan.toAdd.length} / ~${plan.toUpdate.length} / -${plan.toRemove.length}, မပြောင်း ${plan.unchanged})<br>
+            ${technicianDiff ? `<strong>Technicians:</strong> +${technicianDiff.added.length} / -${technicianDiff.removed.length}
+                ${technicianDiff.added.length ? `<span class="text-green-400">${technicianDiff.added.map(escapeHtml).join(', ')}</span>` : ''}
+                ${technicianDiff.removed.length ? `<span class="text-red-400 line-through">${technicianDiff.removed.map(escapeHtml).join(', ')}</span>` : ''}<br>` : ''}
+            ${section('ထည့်မည် (Added)', 'text-green-400', plan.toAdd, entry => describe(entry.data))}
+            ${section('ပြင်မည် (Changed)', 'text-yellow-400', plan.toUpdate, entry => `
+                ${describe(entry.before)}
+                <ul class="ml-4">
+                    ${entry.changedFields.map(field => `<li><span class="theme-text-muted">${escapeHtml(field)}:</span> <span class="text-red-400 line-through">${show(entry.before[field])}</span> → <span class="text-green-400">${show(entry.after[field])}</span></li>`).join('')}
+                </ul>
+            `)}
+            ${section('ဖျက်မည် (Removed)', 'text-red-400', plan.toRemove, entry => describe(entry.before))}
+            ${section('လစာပိတ်ပြီး၍ ကျော်မည် (Locked)', 'text-gray-400', plan.locked, entry => `${describe(entry.before)} 🔒 ${escapeHtml(entry.before.payrollRunId)}`)}
+        `;
+        document.getElementById('restorePreview').classList.remove('hidden');
+    }
+
+    /**
+     * Describe the selected restore mode under its select
+     */
+    updateRestoreModeDescription() {
+        document.getElementById('restoreModeDescription').textContent = RESTORE_MODES[document.getElementById('restoreModeSelect').value].description;
+    }
+
+    /**
+     * Customer database panel: search, add, edit and delete customers and see their repair history
+     */
+    setupCustomerPanel() {
+        const toggleCustomersBtn = document.getElementById('toggleCustomersBtn');
+        if (!toggleCustomersBtn) return;
+
+        const customerSection = document.getElementById('customerSection');
+        this.customerManager.onChange(() => {
+            if (!customerSection.classList.contains('hidden')) {
+                this.renderCustomerList();
+            }
+        });
+        toggleCustomersBtn.addEventListener('click', () => {
+            customerSection.classList.toggle('hidden');
+            const isOpen = !customerSection.classList.contains('hidden');
+            toggleCustomersBtn.textContent = isOpen ? 'Customer စာရင်း ပိတ်ရန်' : 'Customer စာရင်း ဖွင့်ရန်';
+            if (isOpen) this.renderCustomerList();
+        });
+        document.getElementById('customerSearchInput').addEventListener('input', () => this.renderCustomerList());
+        document.getElementById('addCustomerBtn').addEventListener('click', () => this.addCustomer());
+        document.getElementById('backfillCustomersBtn').addEventListener('click', (event) => this.backfillCustomers(event.target));
+    }
+
+    /**
+     * List the customers matching the search box
+     */
+    renderCustomerList() {
+        const customerList = document.getElementById('customerList');
+        const term = document.getElementById('customerSearchInput').value;
+        const customers = term ? this.customerManager.search(term, 100) : this.customerManager.getAll();
+
+        if (customers.length === 0) {
+            customerList.innerHTML = '<p class="text-center text-gray-400">Customer မရှိသေးပါ</p>';
+            return;
+        }
+
+        customerList.innerHTML = customers.map(customer => `
+            <div class="customer-row flex items-center justify-between bg-gray-700 p-3 rounded-lg cursor-pointer hover:bg-gray-600" data-id="${customer.id}">
+                <div>
+                    <p class="font-semibold text-white">${escapeHtml(customer.name)}</p>
+                    <p class="text-xs text-gray-400">${escapeHtml((customer.phones || []).join(', ')) || '—'}</p>
+                </div>
+                <div class="text-right text-sm">
+                    <p class="text-green-400">${(Number(customer.totalSpent) || 0).toLocaleString()} ¥</p>
+                    <p class="text-xs text-gray-400">${customer.visitCount || 0} ကြိမ် · ${customer.lastVisit || '—'}</p>
+                </div>
+            </div>
+        `).join('');
+
+        customerList.querySelectorAll('.customer-row').forEach(row => {
+            row.addEventListener('click', () => this.showCustomerDetail(row.dataset.id));
+        });
+    }
+
+    /**
+     * Show a customer's details for editing, with their repair history
+     */
+    async showCustomerDetail(customerId) {
+        const customerDetail = document.getElementById('customerDetail');
+        const customer = this.customerManager.get(customerId);
+        if (!customer) return;
+
+        customerDetail.classList.remove('hidden');
+        customerDetail.innerHTML = '<p class="text-gray-400">Loading...</p>';
+
+        try {
+            const history = await this.customerManager.getServiceHistory(customerId);
+            customerDetail.innerHTML = `
+                <div class="flex justify-between items-start">
+                    <div>
+                        <h3 class="text-lg font-semibold text-teal-300">${escapeHtml(customer.name)}</h3>
+                        <p class="text-sm text-gray-400">Total: ${(Number(customer.totalSpent) || 0).toLocaleString()} ¥ · ${customer.visitCount || 0} visits</p>
+                    </div>
+                    <button id="closeCustomerDetailBtn" class="text-gray-400 hover:text-white">✕</button>
+                </div>
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <input type="text" id="editCustomerPhones" class="office-input p-2" value="${escapeHtml((customer.phones || []).join(', '))}" placeholder="ဖုန်းနံပါတ်များ">
+                    <input type="text" id="editCustomerNotes" class="office-input p-2" value="${escapeHtml(customer.notes)}" placeholder="မှတ်ချက်">
+                    <input type="text" id="editCustomerViberId" class="office-input p-2" value="${escapeHtml(customer.viberId)}" placeholder="Viber ID (Bot subscriber)">
+                </div>
+                <div class="flex space-x-2">
+                    <button id="saveCustomerBtn" class="office-button py-1 px-3 text-sm">သိမ်းရန်</button>
+                    <button id="deleteCustomerBtn" class="bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-lg text-sm ${this.workspaceManager.can('deleteVoucher') ? '' : 'hidden'}">ဖျက်ရန်</button>
+                </div>
+                <h4 class="font-semibold theme-text-primary">ပြုပြင်မှု မှတ်တမ်း (${history.length})</h4>
+                <div class="space-y-1 max-h-60 overflow-y-auto text-sm">
+                    ${history.map(voucher => `
+                        <div class="flex justify-between bg-gray-700 p-2 rounded">
+                            <span class="text-gray-300">${voucher.date || ''} · #${escapeHtml(voucher.voucherNumber)} · ${escapeHtml(voucher.phoneModel)} · ${escapeHtml(voucher.error)}</span>
+                            <span class="text-gray-300">${getStatusInfo(getVoucherStatus(voucher)).label} · ${(Number(voucher.amount) || 0).toLocaleString()} ¥</span>
+                        </div>
+                    `).join('') || '<p class="text-gray-400">မှတ်တမ်း မရှိပါ</p>'}
+                </div>
+            `;
+
+            document.getElementById('closeCustomerDetailBtn').addEventListener('click', () => {
+                customerDetail.classList.add('hidden');
+            });
+            document.getElementById('saveCustomerBtn').addEventListener('click', async () => {
+                try {
+                    await this.customerManager.updateCustomer(customerId, {
+                        phones: document.getElementById('editCustomerPhones').value.split(',').map(p => p.trim()).filter(Boolean),
+                        notes: document.getElementById('editCustomerNotes').value.trim(),
+                        viberId: document.getElementById('editCustomerViberId').value
+                    });
+                    this.showMessage("Customer အချက်အလက် သိမ်းပြီးပါပြီ။");
+                } catch (error) {
+                    this.showMessage(`Customer သိမ်းရာတွင် အမှား: ${error.message}`, true);
+                }
+            });
+            document.getElementById('deleteCustomerBtn').addEventListener('click', async () => {
+                if (!this.requirePermission('deleteVoucher')) return;
+                if (!window.confirm(`${customer.name} ကို ဖျက်ရန် သေချာပါသလား? (Voucher များ မပျက်ပါ)`)) return;
+                try {
+                    await this.customerManager.deleteCustomer(customerId);
+                    customerDetail.classList.add('hidden');
+                    this.showMessage("Customer ဖျက်ပြီးပါပြီ။");
+                } catch (error) {
+                    this.showMessage(`Customer ဖျက်ရာတွင် အမှား: ${error.message}`, true);
+                }
+            });
+        } catch (error) {
+            customerDetail.innerHTML = `<p class="text-red-400">${escapeHtml(error.message)}</p>`;
+            console.error("Error loading customer history: ", error);
+        }
+    }
+
+    /**
+     * Add the customer typed into the new customer inputs, unless one with that name exists
+     */
+    async addCustomer() {
+        const nameInput = document.getElementById('newCustomerName');
+        const phonesInput = document.getElementById('newCustomerPhones');
+        const name = nameInput.value.trim();
+        if (!name) {
+            this.showMessage("ကျေးဇူးပြု၍ Customer နာမည် ထည့်ပါ", true);
+            return;
+        }
+        if (this.customerManager.findMatch(name)) {
+            this.showMessage(`${name} ရှိပြီးသား ဖြစ်ပါသည်`, true);
+            return;
+        }
+        try {
+            await this.customerManager.createCustomer({
+                name,
+                phones: phonesInput.value.split(',').map(p => p.trim()).filter(Boolean)
+            });
+            nameInput.value = '';
+            phonesInput.value = '';
+            this.renderCustomerList();
+            this.showMessage("Customer အသစ် ထည့်သွင်းပြီးပါပြီ။");
+        } catch (error) {
+            this.showMessage(`Customer ထည့်ရာတွင် အမှား: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Create customers for vouchers saved before the customer database and link the vouchers to them
+     */
+    async backfillCustomers(button) {
+        if (!this.requirePermission('editVoucher')) return;
+        button.disabled = true;
+        try {
+            const { createdCount, linkedCount } = await this.customerManager.backfillFromVouchers();
+            this.showMessage(`Customer ${createdCount} ဦး အသစ်ဖန်တီးပြီး Voucher ${linkedCount} ခု ချိတ်ဆက်ပြီးပါပြီ။`);
+            this.renderCustomerList();
+        } catch (error) {
+            this.showMessage(`Customer ချိတ်ဆက်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error back-filling customers: ", error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Members panel: the owner invites Google accounts, changes roles and removes members
+     */
+    setupMembersPanel() {
+        const inviteMemberBtn = document.getElementById('inviteMemberBtn');
+        if (!inviteMemberBtn) return;
+
+        inviteMemberBtn.addEventListener('click', async () => {
+            if (!this.requirePermission('manageMembers')) return;
+            const emailInput = document.getElementById('inviteEmailInput');
+            const role = document.getElementById('inviteRoleSelect').value;
+            try {
+                await this.workspaceManager.inviteMember(emailInput.value, role);
+                this.showMessage(`${emailInput.value} ကို ${ROLES[role]} အဖြစ် ဖိတ်ကြားပြီးပါပြီ။`);
+                emailInput.value = '';
+                this.loadMembersPanel();
+            } catch (error) {
+                this.showMessage(`ဖိတ်ကြားရာတွင် အမှား: ${error.message}`, true);
+            }
+        });
+    }
+
+    /**
+     * List the shop's members and pending invites for the owner
+     */
+    async loadMembersPanel() {
+        const memberList = document.getElementById('memberList');
+        if (!memberList || !this.workspaceManager.can('manageMembers')) return;
+
+        const pendingInviteList = document.getElementById('pendingInviteList');
+        const currentUser = this.firebaseService.getCurrentUser();
+        try {
+            const [members, invites] = await Promise.all([
+                this.workspaceManager.listMembers(),
+                this.workspaceManager.listPendingInvites()
+            ]);
+
+            memberList.innerHTML = members.map(member => {
+                const isSelf = currentUser && member.uid === currentUser.uid;
+                const roleControl = isSelf || member.role === 'owner'
+                    ? `<span class="text-sm text-teal-300">${ROLES[member.role] || member.role}</span>`
+                    : `<select class="member-role-select bg-gray-600 p-1 rounded text-white text-sm" data-uid="${member.uid}">
+                           ${['manager', 'technician'].map(role => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${ROLES[role]}</option>`).join('')}
+                       </select>
+                       <button class="remove-member-btn bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-lg text-sm ml-2" data-uid="${member.uid}">ဖယ်ရှားရန်</button>`;
+                return `
+                    <div class="flex items-center justify-between bg-gray-700 p-3 rounded-lg">
+                        <div>
+                            <p class="font-semibold text-white">${escapeHtml(member.displayName || member.email)}</p>
+                            <p class="text-xs text-gray-400">${escapeHtml(member.email)}</p>
+                        </div>
+                        <div class="flex items-center">${roleControl}</div>
+                    </div>
+                `;
+            }).join('');
+
+            pendingInviteList.innerHTML = invites.map(invite => `
+                <div class="flex items-center justify-between bg-gray-800 p-2 rounded-lg text-sm">
+                    <span class="text-gray-300">⏳ ${escapeHtml(invite.email)} (${ROLES[invite.role] || invite.role})</span>
+                    <button class="cancel-invite-btn text-red-400 hover:text-red-300" data-email="${escapeHtml(invite.email)}">ပယ်ဖျက်ရန်</button>
+                </div>
+            `).join('');
+
+            memberList.querySelectorAll('.member-role-select').forEach(select => {
+                select.addEventListener('change', async () => {
+                    try {
+                        await this.workspaceManager.updateMemberRole(select.dataset.uid, select.value);
+                        this.showMessage("Role ပြောင်းလဲပြီးပါပြီ။");
+                    } catch (error) {
+                        this.showMessage(`Role ပြောင်းရာတွင် အမှား: ${error.message}`, true);
+                        this.loadMembersPanel();
+                    }
+                });
+            });
+            memberList.querySelectorAll('.remove-member-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    if (!window.confirm("ဤအဖွဲ့ဝင်ကို ဆိုင်မှ ဖယ်ရှားမှာ သေချာပါသလား?")) return;
+                    try {
+                        await this.workspaceManager.removeMember(button.dataset.uid);
+                        this.showMessage("အဖွဲ့ဝင်ကို ဖယ်ရှားပြီးပါပြီ။");
+                        this.loadMembersPanel();
+                    } catch (error) {
+                        this.showMessage(`ဖယ်ရှားရာတွင် အမှား: ${error.message}`, true);
+                    }
+                });
+            });
+            pendingInviteList.querySelectorAll('.cancel-invite-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    try {
+                        await this.workspaceManager.cancelInvite(button.dataset.email);
+                        this.loadMembersPanel();
+                    } catch (error) {
+                        this.showMessage(`ပယ်ဖျက်ရာတွင် အမှား: ${error.message}`, true);
+                    }
+                });
+            });
+        } catch (error) {
+            this.showMessage(`အဖွဲ့ဝင်စာရင်း ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading members: ", error);
+        }
+    }
+
+    /**
+     * Change history panel: each member's changes, the history modal and the voucher trash
+     */
+    setupAuditPanel() {
+        const closeAuditLogBtn = document.getElementById('closeAuditLogBtn');
+        if (closeAuditLogBtn) {
+            closeAuditLogBtn.addEventListener('click', () => document.getElementById('auditLogModal').classList.add('hidden'));
+        }
+
+        const viewMemberAuditBtn = document.getElementById('viewMemberAuditBtn');
+        if (!viewMemberAuditBtn) return;
+
+        const auditMemberSelect = document.getElementById('auditMemberSelect');
+        viewMemberAuditBtn.addEventListener('click', () => {
+            if (!this.requirePermission('viewAuditLog') || !auditMemberSelect.value) return;
+            const label = auditMemberSelect.selectedOptions[0].textContent;
+            const userId = auditMemberSelect.value;
+            this.showAuditLog(`📜 ${label} ၏ ပြင်ဆင်မှုများ`, () => this.voucherAuditLog.getForUser(userId), true);
+        });
+        document.getElementById('refreshTrashBtn').addEventListener('click', () => this.loadTrash());
+    }
+
+    /**
+     * Fill the member picker of the change history panel and list the trash
+     */
+    async loadAuditPanel() {
+        const auditMemberSelect = document.getElementById('auditMemberSelect');
+        if (!auditMemberSelect || !this.workspaceManager.can('viewAuditLog')) return;
+
+        try {
+            const members = await this.workspaceManager.listMembers();
+            auditMemberSelect.innerHTML = members.map(member =>
+                `<option value="${member.uid}">${escapeHtml(member.displayName || member.email)} (${ROLES[member.role] || member.role})</option>`
+            ).join('');
+        } catch (error) {
+            this.showMessage(`အဖွဲ့ဝင်စာရင်း ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading members: ", error);
+        }
+        await this.loadTrash();
+    }
+
+    /**
+     * Open the history modal with entries from `load`
+     */
+    async showAuditLog(title, load, showVoucher) {
+        const auditLogModal = document.getElementById('auditLogModal');
+        if (!auditLogModal) return;
+
+        const auditLogList = document.getElementById('auditLogList');
+        document.getElementById('auditLogTitle').textContent = title;
+        auditLogList.innerHTML = '<p class="text-gray-400 text-sm">Loading...</p>';
+        auditLogModal.classList.remove('hidden');
+        try {
+            auditLogList.innerHTML = buildAuditLogHtml(await load(), { showVoucher });
+        } catch (error) {
+            auditLogList.innerHTML = '';
+            this.showMessage(`မှတ်တမ်း ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading audit log: ", error);
+        }
+    }
+
+    /**
+     * List deleted vouchers, with restore and permanent delete for the owner
+     */
+    async loadTrash() {
+        const trashList = document.getElementById('trashList');
+        if (!trashList || !this.workspaceManager.can('viewAuditLog')) return;
+
+        try {
+            const deleted = await this.voucherManager.listTrash();
+            const canManage = this.workspaceManager.can('manageTrash');
+            trashList.innerHTML = deleted.length === 0
+                ? '<p class="text-gray-400 text-sm text-center">Trash ထဲတွင် Voucher မရှိပါ</p>'
+                : deleted.map(voucher => `
+                    <div class="flex items-center justify-between bg-gray-700 p-3 rounded-lg">
+                        <div>
+                            <p class="font-semibold text-white">${escapeHtml(voucher.voucherNumber)} · ${escapeHtml(voucher.customerName)}</p>
+                            <p class="text-xs text-gray-400">${voucher.date || ''} · ${(Number(voucher.amount) || 0).toLocaleString()} ¥ · 🗑️ ${escapeHtml(voucher.deletedByName)} ${new Date(voucher.deletedAt).toLocaleString()}</p>
+                        </div>
+                        <div class="flex items-center ${canManage ? '' : 'hidden'}">
+                            <button class="restore-voucher-btn bg-teal-500 hover:bg-teal-600 text-white font-bold py-1 px-3 rounded-lg text-sm mr-2" data-id="${voucher.id}">ပြန်ယူရန်</button>
+                            <button class="purge-voucher-btn bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-lg text-sm" data-id="${voucher.id}">အပြီးဖျက်ရန်</button>
+                        </div>
+                    </div>
+                `).join('');
+
+            trashList.querySelectorAll('.restore-voucher-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    if (!this.requirePermission('manageTrash')) return;
+                    try {
+                        const restored = await this.voucherManager.restoreFromTrash(button.dataset.id);
+                        this.showMessage(`Voucher ${restored.voucherNumber} ကို ပြန်ယူပြီးပါပြီ။`);
+                        this.loadTrash();
+                    } catch (error) {
+                        this.showMessage(`ပြန်ယူရာတွင် အမှား: ${error.message}`, true);
+                        console.error("Error restoring voucher: ", error);
+                    }
+                });
+            });
+            trashList.querySelectorAll('.purge-voucher-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    if (!this.requirePermission('manageTrash')) return;
+                    if (!window.confirm("ဤ Voucher ကို အပြီးတိုင် ဖျက်မှာ သေချာပါသလား? ပြန်ယူ၍ မရတော့ပါ")) return;
+                    try {
+                        await this.voucherManager.purgeFromTrash(button.dataset.id);
+                        this.showMessage("Voucher ကို အပြီးတိုင် ဖျက်ပြီးပါပြီ။");
+                        this.loadTrash();
+                    } catch (error) {
+                        this.showMessage(`ဖျက်ရာတွင် အမှား: ${error.message}`, true);
+                        console.error("Error purging voucher: ", error);
+                    }
+                });
+            });
+        } catch (error) {
+            this.showMessage(`Trash ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading trash: ", error);
+        }
+    }
+
+    /**
+     * Customer notification panel: provider, language and templates, and the recent notifications
+     */
+    setupNotificationPanel() {
+        const saveNotificationSettingsBtn = document.getElementById('saveNotificationSettingsBtn');
+        if (!saveNotificationSettingsBtn) return;
+
+        const fields = this.getNotificationFields();
+        fields.provider.innerHTML = Object.entries(NOTIFICATION_PROVIDERS).map(([key, provider]) => `<option value="${key}">${provider.label}</option>`).join('');
+        fields.language.innerHTML = Object.entries(NOTIFICATION_LANGUAGES).map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+        document.getElementById('notificationPlaceholders').textContent = `Placeholders: ${TEMPLATE_PLACEHOLDERS.map(key => `{${key}}`).join(' ')}`;
+
+        fields.provider.addEventListener('change', () => this.toggleNotificationProviderFields());
+        saveNotificationSettingsBtn.addEventListener('click', () => this.saveNotificationSettings());
+        document.getElementById('refreshNotificationsBtn').addEventListener('click', () => this.loadNotificationList());
+    }
+
+    /**
+     * Inputs of the notification settings form
+     */
+    getNotificationFields() {
+        return {
+            enabled: document.getElementById('notificationsEnabled'),
+            provider: document.getElementById('notificationProviderSelect'),
+            language: document.getElementById('notificationLanguageSelect'),
+            httpUrl: document.getElementById('smsGatewayUrl'),
+            httpApiKey: document.getElementById('smsGatewayApiKey'),
+            httpSender: document.getElementById('smsGatewaySender'),
+            viberToken: document.getElementById('viberBotToken'),
+            viberSenderName: document.getElementById('viberSenderName'),
+            templateMy: document.getElementById('notificationTemplateMy'),
+            templateEn: document.getElementById('notificationTemplateEn')
+        };
+    }
+
+    /**
+     * Show only the selected provider's connection fields
+     */
+    toggleNotificationProviderFields() {
+        const provider = document.getElementById('notificationProviderSelect').value;
+        document.getElementById('notificationHttpFields').classList.toggle('hidden', provider !== 'http');
+        document.getElementById('notificationViberFields').classList.toggle('hidden', provider !== 'viber');
+    }
+
+    /**
+     * Load the notification settings into the form and list the recent notifications
+     */
+    async loadNotificationPanel() {
+        if (!document.getElementById('saveNotificationSettingsBtn') || !this.workspaceManager.can('manageNotifications')) return;
+
+        const fields = this.getNotificationFields();
+        try {
+            const settings = await this.notificationManager.loadSettings();
+            fields.enabled.checked = settings.enabled;
+            fields.provider.value = settings.provider;
+            fields.language.value = settings.language;
+            fields.httpUrl.value = settings.http.url;
+            fields.httpApiKey.value = settings.http.apiKey;
+            fields.httpSender.value = settings.http.sender;
+            fields.viberToken.value = settings.viber.token;
+            fields.viberSenderName.value = settings.viber.senderName;
+            fields.templateMy.value = settings.templates.ready_for_pickup.my;
+            fields.templateEn.value = settings.templates.ready_for_pickup.en;
+            this.toggleNotificationProviderFields();
+        } catch (error) {
+            this.showMessage(`Notification settings ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading notification settings: ", error);
+        }
+        await this.loadNotificationList();
+    }
+
+    /**
+     * Save the notification settings, then send anything queued while sending was off
+     */
+    async saveNotificationSettings() {
+        if (!this.requirePermission('manageNotifications')) return;
+        const fields = this.getNotificationFields();
+        try {
+            await this.notificationManager.saveSettings({
+                enabled: fields.enabled.checked,
+                provider: fields.provider.value,
+                language: fields.language.value,
+                templates: { ready_for_pickup: { my: fields.templateMy.value.trim(), en: fields.templateEn.value.trim() } },
+                http: { url: fields.httpUrl.value.trim(), apiKey: fields.httpApiKey.value.trim(), sender: fields.httpSender.value.trim() },
+                viber: { token: fields.viberToken.value.trim(), senderName: fields.viberSenderName.value.trim() }
+            });
+            this.showMessage("Notification settings သိမ်းပြီးပါပြီ။");
+            await this.notificationManager.processQueue();
+            this.loadNotificationList();
+        } catch (error) {
+            this.showMessage(`Notification settings သိမ်းရာတွင် အမှား: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * List recent notifications with their delivery status; failed ones can be sent again
+     */
+    async loadNotificationList() {
+        const notificationList = document.getElementById('notificationList');
+        if (!notificationList) return;
+
+        try {
+            const notifications = await this.notificationManager.listRecent();
+            notificationList.innerHTML = notifications.length === 0
+                ? '<p class="text-gray-400 text-sm text-center">ပို့ထားသော စာ မရှိသေးပါ</p>'
+                : notifications.map(notification => {
+                    const status = NOTIFICATION_STATUSES[notification.status] || NOTIFICATION_STATUSES.queued;
+                    return `
+                        <div class="flex items-center justify-between bg-gray-700 p-3 rounded-lg text-sm">
+                            <div>
+                                <p class="font-semibold text-white">${status.icon} ${escapeHtml(notification.values?.voucher)} · ${escapeHtml(notification.values?.customer)} · ${escapeHtml(notification.phone)}</p>
+                                <p class="text-xs text-gray-400">${status.label}${notification.channel ? ` · ${notification.channel}` : ''} · ${new Date(notification.sentAt || notification.failedAt || notification.createdAt).toLocaleString()}${notification.error ? ` · ${escapeHtml(notification.error)}` : ''}</p>
+                            </div>
+                            ${notification.status === 'failed' ? `<button class="retry-notification-btn bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-1 px-3 rounded-lg text-sm" data-id="${notification.id}">ပြန်ပို့ရန်</button>` : ''}
+                        </div>
+                    `;
+                }).join('');
+
+            notificationList.querySelectorAll('.retry-notification-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    try {
+                        await this.notificationManager.retry(button.dataset.id);
+                        this.loadNotificationList();
+                    } catch (error) {
+                        this.showMessage(`ပြန်ပို့ရာတွင် အမှား: ${error.message}`, true);
+                    }
+                });
+            });
+        } catch (error) {
+            this.showMessage(`Notification စာရင်း ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error loading notifications: ", error);
+        }
+    }
+
+    /**
+     * Service catalogue panel: managers edit each service's warranty and standard prices
+     */
+    setupServiceCatalogPanel() {
+        const saveServiceCatalogBtn = document.getElementById('saveServiceCatalogBtn');
+        if (!saveServiceCatalogBtn) return;
+
+        this.serviceCatalogEditor = createRowEditor(document.getElementById('serviceCatalogEditor'), [
+            { key: 'label', type: 'text', placeholder: 'Service' },
+            { key: 'warrantyDays', type: 'number', placeholder: 'Warranty ရက်', width: 'w-28' },
+            { key: 'minPrice', type: 'number', placeholder: 'အနည်းဆုံး ¥', width: 'w-28' },
+            { key: 'maxPrice', type: 'number', placeholder: 'အများဆုံး ¥', width: 'w-28' },
+            { key: 'pricesText', type: 'text', placeholder: 'Brand/Model = min-max, ...', width: 'w-full' }
+        ], 'Service');
+
+        saveServiceCatalogBtn.addEventListener('click', async () => {
+            if (!this.requirePermission('manageServices')) return;
+            const serviceTypes = this.serviceCatalogEditor.getRows().map(({ pricesText, ...type }) => ({ ...type, prices: parsePriceOverrides(pricesText) }));
+            try {
+                await this.serviceCatalogManager.save(serviceTypes);
+                await this.loadServiceTypes();
+                this.showMessage("Service ဈေးနှုန်းစာရင်း သိမ်းပြီးပါပြီ။");
+            } catch (error) {
+                this.showMessage(`Service ဈေးနှုန်းစာရင်း သိမ်းရာတွင် အမှား: ${error.message}`, true);
+            }
+        });
+    }
+
+    /**
+     * Device catalogue panel: managers add and delete models and link older vouchers to them
+     */
+    setupDeviceCatalogPanel() {
+        const deviceList = document.getElementById('deviceList');
+        if (!deviceList) return;
+
+        this.deviceCatalogManager.onChange((devices) => {
+            deviceList.innerHTML = devices.map(device => `
+                <div class="flex justify-between items-center bg-gray-800 px-3 py-2 rounded-lg">
+                    <div>
+                        <p class="theme-text-primary">${escapeHtml(deviceName(device))} <span class="text-xs text-gray-400">${escapeHtml(device.brand)}</span></p>
+                        <p class="text-xs text-gray-400">${escapeHtml([...device.aliases, ...device.colors].join(', '))}</p>
+                    </div>
+                    <button class="delete-device-btn text-red-400 hover:text-red-300 px-2" data-id="${device.id}">✕</button>
+                </div>
+            `).join('') || '<p class="text-center text-gray-400">Model မရှိသေးပါ</p>';
+            deviceList.querySelectorAll('.delete-device-btn').forEach(button => {
+                button.addEventListener('click', async () => {
+                    if (!this.requirePermission('manageDevices') || !window.confirm('ဤ Model ကို ဖျက်မှာ သေချာပါသလား?')) return;
+                    try {
+                        await this.deviceCatalogManager.deleteDevice(button.dataset.id);
+                    } catch (error) {
+                        this.showMessage(`Model ဖျက်ရာတွင် အမှား: ${error.message}`, true);
+                    }
+                });
+            });
+        });
+
+        document.getElementById('saveDeviceBtn').addEventListener('click', () => this.saveDevice());
+        document.getElementById('planModelNormalizationBtn').addEventListener('click', () => this.planModelNormalization());
+        document.getElementById('applyModelNormalizationBtn').addEventListener('click', () => this.applyModelNormalization());
+    }
+
+    /**
+     * Add the model typed into the device catalogue form
+     */
+    async saveDevice() {
+        if (!this.requirePermission('manageDevices')) return;
+        const splitList = (text) => text.split(',').map(part => part.trim()).filter(Boolean);
+        const inputs = ['deviceBrandInput', 'deviceModelInput', 'deviceAliasesInput', 'deviceColorsInput'].map(id => document.getElementById(id));
+        const [brand, model, aliases, colors] = inputs.map(input => input.value);
+        try {
+            await this.deviceCatalogManager.saveDevice(null, { brand, model, aliases: splitList(aliases), colors: splitList(colors) });
+            inputs.forEach(input => { input.value = ''; });
+            this.showMessage("Model ထည့်သွင်းပြီးပါပြီ။");
+        } catch (error) {
+            this.showMessage(`Model ထည့်ရာတွင် အမှား: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * List the voucher model spellings with the catalogue model each could be linked to
+     */
+    async planModelNormalization() {
+        if (!this.requirePermission('manageDevices')) return;
+        try {
+            this.modelNormalizationPlan = await this.deviceCatalogManager.planModelNormalization();
+            this.renderModelNormalizationPlan();
+        } catch (error) {
+            this.showMessage(`Voucher Model များ စစ်ဆေးရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error planning model normalisation: ", error);
+        }
+    }
+
+    /**
+     * Show the model normalisation plan, one catalogue model picker per spelling
+     */
+    renderModelNormalizationPlan() {
+        const list = document.getElementById('modelNormalizationList');
+        const deviceOptions = this.deviceCatalogManager.getAll();
+        list.innerHTML = this.modelNormalizationPlan.map((entry, index) => `
+            <div class="flex flex-col sm:flex-row sm:items-center gap-2 bg-gray-800 px-3 py-2 rounded-lg">
+                <div class="flex-1">
+                    <p class="theme-text-primary">${escapeHtml(entry.spellings.join(' / '))}</p>
+                    <p class="text-xs text-gray-400">${entry.voucherIds.length} vouchers</p>
+                </div>
+                <select class="model-normalization-select office-input p-2 sm:w-64" data-index="${index}">
+                    <option value="">-- မပြောင်းပါ --</option>
+                    ${deviceOptions.map(device => `<option value="${device.id}" ${device.id === entry.deviceId ? 'selected' : ''}>${escapeHtml(deviceName(device))}</option>`).join('')}
+                </select>
+            </div>
+        `).join('') || '<p class="text-center text-gray-400">ညှိရန် Model မရှိပါ</p>';
+        document.getElementById('applyModelNormalizationBtn').classList.toggle('hidden', this.modelNormalizationPlan.length === 0);
+    }
+
+    /**
+     * Link the vouchers of each spelling to the catalogue model picked for it
+     */
+    async applyModelNormalization() {
+        if (!this.requirePermission('manageDevices')) return;
+        const assignments = [...document.querySelectorAll('.model-normalization-select')]
+            .filter(select => select.value)
+            .map(select => ({ ...this.modelNormalizationPlan[Number(select.dataset.index)], deviceId: select.value }));
+        const voucherCount = assignments.reduce((sum, entry) => sum + entry.voucherIds.length, 0);
+        if (!voucherCount || !window.confirm(`Voucher ${voucherCount} ခု၏ Model ကို ပြောင်းမှာ သေချာပါသလား?`)) return;
+        try {
+            const updated = await this.deviceCatalogManager.applyModelNormalization(assignments);
+            this.showMessage(`Voucher ${updated} ခု၏ Model ကို ညှိပြီးပါပြီ။`);
+            this.modelNormalizationPlan = await this.deviceCatalogManager.planModelNormalization();
+            this.renderModelNormalizationPlan();
+        } catch (error) {
+            this.showMessage(`Model ညှိရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error applying model normalisation: ", error);
+        }
+    }
+
+    /**
+     * Warranty: the return modal opened from a voucher row, and the return-rate report
+     */
+    setupWarranty() {
+        const saveWarrantyClaimBtn = document.getElementById('saveWarrantyClaimBtn');
+        if (saveWarrantyClaimBtn) {
+            saveWarrantyClaimBtn.addEventListener('click', () => this.saveWarrantyClaim());
+            document.getElementById('closeWarrantyClaimBtn').addEventListener('click', () => {
+                document.getElementById('warrantyClaimModal').classList.add('hidden');
+            });
+        }
+
+        const warrantyReportBtn = document.getElementById('warrantyReportBtn');
+        if (warrantyReportBtn) {
+            warrantyReportBtn.addEventListener('click', () => this.showWarrantyReport());
+        }
+    }
+
+    /**
+     * Open the warranty return modal for a voucher still under warranty
+     */
+    openWarrantyClaim(voucher) {
+        const warrantyClaimModal = document.getElementById('warrantyClaimModal');
+        if (!warrantyClaimModal) return;
+
+        this.warrantyClaimVoucher = voucher;
+        document.getElementById('warrantyClaimInfo').textContent = `${voucher.voucherNumber} · ${voucher.customerName} · ${voucher.phoneModel} · Warranty ${voucher.warrantyExpiresAt} အထိ`;
+        document.getElementById('warrantyClaimError').value = '';
+        document.getElementById('warrantyClaimAmount').value = '0';
+        warrantyClaimModal.classList.remove('hidden');
+    }
+
+    /**
+     * Open a linked voucher for the warranty return, free unless an amount is entered
+     */
+    async saveWarrantyClaim() {
+        if (!this.firebaseService.getCurrentUser() || !this.warrantyClaimVoucher) return;
+        const amountInput = document.getElementById('warrantyClaimAmount');
+        const amount = parseFloat(amountInput.value || '0');
+        if (isNaN(amount) || amount < 0) {
+            this.showMessage("ကျသင့်ငွေ မှန်ကန်စွာ ထည့်ပါ", true);
+            return;
+        }
+        try {
+            const voucherData = await this.warrantyManager.prepareClaim(this.warrantyClaimVoucher, {
+                amount,
+                error: document.getElementById('warrantyClaimError').value.trim(),
+                date: new Date().toISOString().split('T')[0],
+                by: this.voucherManager.currentUserLabel()
+            });
+            await this.voucherManager.saveNewVoucher(voucherData);
+            document.getElementById('warrantyClaimModal').classList.add('hidden');
+            this.warrantyClaimVoucher = null;
+            this.showMessage(`Warranty Voucher ${voucherData.voucherNumber} ဖွင့်ပြီးပါပြီ။`);
+        } catch (error) {
+            this.showMessage(`Warranty Voucher ဖွင့်ရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error creating warranty claim: ", error);
+        }
+    }
+
+    /**
+     * Show the warranty return rate for the chosen date range
+     */
+    async showWarrantyReport() {
+        if (!this.requirePermission('manageWarranty')) return;
+        const startDate = document.getElementById('warrantyReportStart').value;
+        const endDate = document.getElementById('warrantyReportEnd').value;
+        if (!startDate || !endDate) {
+            this.showMessage("ကျေးဇူးပြု၍ စတင်ရက်စွဲနှင့် ပြီးဆုံးရက်စွဲ ရွေးချယ်ပါ", true);
+            return;
+        }
+        const output = document.getElementById('warrantyReportOutput');
+        try {
+            output.innerHTML = '<p class="text-gray-400 text-sm">Loading...</p>';
+            const report = await this.warrantyManager.generateReport(startDate, endDate);
+            output.innerHTML = buildWarrantyReportHtml(report, { startDate, endDate });
+        } catch (error) {
+            output.innerHTML = '';
+            this.showMessage(`Warranty Report ရယူရာတွင် အမှား: ${error.message}`, true);
+            console.error("Error generating warranty report: ", error);
+        }
+    }
+
+    /**
+     * Setup global event listeners
+     */
+    setupGlobalEventListeners() {
+        // Date picker change
+        const datePicker = document.getElementById('datePicker');
+        if (datePicker) {
+            datePicker.addEventListener('change', async (event) => {
+                await this.loadVouchersForDate(event.target.value);
+            });
+        }
+
+        // Technician selection change
+        const technicianSelect = document.getElementById('technicianSelect');
+        if (technicianSelect) {
+            technicianSelect.addEventListener('change', () => {
+                this.filterVouchersByTechnician();
+            });
+        }
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (event) => {
+            this.handleKeyboardShortcuts(event);
+        });
+
+        // Window resize
+        window.addEventListener('resize', () => {
+            if (this.virtualScrollingManager) {
+                this.virtualScrollingManager.updateContainerHeight();
+            }
+        });
+
+        // Add voucher modal controls
+        const addVoucherBtn = document.getElementById('addVoucherBtn');
+        const cancelVoucherBtn = document.getElementById('cancelVoucherBtn');
+        const clearAutoSaveBtn = document.getElementById('clearAutoSaveBtn');
+
+        if (addVoucherBtn) {
+            addVoucherBtn.addEventListener('click', () => {
+                const modal = document.getElementById('addVoucherModal');
+                if (modal) {
+                    modal.classList.remove('hidden');
+                    // Set today's date as default
+                    const dateInput = document.querySelector('input[name="date"]');
+                    if (dateInput) {
+                        dateInput.value = new Date().toISOString().split('T')[0];
+                    }
+                }
+            });
+        }
+
+        if (cancelVoucherBtn) {
+            cancelVoucherBtn.addEventListener('click', () => {
+                const modal = document.getElementById('addVoucherModal');
+                if (modal) {
+                    modal.classList.add('hidden');
+                }
+            });
+        }
+
+        if (clearAutoSaveBtn) {
+            clearAutoSaveBtn.addEventListener('click', () => {
+                if (this.autoSaveManager) {
+                    this.autoSaveManager.clearAllSavedData();
+                }
+            });
+        }
+    }
+
+    /**
+     * Handle keyboard shortcuts
+     */
+    handleKeyboardShortcuts(event) {
+        // Ctrl+N - New voucher
+        if (event.ctrlKey && event.key === 'n') {
+            event.preventDefault();
+            const addVoucherBtn = document.getElementById('addVoucherBtn');
+            if (addVoucherBtn) addVoucherBtn.click();
+        }
+
+        // Ctrl+F - Focus search
+        if (event.ctrlKey && event.key === 'f') {
+            event.preventDefault();
+            const searchInput = document.getElementById('voucherSearchInput');
+            if (searchInput) searchInput.focus();
+        }
+
+        // Ctrl+A - Show analytics
+        if (event.ctrlKey && event.key === 'a') {
+            event.preventDefault();
+            const analyticsBtn = document.getElementById('toggleAnalyticsBtn');
+            if (analyticsBtn) analyticsBtn.click();
+        }
+
+        // Ctrl+S - Manual save
+        if (event.ctrlKey && event.key === 's') {
+            event.preventDefault();
+            if (this.autoSaveManager) {
+                this.autoSaveManager.saveNow();
+                this.showMessage('Form data saved manually', false);
+            }
+        }
+    }
+
+    /**
+     * Filter vouchers by technician
+     */
+    filterVouchersByTechnician() {
+        const technicianSelect = document.getElementById('technicianSelect');
+        if (!technicianSelect) return;
+
+        this.voucherManager.technicianFilter = technicianSelect.value;
+        this.voucherManager.renderDailyVouchers();
+    }
+
+    /**
+     * Whether the signed-in member may perform an action; tells them when not
+     * Hidden buttons are not enough on their own, so every restricted action checks this first.
+     */
+    requirePermission(permission) {
+        if (this.workspaceManager.can(permission)) return true;
+        this.showMessage("ဤလုပ်ဆောင်ချက်အတွက် ခွင့်ပြုချက် မရှိပါ", true);
+        return false;
     }
 
     /**
@@ -410,9 +3214,13 @@ export class AppController {
         return {
             isInitialized: this.isInitialized,
             currentUserId: this.currentUserId,
+            shopId: this.workspaceManager ? this.workspaceManager.shopId : null,
+            role: this.workspaceManager ? this.workspaceManager.role : null,
             hasVoucherManager: !!this.voucherManager,
             hasVirtualScrolling: !!this.virtualScrollingManager,
             hasAnalytics: !!this.analyticsManager,
+            hasPayroll: !!this.payrollManager,
+            hasBackups: !!this.backupManager,
             hasAutoSave: !!this.autoSaveManager,
             autoSaveStatus: this.autoSaveManager ? this.autoSaveManager.getStatus() : null
         };
@@ -0,0 +1,496 @@
+/**
+ * BackupManager - Non-destructive restore of shop backups
+ * Plans a restore as a diff against the live vouchers (add / change / remove), then writes it
+ * in chunked batches that keep document ids; removals run last so a failure never loses data.
+ * Technician records are restored by id and never deleted; backups from before technicians had
+ * records carry only a name list, whose missing names are added as new technicians.
+ * Also takes scheduled, versioned snapshots into IndexedDB (see backupStore.js).
+ */
+
+import { PAYROLL_LOCKED_FIELDS, isPayrollLocked } from './PayrollManager.js';
+import {
+    DEFAULT_RETENTION, putSnapshot, getSnapshot, deleteSnapshot, listSnapshots,
+    sha256Hex, compressJson, decompressToJson, selectSnapshotsToPrune
+} from './backupStore.js';
+
+export const RESTORE_MODES = {
+    replace: { label: 'Replace', description: 'Backup ကဲ့သို့ အတိအကျ ဖြစ်စေရန် (Backup တွင် မပါသော Voucher များကို ဖျက်မည်)' },
+    mergeById: { label: 'Merge by ID', description: 'ID တူသော Voucher များကို ပြင်ပြီး မရှိသေးသည်များကို ထည့်မည် (မဖျက်ပါ)' },
+    mergeByNumber: { label: 'Merge by Voucher No.', description: 'Voucher နံပါတ် တူသည်များကို ပြင်ပြီး မရှိသေးသည်များကို ထည့်မည် (မဖျက်ပါ)' }
+};
+
+export const BACKUP_FREQUENCIES = {
+    off: { label: 'ပိတ်ထားသည်', intervalDays: null },
+    daily: { label: 'နေ့စဉ်', intervalDays: 1 },
+    weekly: { label: 'အပတ်စဉ်', intervalDays: 7 }
+};
+
+const BATCH_LIMIT = 400;
+const SCHEDULE_STORAGE_KEY = 'backupSchedule';
+const SCHEDULE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * JSON with sorted object keys, so field order never counts as a change
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Plain JSON form of Firestore data (timestamps become { seconds, nanoseconds })
+ */
+function toPlain(data) {
+    return JSON.parse(JSON.stringify(data ?? null));
+}
+
+/**
+ * Fields whose values differ between the live voucher and the backup copy
+ * With `onlyIncoming`, fields missing from the backup are left alone (merge semantics)
+ */
+export function diffVoucherFields(current, incoming, onlyIncoming = false) {
+    const before = toPlain(current) || {};
+    const after = toPlain(incoming) || {};
+    delete before.id;
+    delete after.id;
+    const keys = onlyIncoming ? Object.keys(after) : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.filter(key => stableStringify(before[key]) !== stableStringify(after[key])).sort();
+}
+
+/**
+ * Work out what a restore would do without writing anything
+ * Returns { mode, toAdd, toUpdate, toRemove, locked, unchanged, technicians }
+ */
+export function planRestore(currentVouchers, backup, mode = 'mergeById') {
+    if (!RESTORE_MODES[mode]) {
+        throw new Error(`Unknown restore mode: ${mode}`);
+    }
+
+    const plan = { mode, toAdd: [], toUpdate: [], toRemove: [], locked: [], unchanged: 0, technicians: null };
+    const backupVouchers = (backup.data && backup.data.vouchers) || [];
+    const currentById = new Map(currentVouchers.map(voucher => [voucher.id, voucher]));
+    const currentByNumber = new Map();
+    currentVouchers.forEach(voucher => {
+        if (voucher.voucherNumber && !currentByNumber.has(String(voucher.voucherNumber))) {
+            currentByNumber.set(String(voucher.voucherNumber), voucher);
+        }
+    });
+    const matchedIds = new Set();
+    const merge = mode !== 'replace';
+
+    backupVouchers.forEach(backupVoucher => {
+        const { id, ...data } = backupVoucher;
+        const existing = mode === 'mergeByNumber'
+            ? currentByNumber.get(String(data.voucherNumber || ''))
+            : currentById.get(id);
+
+        if (!existing) {
+            // Keep the backup's id unless a different voucher already uses it
+            const idTaken = !id || currentById.has(id) || plan.toAdd.some(entry => entry.id === id);
+            plan.toAdd.push({ id: idTaken ? null : id, data });
+            return;
+        }
+
+        matchedIds.add(existing.id);
+        const changedFields = diffVoucherFields(existing, data, merge);
+        if (changedFields.length === 0) {
+            plan.unchanged++;
+            return;
+        }
+
+        // Paid vouchers keep the values their payroll run was closed on
+        const lockedFields = isPayrollLocked(existing) ? changedFields.filter(field => PAYROLL_LOCKED_FIELDS.includes(field) || field.startsWith('payroll')) : [];
+        if (lockedFields.length > 0) {
+            plan.locked.push({ id: existing.id, before: existing, after: data, changedFields: lockedFields });
+            return;
+        }
+        plan.toUpdate.push({ id: existing.id, before: existing, after: data, changedFields });
+    });
+
+    if (mode === 'replace' && backup.data && backup.data.vouchers) {
+        currentVouchers.forEach(voucher => {
+            if (matchedIds.has(voucher.id)) return;
+            if (isPayrollLocked(voucher)) {
+                plan.locked.push({ id: voucher.id, before: voucher, after: null, changedFields: [] });
+            } else {
+                plan.toRemove.push({ id: voucher.id, before: voucher });
+            }
+        });
+    }
+
+    if (backup.data && backup.data.technicians) {
+        plan.technicians = backup.data.technicians;
+    }
+
+    return plan;
+}
+
+/**
+ * Whether an automatic backup is due given the last automatic snapshot time
+ * Daily backups run once per calendar day; weekly ones when 7 days have passed
+ */
+export function isBackupDue(frequency, lastCreatedAt, now = new Date()) {
+    const intervalDays = BACKUP_FREQUENCIES[frequency]?.intervalDays;
+    if (!intervalDays) return false;
+    if (!lastCreatedAt) return true;
+    const last = new Date(lastCreatedAt);
+    if (intervalDays === 1) {
+        return last.toDateString() !== now.toDateString();
+    }
+    return now - last >= intervalDays * 86400000;
+}
+
+/**
+ * Technician names in a backup: its records when it has them, else the old name list
+ */
+export function getBackupTechnicianNames(technicians) {
+    if (!technicians) return [];
+    return technicians.records ? technicians.records.map(record => record.name) : (technicians.names || []);
+}
+
+/**
+ * Diff of technician names between the live list and the backup
+ */
+export function diffTechnicians(currentNames = [], backupNames = [], mode = 'mergeById') {
+    const added = backupNames.filter(name => !currentNames.includes(name));
+    const removed = mode === 'replace' ? currentNames.filter(name => !backupNames.includes(name)) : [];
+    return { added, removed };
+}
+
+export class BackupManager {
+    constructor(firebaseService, errorHandler, technicianManager = null, voucherTotalsManager = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+        this.voucherTotalsManager = voucherTotalsManager;
+        this.schedulerTimer = null;
+        this.runningScheduled = false;
+    }
+
+    /**
+     * Vouchers collection reference for the current shop
+     */
+    vouchersRef() {
+        return this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+    }
+
+    /**
+     * Technicians collection reference
+     */
+    techniciansRef() {
+        return this.firebaseService.collection(this.firebaseService.shopPath('technicians'));
+    }
+
+    /**
+     * Technician records, oldest first
+     */
+    async loadTechnicianRecords() {
+        const snapshot = await this.firebaseService.getDocs(this.techniciansRef());
+        return snapshot.docs
+            .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    }
+
+    /**
+     * Turn JSON-serialized timestamps back into Firestore timestamps
+     */
+    reviveTimestamps(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.reviveTimestamps(item));
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value);
+            const isTimestamp = typeof value.seconds === 'number' && typeof value.nanoseconds === 'number' &&
+                keys.every(key => ['seconds', 'nanoseconds', 'type'].includes(key));
+            if (isTimestamp) {
+                return this.firebaseService.timestamp(value.seconds, value.nanoseconds);
+            }
+            return Object.fromEntries(keys.map(key => [key, this.reviveTimestamps(value[key])]));
+        }
+        return value;
+    }
+
+    /**
+     * Current state to diff a backup against
+     */
+    async loadCurrentState() {
+        const [vouchersSnapshot, technicians] = await Promise.all([
+            this.firebaseService.getDocs(this.vouchersRef()),
+            this.loadTechnicianRecords()
+        ]);
+        return {
+            vouchers: vouchersSnapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+            technicians
+        };
+    }
+
+    /**
+     * Plan a restore against the live data
+     */
+    async previewRestore(backup, mode) {
+        const current = await this.loadCurrentState();
+        const plan = planRestore(current.vouchers, backup, mode);
+        plan.technicianDiff = plan.technicians
+            ? diffTechnicians(current.technicians.map(technician => technician.name), getBackupTechnicianNames(plan.technicians), mode)
+            : null;
+        plan.currentTechnicians = current.technicians;
+        return plan;
+    }
+
+    /**
+     * Write a restore plan in chunked batches, then recompute the revenue totals from the restored vouchers
+     * onProgress({ done, total, phase }) is called after each committed chunk
+     */
+    async applyRestorePlan(plan, onProgress = () => {}) {
+        const merge = plan.mode !== 'replace';
+        const writes = [
+            ...plan.toAdd.map(entry => batch => {
+                const ref = entry.id
+                    ? this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${entry.id}`))
+                    : this.firebaseService.newDocRef(this.firebaseService.shopPath('vouchers'));
+                batch.set(ref, this.reviveTimestamps(entry.data));
+            }),
+            ...plan.toUpdate.map(entry => batch => {
+                const ref = this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${entry.id}`));
+                batch.set(ref, this.reviveTimestamps(entry.after), { merge });
+            })
+        ];
+        const removals = plan.toRemove.map(entry => batch => {
+            batch.delete(this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${entry.id}`)));
+        });
+
+        const total = writes.length + removals.length;
+        let done = 0;
+
+        const commitInChunks = async (operations, phase) => {
+            for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+                const batch = this.firebaseService.batch();
+                operations.slice(i, i + BATCH_LIMIT).forEach(operation => operation(batch));
+                await batch.commit();
+                done += Math.min(BATCH_LIMIT, operations.length - i);
+                onProgress({ done, total, phase });
+            }
+        };
+
+        // Adds and changes first: if anything fails part-way, nothing has been deleted yet
+        await commitInChunks(writes, 'write');
+
+        if (plan.technicians) {
+            await this.restoreTechnicians(plan);
+        }
+
+        await commitInChunks(removals, 'remove');
+        if (this.voucherTotalsManager) {
+            await this.voucherTotalsManager.rebuild();
+        }
+        return { added: plan.toAdd.length, updated: plan.toUpdate.length, removed: plan.toRemove.length, skipped: plan.locked.length };
+    }
+
+    /**
+     * Write a plan's technicians
+     * Records keep their ids; in replace mode technicians missing from the backup are made inactive,
+     * never deleted, so their vouchers and payslips still resolve.
+     */
+    async restoreTechnicians(plan) {
+        const { records, names } = plan.technicians;
+        if (!records) {
+            if (this.technicianManager) {
+                await this.technicianManager.importNames(names || []);
+            }
+            return;
+        }
+
+        const merge = plan.mode !== 'replace';
+        const updatedAt = new Date().toISOString();
+        const batch = this.firebaseService.batch();
+        records.forEach(({ id, ...data }) => {
+            batch.set(this.firebaseService.doc(this.firebaseService.shopPath(`technicians/${id}`)), this.reviveTimestamps(data), { merge });
+        });
+        if (!merge) {
+            const restoredIds = new Set(records.map(record => record.id));
+            (plan.currentTechnicians || [])
+                .filter(technician => !restoredIds.has(technician.id) && technician.status !== 'inactive')
+                .forEach(technician => {
+                    batch.update(this.firebaseService.doc(this.firebaseService.shopPath(`technicians/${technician.id}`)), { status: 'inactive', updatedAt });
+                });
+        }
+        await batch.commit();
+    }
+
+    /**
+     * Read the shop's data into a backup object
+     */
+    async collectBackup(type = 'all') {
+        const backup = {
+            type,
+            timestamp: new Date().toISOString(),
+            userId: this.firebaseService.getCurrentUser()?.uid || null,
+            shopId: this.firebaseService.shopId,
+            data: {}
+        };
+
+        if (type === 'all' || type === 'vouchers') {
+            const snapshot = await this.firebaseService.getDocs(this.vouchersRef());
+            backup.data.vouchers = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        }
+
+        if (type === 'all' || type === 'technicians') {
+            // The name list keeps the backup readable by versions from before technician records
+            const records = await this.loadTechnicianRecords();
+            backup.data.technicians = {
+                names: records.filter(record => record.status !== 'inactive').map(record => record.name),
+                records
+            };
+        }
+
+        return backup;
+    }
+
+    /**
+     * Store a backup as the next versioned snapshot for the shop, then apply retention
+     * trigger is 'manual', 'daily' or 'weekly'
+     */
+    async saveSnapshot(backup, trigger = 'manual') {
+        const json = JSON.stringify(backup);
+        const [checksum, { blob, compressed }, existing] = await Promise.all([
+            sha256Hex(json),
+            compressJson(json),
+            listSnapshots(backup.shopId)
+        ]);
+        const version = existing.length ? existing[0].version + 1 : 1;
+
+        const snapshot = {
+            id: `${backup.shopId}:${version}`,
+            shopId: backup.shopId,
+            version,
+            type: backup.type,
+            trigger,
+            createdAt: backup.timestamp,
+            checksum,
+            compressed,
+            size: blob.size,
+            rawSize: json.length,
+            voucherCount: backup.data.vouchers ? backup.data.vouchers.length : 0,
+            technicianCount: getBackupTechnicianNames(backup.data.technicians).length,
+            data: blob
+        };
+        await putSnapshot(snapshot);
+        await this.pruneSnapshots(backup.shopId);
+        return snapshot;
+    }
+
+    /**
+     * Delete snapshots outside the retention policy
+     */
+    async pruneSnapshots(shopId = this.firebaseService.shopId) {
+        const snapshots = await listSnapshots(shopId);
+        const toDelete = selectSnapshotsToPrune(snapshots, this.getSchedule().retention);
+        await Promise.all(toDelete.map(snapshot => deleteSnapshot(snapshot.id)));
+        return toDelete.length;
+    }
+
+    /**
+     * Snapshot metadata for the current shop (without the data blobs), newest first
+     */
+    async listSnapshots() {
+        const snapshots = await listSnapshots(this.firebaseService.shopId);
+        return snapshots.map(({ data, ...meta }) => meta);
+    }
+
+    /**
+     * Read a snapshot back into a backup object, verifying its checksum
+     */
+    async loadSnapshot(id) {
+        const snapshot = await getSnapshot(id);
+        if (!snapshot) {
+            throw new Error('Backup version not found');
+        }
+        const json = await decompressToJson(snapshot.data, snapshot.compressed);
+        if (await sha256Hex(json) !== snapshot.checksum) {
+            throw new Error(`Backup v${snapshot.version} is corrupted (checksum mismatch)`);
+        }
+        return { snapshot, backup: JSON.parse(json), json };
+    }
+
+    /**
+     * Delete one snapshot version
+     */
+    async deleteSnapshot(id) {
+        await deleteSnapshot(id);
+    }
+
+    /**
+     * Automatic backup schedule and retention (per device)
+     */
+    getSchedule() {
+        const saved = JSON.parse(localStorage.getItem(SCHEDULE_STORAGE_KEY) || '{}');
+        return {
+            frequency: BACKUP_FREQUENCIES[saved.frequency] ? saved.frequency : 'daily',
+            retention: { ...DEFAULT_RETENTION, ...(saved.retention || {}) }
+        };
+    }
+
+    /**
+     * Save the schedule; retention counts are whole numbers of at least 1
+     */
+    setSchedule({ frequency, retention }) {
+        const cleaned = {};
+        Object.keys(DEFAULT_RETENTION).forEach(key => {
+            const value = parseInt(retention?.[key], 10);
+            cleaned[key] = Number.isFinite(value) && value >= 1 ? value : DEFAULT_RETENTION[key];
+        });
+        const schedule = { frequency: BACKUP_FREQUENCIES[frequency] ? frequency : 'daily', retention: cleaned };
+        localStorage.setItem(SCHEDULE_STORAGE_KEY, JSON.stringify(schedule));
+        return schedule;
+    }
+
+    /**
+     * Take an automatic snapshot if one is due; returns the snapshot or null
+     */
+    async runScheduledBackup() {
+        const { frequency } = this.getSchedule();
+        if (this.runningScheduled || !this.firebaseService.shopId || !this.firebaseService.isOnline()) return null;
+
+        this.runningScheduled = true;
+        try {
+            const snapshots = await listSnapshots(this.firebaseService.shopId);
+            const lastAutomatic = snapshots.find(snapshot => snapshot.trigger !== 'manual');
+            if (!isBackupDue(frequency, lastAutomatic?.createdAt)) return null;
+
+            const backup = await this.collectBackup('all');
+            return await this.saveSnapshot(backup, frequency);
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Scheduled backup');
+            return null;
+        } finally {
+            this.runningScheduled = false;
+        }
+    }
+
+    /**
+     * Check for a due backup now and then hourly while the app is open
+     * onSnapshot(snapshot) is called after each automatic backup
+     */
+    startScheduler(onSnapshot = () => {}) {
+        this.stopScheduler();
+        const check = async () => {
+            const snapshot = await this.runScheduledBackup();
+            if (snapshot) onSnapshot(snapshot);
+        };
+        check();
+        this.schedulerTimer = setInterval(check, SCHEDULE_CHECK_INTERVAL);
+    }
+
+    /**
+     * Stop automatic backups (e.g. on sign-out)
+     */
+    stopScheduler() {
+        clearInterval(this.schedulerTimer);
+        this.schedulerTimer = null;
+    }
+}
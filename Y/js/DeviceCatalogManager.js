@@ -0,0 +1,360 @@
+/**
+ * DeviceCatalogManager - Phone brands and models shared by the repair tracker and the stock app
+ * Each device record (brand, model, aliases, colours) lives in the shop's devices collection. The voucher
+ * form autocompletes from it and stores the device's name and id, so "iPhone 11", "iphone11" and
+ * "I phone 11" report as one model; a one-time normalisation links the free text on older vouchers.
+ */
+
+import { toSearchKey } from './myanmarText.js';
+import { attachSuggestionDropdown } from './autocomplete.js';
+import { buildAuditEntry, diffVoucherChanges, getAuditActor } from './VoucherAuditLog.js';
+import { writeTotalsChanges } from './VoucherTotalsManager.js';
+
+const AUTOCOMPLETE_LIMIT = 8;
+const BATCH_LIMIT = 400;
+// A relinked voucher writes itself, its audit entry and at most two model totals
+const NORMALIZATION_CHUNK = BATCH_LIMIT / 4;
+const LEGACY_STORAGE_KEY = 'phoneData';
+const LEGACY_MIGRATED_KEY = 'phoneDataMigrated';
+
+/**
+ * Matching key for a brand, model or alias: search key without spaces or punctuation
+ */
+export function deviceKey(text) {
+    return toSearchKey(text).replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Name a device is shown and stored under: the model, prefixed with the brand unless it already starts with it
+ */
+export function deviceName(device) {
+    return deviceKey(device.model).startsWith(deviceKey(device.brand)) ? device.model : `${device.brand} ${device.model}`;
+}
+
+/**
+ * Trimmed text list without blanks or entries that share a matching key
+ */
+function uniqueTexts(texts, exclude = []) {
+    const seen = new Set(exclude.map(deviceKey));
+    return (texts || [])
+        .map(text => (text || '').toString().trim())
+        .filter(text => text && !seen.has(deviceKey(text)) && seen.add(deviceKey(text)));
+}
+
+/**
+ * Device record from edited fields; throws when the brand or model is missing
+ * Aliases that match the device's own name are dropped.
+ */
+export function normalizeDevice({ brand, model, aliases = [], colors = [] }) {
+    const device = { brand: (brand || '').trim(), model: (model || '').trim() };
+    if (!device.brand || !device.model) {
+        throw new Error('Brand နှင့် Model ထည့်သွင်းပါ');
+    }
+    return {
+        ...device,
+        aliases: uniqueTexts(aliases, [deviceName(device), device.model]),
+        colors: uniqueTexts(colors)
+    };
+}
+
+/**
+ * Every matching key a device answers to: its name, its model and its aliases
+ */
+function deviceKeys(device) {
+    return [deviceName(device), device.model, ...(device.aliases || [])].map(deviceKey);
+}
+
+/**
+ * Device whose name, model or alias matches free text, or null
+ */
+export function findDevice(devices, text) {
+    const key = deviceKey(text);
+    if (!key) return null;
+    return devices.find(device => deviceKeys(device).includes(key)) || null;
+}
+
+/**
+ * Devices for an autocomplete: names, models or aliases starting with the text first, then ones containing it
+ */
+export function searchDevices(devices, text, limit = AUTOCOMPLETE_LIMIT) {
+    const key = deviceKey(text);
+    if (!key) return [];
+    const ranked = devices
+        .map(device => {
+            const keys = deviceKeys(device);
+            return { device, rank: keys.some(candidate => candidate.startsWith(key)) ? 0 : keys.some(candidate => candidate.includes(key)) ? 1 : -1 };
+        })
+        .filter(entry => entry.rank >= 0)
+        .sort((a, b) => a.rank - b.rank || deviceName(a.device).localeCompare(deviceName(b.device)));
+    return ranked.slice(0, limit).map(entry => entry.device);
+}
+
+/**
+ * Brand → model names, as the stock app's brand and model pickers list them
+ */
+export function groupDevicesByBrand(devices) {
+    const brands = {};
+    devices.forEach(device => {
+        if (!brands[device.brand]) brands[device.brand] = [];
+        brands[device.brand].push(device.model);
+    });
+    return brands;
+}
+
+/**
+ * Distinct free-text phone models on vouchers not yet linked to a device, most used first
+ * Spellings with the same matching key are one entry; `deviceId` is the device they already match, if any.
+ */
+export function buildModelNormalizationPlan(vouchers, devices) {
+    const entries = new Map();
+    vouchers.forEach(voucher => {
+        const key = deviceKey(voucher.phoneModel);
+        if (!key || voucher.deviceId) return;
+        if (!entries.has(key)) {
+            const match = findDevice(devices, voucher.phoneModel);
+            entries.set(key, { key, spellings: [], voucherIds: [], deviceId: match ? match.id : null });
+        }
+        const entry = entries.get(key);
+        const spelling = voucher.phoneModel.trim();
+        if (!entry.spellings.includes(spelling)) entry.spellings.push(spelling);
+        entry.voucherIds.push(voucher.id);
+    });
+    return [...entries.values()].sort((a, b) => b.voucherIds.length - a.voucherIds.length || a.key.localeCompare(b.key));
+}
+
+export class DeviceCatalogManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.devices = new Map();
+        this.unsubscribe = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Devices collection reference for the current shop
+     */
+    devicesCollection() {
+        return this.firebaseService.collection(this.firebaseService.shopPath('devices'));
+    }
+
+    /**
+     * Device record reference
+     */
+    deviceRef(deviceId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`devices/${deviceId}`));
+    }
+
+    /**
+     * Start listening to the shop's devices
+     */
+    listen() {
+        this.stopListening();
+        this.unsubscribe = this.firebaseService.onSnapshot(this.devicesCollection(), (snapshot) => {
+            this.devices.clear();
+            snapshot.forEach(docSnap => {
+                this.devices.set(docSnap.id, { id: docSnap.id, aliases: [], colors: [], ...docSnap.data() });
+            });
+            this.listeners.forEach(listener => listener(this.getAll()));
+        }, (error) => {
+            this.errorHandler.handleError(error, 'Device listener');
+        });
+    }
+
+    /**
+     * Stop the device listener (on sign-out)
+     */
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.devices.clear();
+    }
+
+    /**
+     * Register a callback for device changes
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * All devices sorted by brand and model
+     */
+    getAll() {
+        return Array.from(this.devices.values())
+            .sort((a, b) => a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model));
+    }
+
+    /**
+     * Get a device by id
+     */
+    get(deviceId) {
+        return this.devices.get(deviceId) || null;
+    }
+
+    /**
+     * Device matching free text, or null
+     */
+    find(text) {
+        return findDevice(this.getAll(), text);
+    }
+
+    /**
+     * Devices for the phone model autocomplete
+     */
+    search(text, limit) {
+        return searchDevices(this.getAll(), text, limit);
+    }
+
+    /**
+     * Voucher fields for a typed phone model: the matching device's name and id, else the text as typed
+     */
+    fieldsFor(phoneModel) {
+        const device = this.find(phoneModel);
+        return device
+            ? { phoneModel: deviceName(device), deviceId: device.id }
+            : { phoneModel: (phoneModel || '').trim(), deviceId: null };
+    }
+
+    /**
+     * Model a voucher is reported under: its device's current name, else the text on the voucher
+     */
+    labelFor(voucher) {
+        const device = (voucher.deviceId && this.get(voucher.deviceId)) || this.find(voucher.phoneModel);
+        return device ? deviceName(device) : (voucher.phoneModel || '').trim();
+    }
+
+    /**
+     * Add (no id) or replace a device; throws if another device already answers to its name, model or an alias
+     */
+    async saveDevice(deviceId, fields) {
+        const device = normalizeDevice(fields);
+        const clash = [deviceName(device), device.model, ...device.aliases]
+            .map(text => this.find(text))
+            .find(match => match && match.id !== deviceId);
+        if (clash) {
+            throw new Error(`${deviceName(clash)} ရှိနှင့်ပြီးသား ဖြစ်သည်`);
+        }
+
+        const now = new Date().toISOString();
+        const id = deviceId || this.firebaseService.newDocRef(this.firebaseService.shopPath('devices')).id;
+        const existing = this.get(id);
+        const data = { ...device, createdAt: existing ? existing.createdAt : now, updatedAt: now };
+        await this.firebaseService.setDoc(this.deviceRef(id), data);
+        // Seen before the listener catches up, so back-to-back saves build on each other
+        this.devices.set(id, { id, ...data });
+        return id;
+    }
+
+    /**
+     * Delete a device (vouchers keep the name they were saved with)
+     */
+    async deleteDevice(deviceId) {
+        await this.firebaseService.deleteDoc(this.deviceRef(deviceId));
+    }
+
+    /**
+     * Import the brand → model list kept by the old localStorage stock app, once per browser
+     */
+    async importLegacyBrands() {
+        if (localStorage.getItem(LEGACY_MIGRATED_KEY)) return 0;
+
+        const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+        const phoneData = saved ? JSON.parse(saved) : {};
+        if (Object.keys(phoneData).length) {
+            // Models already in the shop (from another browser) are not imported twice
+            const snapshot = await this.firebaseService.getDocs(this.devicesCollection());
+            snapshot.forEach(docSnap => {
+                this.devices.set(docSnap.id, { id: docSnap.id, aliases: [], colors: [], ...docSnap.data() });
+            });
+        }
+        let importedCount = 0;
+        for (const [brand, models] of Object.entries(phoneData)) {
+            for (const model of models || []) {
+                if (this.find(deviceName({ brand, model }))) continue;
+                await this.saveDevice(null, { brand, model });
+                importedCount++;
+            }
+        }
+
+        localStorage.setItem(LEGACY_MIGRATED_KEY, new Date().toISOString());
+        return importedCount;
+    }
+
+    /**
+     * Unlinked free-text phone models across every voucher, with the device each already matches
+     */
+    async planModelNormalization() {
+        const snapshot = await this.firebaseService.getDocs(this.firebaseService.collection(this.firebaseService.shopPath('vouchers')));
+        const vouchers = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        return buildModelNormalizationPlan(vouchers, this.getAll());
+    }
+
+    /**
+     * Link the vouchers of each chosen plan entry to its device, renaming their phone model to the device's name
+     * Spellings that matched no device are kept as aliases, so typing them again finds the device.
+     * Each voucher's model totals and audit entry are written in the same transaction as the voucher.
+     * `assignments` are plan entries with the chosen deviceId; returns the number of vouchers updated.
+     */
+    async applyModelNormalization(assignments) {
+        const updates = [];
+        for (const { deviceId, spellings, voucherIds } of assignments) {
+            const device = this.get(deviceId);
+            if (!device) continue;
+            // A spelling that already answers to a device (this one or another) is not added as an alias
+            const newAliases = spellings.filter(spelling => !this.find(spelling));
+            if (newAliases.length) {
+                await this.saveDevice(deviceId, { ...device, aliases: [...device.aliases, ...newAliases] });
+            }
+            voucherIds.forEach(voucherId => updates.push({ voucherId, phoneModel: deviceName(device), deviceId }));
+        }
+
+        const fs = this.firebaseService;
+        let updatedCount = 0;
+        for (let i = 0; i < updates.length; i += NORMALIZATION_CHUNK) {
+            const chunk = updates.slice(i, i + NORMALIZATION_CHUNK);
+            updatedCount += await fs.runTransaction(async (transaction) => {
+                const refs = chunk.map(({ voucherId }) => fs.doc(fs.shopPath(`vouchers/${voucherId}`)));
+                const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+                const actor = getAuditActor(fs);
+                const pairs = [];
+                chunk.forEach(({ voucherId, phoneModel, deviceId }, index) => {
+                    // A voucher deleted since the plan was made is left alone
+                    if (!snapshots[index].exists()) return;
+                    const current = snapshots[index].data();
+                    const change = { phoneModel, deviceId };
+                    transaction.update(refs[index], { ...change, revision: fs.increment(1) });
+                    transaction.set(fs.newDocRef(fs.shopPath('voucherAudit')), buildAuditEntry({
+                        action: 'update', voucherId, voucher: current, changes: diffVoucherChanges(current, change), actor
+                    }));
+                    pairs.push({ before: current, after: { ...current, ...change } });
+                });
+                writeTotalsChanges(transaction, fs, pairs);
+                return pairs.length;
+            });
+        }
+        return updatedCount;
+    }
+
+    /**
+     * Attach the phone model autocomplete to a text input
+     * onSelect(device) fires when a suggestion is picked
+     */
+    attachAutocomplete(input, { onSelect } = {}) {
+        if (!input || input.dataset.deviceAutocompleteReady) return;
+        input.dataset.deviceAutocompleteReady = 'true';
+
+        attachSuggestionDropdown(input, {
+            search: (text) => this.search(text),
+            labelOf: deviceName,
+            renderItem: (device) => `
+                <span class="text-white">${deviceName(device)}</span>
+                <span class="text-xs text-gray-400 ml-2">${device.colors.join(', ')}</span>
+            `,
+            onSelect
+        });
+    }
+}
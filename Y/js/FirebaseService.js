@@ -3,19 +3,21 @@
  * Handles all Firebase authentication, Firestore, and configuration
  */
 
-import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
+import { initializeApp, getApps, getApp } from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js';
 import { 
     getAuth, 
     signInWithPopup, 
     GoogleAuthProvider, 
     signOut,
     onAuthStateChanged 
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+} from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js';
 import { 
     getFirestore, 
     collection, 
     doc, 
+    getDoc,
     getDocs, 
+    setDoc,
     addDoc, 
     updateDoc, 
     deleteDoc, 
@@ -23,9 +25,14 @@ import {
     where, 
     orderBy, 
     limit,
+    startAfter,
     onSnapshot,
-    writeBatch
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+    writeBatch,
+    increment,
+    arrayUnion,
+    runTransaction,
+    Timestamp
+} from 'https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js';
 import { firebaseConfig, appConfig } from './config.js';
 
 export class FirebaseService {
@@ -34,6 +41,7 @@ export class FirebaseService {
         this.auth = null;
         this.db = null;
         this.appId = appConfig.appId;
+        this.shopId = null;
         this.initializeFirebase();
     }
 
@@ -44,7 +52,8 @@ export class FirebaseService {
 
         try {
             console.log('🔄 Initializing Firebase with config:', firebaseConfig);
-            this.app = initializeApp(firebaseConfig);
+            // index.html initializes the same project inline; share its app so auth state is shared too
+            this.app = getApps().length ? getApp() : initializeApp(firebaseConfig);
             this.auth = getAuth(this.app);
             this.db = getFirestore(this.app);
             console.log('✅ Firebase initialized successfully');
@@ -108,6 +117,24 @@ export class FirebaseService {
         return onAuthStateChanged(this.auth, callback);
     }
 
+    /**
+     * Set the shop workspace that data paths resolve against
+     */
+    setShopId(shopId) {
+        this.shopId = shopId;
+    }
+
+    /**
+     * Build a path inside the current shop workspace
+     */
+    shopPath(subPath = '') {
+        if (!this.shopId) {
+            throw new Error('Shop workspace not selected');
+        }
+        const root = `artifacts/${this.appId}/shops/${this.shopId}`;
+        return subPath ? `${root}/${subPath}` : root;
+    }
+
     /**
      * Get Firestore collection reference
      */
@@ -128,6 +155,36 @@ export class FirebaseService {
         return doc(this.db, path);
     }
 
+    /**
+     * Document reference with a new auto-generated id in a collection
+     */
+    newDocRef(collectionPath) {
+        if (!this.db) {
+            throw new Error('Firestore not initialized');
+        }
+        return doc(collection(this.db, collectionPath));
+    }
+
+    /**
+     * Get a single document
+     */
+    async getDoc(docRef) {
+        if (!this.db) {
+            throw new Error('Firestore not initialized');
+        }
+        return await getDoc(docRef);
+    }
+
+    /**
+     * Create or overwrite a document
+     */
+    async setDoc(docRef, data, options = {}) {
+        if (!this.db) {
+            throw new Error('Firestore not initialized');
+        }
+        return await setDoc(docRef, data, options);
+    }
+
     /**
      * Get all documents from a collection
      */
@@ -178,6 +235,69 @@ export class FirebaseService {
         return query(collectionRef, ...queryConstraints);
     }
 
+    /**
+     * Create a where() query constraint
+     */
+    where(field, operator, value) {
+        return where(field, operator, value);
+    }
+
+    /**
+     * Create an orderBy() query constraint
+     */
+    orderBy(field, direction = 'asc') {
+        return orderBy(field, direction);
+    }
+
+    /**
+     * Create a limit() query constraint
+     */
+    limit(count) {
+        return limit(count);
+    }
+
+    /**
+     * Create a startAfter() query cursor (a document snapshot, or field values in orderBy order)
+     */
+    startAfter(...values) {
+        return startAfter(...values);
+    }
+
+    /**
+     * Create an atomic numeric increment for updateDoc
+     */
+    increment(amount) {
+        return increment(amount);
+    }
+
+    /**
+     * Create an array union (append without duplicates) for updateDoc
+     */
+    arrayUnion(...elements) {
+        return arrayUnion(...elements);
+    }
+
+    /**
+     * Firestore timestamp from seconds/nanoseconds (e.g. a timestamp read back from JSON)
+     */
+    timestamp(seconds, nanoseconds = 0) {
+        return new Timestamp(seconds, nanoseconds);
+    }
+
+    /**
+     * Read one page of a query: up to `pageSize` documents after the `after` cursor
+     * Returns { docs, cursor, hasMore }; pass `cursor` (the page's last document) back as `after` for the next page.
+     */
+    async getPage(collectionRef, constraints = [], { pageSize = 100, after = null } = {}) {
+        const cursor = after ? [this.startAfter(after)] : [];
+        const snapshot = await this.getDocs(this.createQuery(collectionRef, ...constraints, ...cursor, this.limit(pageSize)));
+        return {
+            docs: snapshot.docs,
+            cursor: snapshot.docs.length ? snapshot.docs[snapshot.docs.length - 1] : after,
+            hasMore: snapshot.docs.length === pageSize
+        };
+    }
+
     /**
      * Listen to real-time updates
      */
@@ -198,6 +318,16 @@ export class FirebaseService {
         return writeBatch(this.db);
     }
 
+    /**
+     * Run a read-then-write transaction
+     */
+    async runTransaction(updateFunction) {
+        if (!this.db) {
+            throw new Error('Firestore not initialized');
+        }
+        return await runTransaction(this.db, updateFunction);
+    }
+
     /**
      * Utility functions for common queries
      */
@@ -205,8 +335,8 @@ export class FirebaseService {
     /**
      * Get vouchers for a specific date
      */
-    async getVouchersByDate(userId, date) {
-        const vouchersCollection = this.collection(`artifacts/${this.appId}/users/${userId}/vouchers`);
+    async getVouchersByDate(date) {
+        const vouchersCollection = this.collection(this.shopPath('vouchers'));
         const q = this.createQuery(
             vouchersCollection,
             where('date', '==', date),
@@ -218,8 +348,8 @@ export class FirebaseService {
     /**
      * Get vouchers for a date range
      */
-    async getVouchersByDateRange(userId, startDate, endDate) {
-        const vouchersCollection = this.collection(`artifacts/${this.appId}/users/${userId}/vouchers`);
+    async getVouchersByDateRange(startDate, endDate) {
+        const vouchersCollection = this.collection(this.shopPath('vouchers'));
         const q = this.createQuery(
             vouchersCollection,
             where('date', '>=', startDate),
@@ -233,8 +363,8 @@ export class FirebaseService {
     /**
      * Get vouchers by technician
      */
-    async getVouchersByTechnician(userId, technicianName) {
-        const vouchersCollection = this.collection(`artifacts/${this.appId}/users/${userId}/vouchers`);
+    async getVouchersByTechnician(technicianName) {
+        const vouchersCollection = this.collection(this.shopPath('vouchers'));
         const q = this.createQuery(
             vouchersCollection,
             where('technicianName', '==', technicianName),
@@ -244,39 +374,25 @@ export class FirebaseService {
     }
 
     /**
-     * Get all vouchers for a user (with pagination)
-     */
-    async getAllVouchers(userId, limitCount = 1000) {
-        const vouchersCollection = this.collection(`artifacts/${this.appId}/users/${userId}/vouchers`);
-        const q = this.createQuery(
-            vouchersCollection,
-            orderBy('timestamp', 'desc'),
-            limit(limitCount)
-        );
-        return await this.getDocs(q);
-    }
-
-    /**
-     * Get technicians for a user
+     * Get the shop's technician list document
      */
-    async getTechnicians(userId) {
-        const techniciansDoc = this.doc(`artifacts/${this.appId}/users/${userId}/technicians`);
-        return await this.getDocs(this.collection(`artifacts/${this.appId}/users/${userId}`));
+    async getTechnicians() {
+        return await this.getDoc(this.doc(this.shopPath('technicianList/technicians')));
     }
 
     /**
      * Update technicians list
      */
-    async updateTechnicians(userId, techniciansData) {
-        const techniciansRef = this.doc(`artifacts/${this.appId}/users/${userId}/technicians`);
+    async updateTechnicians(techniciansData) {
+        const techniciansRef = this.doc(this.shopPath('technicianList/technicians'));
         return await this.updateDoc(techniciansRef, techniciansData);
     }
 
     /**
      * Add technician
      */
-    async addTechnician(userId, technicianData) {
-        const techniciansRef = this.doc(`artifacts/${this.appId}/users/${userId}/technicians`);
+    async addTechnician(technicianData) {
+        const techniciansRef = this.doc(this.shopPath('technicianList/technicians'));
         return await this.updateDoc(techniciansRef, technicianData);
     }
 
@@ -0,0 +1,366 @@
+/**
+ * InventoryManager - Parts inventory stored in the shop's Firestore inventory collection
+ * Handles stock CRUD, legacy localStorage import, and parts consumed by repair vouchers
+ */
+
+export const LOW_STOCK_THRESHOLD = 10;
+const LEGACY_STORAGE_KEY = 'phoneStockItems';
+const LEGACY_MIGRATED_KEY = 'phoneStockItemsMigrated';
+const BATCH_LIMIT = 400;
+
+/**
+ * Total cost of the parts recorded on a voucher
+ */
+export function calculatePartsCost(parts = []) {
+    return parts.reduce((sum, part) => sum + (Number(part.unitCost) || 0) * (Number(part.quantity) || 0), 0);
+}
+
+/**
+ * Profit of a voucher: amount minus the cost of the parts it used
+ */
+export function getVoucherProfit(voucher) {
+    const partsCost = voucher.partsCost !== undefined ? Number(voucher.partsCost) || 0 : calculatePartsCost(voucher.partsUsed);
+    return (Number(voucher.amount) || 0) - partsCost;
+}
+
+/**
+ * Net quantity change per item between two parts lists (positive = more consumed)
+ */
+export function diffParts(oldParts = [], newParts = []) {
+    const delta = new Map();
+    oldParts.forEach(part => delta.set(part.itemId, (delta.get(part.itemId) || 0) - part.quantity));
+    newParts.forEach(part => delta.set(part.itemId, (delta.get(part.itemId) || 0) + part.quantity));
+    return Array.from(delta.entries())
+        .filter(([, quantity]) => quantity !== 0)
+        .map(([itemId, quantity]) => ({ itemId, quantity }));
+}
+
+/**
+ * Stock level label and badge classes for a quantity
+ */
+export function getStockStatus(quantity) {
+    if (quantity <= 0) {
+        return { value: 'out-of-stock', text: 'Out of Stock', class: 'bg-red-100 text-red-800' };
+    } else if (quantity <= LOW_STOCK_THRESHOLD) {
+        return { value: 'low-stock', text: 'Low Stock', class: 'bg-yellow-100 text-yellow-800' };
+    }
+    return { value: 'in-stock', text: 'In Stock', class: 'bg-green-100 text-green-800' };
+}
+
+export class InventoryManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.items = new Map();
+        this.unsubscribe = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Inventory collection reference for the current shop
+     */
+    inventoryCollection() {
+        return this.firebaseService.collection(this.firebaseService.shopPath('inventory'));
+    }
+
+    /**
+     * Inventory item reference
+     */
+    itemRef(itemId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`inventory/${itemId}`));
+    }
+
+    /**
+     * Start listening to the shop's inventory
+     */
+    listen() {
+        this.stopListening();
+        this.unsubscribe = this.firebaseService.onSnapshot(this.inventoryCollection(), (snapshot) => {
+            this.items.clear();
+            snapshot.forEach(docSnap => {
+                this.items.set(docSnap.id, { id: docSnap.id, ...docSnap.data() });
+            });
+            this.listeners.forEach(listener => listener(this.getAll()));
+        }, (error) => {
+            this.errorHandler.handleError(error, 'Inventory listener');
+        });
+    }
+
+    /**
+     * Stop the inventory listener (on sign-out)
+     */
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.items.clear();
+    }
+
+    /**
+     * Register a callback for inventory changes
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * All items sorted by brand and model
+     */
+    getAll() {
+        return Array.from(this.items.values())
+            .sort((a, b) => `${a.brand} ${a.model}`.localeCompare(`${b.brand} ${b.model}`));
+    }
+
+    /**
+     * Get an item by id
+     */
+    get(itemId) {
+        return this.items.get(itemId) || null;
+    }
+
+    /**
+     * Add a stock item
+     */
+    async addItem({ brand, model, sku, quantity, costPrice, sellingPrice, description = '', category = 'screen' }) {
+        const now = new Date().toISOString();
+        const itemData = {
+            brand,
+            model,
+            name: `${brand} ${model}`.trim(),
+            category,
+            sku,
+            quantity: Number(quantity) || 0,
+            costPrice: Number(costPrice) || 0,
+            sellingPrice: Number(sellingPrice) || 0,
+            description,
+            createdAt: now,
+            updatedAt: now
+        };
+        const docRef = await this.firebaseService.addDoc(this.inventoryCollection(), itemData);
+        return docRef.id;
+    }
+
+    /**
+     * Update fields of a stock item
+     */
+    async updateItem(itemId, updates) {
+        await this.firebaseService.updateDoc(this.itemRef(itemId), { ...updates, updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Delete a stock item
+     */
+    async deleteItem(itemId) {
+        await this.firebaseService.deleteDoc(this.itemRef(itemId));
+    }
+
+    /**
+     * Import items saved by the old localStorage stock app, once per browser and shop
+     * Returns how many items were added.
+     */
+    async importLegacyItems() {
+        const migratedKey = `${LEGACY_MIGRATED_KEY}_${this.firebaseService.shopId}`;
+        if (localStorage.getItem(migratedKey)) return 0;
+
+        const saved = localStorage.getItem(LEGACY_STORAGE_KEY);
+        const legacyItems = saved ? JSON.parse(saved) : [];
+
+        // Fixed ids let a retry after a failed chunk skip the items already written, whose stock may have moved since
+        let imported = 0;
+        for (let i = 0; i < legacyItems.length; i += BATCH_LIMIT) {
+            const chunk = legacyItems.slice(i, i + BATCH_LIMIT);
+            const existing = await Promise.all(chunk.map(item => this.firebaseService.getDoc(this.legacyItemRef(item))));
+            const missing = chunk.filter((_, index) => !existing[index].exists());
+            if (missing.length === 0) continue;
+
+            const batch = this.firebaseService.batch();
+            missing.forEach(item => this.setLegacyItem(batch, item));
+            await batch.commit();
+            imported += missing.length;
+        }
+
+        localStorage.setItem(migratedKey, new Date().toISOString());
+        return imported;
+    }
+
+    /**
+     * Reference an item from the old localStorage stock app is imported to
+     */
+    legacyItemRef(item) {
+        return this.itemRef(`legacy_${item.id}`);
+    }
+
+    /**
+     * Add one item from the old localStorage stock app to a batch
+     */
+    setLegacyItem(batch, item) {
+        const now = new Date().toISOString();
+        const createdAt = new Date(item.createdAt);
+        batch.set(this.legacyItemRef(item), {
+            brand: item.brand || '',
+            model: item.model || '',
+            name: `${item.brand || ''} ${item.model || ''}`.trim(),
+            category: 'screen',
+            sku: item.sku || '',
+            quantity: Number(item.quantity) || 0,
+            costPrice: Number(item.costPrice) || 0,
+            sellingPrice: Number(item.sellingPrice) || 0,
+            description: item.description || '',
+            // Unreadable dates from the old app fall back to the import time instead of stopping the import
+            createdAt: item.createdAt && !isNaN(createdAt.getTime()) ? createdAt.toISOString() : now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Build the parts record stored on a voucher (unit cost is frozen at time of use)
+     */
+    buildPartEntry(itemId, quantity) {
+        const item = this.get(itemId);
+        if (!item) {
+            throw new Error('Inventory item not found');
+        }
+        return {
+            itemId,
+            name: item.name,
+            sku: item.sku,
+            quantity: Number(quantity) || 0,
+            unitCost: Number(item.costPrice) || 0
+        };
+    }
+
+    /**
+     * Atomically apply quantity changes; positive quantities are consumed, negative ones restored
+     * Throws if any item would go below zero
+     */
+    async applyStockChanges(changes) {
+        if (!changes.length) return;
+
+        await this.firebaseService.runTransaction(async (transaction) => {
+            const refs = changes.map(change => this.itemRef(change.itemId));
+            const snaps = await Promise.all(refs.map(ref => transaction.get(ref)));
+
+            snaps.forEach((snap, index) => {
+                const change = changes[index];
+                if (!snap.exists()) {
+                    // Item deleted since use: nothing to restore, and nothing to consume from
+                    if (change.quantity > 0) {
+                        throw new Error('Inventory item no longer exists');
+                    }
+                    return;
+                }
+
+                const item = snap.data();
+                const newQuantity = (Number(item.quantity) || 0) - change.quantity;
+                if (newQuantity < 0) {
+                    throw new Error(`${item.name} လက်ကျန် မလုံလောက်ပါ (${item.quantity} ခုသာ ကျန်ပါသည်)`);
+                }
+                transaction.update(refs[index], { quantity: newQuantity, updatedAt: new Date().toISOString() });
+            });
+        });
+    }
+
+    /**
+     * Decrement stock for parts used by a new voucher
+     */
+    async consumeParts(parts = []) {
+        await this.applyStockChanges(diffParts([], parts));
+    }
+
+    /**
+     * Put stock back for parts of a deleted voucher
+     */
+    async restoreParts(parts = []) {
+        await this.applyStockChanges(diffParts(parts, []));
+    }
+
+    /**
+     * Reconcile stock when a voucher's parts list is edited
+     */
+    async replaceParts(oldParts = [], newParts = []) {
+        await this.applyStockChanges(diffParts(oldParts, newParts));
+    }
+
+    /**
+     * Attach a parts picker (item select, quantity, list of chosen parts) to a container
+     * Returns { getParts, setParts, reset }
+     */
+    attachPartsPicker(container, { initialParts = [], onChange } = {}) {
+        let parts = initialParts.map(part => ({ ...part }));
+
+        container.innerHTML = `
+            <div class="flex flex-col sm:flex-row gap-2">
+                <select class="parts-item-select office-input p-2 flex-1"></select>
+                <input type="number" min="1" value="1" class="parts-qty-input office-input p-2 w-20">
+                <button type="button" class="parts-add-btn office-button py-2 px-4">+ Part</button>
+            </div>
+            <ul class="parts-list space-y-1 mt-2 text-sm"></ul>
+        `;
+        const select = container.querySelector('.parts-item-select');
+        const qtyInput = container.querySelector('.parts-qty-input');
+        const list = container.querySelector('.parts-list');
+
+        const renderOptions = () => {
+            const current = select.value;
+            select.innerHTML = '<option value="">Part ရွေးရန် (Optional)</option>' + this.getAll().map(item =>
+                `<option value="${item.id}" ${item.quantity <= 0 ? 'disabled' : ''}>${item.name} · ${item.sku || ''} (${item.quantity} ခု)</option>`
+            ).join('');
+            select.value = current;
+        };
+
+        const renderList = () => {
+            list.innerHTML = parts.map((part, index) => `
+                <li class="flex justify-between items-center bg-gray-700 px-2 py-1 rounded">
+                    <span>${part.name} × ${part.quantity}</span>
+                    <span>
+                        <span class="text-gray-400 mr-2">${(part.unitCost * part.quantity).toLocaleString()} ¥</span>
+                        <button type="button" class="parts-remove-btn text-red-400 hover:text-red-300" data-index="${index}">✕</button>
+                    </span>
+                </li>
+            `).join('');
+            list.querySelectorAll('.parts-remove-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    parts.splice(Number(button.dataset.index), 1);
+                    renderList();
+                    if (onChange) onChange(parts);
+                });
+            });
+        };
+
+        container.querySelector('.parts-add-btn').addEventListener('click', () => {
+            const itemId = select.value;
+            const quantity = parseInt(qtyInput.value, 10);
+            if (!itemId || !quantity || quantity <= 0) return;
+
+            const existing = parts.find(part => part.itemId === itemId);
+            if (existing) {
+                existing.quantity += quantity;
+            } else {
+                parts.push(this.buildPartEntry(itemId, quantity));
+            }
+            qtyInput.value = 1;
+            select.value = '';
+            renderList();
+            if (onChange) onChange(parts);
+        });
+
+        const unsubscribe = this.onChange(renderOptions);
+        renderOptions();
+        renderList();
+
+        return {
+            getParts: () => parts.map(part => ({ ...part })),
+            setParts: (newParts) => {
+                parts = newParts.map(part => ({ ...part }));
+                renderList();
+            },
+            reset: () => {
+                parts = [];
+                renderList();
+            },
+            detach: unsubscribe
+        };
+    }
+}
@@ -0,0 +1,283 @@
+/**
+ * NotificationManager - Customer pickup notification outbox
+ * Moving a voucher to "ready for pickup" queues a notifications/{id} document in the same write;
+ * a manager's device renders the shop's template and sends it through the configured provider,
+ * recording the delivery status on the notification and on the voucher
+ */
+
+import { createNotificationProvider, NOTIFICATION_PROVIDERS } from './notificationProviders.js';
+import { receiptConfig } from './config.js';
+
+export const NOTIFICATION_LANGUAGES = {
+    my: 'မြန်မာ',
+    en: 'English'
+};
+
+export const TEMPLATE_PLACEHOLDERS = ['customer', 'model', 'voucher', 'amount', 'shop'];
+
+export const DEFAULT_NOTIFICATION_TEMPLATES = {
+    ready_for_pickup: {
+        my: '{customer} ရှင့်/ခင်ဗျာ၊ သင့် {model} (Voucher {voucher}) ပြုပြင်ပြီးပါပြီ။ ကျသင့်ငွေ {amount} ¥ ဖြင့် ဆိုင်တွင် လာယူနိုင်ပါပြီ။ - {shop}',
+        en: 'Hi {customer}, your {model} (voucher {voucher}) is repaired and ready for pickup. Amount due: {amount} ¥. - {shop}'
+    }
+};
+
+export const NOTIFICATION_STATUSES = {
+    queued: { label: 'ပို့ရန် စောင့်ဆိုင်း', icon: '⏳', color: 'bg-yellow-600' },
+    sent: { label: 'ပို့ပြီး', icon: '📨', color: 'bg-green-600' },
+    failed: { label: 'ပို့၍ မရပါ', icon: '⚠️', color: 'bg-red-600' }
+};
+
+/**
+ * Fill {placeholder}s in a template; unknown placeholders are left as written
+ */
+export function renderNotificationTemplate(template, values) {
+    return (template || '').replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key] ?? '') : match));
+}
+
+/**
+ * Placeholder values for a voucher
+ */
+export function buildTemplateValues(voucher) {
+    return {
+        customer: voucher.customerName || '',
+        model: voucher.phoneModel || '',
+        voucher: voucher.voucherNumber || '',
+        amount: (Number(voucher.amount) || 0).toLocaleString(),
+        shop: receiptConfig.shopName
+    };
+}
+
+/**
+ * Settings with defaults filled in
+ */
+export function normalizeNotificationSettings(data = {}) {
+    const templates = data.templates || {};
+    return {
+        enabled: Boolean(data.enabled),
+        provider: NOTIFICATION_PROVIDERS[data.provider] ? data.provider : 'mock',
+        language: NOTIFICATION_LANGUAGES[data.language] ? data.language : 'my',
+        templates: {
+            ready_for_pickup: { ...DEFAULT_NOTIFICATION_TEMPLATES.ready_for_pickup, ...(templates.ready_for_pickup || {}) }
+        },
+        http: { url: '', apiKey: '', sender: '', ...(data.http || {}) },
+        viber: { token: '', senderName: receiptConfig.shopName, ...(data.viber || {}) }
+    };
+}
+
+/**
+ * Small delivery badge for a voucher row, or '' when nothing was queued
+ */
+export function renderNotificationBadge(notification) {
+    if (!notification || !NOTIFICATION_STATUSES[notification.status]) return '';
+    const status = NOTIFICATION_STATUSES[notification.status];
+    const title = [status.label, notification.channel, notification.error].filter(Boolean).join(' · ').replace(/"/g, '&quot;');
+    return `<span class="${status.color} text-white text-xs px-2 py-0.5 rounded ml-1" title="${title}">${status.icon}</span>`;
+}
+
+export class NotificationManager {
+    constructor(firebaseService, errorHandler, customerManager = null, provider = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.customerManager = customerManager;
+        // Fixed provider (e.g. MockNotificationProvider in tests); otherwise built from settings
+        this.provider = provider;
+        this.settings = normalizeNotificationSettings();
+        this.unsubscribe = null;
+        this.processing = null;
+        this.processAgain = false;
+    }
+
+    /**
+     * Reference to the shop's notification settings
+     */
+    settingsRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/notifications'));
+    }
+
+    /**
+     * Path of the notification outbox collection
+     */
+    notificationsPath() {
+        return this.firebaseService.shopPath('notifications');
+    }
+
+    /**
+     * Reference to one queued notification
+     */
+    notificationRef(notificationId) {
+        return this.firebaseService.doc(`${this.notificationsPath()}/${notificationId}`);
+    }
+
+    /**
+     * Load the shop's notification settings
+     */
+    async loadSettings() {
+        const snap = await this.firebaseService.getDoc(this.settingsRef());
+        this.settings = normalizeNotificationSettings(snap.exists() ? snap.data() : {});
+        return this.settings;
+    }
+
+    /**
+     * Save the shop's notification settings
+     */
+    async saveSettings(settings) {
+        const normalized = normalizeNotificationSettings(settings);
+        await this.firebaseService.setDoc(this.settingsRef(), { ...normalized, updatedAt: new Date().toISOString() });
+        this.settings = normalized;
+        return normalized;
+    }
+
+    /**
+     * Outbox entry for a voucher that just became ready for pickup, or null when the customer
+     * cannot be reached. Returns { ref, data, voucherStatus } for the caller's write.
+     */
+    buildPickupNotification(voucherId, voucher) {
+        if (!voucher.customerPhone && !voucher.customerId) return null;
+        const now = new Date().toISOString();
+        return {
+            ref: this.firebaseService.newDocRef(this.notificationsPath()),
+            data: {
+                event: 'ready_for_pickup',
+                voucherId,
+                customerId: voucher.customerId || null,
+                phone: voucher.customerPhone || '',
+                values: buildTemplateValues(voucher),
+                status: 'queued',
+                attempts: 0,
+                createdAt: now,
+                createdBy: this.firebaseService.getCurrentUser()?.uid || null
+            },
+            voucherStatus: { status: 'queued', at: now }
+        };
+    }
+
+    /**
+     * Send queued notifications whenever any are waiting (managers' devices only)
+     */
+    listen() {
+        this.stopListening();
+        const fs = this.firebaseService;
+        const q = fs.createQuery(fs.collection(this.notificationsPath()), fs.where('status', '==', 'queued'));
+        this.unsubscribe = fs.onSnapshot(q, (snapshot) => {
+            if (!snapshot.empty) {
+                this.processQueue().catch(error => this.errorHandler.handleError(error, 'Notification outbox'));
+            }
+        }, (error) => this.errorHandler.handleError(error, 'Notification listener'));
+    }
+
+    /**
+     * Stop sending queued notifications
+     */
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Send every queued notification once; runs one pass at a time
+     * Returns { sent, failed } for the pass, or null while sending is disabled.
+     */
+    async processQueue() {
+        if (this.processing) {
+            this.processAgain = true;
+            return await this.processing;
+        }
+        this.processing = this.sendQueued();
+        try {
+            return await this.processing;
+        } finally {
+            this.processing = null;
+            if (this.processAgain) {
+                this.processAgain = false;
+                await this.processQueue();
+            }
+        }
+    }
+
+    /**
+     * One pass over the queue
+     */
+    async sendQueued() {
+        const settings = await this.loadSettings();
+        if (!settings.enabled) return null;
+
+        const fs = this.firebaseService;
+        const snapshot = await fs.getDocs(fs.createQuery(fs.collection(this.notificationsPath()), fs.where('status', '==', 'queued')));
+        const result = { sent: 0, failed: 0 };
+        let provider = this.provider;
+        let providerError = null;
+        if (!provider) {
+            try {
+                provider = createNotificationProvider(settings);
+            } catch (error) {
+                providerError = error;
+            }
+        }
+
+        for (const docSnap of snapshot.docs) {
+            const outcome = await this.deliver(docSnap.id, docSnap.data(), provider, providerError);
+            result[outcome]++;
+        }
+        return result;
+    }
+
+    /**
+     * Send one notification and record the outcome; failures wait for a manual retry
+     */
+    async deliver(notificationId, notification, provider, providerError = null) {
+        const template = this.settings.templates[notification.event][this.settings.language];
+        const text = renderNotificationTemplate(template, notification.values || {});
+        const customer = this.customerManager && notification.customerId ? this.customerManager.get(notification.customerId) : null;
+        const to = { phone: notification.phone || (customer && customer.phones && customer.phones[0]) || '', viberId: customer ? customer.viberId || '' : '' };
+        const at = new Date().toISOString();
+
+        let update;
+        try {
+            if (providerError) throw providerError;
+            const { providerMessageId } = await provider.send({ to, text });
+            update = { status: 'sent', channel: provider.channel, text, sentAt: at, providerMessageId: providerMessageId || null, error: null };
+        } catch (error) {
+            update = { status: 'failed', channel: provider ? provider.channel : null, text, failedAt: at, error: error.message };
+        }
+
+        await this.firebaseService.updateDoc(this.notificationRef(notificationId), { ...update, attempts: this.firebaseService.increment(1) });
+        await this.recordOnVoucher(notification.voucherId, { status: update.status, channel: update.channel, at, error: update.error });
+        return update.status;
+    }
+
+    /**
+     * Delivery status on the voucher, bumping its revision; a voucher deleted in the meantime is skipped
+     */
+    async recordOnVoucher(voucherId, status) {
+        try {
+            await this.firebaseService.updateDoc(this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${voucherId}`)), {
+                notification: status,
+                revision: this.firebaseService.increment(1)
+            });
+        } catch (error) {
+            if (error.code !== 'not-found') throw error;
+        }
+    }
+
+    /**
+     * Queue a failed notification again
+     */
+    async retry(notificationId) {
+        const snap = await this.firebaseService.getDoc(this.notificationRef(notificationId));
+        if (!snap.exists()) return;
+        await this.firebaseService.updateDoc(this.notificationRef(notificationId), { status: 'queued', error: null });
+        await this.recordOnVoucher(snap.data().voucherId, { status: 'queued', at: new Date().toISOString() });
+    }
+
+    /**
+     * Notifications, newest first
+     */
+    async listRecent() {
+        const fs = this.firebaseService;
+        const snapshot = await fs.getDocs(fs.createQuery(fs.collection(this.notificationsPath()), fs.orderBy('createdAt', 'desc')));
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+}
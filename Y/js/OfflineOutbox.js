@@ -0,0 +1,308 @@
+/**
+ * OfflineOutbox - Durable queue of writes made while offline, kept in IndexedDB
+ * Items replay in order with retry/backoff; each replay step is journaled so a retry never repeats
+ * a step that already succeeded, and items that keep failing are parked in a dead-letter list
+ */
+
+const DB_NAME = 'kkms-outbox';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const DEAD_LETTER_STORE = 'deadLetters';
+const LEGACY_QUEUE_KEY = 'offlineQueue';
+
+// Retries within one sync run (errorHandler.retry doubles the delay each time)
+const RETRIES_PER_SYNC = 3;
+const RETRY_DELAY = 1000;
+// Sync runs an item may fail before it is parked; between runs it waits BACKOFF_BASE * 2^attempts
+const MAX_SYNC_ATTEMPTS = 5;
+const BACKOFF_BASE = 30 * 1000;
+const BACKOFF_MAX = 30 * 60 * 1000;
+
+// Firestore errors that will not go away by trying again
+const PERMANENT_ERROR_CODES = ['permission-denied', 'invalid-argument', 'not-found', 'already-exists', 'failed-precondition'];
+
+/**
+ * Whether a failed replay should go straight to the dead-letter list
+ */
+export function isPermanentError(error) {
+    return !!error && PERMANENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Delay before the next sync run may retry an item that has failed `attempts` times
+ */
+export function backoffDelay(attempts) {
+    return Math.min(BACKOFF_BASE * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX);
+}
+
+/**
+ * Give an add queued without a voucher id (by the old localStorage queue) one, so every replay writes the same voucher
+ */
+function withStableVoucherId(item) {
+    return item.type === 'addVoucher' && !item.voucherId ? { ...item, voucherId: crypto.randomUUID() } : item;
+}
+
+export class OfflineOutbox {
+    constructor(errorHandler, { maxItems = 100 } = {}) {
+        this.errorHandler = errorHandler;
+        this.maxItems = maxItems;
+        this.dbPromise = null;
+        this.listeners = new Set();
+        this.processing = false;
+        this.lastSequence = 0;
+    }
+
+    /**
+     * Strictly increasing order key, so actions queued in the same millisecond keep their order
+     */
+    nextSequence(time) {
+        this.lastSequence = Math.max(time, this.lastSequence + 1);
+        return this.lastSequence;
+    }
+
+    /**
+     * Open (and create on first use) the outbox database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                    request.result.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction and resolve with the last request's result
+     */
+    async transact(storeNames, mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => transaction.objectStore(name));
+            const request = run(...stores);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Be notified of pending / dead-letter counts whenever they change
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Push current counts to subscribers
+     */
+    async notify() {
+        const counts = await this.getCounts();
+        this.listeners.forEach(listener => listener(counts));
+        return counts;
+    }
+
+    /**
+     * Pending and dead-letter item counts
+     */
+    async getCounts() {
+        const [pending, deadLetters] = await Promise.all([
+            this.transact(OUTBOX_STORE, 'readonly', store => store.count()),
+            this.transact(DEAD_LETTER_STORE, 'readonly', store => store.count())
+        ]);
+        return { pending, deadLetters };
+    }
+
+    /**
+     * Pending items, oldest first
+     */
+    async list() {
+        const items = await this.transact(OUTBOX_STORE, 'readonly', store => store.getAll());
+        return (items || []).sort((a, b) => a.sequence - b.sequence);
+    }
+
+    /**
+     * Parked items, newest first
+     */
+    async listDeadLetters() {
+        const items = await this.transact(DEAD_LETTER_STORE, 'readonly', store => store.getAll());
+        return (items || []).sort((a, b) => (b.parkedAt || '').localeCompare(a.parkedAt || ''));
+    }
+
+    /**
+     * Add an action; throws if the outbox already holds maxItems pending actions
+     */
+    async enqueue(action, shopId) {
+        const { pending } = await this.getCounts();
+        if (pending >= this.maxItems) {
+            throw new Error(`Offline queue is full (${this.maxItems} pending changes). Reconnect to sync before making more changes.`);
+        }
+        const now = new Date();
+        const item = {
+            ...action,
+            id: crypto.randomUUID(),
+            shopId,
+            sequence: this.nextSequence(now.getTime()),
+            createdAt: now.toISOString(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            completedSteps: [],
+            lastError: null
+        };
+        await this.transact(OUTBOX_STORE, 'readwrite', store => store.put(item));
+        await this.notify();
+        return item;
+    }
+
+    /**
+     * Move actions from the old localStorage queue into the outbox (once)
+     */
+    async importLegacyQueue(shopId) {
+        const saved = localStorage.getItem(LEGACY_QUEUE_KEY);
+        if (!saved) return 0;
+        let legacyActions = [];
+        try {
+            legacyActions = JSON.parse(saved) || [];
+        } catch (error) {
+            legacyActions = [];
+        }
+        for (const { id, timestamp, ...action } of legacyActions) {
+            await this.transact(OUTBOX_STORE, 'readwrite', store => store.put({
+                ...withStableVoucherId(action),
+                id: crypto.randomUUID(),
+                shopId,
+                sequence: Date.parse(timestamp) || Date.now(),
+                createdAt: timestamp || new Date().toISOString(),
+                attempts: 0,
+                nextAttemptAt: 0,
+                completedSteps: [],
+                lastError: null
+            }));
+        }
+        localStorage.removeItem(LEGACY_QUEUE_KEY);
+        await this.notify();
+        return legacyActions.length;
+    }
+
+    /**
+     * Replay due items for a shop in order
+     * execute(item, step) performs the action; wrap each side effect in
+     * `await step('name', () => ...)` so it runs at most once across retries.
+     * Once an item for a voucher fails or is still backing off, the voucher's later items wait for
+     * a later run, so its edits never land out of order; while one is parked they wait until it is
+     * retried or discarded.
+     * Returns { synced, failed, parked }.
+     */
+    async process(shopId, execute) {
+        if (this.processing) return { synced: 0, failed: 0, parked: 0 };
+        this.processing = true;
+        const result = { synced: 0, failed: 0, parked: 0 };
+
+        try {
+            const now = Date.now();
+            const items = (await this.list()).filter(item => item.shopId === shopId);
+            const blockedVouchers = new Set();
+            const block = (item) => {
+                if (item.voucherId) blockedVouchers.add(item.voucherId);
+            };
+            (await this.listDeadLetters()).filter(item => item.shopId === shopId).forEach(block);
+
+            for (const queued of items) {
+                if (queued.voucherId && blockedVouchers.has(queued.voucherId)) continue;
+                if (queued.nextAttemptAt > now) {
+                    block(queued);
+                    continue;
+                }
+                // Adds imported before they were given an id get one now, before their first replay
+                const item = withStableVoucherId(queued);
+                if (item !== queued) {
+                    await this.transact(OUTBOX_STORE, 'readwrite', store => store.put(item));
+                }
+                const step = async (name, run) => {
+                    if (item.completedSteps.includes(name)) return;
+                    await run();
+                    item.completedSteps.push(name);
+                    await this.transact(OUTBOX_STORE, 'readwrite', store => store.put(item));
+                };
+
+                try {
+                    // Permanent errors resolve out of the retry loop instead of burning retries
+                    const permanentError = await this.errorHandler.retry(async () => {
+                        try {
+                            await execute(item, step);
+                            return null;
+                        } catch (error) {
+                            if (isPermanentError(error)) return error;
+                            throw error;
+                        }
+                    }, RETRIES_PER_SYNC, RETRY_DELAY);
+                    if (permanentError) throw permanentError;
+                    await this.transact(OUTBOX_STORE, 'readwrite', store => store.delete(item.id));
+                    result.synced++;
+                } catch (error) {
+                    block(item);
+                    item.attempts++;
+                    item.lastError = { message: error.message, code: error.code || null, at: new Date().toISOString() };
+                    if (isPermanentError(error) || item.attempts >= MAX_SYNC_ATTEMPTS) {
+                        await this.park(item);
+                        result.parked++;
+                    } else {
+                        item.nextAttemptAt = Date.now() + backoffDelay(item.attempts);
+                        await this.transact(OUTBOX_STORE, 'readwrite', store => store.put(item));
+                        result.failed++;
+                    }
+                }
+            }
+        } finally {
+            this.processing = false;
+            await this.notify();
+        }
+        return result;
+    }
+
+    /**
+     * Move an item to the dead-letter list
+     */
+    async park(item) {
+        await this.transact([OUTBOX_STORE, DEAD_LETTER_STORE], 'readwrite', (outbox, deadLetters) => {
+            outbox.delete(item.id);
+            return deadLetters.put({ ...item, parkedAt: new Date().toISOString() });
+        });
+    }
+
+    /**
+     * Put a parked item back in the outbox for another try
+     */
+    async retryDeadLetter(id) {
+        await this.transact([OUTBOX_STORE, DEAD_LETTER_STORE], 'readwrite', (outbox, deadLetters) => {
+            const request = deadLetters.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const { parkedAt, ...item } = request.result;
+                outbox.put({ ...item, attempts: 0, nextAttemptAt: 0 });
+                deadLetters.delete(id);
+            };
+            return request;
+        });
+        await this.notify();
+    }
+
+    /**
+     * Drop a parked item for good
+     */
+    async discardDeadLetter(id) {
+        await this.transact(DEAD_LETTER_STORE, 'readwrite', store => store.delete(id));
+        await this.notify();
+    }
+}
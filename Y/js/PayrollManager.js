@@ -0,0 +1,764 @@
+/**
+ * PayrollManager - Configurable technician payroll
+ * Rules (base salary, tiered commission, per-service rates, bonuses, deductions) live in settings/payroll,
+ * with each technician's pay profile keyed by their technician id; the part that prices one voucher's
+ * commission is copied to settings/commissionRules, so every member's device can store it on save;
+ * one-off advances and deductions per pay period live in payrollAdjustments/{periodKey};
+ * closing a period snapshots its payslips into payrollRuns/{periodKey} and locks the vouchers paid in it
+ */
+
+import { getVoucherStatus } from './voucherStatus.js';
+import { getVoucherProfit } from './InventoryManager.js';
+import { toSearchKey } from './myanmarText.js';
+import { receiptConfig } from './config.js';
+
+// Voucher fields a closed payroll run was calculated from; they cannot change once the voucher is paid
+export const PAYROLL_LOCKED_FIELDS = ['amount', 'partsUsed', 'partsCost', 'technicianName', 'technicianId', 'commission', 'serviceTypeId', 'serviceType', 'date'];
+
+const BATCH_LIMIT = 400;
+
+// Rule fields one voucher's commission is priced from (see calculateVoucherCommission)
+const COMMISSION_RULE_FIELDS = ['perVoucherRate', 'commissionBasis', 'commissionTiers', 'serviceRates', 'excludeStatuses'];
+
+export const ADJUSTMENT_TYPES = {
+    advance: { label: 'ကြိုတင်ငွေ (Advance)', sign: -1 },
+    deduction: { label: 'နုတ်ငွေ (Deduction)', sign: -1 },
+    bonus: { label: 'ဆုကြေး (Bonus)', sign: 1 }
+};
+
+export const DEFAULT_PAYROLL_RULES = {
+    baseSalary: 0,
+    perVoucherRate: 6,
+    commissionBasis: 'revenue', // 'revenue' or 'profit'
+    commissionTiers: [],         // [{ threshold, rate }]: rate % applies to the part above threshold
+    serviceRates: [],            // [{ match, label, amount }]: replaces perVoucherRate for matching vouchers
+    bonuses: [],                 // [{ label, metric: 'vouchers' | 'revenue', threshold, amount }]
+    deductions: [],              // [{ label, amount }] recurring every period
+    excludeStatuses: ['returned_unrepaired']
+};
+
+/**
+ * Fill in missing rule fields and convert the old flat voucher/percentage settings
+ */
+export function normalizePayrollRules(rules = {}, legacySettings = null) {
+    const normalized = { ...DEFAULT_PAYROLL_RULES, ...rules };
+
+    if (!rules || Object.keys(rules).length === 0) {
+        if (legacySettings && legacySettings.method === 'percentage') {
+            normalized.perVoucherRate = 0;
+            normalized.commissionTiers = [{ threshold: 0, rate: Number(legacySettings.percentageRate) || 0 }];
+        } else if (legacySettings) {
+            normalized.perVoucherRate = Number(legacySettings.voucherRate ?? DEFAULT_PAYROLL_RULES.perVoucherRate) || 0;
+        }
+    }
+
+    normalized.baseSalary = Number(normalized.baseSalary) || 0;
+    normalized.perVoucherRate = Number(normalized.perVoucherRate) || 0;
+    normalized.commissionTiers = (normalized.commissionTiers || [])
+        .map(tier => ({ threshold: Number(tier.threshold) || 0, rate: Number(tier.rate) || 0 }))
+        .sort((a, b) => a.threshold - b.threshold);
+    normalized.serviceRates = (normalized.serviceRates || [])
+        .filter(rate => rate.match)
+        .map(rate => ({ match: rate.match, label: rate.label || rate.match, amount: Number(rate.amount) || 0 }));
+    normalized.bonuses = (normalized.bonuses || [])
+        .map(bonus => ({ label: bonus.label || 'Bonus', metric: bonus.metric === 'revenue' ? 'revenue' : 'vouchers', threshold: Number(bonus.threshold) || 0, amount: Number(bonus.amount) || 0 }));
+    normalized.deductions = (normalized.deductions || [])
+        .map(deduction => ({ label: deduction.label || 'Deduction', amount: Number(deduction.amount) || 0 }));
+    return normalized;
+}
+
+/**
+ * Rules for one technician: their override if they have one, otherwise the shop default
+ * Overrides are keyed by technician id; name keys from before technicians had ids still match.
+ */
+export function getTechnicianRules(payrollConfig, technicianName, technicianId = null) {
+    const overrides = payrollConfig.technicians || {};
+    const override = (technicianId && overrides[technicianId]) || overrides[technicianName];
+    return normalizePayrollRules(override || payrollConfig.defaults || {}, payrollConfig.legacy || null);
+}
+
+/**
+ * The per-voucher commission rules of a payroll config, for settings/commissionRules
+ * Pay profiles (salary, bonuses, deductions) are left out, since every member can read these.
+ */
+export function buildCommissionRules(payrollConfig) {
+    const pick = (rules) => {
+        const normalized = normalizePayrollRules(rules, payrollConfig.legacy || null);
+        return Object.fromEntries(COMMISSION_RULE_FIELDS.map(field => [field, normalized[field]]));
+    };
+    return {
+        defaults: pick(payrollConfig.defaults || {}),
+        technicians: Object.fromEntries(Object.entries(payrollConfig.technicians || {}).map(([key, rules]) => [key, pick(rules)]))
+    };
+}
+
+/**
+ * Service type used for per-service rates: the voucher's serviceType, else its error description
+ */
+function getServiceText(voucher) {
+    return toSearchKey(voucher.serviceType || voucher.error || '');
+}
+
+/**
+ * Commission for a basis amount under marginal tiers
+ * Returns one line per tier band that earned anything
+ */
+export function calculateTieredCommission(basisAmount, tiers) {
+    const lines = [];
+    tiers.forEach((tier, index) => {
+        const upper = index + 1 < tiers.length ? tiers[index + 1].threshold : Infinity;
+        const portion = Math.min(basisAmount, upper) - tier.threshold;
+        if (portion > 0 && tier.rate > 0) {
+            lines.push({ from: tier.threshold, to: upper, portion, rate: tier.rate, amount: portion * tier.rate / 100 });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Commission one voucher earns: its service or per-voucher rate plus the first commission tier's
+ * rate on its revenue or profit. Higher tiers depend on the period total, so the payslip remains
+ * what is actually paid; this is the per-voucher figure profit reports use.
+ */
+export function calculateVoucherCommission(voucher, rules) {
+    if (rules.excludeStatuses.includes(getVoucherStatus(voucher))) return 0;
+    const serviceText = getServiceText(voucher);
+    const serviceRate = rules.serviceRates.find(rate => serviceText.includes(toSearchKey(rate.match)));
+    const pieceRate = serviceRate ? serviceRate.amount : rules.perVoucherRate;
+    const baseTier = rules.commissionTiers.find(tier => tier.threshold <= 0);
+    const basis = rules.commissionBasis === 'profit' ? getVoucherProfit(voucher) : Number(voucher.amount) || 0;
+    const commission = pieceRate + (baseTier ? Math.max(0, basis) * baseTier.rate / 100 : 0);
+    return Math.round(commission * 100) / 100;
+}
+
+/**
+ * Whether a voucher has been paid in a closed payroll run
+ */
+export function isPayrollLocked(voucher) {
+    return !!(voucher && voucher.payrollRunId);
+}
+
+/**
+ * Locked fields an edit would change on a paid voucher (empty if the edit is allowed)
+ */
+export function getLockedFieldChanges(voucher, updated) {
+    if (!isPayrollLocked(voucher)) return [];
+    // Missing, zero and empty values are the same thing (e.g. no parts used)
+    const comparable = (value) => JSON.stringify(value == null || value === 0 || (Array.isArray(value) && !value.length) ? null : value);
+    return PAYROLL_LOCKED_FIELDS.filter(field => field in updated && comparable(updated[field]) !== comparable(voucher[field]));
+}
+
+/**
+ * The voucher details kept in a payroll run snapshot
+ */
+function snapshotVoucher(voucher) {
+    return {
+        id: voucher.id,
+        voucherNumber: voucher.voucherNumber || '',
+        date: voucher.date || '',
+        customerName: voucher.customerName || '',
+        phoneModel: voucher.phoneModel || '',
+        error: voucher.error || '',
+        status: getVoucherStatus(voucher),
+        amount: Number(voucher.amount) || 0,
+        partsCost: Number(voucher.partsCost) || 0
+    };
+}
+
+/**
+ * Whether a voucher or payslip belongs to a technician: by id when both carry one, otherwise by name
+ */
+function isTechnicians(record, technicianName, technicianId) {
+    return technicianId && record.technicianId ? record.technicianId === technicianId : record.technicianName === technicianName;
+}
+
+/**
+ * Calculate one technician's payslip from their vouchers for the period
+ * Every component is returned as a line item; net is the sum of all lines.
+ * Vouchers already paid in another closed run are not counted again.
+ */
+export function calculatePayslip({ technicianName, technicianId = null, vouchers, rules, adjustments = [], period }) {
+    const own = vouchers.filter(voucher => isTechnicians(voucher, technicianName, technicianId));
+    const counted = own.filter(voucher =>
+        !rules.excludeStatuses.includes(getVoucherStatus(voucher)) &&
+        (!voucher.payrollRunId || voucher.payrollRunId === period.key)
+    );
+    const excludedCount = own.length - counted.length;
+
+    const revenue = counted.reduce((sum, voucher) => sum + (Number(voucher.amount) || 0), 0);
+    const profit = counted.reduce((sum, voucher) => sum + getVoucherProfit(voucher), 0);
+    const lines = [];
+    const addLine = (type, label, detail, amount) => {
+        if (amount !== 0) lines.push({ type, label, detail, amount: Math.round(amount * 100) / 100 });
+    };
+
+    addLine('base', 'Base Salary', '', rules.baseSalary);
+
+    // Per-service rates take precedence over the flat per-voucher rate
+    const serviceCounts = new Map();
+    let flatCount = 0;
+    counted.forEach(voucher => {
+        const serviceText = getServiceText(voucher);
+        const rate = rules.serviceRates.find(r => serviceText.includes(toSearchKey(r.match)));
+        if (rate) {
+            serviceCounts.set(rate, (serviceCounts.get(rate) || 0) + 1);
+        } else {
+            flatCount++;
+        }
+    });
+    serviceCounts.forEach((count, rate) => {
+        addLine('service', `Service: ${rate.label}`, `${count} × ${rate.amount.toLocaleString()}`, count * rate.amount);
+    });
+    if (rules.perVoucherRate) {
+        addLine('voucher', 'Per Voucher', `${flatCount} × ${rules.perVoucherRate.toLocaleString()}`, flatCount * rules.perVoucherRate);
+    }
+
+    const basisAmount = rules.commissionBasis === 'profit' ? profit : revenue;
+    calculateTieredCommission(basisAmount, rules.commissionTiers).forEach(band => {
+        const range = band.to === Infinity ? `${band.from.toLocaleString()}+` : `${band.from.toLocaleString()}–${band.to.toLocaleString()}`;
+        addLine('commission', `Commission ${band.rate}% (${range})`, `${band.portion.toLocaleString()} × ${band.rate}% of ${rules.commissionBasis}`, band.amount);
+    });
+
+    rules.bonuses.forEach(bonus => {
+        const achieved = bonus.metric === 'revenue' ? revenue : counted.length;
+        if (achieved >= bonus.threshold) {
+            addLine('bonus', bonus.label, `${bonus.metric} ${achieved.toLocaleString()} ≥ ${bonus.threshold.toLocaleString()}`, bonus.amount);
+        }
+    });
+
+    rules.deductions.forEach(deduction => {
+        addLine('deduction', deduction.label, 'recurring', -Math.abs(deduction.amount));
+    });
+
+    adjustments.forEach(adjustment => {
+        const type = ADJUSTMENT_TYPES[adjustment.type] || ADJUSTMENT_TYPES.deduction;
+        addLine(adjustment.type, adjustment.label || type.label, type.label, type.sign * Math.abs(Number(adjustment.amount) || 0));
+    });
+
+    const gross = lines.filter(line => line.amount > 0).reduce((sum, line) => sum + line.amount, 0);
+    const deductions = lines.filter(line => line.amount < 0).reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+        technicianName,
+        technicianId,
+        period,
+        voucherCount: counted.length,
+        excludedCount,
+        voucherIds: counted.map(voucher => voucher.id),
+        vouchers: counted.map(snapshotVoucher),
+        revenue,
+        profit,
+        lines,
+        gross,
+        deductions,
+        net: gross + deductions,
+        rules,
+        calculatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Period covering a calendar month ('YYYY-MM')
+ */
+export function monthPeriod(year, month) {
+    const lastDay = new Date(year, month, 0).getDate();
+    const mm = String(month).padStart(2, '0');
+    return { key: `${year}-${mm}`, start: `${year}-${mm}-01`, end: `${year}-${mm}-${String(lastDay).padStart(2, '0')}`, label: `${month}/${year}` };
+}
+
+/**
+ * Period covering a custom date range
+ */
+export function rangePeriod(start, end) {
+    return { key: `${start}_${end}`, start, end, label: `${start} to ${end}` };
+}
+
+/**
+ * Spreadsheet rows for payslips: a summary sheet plus one sheet per payslip
+ * Returns [{ name, rows }] ready for XLSX.utils.aoa_to_sheet
+ */
+export function buildPayslipSheets(payslips) {
+    const summary = [
+        ['Period', 'Technician', 'Vouchers', 'Revenue', 'Profit', 'Gross', 'Deductions', 'Net Pay'],
+        ...payslips.map(payslip => [
+            payslip.period.label, payslip.technicianName, payslip.voucherCount,
+            payslip.revenue, payslip.profit, payslip.gross, payslip.deductions, payslip.net
+        ])
+    ];
+
+    const usedNames = new Set(['Summary']);
+    const sheets = payslips.map(payslip => {
+        // Sheet names: max 31 chars, no []:*?/\, unique within the workbook
+        const base = `${payslip.technicianName} ${payslip.period.key}`.replace(/[[\]:*?/\\]/g, ' ').slice(0, 28);
+        let name = base;
+        for (let n = 2; usedNames.has(name); n++) name = `${base} ${n}`;
+        usedNames.add(name);
+
+        const rows = [
+            [`Payslip - ${payslip.technicianName} - ${payslip.period.label}`],
+            [],
+            ['Item', 'Detail', 'Amount'],
+            ...payslip.lines.map(line => [line.label, line.detail, line.amount]),
+            ['Gross', '', payslip.gross],
+            ['Deductions', '', payslip.deductions],
+            ['Net Pay', '', payslip.net]
+        ];
+        if (payslip.vouchers && payslip.vouchers.length) {
+            rows.push([], ['Date', 'Voucher No.', 'Customer', 'Model', 'Error', 'Status', 'Amount', 'Parts Cost']);
+            payslip.vouchers.forEach(voucher => rows.push([
+                voucher.date, voucher.voucherNumber, voucher.customerName, voucher.phoneModel,
+                voucher.error, voucher.status, voucher.amount, voucher.partsCost
+            ]));
+        }
+        return { name, rows };
+    });
+
+    return [{ name: 'Summary', rows: summary }, ...sheets];
+}
+
+/**
+ * Printable payslip document
+ */
+export function buildPayslipHtml(payslips, shop = receiptConfig) {
+    const escape = (value) => (value ?? '').toString().replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const money = (value) => `${(Number(value) || 0).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 2 })} ¥`;
+
+    const slips = payslips.map(payslip => `
+        <section class="slip">
+            <h1>${escape(shop.shopName)}</h1>
+            <h2>Payslip · ${escape(payslip.technicianName)} · ${escape(payslip.period.label)}</h2>
+            <p class="meta">Vouchers: ${payslip.voucherCount} · Revenue: ${money(payslip.revenue)} · Profit: ${money(payslip.profit)}</p>
+            <table>
+                <thead><tr><th>Item</th><th>Detail</th><th class="num">Amount</th></tr></thead>
+                <tbody>
+                    ${payslip.lines.map(line => `<tr><td>${escape(line.label)}</td><td>${escape(line.detail)}</td><td class="num">${money(line.amount)}</td></tr>`).join('')}
+                </tbody>
+                <tfoot>
+                    <tr><td colspan="2">Gross</td><td class="num">${money(payslip.gross)}</td></tr>
+                    <tr><td colspan="2">Deductions</td><td class="num">${money(payslip.deductions)}</td></tr>
+                    <tr class="net"><td colspan="2">Net Pay</td><td class="num">${money(payslip.net)}</td></tr>
+                </tfoot>
+            </table>
+            ${payslip.vouchers && payslip.vouchers.length ? `
+            <table class="vouchers">
+                <thead><tr><th>Date</th><th>Voucher</th><th>Error</th><th class="num">Amount</th></tr></thead>
+                <tbody>
+                    ${payslip.vouchers.map(voucher => `<tr><td>${escape(voucher.date)}</td><td>${escape(voucher.voucherNumber)}</td><td>${escape(voucher.error)}</td><td class="num">${money(voucher.amount)}</td></tr>`).join('')}
+                </tbody>
+            </table>` : ''}
+            ${payslip.closedAt ? `<p class="meta">Closed ${escape(payslip.closedAt.slice(0, 10))}${payslip.closedBy ? ` by ${escape(payslip.closedBy)}` : ''}</p>` : ''}
+            <p class="signature">Received by: ____________________ &nbsp; Date: __________</p>
+        </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="my">
+<head>
+<meta charset="utf-8">
+<title>Payslips</title>
+<style>
+    @page { size: A5; margin: 10mm; }
+    body { font-family: 'Noto Sans Myanmar', 'Myanmar Text', 'Pyidaungsu', 'Padauk', sans-serif; font-size: 10pt; line-height: 1.6; color: #000; }
+    .slip { page-break-after: always; }
+    .slip:last-child { page-break-after: auto; }
+    h1 { font-size: 14pt; margin: 0; text-align: center; }
+    h2 { font-size: 11pt; margin: 2px 0 6px; text-align: center; font-weight: normal; }
+    .meta { font-size: 9pt; text-align: center; margin: 0 0 6px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border-bottom: 1px solid #ccc; padding: 3px 4px; text-align: left; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    tfoot td { font-weight: bold; }
+    .net td { border-top: 2px solid #000; font-size: 12pt; }
+    .vouchers { margin-top: 10px; font-size: 8.5pt; }
+    .signature { margin-top: 24px; }
+</style>
+</head>
+<body>${slips}</body>
+</html>`;
+}
+
+/**
+ * On-screen payslip card: headline figures, then each pay line and the gross, deductions and net
+ */
+export function buildPayslipCardHtml(payslip) {
+    const money = (value) => `${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })} ယွမ်`;
+    return `
+        <div class="bg-gray-800 p-6 rounded-lg">
+            <h4 class="text-xl font-semibold text-teal-400 mb-4">${payslip.technicianName} - ${payslip.period.label} လစာ</h4>
+
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-center">
+                <div>
+                    <p class="text-sm theme-text-secondary">စုစုပေါင်း Voucher</p>
+                    <p class="text-2xl font-bold text-white">${payslip.voucherCount}</p>
+                    ${payslip.excludedCount ? `<p class="text-xs text-gray-400">(${payslip.excludedCount} ခု မထည့်)</p>` : ''}
+                </div>
+                <div>
+                    <p class="text-sm theme-text-secondary">ဝင်ငွေ</p>
+                    <p class="text-xl font-bold text-green-400">${money(payslip.revenue)}</p>
+                </div>
+                <div>
+                    <p class="text-sm theme-text-secondary">အမြတ်</p>
+                    <p class="text-xl font-bold text-green-300">${money(payslip.profit)}</p>
+                </div>
+                <div>
+                    <p class="text-sm theme-text-secondary">နောက်ဆုံး လစာ</p>
+                    <p class="text-2xl font-bold text-blue-400">${money(payslip.net)}</p>
+                </div>
+            </div>
+
+            <div class="bg-gray-700 p-4 rounded-lg overflow-x-auto">
+                <p class="text-sm theme-text-secondary mb-2">တွက်ချက်မှု အသေးစိတ်:</p>
+                <table class="w-full text-sm">
+                    <tbody>
+                        ${payslip.lines.map(line => `
+                            <tr class="border-b border-gray-600">
+                                <td class="py-1 pr-2 text-white">${line.label}</td>
+                                <td class="py-1 pr-2 text-gray-400">${line.detail}</td>
+                                <td class="py-1 text-right ${line.amount < 0 ? 'text-red-400' : 'text-yellow-400'} font-semibold whitespace-nowrap">${money(line.amount)}</td>
+                            </tr>
+                        `).join('') || '<tr><td class="py-1 text-gray-400">လစာ ပါဝင်မှု မရှိပါ</td></tr>'}
+                    </tbody>
+                    <tfoot>
+                        <tr><td class="pt-2 text-gray-300" colspan="2">Gross</td><td class="pt-2 text-right text-white">${money(payslip.gross)}</td></tr>
+                        <tr><td class="text-gray-300" colspan="2">Deductions</td><td class="text-right text-red-400">${money(payslip.deductions)}</td></tr>
+                        <tr><td class="font-bold text-white" colspan="2">Net</td><td class="text-right font-bold text-blue-400">${money(payslip.net)}</td></tr>
+                    </tfoot>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+export class PayrollManager {
+    constructor(firebaseService, errorHandler, technicianManager = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+        this.config = { defaults: { ...DEFAULT_PAYROLL_RULES }, technicians: {}, legacy: null };
+        this.configLoaded = false;
+        this.commissionRules = null;
+    }
+
+    /**
+     * Payroll settings document reference
+     */
+    settingsRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/payroll'));
+    }
+
+    /**
+     * Published per-voucher commission rules document reference
+     */
+    commissionRulesRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/commissionRules'));
+    }
+
+    /**
+     * One-off adjustments document for a pay period
+     */
+    adjustmentsRef(periodKey) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`payrollAdjustments/${periodKey}`));
+    }
+
+    /**
+     * Closed payroll run document for a pay period
+     */
+    runRef(periodKey) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`payrollRuns/${periodKey}`));
+    }
+
+    /**
+     * Technician id for a name, when technician records are available
+     */
+    technicianIdFor(technicianName) {
+        return this.technicianManager ? this.technicianManager.idForName(technicianName) : null;
+    }
+
+    /**
+     * Load payroll rules (falls back to the legacy flat settings)
+     * Overrides saved under a technician's name are returned under their id once they have one.
+     */
+    async loadConfig() {
+        const snap = await this.firebaseService.getDoc(this.settingsRef());
+        const data = snap.exists() ? snap.data() : {};
+        const technicians = {};
+        Object.entries((data.rules && data.rules.technicians) || {}).forEach(([key, rules]) => {
+            const technicianId = this.technicianManager && !this.technicianManager.get(key) ? this.technicianIdFor(key) : null;
+            if (!technicianId || !technicians[technicianId]) {
+                technicians[technicianId || key] = rules;
+            }
+        });
+        this.config = {
+            defaults: normalizePayrollRules(data.rules ? data.rules.defaults : {}, data.rules ? null : data),
+            technicians,
+            legacy: data.rules ? null : data
+        };
+        this.configLoaded = true;
+
+        // Rules saved before they were published, or by an older version of the app, are published now
+        const rulesUpdatedAt = data.rulesUpdatedAt || null;
+        const published = await this.firebaseService.getDoc(this.commissionRulesRef());
+        if (!published.exists() || (published.data().rulesUpdatedAt || null) !== rulesUpdatedAt) {
+            await this.firebaseService.setDoc(this.commissionRulesRef(), { ...buildCommissionRules(this.config), rulesUpdatedAt });
+        }
+        return this.config;
+    }
+
+    /**
+     * Load the published commission rules, for members who cannot read the full payroll settings
+     */
+    async loadCommissionRules() {
+        const snap = await this.firebaseService.getDoc(this.commissionRulesRef());
+        this.commissionRules = snap.exists() ? { defaults: snap.data().defaults || {}, technicians: snap.data().technicians || {}, legacy: null } : null;
+        return this.commissionRules;
+    }
+
+    /**
+     * Save the shop default rules and per-technician overrides keyed by technician id
+     * (legacy flat fields are kept alongside)
+     */
+    async saveConfig({ defaults, technicians }) {
+        const rules = {
+            defaults: normalizePayrollRules(defaults),
+            technicians: Object.fromEntries(Object.entries(technicians || {}).map(([technicianId, rules]) => [technicianId, normalizePayrollRules(rules)]))
+        };
+        const rulesUpdatedAt = new Date().toISOString();
+        const batch = this.firebaseService.batch();
+        // Replace the rules map whole: a deep merge would keep overrides that were removed or re-keyed
+        batch.set(this.settingsRef(), { rules, rulesUpdatedAt }, { mergeFields: ['rules', 'rulesUpdatedAt'] });
+        batch.set(this.commissionRulesRef(), { ...buildCommissionRules(rules), rulesUpdatedAt });
+        await batch.commit();
+        this.config = { ...rules, legacy: null };
+        this.configLoaded = true;
+        return this.config;
+    }
+
+    /**
+     * Rules in effect for a technician
+     */
+    getRules(technicianName) {
+        return getTechnicianRules(this.config, technicianName, this.technicianIdFor(technicianName));
+    }
+
+    /**
+     * Calculate with rules as they are being edited, saved or not
+     */
+    useRules({ defaults, technicians }) {
+        this.config = { defaults, technicians, legacy: null };
+    }
+
+    /**
+     * Forget the loaded rules (on sign-out, before another shop's are loaded)
+     */
+    clear() {
+        this.config = { defaults: { ...DEFAULT_PAYROLL_RULES }, technicians: {}, legacy: null };
+        this.configLoaded = false;
+        this.commissionRules = null;
+    }
+
+    /**
+     * Commission for one voucher under its technician's rules, or null until the payroll or published rules are loaded
+     */
+    commissionFor(voucher) {
+        const config = this.configLoaded ? this.config : this.commissionRules;
+        if (!config) return null;
+        const technicianId = voucher.technicianId || this.technicianIdFor(voucher.technicianName);
+        return calculateVoucherCommission(voucher, getTechnicianRules(config, voucher.technicianName, technicianId));
+    }
+
+    /**
+     * One-off adjustments for a period, keyed by technician id (by name for technicians without a record)
+     */
+    async loadAdjustments(periodKey) {
+        const snap = await this.firebaseService.getDoc(this.adjustmentsRef(periodKey));
+        return snap.exists() ? (snap.data().technicians || {}) : {};
+    }
+
+    /**
+     * Key a technician's adjustments are stored under
+     */
+    adjustmentKey(technicianName) {
+        return this.technicianIdFor(technicianName) || technicianName;
+    }
+
+    /**
+     * One technician's adjustments out of loadAdjustments(), including ones saved under their name before they had an id
+     */
+    adjustmentsFor(adjustments, technicianName) {
+        return adjustments[this.adjustmentKey(technicianName)] || adjustments[technicianName] || [];
+    }
+
+    /**
+     * Replace one technician's adjustments for a period
+     */
+    async saveAdjustments(periodKey, technicianName, adjustments) {
+        const cleaned = adjustments
+            .filter(adjustment => Number(adjustment.amount))
+            .map(adjustment => ({
+                type: ADJUSTMENT_TYPES[adjustment.type] ? adjustment.type : 'deduction',
+                label: (adjustment.label || '').trim(),
+                amount: Math.abs(Number(adjustment.amount))
+            }));
+        const ref = this.adjustmentsRef(periodKey);
+        await this.firebaseService.runTransaction(async (transaction) => {
+            const snap = await transaction.get(ref);
+            const technicians = { ...(snap.exists() ? snap.data().technicians : null) };
+            // Adjustments saved under the technician's name are replaced by the ones under their id
+            delete technicians[technicianName];
+            technicians[this.adjustmentKey(technicianName)] = cleaned;
+            transaction.set(ref, { technicians, updatedAt: new Date().toISOString() }, { mergeFields: ['technicians', 'updatedAt'] });
+        });
+        return cleaned;
+    }
+
+    /**
+     * Vouchers dated within a period, under their technicians' current names
+     */
+    async getVouchersForPeriod(period) {
+        const vouchersRef = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const snapshot = await this.firebaseService.getDocs(this.firebaseService.createQuery(
+            vouchersRef,
+            this.firebaseService.where('date', '>=', period.start),
+            this.firebaseService.where('date', '<=', period.end)
+        ));
+        const vouchers = snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        return this.technicianManager ? this.technicianManager.withCurrentNames(vouchers) : vouchers;
+    }
+
+    /**
+     * Payslip for one technician
+     */
+    async calculateForTechnician(technicianName, period) {
+        const [vouchers, adjustments] = await Promise.all([
+            this.getVouchersForPeriod(period),
+            this.loadAdjustments(period.key)
+        ]);
+        return calculatePayslip({
+            technicianName,
+            technicianId: this.technicianIdFor(technicianName),
+            vouchers,
+            rules: this.getRules(technicianName),
+            adjustments: this.adjustmentsFor(adjustments, technicianName),
+            period
+        });
+    }
+
+    /**
+     * Technicians to pay for a period: everyone active, plus inactive technicians with vouchers in it
+     */
+    async getPayrollTechnicianNames(period) {
+        const names = this.technicianManager.getNames();
+        const vouchers = await this.getVouchersForPeriod(period);
+        vouchers.forEach(voucher => {
+            if (voucher.technicianName && !names.includes(voucher.technicianName) && this.technicianManager.findByName(voucher.technicianName)) {
+                names.push(voucher.technicianName);
+            }
+        });
+        return names;
+    }
+
+    /**
+     * Payslip for one technician with the given adjustments in place of the stored ones, e.g. unsaved edits
+     */
+    async previewPayslip(technicianName, period, adjustments) {
+        return calculatePayslip({
+            technicianName,
+            technicianId: this.technicianIdFor(technicianName),
+            vouchers: await this.getVouchersForPeriod(period),
+            rules: this.getRules(technicianName),
+            adjustments,
+            period
+        });
+    }
+
+    /**
+     * Pay run: one payslip per technician for the period
+     */
+    async runPayroll(technicianNames, period) {
+        const [vouchers, adjustments] = await Promise.all([
+            this.getVouchersForPeriod(period),
+            this.loadAdjustments(period.key)
+        ]);
+        return technicianNames.map(technicianName => calculatePayslip({
+            technicianName,
+            technicianId: this.technicianIdFor(technicianName),
+            vouchers,
+            rules: this.getRules(technicianName),
+            adjustments: this.adjustmentsFor(adjustments, technicianName),
+            period
+        }));
+    }
+
+    /**
+     * Close a pay period: snapshot the payslips into payrollRuns and lock the vouchers they paid
+     * A period can only be closed once
+     */
+    async closePeriod(payslips, period, closedBy) {
+        const closedAt = new Date().toISOString();
+        const run = {
+            period,
+            closedAt,
+            closedBy,
+            technicianNames: payslips.map(payslip => payslip.technicianName),
+            totalNet: payslips.reduce((sum, payslip) => sum + payslip.net, 0),
+            payslips: payslips.map(payslip => ({ ...payslip, closedAt, closedBy }))
+        };
+
+        const runRef = this.runRef(period.key);
+        await this.firebaseService.runTransaction(async (transaction) => {
+            const existing = await transaction.get(runRef);
+            if (existing.exists()) {
+                throw new Error(`Pay period ${period.label} is already closed`);
+            }
+            transaction.set(runRef, run);
+        });
+
+        const voucherIds = payslips.flatMap(payslip => payslip.voucherIds);
+        for (let i = 0; i < voucherIds.length; i += BATCH_LIMIT) {
+            const batch = this.firebaseService.batch();
+            voucherIds.slice(i, i + BATCH_LIMIT).forEach(voucherId => {
+                batch.update(this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${voucherId}`)), {
+                    payrollRunId: period.key,
+                    payrollLockedAt: closedAt,
+                    revision: this.firebaseService.increment(1)
+                });
+            });
+            await batch.commit();
+        }
+
+        return run;
+    }
+
+    /**
+     * The payslips of closed runs, each with its run and position, optionally only one technician's
+     * Payslips closed under an earlier name are listed under the technician's current name.
+     */
+    listHistoryRows(runs, technicianName = '') {
+        const nameOf = (payslip) => this.technicianManager ? this.technicianManager.resolveName(payslip) : payslip.technicianName;
+        return runs.flatMap((run, runIndex) => (run.payslips || [])
+            .map((payslip, slipIndex) => ({ run, payslip, runIndex, slipIndex }))
+            .filter(({ payslip }) => !technicianName || nameOf(payslip) === technicianName));
+    }
+
+    /**
+     * All closed payroll runs, newest period first
+     */
+    async listRuns() {
+        const snapshot = await this.firebaseService.getDocs(this.firebaseService.collection(this.firebaseService.shopPath('payrollRuns')));
+        return snapshot.docs
+            .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+            .sort((a, b) => (b.period?.start || '').localeCompare(a.period?.start || ''));
+    }
+
+    /**
+     * Past payslips for one technician across all closed runs, newest first
+     * Payslips closed under an earlier name are included.
+     */
+    async getPayslipHistory(technicianName) {
+        const runs = await this.listRuns();
+        const technicianId = this.technicianIdFor(technicianName);
+        const nameOf = (payslip) => this.technicianManager ? this.technicianManager.resolveName(payslip) : payslip.technicianName;
+        return runs.flatMap(run => (run.payslips || [])
+            .filter(payslip => isTechnicians({ ...payslip, technicianName: nameOf(payslip) }, technicianName, technicianId)));
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * ServiceCatalogManager - The shop's catalogue of service types
+ * Each service type has a stable id, a warranty period and a standard price range, with narrower
+ * ranges for particular brands or models. Vouchers record the service type's id, so charts and
+ * reports group by the catalogue instead of guessing from the free-text fault description.
+ */
+
+import { toSearchKey } from './myanmarText.js';
+
+export const DEFAULT_SERVICE_CATALOG = [
+    {
+        id: 'screen', label: 'Screen Replacement', warrantyDays: 90, minPrice: 8000, maxPrice: 30000,
+        prices: [{ match: 'iPhone', minPrice: 15000, maxPrice: 35000 }, { match: 'Galaxy', minPrice: 12000, maxPrice: 30000 }]
+    },
+    {
+        id: 'battery', label: 'Battery Replacement', warrantyDays: 60, minPrice: 5000, maxPrice: 10000,
+        prices: [{ match: 'iPhone', minPrice: 7000, maxPrice: 12000 }]
+    },
+    { id: 'chargingPort', label: 'Charging Port', warrantyDays: 30, minPrice: 4000, maxPrice: 8000, prices: [] },
+    { id: 'waterDamage', label: 'Water Damage', warrantyDays: 0, minPrice: 5000, maxPrice: 20000, prices: [] },
+    { id: 'software', label: 'Software', warrantyDays: 0, minPrice: 2000, maxPrice: 5000, prices: [] },
+    { id: 'other', label: 'Other', warrantyDays: 0, minPrice: 0, maxPrice: 0, prices: [] }
+];
+
+// Chart and report group for vouchers saved without a service type
+export const UNSPECIFIED_SERVICE_TYPE = 'Unspecified';
+
+/**
+ * Whole, non-negative price range whose maximum is never below its minimum
+ */
+function normalizePriceRange({ minPrice, maxPrice }) {
+    const min = Math.max(0, Math.round(Number(minPrice) || 0));
+    return { minPrice: min, maxPrice: Math.max(min, Math.round(Number(maxPrice) || 0)) };
+}
+
+/**
+ * Service types with trimmed labels, whole-day periods, clean price ranges and no duplicate labels or ids
+ * Types added since the last save get a new id.
+ */
+export function normalizeServiceCatalog(serviceTypes = DEFAULT_SERVICE_CATALOG) {
+    const seenLabels = new Set();
+    const seenIds = new Set();
+    return serviceTypes
+        .map(type => ({
+            id: type.id || crypto.randomUUID(),
+            label: (type.label || '').trim(),
+            warrantyDays: Math.max(0, Math.round(Number(type.warrantyDays) || 0)),
+            ...normalizePriceRange(type),
+            prices: (type.prices || [])
+                .map(price => ({ match: (price.match || '').trim(), ...normalizePriceRange(price) }))
+                .filter(price => price.match)
+        }))
+        .filter(type => {
+            const labelKey = type.label.toLowerCase();
+            if (!type.label || seenLabels.has(labelKey) || seenIds.has(type.id)) return false;
+            seenLabels.add(labelKey);
+            seenIds.add(type.id);
+            return true;
+        });
+}
+
+/**
+ * Catalogue entries for the label/warranty list saved before the catalogue existed
+ * Labels matching a default keep its id and prices; the shop's warranty periods always win.
+ */
+export function migrateServiceTypes(legacyServiceTypes) {
+    return legacyServiceTypes.map(type => {
+        const label = (type.label || '').trim();
+        const known = DEFAULT_SERVICE_CATALOG.find(item => item.label.toLowerCase() === label.toLowerCase());
+        return { ...(known || { prices: [] }), label, warrantyDays: type.warrantyDays };
+    });
+}
+
+/**
+ * Catalogue entry a voucher belongs to: by id, or by label for vouchers saved before ids
+ */
+export function findServiceType(catalog, voucher) {
+    if (!voucher) return null;
+    const byId = voucher.serviceTypeId && catalog.find(type => type.id === voucher.serviceTypeId);
+    if (byId) return byId;
+    const label = (voucher.serviceType || '').toLowerCase();
+    return (label && catalog.find(type => type.label.toLowerCase() === label)) || null;
+}
+
+/**
+ * Service type to group a voucher under: the catalogue's current label, else the label saved on
+ * the voucher (a type since removed), else Unspecified
+ */
+export function serviceTypeLabel(voucher, catalog = DEFAULT_SERVICE_CATALOG) {
+    const type = findServiceType(catalog, voucher);
+    return type ? type.label : (voucher.serviceType || UNSPECIFIED_SERVICE_TYPE);
+}
+
+/**
+ * Standard price range of a service for a phone model
+ * The longest brand/model match in the phone model wins over the service's own range; null when there is no price.
+ */
+export function getSuggestedPrice(serviceType, phoneModel = '') {
+    if (!serviceType) return null;
+    const model = toSearchKey(phoneModel);
+    const override = model
+        ? serviceType.prices
+            .filter(price => model.includes(toSearchKey(price.match)))
+            .sort((a, b) => b.match.length - a.match.length)[0]
+        : null;
+    const { minPrice, maxPrice } = override || serviceType;
+    return maxPrice > 0 ? { minPrice, maxPrice, match: override ? override.match : null } : null;
+}
+
+/**
+ * Price range as shown beside the amount field, e.g. "¥8,000 – ¥30,000"
+ */
+export function formatPriceRange({ minPrice, maxPrice }) {
+    const yen = (value) => `¥${value.toLocaleString()}`;
+    return minPrice === maxPrice ? yen(minPrice) : `${yen(minPrice)} – ${yen(maxPrice)}`;
+}
+
+/**
+ * Brand/model prices as edited in one line, e.g. "iPhone = 15000-35000, Galaxy = 12000-30000"
+ */
+export function formatPriceOverrides(prices) {
+    return prices.map(price => `${price.match} = ${price.minPrice}-${price.maxPrice}`).join(', ');
+}
+
+/**
+ * Parse a "match = min-max" list back into brand/model prices; a single number is a fixed price
+ */
+export function parsePriceOverrides(text) {
+    return (text || '').split(',').filter(part => part.trim()).map(part => {
+        const separator = part.lastIndexOf('=');
+        const [minPrice, maxPrice = minPrice] = (separator === -1 ? '' : part.slice(separator + 1)).split('-').map(value => value.trim());
+        return { match: separator === -1 ? part.trim() : part.slice(0, separator).trim(), minPrice, maxPrice };
+    });
+}
+
+export class ServiceCatalogManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.serviceTypes = normalizeServiceCatalog();
+    }
+
+    /**
+     * Reference to the shop's catalogue (readable by every member)
+     */
+    catalogRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/serviceCatalog'));
+    }
+
+    /**
+     * Reference to the service type list saved with the warranty settings before the catalogue existed
+     */
+    legacyWarrantyRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/warranty'));
+    }
+
+    /**
+     * Load the shop's catalogue
+     * A shop without one uses the defaults; a manager (`canMigrate`) saves it, carrying over the old warranty list.
+     */
+    async load({ canMigrate = false } = {}) {
+        const snap = await this.firebaseService.getDoc(this.catalogRef());
+        if (snap.exists() && snap.data().serviceTypes) {
+            this.serviceTypes = normalizeServiceCatalog(snap.data().serviceTypes);
+            return this.getAll();
+        }
+        if (canMigrate) {
+            const legacySnap = await this.firebaseService.getDoc(this.legacyWarrantyRef());
+            const legacyTypes = legacySnap.exists() ? legacySnap.data().serviceTypes : null;
+            return this.save(legacyTypes && legacyTypes.length ? migrateServiceTypes(legacyTypes) : DEFAULT_SERVICE_CATALOG);
+        }
+        this.serviceTypes = normalizeServiceCatalog();
+        return this.getAll();
+    }
+
+    /**
+     * Save the shop's catalogue
+     */
+    async save(serviceTypes) {
+        const normalized = normalizeServiceCatalog(serviceTypes);
+        if (normalized.length === 0) {
+            throw new Error('At least one service type is required');
+        }
+        await this.firebaseService.setDoc(this.catalogRef(), { serviceTypes: normalized, updatedAt: new Date().toISOString() });
+        this.serviceTypes = normalized;
+        return this.getAll();
+    }
+
+    /**
+     * Every service type
+     */
+    getAll() {
+        return this.serviceTypes.map(type => ({ ...type, prices: type.prices.map(price => ({ ...price })) }));
+    }
+
+    /**
+     * One service type by id
+     */
+    get(serviceTypeId) {
+        return this.serviceTypes.find(type => type.id === serviceTypeId) || null;
+    }
+
+    /**
+     * Voucher fields for the chosen service type: its id, label and warranty period
+     */
+    fieldsFor(serviceTypeId) {
+        const type = this.get(serviceTypeId);
+        return { serviceTypeId: type ? type.id : null, serviceType: type ? type.label : '', warrantyDays: type ? type.warrantyDays : 0 };
+    }
+
+    /**
+     * Standard price range of a service type for a phone model
+     */
+    suggestPrice(serviceTypeId, phoneModel) {
+        return getSuggestedPrice(this.get(serviceTypeId), phoneModel);
+    }
+
+    /**
+     * Service type label a voucher is reported under
+     */
+    labelFor(voucher) {
+        return serviceTypeLabel(voucher, this.serviceTypes);
+    }
+}
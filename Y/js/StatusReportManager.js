@@ -0,0 +1,226 @@
+/**
+ * StatusReportManager - Repair-stage report for a date range
+ * Counts and amounts per stage, per technician, with HTML and spreadsheet output
+ */
+
+import { VOUCHER_STATUSES, summarizeByStatus, getVoucherStatus, getStatusInfo } from './voucherStatus.js';
+
+/**
+ * Per-technician counts and amounts for every repair stage
+ */
+export function buildTechnicianStatusStats(vouchers) {
+    const technicianStats = {};
+    vouchers.forEach(voucher => {
+        const tech = voucher.technicianName || 'Unknown';
+        if (!technicianStats[tech]) {
+            technicianStats[tech] = { total: 0, vouchers: [] };
+        }
+        technicianStats[tech].total++;
+        technicianStats[tech].vouchers.push(voucher);
+    });
+
+    Object.values(technicianStats).forEach(stats => {
+        stats.byStatus = summarizeByStatus(stats.vouchers);
+        delete stats.vouchers;
+    });
+
+    return technicianStats;
+}
+
+/**
+ * Share of `count` in `total`, as a one-decimal percentage
+ */
+function percentOf(count, total) {
+    return total > 0 ? ((count / total) * 100).toFixed(1) : 0;
+}
+
+/**
+ * Report figures for a set of vouchers
+ */
+export function buildStatusReport(vouchers, { startDate, endDate, selectedTechnician }) {
+    const statusSummary = summarizeByStatus(vouchers);
+    return {
+        startDate,
+        endDate,
+        selectedTechnician,
+        technicianText: selectedTechnician === 'all' ? 'All Technicians' : selectedTechnician,
+        vouchers,
+        totalVouchers: vouchers.length,
+        totalAmount: vouchers.reduce((sum, v) => sum + (Number(v.amount) || 0), 0),
+        statusSummary,
+        completionRate: percentOf(statusSummary.picked_up.count, vouchers.length),
+        technicianStats: buildTechnicianStatusStats(vouchers)
+    };
+}
+
+/**
+ * Report markup for the status report panel
+ */
+export function buildStatusReportHtml(report) {
+    const { statusSummary, technicianStats, totalVouchers } = report;
+    return `
+        <div class="bg-gray-800 p-6 rounded-lg">
+            <h3 class="text-xl font-semibold theme-text-primary mb-4">Status Report: ${report.startDate} to ${report.endDate}</h3>
+            <p class="text-sm text-gray-400 mb-4">Technician: ${report.technicianText}</p>
+
+            <!-- Overall Statistics -->
+            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                ${VOUCHER_STATUSES.map(status => `
+                    <div class="${status.color} p-4 rounded-lg">
+                        <h4 class="text-lg font-semibold mb-2">${status.label}</h4>
+                        <p class="text-2xl font-bold text-white">${statusSummary[status.value].count}</p>
+                        <p class="text-sm text-gray-300">Amount: ${statusSummary[status.value].amount.toLocaleString()} ¥</p>
+                        <p class="text-sm text-gray-300">Percentage: ${percentOf(statusSummary[status.value].count, totalVouchers)}%</p>
+                    </div>
+                `).join('')}
+            </div>
+
+            <!-- Technician Breakdown -->
+            <div class="mb-4">
+                <h4 class="text-lg font-semibold theme-text-primary mb-3">Technician Breakdown</h4>
+                <div class="space-y-3">
+                    ${Object.entries(technicianStats).map(([tech, stats]) => `
+                        <div class="bg-gray-700 p-3 rounded-lg">
+                            <div class="flex justify-between items-center mb-2">
+                                <span class="font-semibold text-teal-300">${tech}</span>
+                                <span class="text-sm text-gray-400">Total: ${stats.total} vouchers</span>
+                            </div>
+                            <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                                ${VOUCHER_STATUSES.filter(status => stats.byStatus[status.value].count > 0).map(status => `
+                                    <div>
+                                        <span class="${status.text}">${status.label}: ${stats.byStatus[status.value].count}</span>
+                                        <br>
+                                        <span class="text-gray-300">${stats.byStatus[status.value].amount.toLocaleString()} ¥</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <!-- Summary -->
+            <div class="bg-gray-700 p-4 rounded-lg">
+                <h4 class="text-lg font-semibold theme-text-primary mb-2">Summary</h4>
+                <p class="text-sm text-gray-300">Total Vouchers: ${totalVouchers}</p>
+                <p class="text-sm text-gray-300">Total Amount: ${report.totalAmount.toLocaleString()} ¥</p>
+                <p class="text-sm text-gray-300">Completion Rate: ${report.completionRate}%</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Spreadsheet rows for a report: summary, technician breakdown and voucher details
+ * Returns [{ name, rows }] ready for XLSX.utils.aoa_to_sheet
+ */
+export function buildStatusReportSheets(report) {
+    const { vouchers, statusSummary, technicianStats } = report;
+    const percentText = (count) => `${percentOf(count, vouchers.length)}%`;
+
+    const summaryRows = [
+        ['Status Report Summary'],
+        ['Date Range', `${report.startDate} to ${report.endDate}`],
+        ['Technician', report.technicianText],
+        [''],
+        ['Overall Statistics'],
+        ['Status', 'Count', 'Amount (¥)', 'Percentage'],
+        ['Total Vouchers', vouchers.length, report.totalAmount, '100%'],
+        ...VOUCHER_STATUSES.map(status => [
+            status.english,
+            statusSummary[status.value].count,
+            statusSummary[status.value].amount,
+            percentText(statusSummary[status.value].count)
+        ]),
+        [''],
+        ['Completion Rate', percentText(statusSummary.picked_up.count), '', '']
+    ];
+
+    const technicianRows = [
+        ['Technician Breakdown'],
+        [''],
+        [
+            'Technician', 'Total Vouchers',
+            ...VOUCHER_STATUSES.flatMap(status => [`${status.english} Count`, `${status.english} Amount (¥)`]),
+            'Completion Rate (%)'
+        ],
+        ...Object.entries(technicianStats).map(([tech, stats]) => [
+            tech,
+            stats.total,
+            ...VOUCHER_STATUSES.flatMap(status => [stats.byStatus[status.value].count, stats.byStatus[status.value].amount]),
+            percentOf(stats.byStatus.picked_up.count, stats.total)
+        ])
+    ];
+
+    const voucherRows = [
+        ['Detailed Voucher Data'],
+        [''],
+        ['Date', 'Technician', 'Customer Name', 'Phone Model', 'Phone Color', 'Error', 'Voucher Number', 'Status', 'Status Updated', 'Amount (¥)'],
+        ...vouchers.map(voucher => [
+            voucher.date || '',
+            voucher.technicianName || 'Unknown',
+            voucher.customerName || '',
+            voucher.phoneModel || '',
+            voucher.phoneColor || '',
+            voucher.error || '',
+            voucher.voucherNumber || '',
+            getStatusInfo(getVoucherStatus(voucher)).english,
+            voucher.statusUpdatedAt ? new Date(voucher.statusUpdatedAt).toLocaleString() : '',
+            Number(voucher.amount) || 0
+        ])
+    ];
+
+    return [
+        { name: 'Summary', rows: summaryRows },
+        { name: 'Technician Breakdown', rows: technicianRows },
+        { name: 'Voucher Details', rows: voucherRows }
+    ];
+}
+
+export class StatusReportManager {
+    constructor(firebaseService, errorHandler, technicianManager = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+        this.currentReport = null;
+    }
+
+    /**
+     * Vouchers dated within the range, optionally for one technician ('all' for everyone)
+     * Technicians are matched by their current name, so vouchers from before a rename are included.
+     */
+    async loadVouchers(startDate, endDate, selectedTechnician = 'all') {
+        const vouchersCollection = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const q = this.firebaseService.createQuery(
+            vouchersCollection,
+            this.firebaseService.where('date', '>=', startDate),
+            this.firebaseService.where('date', '<=', endDate),
+            this.firebaseService.orderBy('date', 'asc')
+        );
+        const snapshot = await this.firebaseService.getDocs(q);
+        const vouchers = [];
+        snapshot.forEach(docSnap => {
+            const data = this.technicianManager ? this.technicianManager.withCurrentName(docSnap.data()) : docSnap.data();
+            if (selectedTechnician === 'all' || data.technicianName === selectedTechnician) {
+                vouchers.push({ id: docSnap.id, ...data });
+            }
+        });
+        return vouchers;
+    }
+
+    /**
+     * Build the report for a range and keep it for export
+     */
+    async generate(startDate, endDate, selectedTechnician = 'all') {
+        const vouchers = await this.loadVouchers(startDate, endDate, selectedTechnician);
+        this.currentReport = buildStatusReport(vouchers, { startDate, endDate, selectedTechnician });
+        return this.currentReport;
+    }
+
+    /**
+     * Forget the current report
+     */
+    clear() {
+        this.currentReport = null;
+    }
+}
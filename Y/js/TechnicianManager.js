@@ -0,0 +1,378 @@
+/**
+ * TechnicianManager - The shop's technicians
+ * Keeps a live copy of the technicians collection (stable ids, status, join date, phone, previous names),
+ * builds validated records for add/edit/activate, and resolves vouchers to their technician's current name.
+ * Shops still on the old technicianList/technicians name list are migrated the first time a manager signs in.
+ */
+
+export const DEFAULT_TECHNICIANS = ['ကိုကျော်', 'မောင်မောင်', 'မေသန္တာ', 'စိုးသူ', 'ထွန်းထွန်း', 'အေးမင်း'];
+
+export const TECHNICIAN_STATUSES = {
+    active: { label: 'အလုပ်လုပ်ဆဲ (Active)' },
+    inactive: { label: 'ထွက်သွားပြီ (Inactive)' }
+};
+
+const BATCH_LIMIT = 400;
+
+/**
+ * Trimmed, lowercased technician name used for duplicate checks and lookups
+ */
+export function normalizeTechnicianName(name) {
+    return (name || '').toString().trim().toLowerCase();
+}
+
+export class TechnicianManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicians = [];
+        this.loaded = false;
+        this.unsubscribe = null;
+        this.pendingEmptyCheck = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Technicians collection reference
+     */
+    techniciansRef() {
+        return this.firebaseService.collection(this.firebaseService.shopPath('technicians'));
+    }
+
+    /**
+     * Reference to one technician record
+     */
+    technicianRef(technicianId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`technicians/${technicianId}`));
+    }
+
+    /**
+     * Reference to the old technician name list document
+     */
+    legacyListRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('technicianList/technicians'));
+    }
+
+    /**
+     * Start listening to the technicians
+     * While the collection is empty a manager (`canMigrate`) migrates the old name list, seeding the
+     * default names for a brand-new shop when `seedDefaults` is set; everyone else sees the old names read-only.
+     */
+    listen({ seedDefaults = false, canMigrate = seedDefaults } = {}) {
+        this.stopListening();
+
+        this.unsubscribe = this.firebaseService.onSnapshot(this.techniciansRef(), (snapshot) => {
+            if (snapshot.empty) {
+                // One migration at a time, however many empty snapshots arrive while it runs
+                this.pendingEmptyCheck = this.pendingEmptyCheck || this.handleEmptyCollection({ seedDefaults, canMigrate })
+                    .catch(error => {
+                        // If we can't read the old list or the vouchers, write nothing to avoid data loss
+                        console.error('Error migrating technicians:', error);
+                    })
+                    .finally(() => {
+                        this.pendingEmptyCheck = null;
+                    });
+                return;
+            }
+            this.setTechnicians(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+        }, (error) => {
+            this.errorHandler.handleError(error, 'Technician listener');
+        });
+    }
+
+    /**
+     * Migrate, or fall back to the old name list until a manager does
+     */
+    async handleEmptyCollection({ seedDefaults, canMigrate }) {
+        if (canMigrate) {
+            const { createdCount } = await this.migrateFromNameList({ seedDefaults });
+            if (createdCount) return; // the listener fires again with the new records
+        }
+        const listSnap = await this.firebaseService.getDoc(this.legacyListRef());
+        const names = listSnap.exists() && !listSnap.data().migratedAt ? (listSnap.data().names || []) : [];
+        if (!this.unsubscribe || this.technicians.some(technician => technician.id)) return; // signed out, or records arrived meanwhile
+        this.setTechnicians(names.map(name => ({ id: null, name, status: 'active', previousNames: [] })));
+    }
+
+    /**
+     * Replace the local records and notify listeners
+     */
+    setTechnicians(technicians) {
+        this.technicians = technicians
+            .map(technician => ({ phone: '', joinDate: '', previousNames: [], status: 'active', ...technician }))
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || '') || a.name.localeCompare(b.name));
+        this.loaded = true;
+        this.listeners.forEach(listener => listener(this.getAll()));
+    }
+
+    /**
+     * Stop the technician listener (on sign-out)
+     */
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.technicians = [];
+        this.loaded = false;
+    }
+
+    /**
+     * Register a callback for technician changes; it receives every record, active and inactive
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Every technician record
+     */
+    getAll() {
+        return this.technicians.map(technician => ({ ...technician }));
+    }
+
+    /**
+     * Technicians who can be assigned new vouchers
+     */
+    getActive() {
+        return this.getAll().filter(technician => technician.status !== 'inactive');
+    }
+
+    /**
+     * Names of the active technicians
+     */
+    getNames() {
+        return this.getActive().map(technician => technician.name);
+    }
+
+    /**
+     * One technician by id
+     */
+    get(technicianId) {
+        return this.technicians.find(technician => technician.id && technician.id === technicianId) || null;
+    }
+
+    /**
+     * Technician currently called `name`, else one who used to be
+     */
+    findByName(name) {
+        const key = normalizeTechnicianName(name);
+        if (!key) return null;
+        return this.technicians.find(technician => normalizeTechnicianName(technician.name) === key) ||
+            this.technicians.find(technician => (technician.previousNames || []).some(previous => normalizeTechnicianName(previous) === key)) ||
+            null;
+    }
+
+    /**
+     * Id to store on a voucher assigned to `name` (null if the name is unknown)
+     */
+    idForName(name) {
+        const technician = this.findByName(name);
+        return technician ? technician.id : null;
+    }
+
+    /**
+     * Current name of the technician a voucher (or payslip) belongs to
+     * Linked records resolve by technicianId; older ones by the stored name, following renames.
+     */
+    resolveName(record) {
+        const technician = (record.technicianId && this.get(record.technicianId)) || this.findByName(record.technicianName);
+        return technician ? technician.name : record.technicianName;
+    }
+
+    /**
+     * The voucher with technicianName set to its technician's current name
+     */
+    withCurrentName(voucher) {
+        const name = this.resolveName(voucher);
+        return name === voucher.technicianName ? voucher : { ...voucher, technicianName: name };
+    }
+
+    /**
+     * Vouchers with their technicians' current names, so name-based grouping survives renames
+     */
+    withCurrentNames(vouchers) {
+        return vouchers.map(voucher => this.withCurrentName(voucher));
+    }
+
+    /**
+     * Check a name is present and not used by another technician; returns it trimmed
+     */
+    validateName(name, technicianId = null) {
+        const newName = (name || '').trim();
+        if (!newName) {
+            throw new Error(technicianId ? 'နာမည်ကို ဗလာထား၍မရပါ' : 'ကျေးဇူးပြု၍ နာမည်အသစ် ထည့်သွင်းပါ');
+        }
+        const key = normalizeTechnicianName(newName);
+        if (this.technicians.some(technician => technician.id !== technicianId && normalizeTechnicianName(technician.name) === key)) {
+            throw new Error('ဤနာမည်သည် ရှိနှင့်ပြီးသား ဖြစ်သည်');
+        }
+        return newName;
+    }
+
+    /**
+     * New technician record with an id chosen now; throws if the name is empty or taken
+     */
+    withAdded({ name, phone = '', joinDate = '' } = {}) {
+        const newName = this.validateName(name);
+        const now = new Date().toISOString();
+        return {
+            technicianId: this.firebaseService.newDocRef(this.firebaseService.shopPath('technicians')).id,
+            data: {
+                name: newName,
+                nameLower: normalizeTechnicianName(newName),
+                status: 'active',
+                phone: (phone || '').trim(),
+                joinDate: joinDate || '',
+                previousNames: [],
+                createdAt: now,
+                updatedAt: now
+            }
+        };
+    }
+
+    /**
+     * Edited technician record; a rename keeps the old name in previousNames so older vouchers still resolve
+     */
+    withUpdated(technicianId, { name, phone, joinDate } = {}) {
+        const technician = this.requireTechnician(technicianId);
+        const data = { updatedAt: new Date().toISOString() };
+
+        if (name !== undefined) {
+            const newName = this.validateName(name, technicianId);
+            if (newName !== technician.name) {
+                data.name = newName;
+                data.nameLower = normalizeTechnicianName(newName);
+                data.previousNames = [...new Set([...(technician.previousNames || []), technician.name])]
+                    .filter(previous => normalizeTechnicianName(previous) !== data.nameLower);
+            }
+        }
+        if (phone !== undefined) data.phone = (phone || '').trim();
+        if (joinDate !== undefined) data.joinDate = joinDate || '';
+
+        return { technicianId, data };
+    }
+
+    /**
+     * Technician record marked active or inactive (inactive technicians keep their history)
+     */
+    withStatus(technicianId, status) {
+        this.requireTechnician(technicianId);
+        if (!TECHNICIAN_STATUSES[status]) {
+            throw new Error(`Unknown technician status: ${status}`);
+        }
+        return { technicianId, data: { status, updatedAt: new Date().toISOString() } };
+    }
+
+    /**
+     * Loaded technician with a stored record, or throw
+     */
+    requireTechnician(technicianId) {
+        const technician = this.get(technicianId);
+        if (!technician) {
+            throw new Error('Technician မတွေ့ပါ');
+        }
+        return technician;
+    }
+
+    /**
+     * Write a technician record built by withAdded / withUpdated / withStatus
+     */
+    async save(technicianId, data) {
+        await this.firebaseService.setDoc(this.technicianRef(technicianId), data, { merge: true });
+    }
+
+    /**
+     * Create records for any names not already known (old name lists from offline queues and backups)
+     * Returns the number of technicians created
+     */
+    async importNames(names = []) {
+        let createdCount = 0;
+        for (const name of names) {
+            if (!normalizeTechnicianName(name) || this.findByName(name)) continue;
+            const { technicianId, data } = this.withAdded({ name });
+            await this.save(technicianId, data);
+            // Seen before the listener catches up, so a name repeated in the list is only added once
+            if (!this.get(technicianId)) this.technicians.push({ id: technicianId, ...data });
+            createdCount++;
+        }
+        return createdCount;
+    }
+
+    /**
+     * Turn the old name list into technician records and link every voucher to its technician's id
+     * Names found only on vouchers (technicians removed from the list) become inactive records.
+     * A shop with no list and no vouchers gets the default names when `seedDefaults` is set.
+     * Returns counts of created technicians and linked vouchers
+     */
+    async migrateFromNameList({ seedDefaults = false } = {}) {
+        const [listSnap, vouchersSnapshot] = await Promise.all([
+            this.firebaseService.getDoc(this.legacyListRef()),
+            this.firebaseService.getDocs(this.firebaseService.collection(this.firebaseService.shopPath('vouchers')))
+        ]);
+
+        const listedNames = listSnap.exists() ? (listSnap.data().names || []) : [];
+        const seen = new Set();
+        const entries = [];
+        const addEntry = (name, status) => {
+            const key = normalizeTechnicianName(name);
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            entries.push({ name: name.trim(), status });
+        };
+
+        listedNames.forEach(name => addEntry(name, 'active'));
+        vouchersSnapshot.forEach(docSnap => addEntry(docSnap.data().technicianName, 'inactive'));
+        if (!entries.length && seedDefaults && !listSnap.exists() && vouchersSnapshot.empty) {
+            DEFAULT_TECHNICIANS.forEach(name => addEntry(name, 'active'));
+        }
+        if (!entries.length) {
+            return { createdCount: 0, linkedCount: 0 };
+        }
+
+        // createdAt steps by a millisecond so the records keep the old list order
+        const start = Date.now();
+        const idsByKey = new Map();
+        const batch = this.firebaseService.batch();
+        entries.forEach((entry, index) => {
+            const ref = this.firebaseService.newDocRef(this.firebaseService.shopPath('technicians'));
+            const createdAt = new Date(start + index).toISOString();
+            batch.set(ref, {
+                name: entry.name,
+                nameLower: normalizeTechnicianName(entry.name),
+                status: entry.status,
+                phone: '',
+                joinDate: '',
+                previousNames: [],
+                createdAt,
+                updatedAt: createdAt
+            });
+            idsByKey.set(normalizeTechnicianName(entry.name), ref.id);
+        });
+        await batch.commit();
+
+        const links = [];
+        vouchersSnapshot.forEach(docSnap => {
+            const voucher = docSnap.data();
+            const technicianId = idsByKey.get(normalizeTechnicianName(voucher.technicianName));
+            if (technicianId && !voucher.technicianId) {
+                links.push({ voucherId: docSnap.id, technicianId });
+            }
+        });
+
+        for (let i = 0; i < links.length; i += BATCH_LIMIT) {
+            const linkBatch = this.firebaseService.batch();
+            links.slice(i, i + BATCH_LIMIT).forEach(({ voucherId, technicianId }) => {
+                linkBatch.update(this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${voucherId}`)), {
+                    technicianId,
+                    revision: this.firebaseService.increment(1)
+                });
+            });
+            await linkBatch.commit();
+        }
+
+        await this.firebaseService.setDoc(this.legacyListRef(), { migratedAt: new Date().toISOString() }, { merge: true });
+        return { createdCount: entries.length, linkedCount: links.length };
+    }
+}
@@ -16,6 +16,11 @@ export class VirtualScrollingManager {
         this.startIndex = 0;
         this.endIndex = 0;
         this.renderFunction = null;
+        this.loadMore = null;
+        this.hasMore = false;
+        this.isLoadingMore = false;
+        this.awaitingScroll = false;
+        this.dataVersion = 0;
         
         if (!this.container) {
             throw new Error(`Container with selector "${containerSelector}" not found`);
@@ -53,6 +58,13 @@ export class VirtualScrollingManager {
         this.visibleContainer.style.left = '0';
         this.visibleContainer.style.width = '100%';
         this.virtualContent.appendChild(this.visibleContainer);
+
+        // Shown after a page with no rows, to ask for the next one
+        this.loadMoreFooter = document.createElement('div');
+        this.loadMoreFooter.className = 'hidden py-2 text-center';
+        this.loadMoreFooter.innerHTML = '<button type="button" class="office-button py-1 px-3">ထပ်ရှာရန်</button>';
+        this.loadMoreFooter.querySelector('button').addEventListener('click', () => this.requestMore());
+        this.container.appendChild(this.loadMoreFooter);
     }
 
     /**
@@ -71,15 +83,77 @@ export class VirtualScrollingManager {
 
     /**
      * Set data and render function
+     * With `loadMore`, scrolling near the end fetches more rows: it resolves to { rows, hasMore }, where `rows`
+     * may be empty (e.g. a search page with no matches) and `hasMore` says whether to keep asking.
+     * After an empty page the list waits for the next scroll or a click on its "load more" footer.
      */
-    setData(data, renderFunction) {
+    setData(data, renderFunction, loadMore = null) {
         this.data = data;
         this.renderFunction = renderFunction;
+        this.loadMore = loadMore;
+        this.hasMore = !!loadMore;
+        this.setAwaitingScroll(false);
+        this.dataVersion++;
         this.totalHeight = data.length * this.itemHeight;
         this.virtualContent.style.height = `${this.totalHeight}px`;
         this.updateVisibleItems();
     }
 
+    /**
+     * Fetch the next rows when the visible range reaches the buffer at the end of the list
+     */
+    async loadMoreIfNeeded() {
+        if (!this.hasMore || this.isLoadingMore || this.awaitingScroll || this.endIndex < this.data.length - 1 - this.bufferSize) return;
+
+        const version = this.dataVersion;
+        this.isLoadingMore = true;
+        let result = { rows: [], hasMore: false };
+        try {
+            result = await this.loadMore();
+        } catch (error) {
+            console.error('Failed to load more rows:', error);
+        } finally {
+            this.isLoadingMore = false;
+        }
+
+        // The list was replaced while the rows were loading
+        if (version !== this.dataVersion) return;
+        this.hasMore = !!result.hasMore;
+        const rows = result.rows || [];
+        // An empty page does not redraw, so a rare search term reads one page per scroll instead of the whole collection
+        if (rows.length === 0) {
+            this.setAwaitingScroll(this.hasMore);
+            return;
+        }
+        this.appendItems(rows);
+    }
+
+    /**
+     * Pause or resume loading after an empty page, showing the "load more" footer while paused
+     */
+    setAwaitingScroll(awaiting) {
+        this.awaitingScroll = awaiting;
+        this.loadMoreFooter.classList.toggle('hidden', !awaiting);
+    }
+
+    /**
+     * Fetch the next rows after an empty page
+     */
+    requestMore() {
+        this.setAwaitingScroll(false);
+        this.loadMoreIfNeeded();
+    }
+
+    /**
+     * Append rows to the end of the list
+     */
+    appendItems(rows) {
+        this.data.push(...rows);
+        this.totalHeight = this.data.length * this.itemHeight;
+        this.virtualContent.style.height = `${this.totalHeight}px`;
+        this.updateVisibleItems();
+    }
+
     /**
      * Handle scroll events
      */
@@ -87,6 +161,7 @@ export class VirtualScrollingManager {
         const newScrollTop = this.container.scrollTop;
         if (Math.abs(newScrollTop - this.scrollTop) > this.itemHeight / 2) {
             this.scrollTop = newScrollTop;
+            this.setAwaitingScroll(false);
             this.updateVisibleItems();
         }
     }
@@ -128,6 +203,8 @@ export class VirtualScrollingManager {
         
         // Update container position
         this.visibleContainer.style.transform = `translateY(${this.startIndex * this.itemHeight}px)`;
+
+        this.loadMoreIfNeeded();
     }
 
     /**
@@ -240,6 +317,10 @@ export class VirtualScrollingManager {
      */
     clear() {
         this.data = [];
+        this.loadMore = null;
+        this.hasMore = false;
+        this.setAwaitingScroll(false);
+        this.dataVersion++;
         this.totalHeight = 0;
         this.virtualContent.style.height = '0px';
         this.visibleContainer.innerHTML = '';
@@ -277,5 +358,8 @@ export class VirtualScrollingManager {
         if (this.virtualContent && this.virtualContent.parentNode) {
             this.virtualContent.parentNode.removeChild(this.virtualContent);
         }
+        if (this.loadMoreFooter && this.loadMoreFooter.parentNode) {
+            this.loadMoreFooter.parentNode.removeChild(this.loadMoreFooter);
+        }
     }
 }
@@ -0,0 +1,153 @@
+/**
+ * VoucherAuditLog - Append-only history of voucher changes
+ * Every create, edit, delete, restore and purge writes one voucherAudit entry recording who made
+ * it, when, and each changed field's value before and after
+ */
+
+import { CONFLICT_FIELD_LABELS } from './voucherConflicts.js';
+import { getStatusInfo } from './voucherStatus.js';
+
+export const AUDIT_ACTIONS = {
+    create: { label: 'ထည့်သွင်း', color: 'bg-green-600' },
+    update: { label: 'ပြင်ဆင်', color: 'bg-blue-600' },
+    delete: { label: 'ဖျက် (Trash)', color: 'bg-red-600' },
+    restore: { label: 'ပြန်ယူ', color: 'bg-teal-600' },
+    purge: { label: 'အပြီးဖျက်', color: 'bg-gray-600' }
+};
+
+// Bookkeeping the voucher manager writes alongside every change; not shown as edits
+const IGNORED_FIELDS = ['revision', 'statusHistory', 'statusUpdatedAt', 'timestamp'];
+
+/**
+ * JSON with sorted object keys, so field order never counts as a change
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fields of `after` whose value differs from `before`, as [{ field, before, after }]
+ */
+export function diffVoucherChanges(before = {}, after = {}) {
+    return Object.keys(after)
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => stableStringify(before[field]) !== stableStringify(after[field]))
+        .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+/**
+ * Who is making a change, from the signed-in Firebase user
+ */
+export function getAuditActor(firebaseService) {
+    const user = firebaseService.getCurrentUser();
+    if (!user) return { userId: null, userName: null };
+    return { userId: user.uid, userName: user.displayName || user.email || user.uid };
+}
+
+/**
+ * Audit entry for one action on a voucher
+ */
+export function buildAuditEntry({ action, voucherId, voucher = {}, changes = [], actor, at = new Date().toISOString() }) {
+    return {
+        action,
+        voucherId,
+        voucherNumber: voucher.voucherNumber || '',
+        customerName: voucher.customerName || '',
+        changes,
+        userId: actor.userId,
+        userName: actor.userName,
+        at
+    };
+}
+
+const escapeHtml = (value) => (value ?? '').toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Readable value of a changed field
+ */
+export function formatAuditValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'voucherStatus') return getStatusInfo(value).label;
+    if (field === 'partsUsed' && Array.isArray(value)) {
+        return value.map(part => `${part.name || part.itemId} ×${part.quantity}`).join(', ') || '—';
+    }
+    if (typeof value === 'number') return value.toLocaleString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Log markup, newest first; `showVoucher` adds the voucher number to each entry (per-user view)
+ */
+export function buildAuditLogHtml(entries, { showVoucher = false } = {}) {
+    if (entries.length === 0) {
+        return '<p class="text-gray-400 text-sm">မှတ်တမ်း မရှိသေးပါ</p>';
+    }
+    return entries.map(entry => {
+        const action = AUDIT_ACTIONS[entry.action] || { label: entry.action, color: 'bg-gray-600' };
+        const changes = (entry.changes || []).map(({ field, before, after }) => `
+            <li><span class="text-gray-400">${escapeHtml(CONFLICT_FIELD_LABELS[field] || field)}:</span>
+                <span class="line-through text-red-300">${escapeHtml(formatAuditValue(field, before))}</span> →
+                <span class="text-green-300">${escapeHtml(formatAuditValue(field, after))}</span></li>
+        `).join('');
+        return `
+            <div class="border-b border-gray-700 py-2 text-sm">
+                <div class="flex flex-wrap items-center gap-2">
+                    <span class="${action.color} text-white text-xs px-2 py-0.5 rounded">${escapeHtml(action.label)}</span>
+                    ${showVoucher ? `<span class="font-semibold">${escapeHtml(entry.voucherNumber)}</span> <span class="text-gray-400">${escapeHtml(entry.customerName)}</span>` : ''}
+                    <span class="text-gray-300">${escapeHtml(entry.userName || entry.userId || '')}</span>
+                    <span class="text-gray-500 text-xs ml-auto">${escapeHtml(new Date(entry.at).toLocaleString())}</span>
+                </div>
+                ${changes ? `<ul class="mt-1 ml-2 space-y-0.5">${changes}</ul>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+export class VoucherAuditLog {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+    }
+
+    /**
+     * Path of the audit collection
+     */
+    auditPath() {
+        return this.firebaseService.shopPath('voucherAudit');
+    }
+
+    /**
+     * Every entry for one voucher, newest first
+     */
+    async getForVoucher(voucherId) {
+        return await this.queryEntries('voucherId', voucherId);
+    }
+
+    /**
+     * Every entry made by one user, newest first
+     */
+    async getForUser(userId) {
+        return await this.queryEntries('userId', userId);
+    }
+
+    /**
+     * Entries where `field` equals `value`, newest first
+     */
+    async queryEntries(field, value) {
+        const fs = this.firebaseService;
+        const q = fs.createQuery(fs.collection(this.auditPath()), fs.where(field, '==', value), fs.orderBy('at', 'desc'));
+        const snapshot = await fs.getDocs(q);
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+}
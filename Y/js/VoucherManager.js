@@ -3,16 +3,97 @@
  * Manages voucher CRUD operations, search, and display
  */
 
+import {
+    DEFAULT_VOUCHER_STATUS, getVoucherStatus, getNextStatuses, matchesStatusFilter, createStatusHistoryEntry, buildStatusOptions,
+    formatStatusHistory, canTransition, getStatusInfo
+} from './voucherStatus.js';
+import { buildReceiptHtml, printReceiptHtml, RECEIPT_LAYOUTS } from './receipt.js';
+import { normalizeScannedCode } from './scanner.js';
+import { parseSearchWithBounds, buildSearchQueryPlans, hasSearchCriteria, matchVoucher, paginate, renderMatchChips, highlightMatches, SEARCH_PAGE_SIZE } from './voucherSearch.js';
+import { buildAuditEntry, diffVoucherChanges, getAuditActor } from './VoucherAuditLog.js';
+import { warrantyFieldsForPickup, getWarrantyState, renderWarrantyBadge } from './WarrantyManager.js';
+import { calculatePartsCost, getVoucherProfit } from './InventoryManager.js';
+import { isPayrollLocked, getLockedFieldChanges } from './PayrollManager.js';
+import { renderNotificationBadge } from './NotificationManager.js';
+import { captureBase } from './voucherConflicts.js';
+import { writeTotalsChanges } from './VoucherTotalsManager.js';
+
+const RECEIPT_LAYOUT_KEY = 'receiptLayout';
+
+// Vouchers read per search query page, and pages read per fetch before showing what was found
+const SEARCH_READ_SIZE = 200;
+const SEARCH_MAX_READ_PAGES = 5;
+
+// Fields a voucher's part cost or technician commission is worked out from
+const COST_FIELDS = ['amount', 'partsUsed', 'partsCost', 'technicianName', 'technicianId', 'serviceTypeId', 'serviceType', 'error', 'voucherStatus'];
+
+// Step runner for direct (non-journaled) writes: every step simply runs
+const runDirectly = (name, run) => run();
+
+// Query text plus date bounds, used to skip repeating the same search
+const searchKey = ({ query, from, to }) => `${query}|${from || ''}|${to || ''}`;
+
+// Small parts list under the voucher's error description
+function renderPartsSummary(voucher) {
+    if (!voucher.partsUsed || voucher.partsUsed.length === 0) return '';
+    const names = voucher.partsUsed.map(part => `${part.name} × ${part.quantity}`).join(', ');
+    return `<div class="text-xs text-gray-400 mt-1">🔩 ${names}</div>`;
+}
+
+// Profit under the amount once the voucher's part cost is known
+function renderProfit(voucher) {
+    if (!voucher.partsCost) return '';
+    return `<div class="text-xs text-teal-400">Profit: ${getVoucherProfit(voucher).toLocaleString()} ¥</div>`;
+}
+
+/**
+ * Customer stats change for a voucher edit/delete, or null when nothing changes
+ */
+export function buildCustomerStatsChange(voucher, amountDelta, visitDelta) {
+    if (!voucher || !voucher.customerId || (!amountDelta && !visitDelta)) return null;
+    return { customerId: voucher.customerId, amountDelta, visitDelta };
+}
+
+/**
+ * Whether a voucher form has the fields every voucher needs
+ * An amount of 0 is allowed: warranty claims are free unless the shop charges for them.
+ */
+export function hasRequiredVoucherFields({ customerName, phoneModel, error, voucherNumber, amount }) {
+    return !!(customerName && phoneModel && error && voucherNumber) && !isNaN(amount) && amount >= 0;
+}
+
 export class VoucherManager {
-    constructor(firebaseService, errorHandler) {
+    constructor(firebaseService, errorHandler, customerManager = null, inventoryManager = null, offlineOutbox = null, technicianManager = null, notificationManager = null, serviceCatalogManager = null, payrollManager = null, deviceCatalogManager = null, workspaceManager = null) {
         this.firebaseService = firebaseService;
         this.errorHandler = errorHandler;
+        this.customerManager = customerManager;
+        this.inventoryManager = inventoryManager;
+        this.offlineOutbox = offlineOutbox;
+        this.technicianManager = technicianManager;
+        this.notificationManager = notificationManager;
+        this.serviceCatalogManager = serviceCatalogManager;
+        this.payrollManager = payrollManager;
+        this.deviceCatalogManager = deviceCatalogManager;
+        this.workspaceManager = workspaceManager;
+        this.dailyVouchers = [];
+        this.technicianFilter = '';
+        this.unsubscribeDaily = null;
+        this.unsubscribeTechnicians = null;
+        this.dailyListeners = new Set();
         this.voucherCache = new Map();
         this.searchDebounceTimer = null;
-        this.allVouchersCache = null;
+        this.search = null;
+        this.searchListeners = new Set();
         this.searchResults = [];
+        this.searchMatches = new Map();
+        this.searchParsedQuery = null;
+        this.searchPage = 1;
         this.isSearchMode = false;
+        this.searchQuery = '';
+        this.lastSearchKey = '';
+        this.rowActions = {};
         this.currentUserId = null;
+        this.statusFilter = 'all';
     }
 
     /**
@@ -27,14 +108,29 @@ export class VoucherManager {
      * Setup all event listeners for voucher operations
      */
     async setupEventListeners() {
-        const voucherSearchInput = document.getElementById('voucherSearchInput');
         const addVoucherForm = document.getElementById('addVoucherForm');
+
+        this.setupSearchListeners();
+
+        // Add voucher form
+        if (addVoucherForm) {
+            addVoucherForm.addEventListener('submit', async (event) => {
+                await this.handleAddVoucher(event);
+            });
+        }
+    }
+
+    /**
+     * Wire the search box, its date bounds and the repair status filter
+     */
+    setupSearchListeners() {
+        const voucherSearchInput = document.getElementById('voucherSearchInput');
         const takenStatusFilter = document.getElementById('takenStatusFilter');
 
         // Search input with debouncing
         if (voucherSearchInput) {
-            voucherSearchInput.addEventListener('input', (e) => {
-                this.handleSearchInput(e);
+            voucherSearchInput.addEventListener('input', () => {
+                this.handleSearchInput();
             });
 
             voucherSearchInput.addEventListener('keypress', async (e) => {
@@ -48,14 +144,15 @@ export class VoucherManager {
             });
         }
 
-        // Add voucher form
-        if (addVoucherForm) {
-            addVoucherForm.addEventListener('submit', async (event) => {
-                await this.handleAddVoucher(event);
-            });
-        }
+        // Date bounds narrow the typed query (or search by date alone)
+        ['searchFromDate', 'searchToDate'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => this.handleSearchInput());
+            }
+        });
 
-        // Taken status filter
+        // Repair status filter
         if (takenStatusFilter) {
             takenStatusFilter.addEventListener('change', () => {
                 this.filterVouchersByTakenStatus();
@@ -63,104 +160,146 @@ export class VoucherManager {
         }
     }
 
+    /**
+     * Query text and date bounds from the search controls
+     */
+    readSearchControls() {
+        const valueOf = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        return { query: valueOf('voucherSearchInput'), from: valueOf('searchFromDate') || null, to: valueOf('searchToDate') || null };
+    }
+
     /**
      * Handle search input with debouncing
+     * A typed query searches from two characters, a date bound on its own; one character narrows the day's list.
      */
-    handleSearchInput(e) {
-        const voucherSearchQuery = e.target.value.trim();
+    handleSearchInput() {
+        const controls = this.readSearchControls();
+        this.searchQuery = controls.query;
         
         // Clear previous debounce timer
         if (this.searchDebounceTimer) {
             clearTimeout(this.searchDebounceTimer);
         }
         
-        if (!voucherSearchQuery) {
+        if (!controls.query && !controls.from && !controls.to) {
             // Clear search mode when input is empty
-            this.isSearchMode = false;
-            this.searchResults = [];
-            this.renderDailyVouchers();
-        } else {
+            this.exitSearchMode();
+        } else if (controls.query.length >= 2 || controls.from || controls.to) {
             // Debounce search - wait 300ms after user stops typing
             this.searchDebounceTimer = setTimeout(async () => {
-                await this.performVoucherSearch();
+                if (searchKey(controls) !== this.lastSearchKey) {
+                    await this.performVoucherSearch(controls);
+                }
             }, 300);
+        } else {
+            this.renderDailyVouchers();
         }
     }
 
     /**
-     * Load all vouchers into cache (called once)
+     * Start a search over the shop's vouchers; `bounds` are extra { from, to, status } limits
+     * The search reads its indexed query a page at a time through fetchSearchResults().
      */
-    async loadAllVouchersCache() {
-        if (this.allVouchersCache !== null) {
-            return; // Already cached
-        }
+    createSearch(query, bounds = {}) {
+        const parsed = parseSearchWithBounds(query, bounds);
+        return {
+            parsed,
+            plans: buildSearchQueryPlans(parsed),
+            planIndex: 0,
+            cursor: null,
+            readCount: 0,
+            hasMore: hasSearchCriteria(parsed),
+            results: [],
+            matches: new Map()
+        };
+    }
 
-        try {
-            this.showMessage("Voucher ဒေတာ မှတ်သားနေပါသည်...", false);
-            
-            const vouchersCollection = this.firebaseService.collection(`artifacts/${this.firebaseService.appId}/users/${this.currentUserId}/vouchers`);
-            const querySnapshot = await this.firebaseService.getDocs(vouchersCollection);
-            
-            this.allVouchersCache = [];
-            querySnapshot.forEach((doc) => {
-                const data = doc.data();
-                this.allVouchersCache.push({ id: doc.id, ...data });
+    /**
+     * Read query pages until `wanted` more vouchers match the search or its queries run out
+     * Stops after SEARCH_MAX_READ_PAGES pages so a rare term never reads the whole collection in one go;
+     * returns the newly matched vouchers, which are also added to `search.results`.
+     */
+    async fetchSearchResults(search, wanted = SEARCH_PAGE_SIZE) {
+        const fs = this.firebaseService;
+        const vouchersCollection = fs.collection(fs.shopPath('vouchers'));
+
+        const found = [];
+        for (let pages = 0; search.hasMore && found.length < wanted && pages < SEARCH_MAX_READ_PAGES; pages++) {
+            const plan = search.plans[search.planIndex];
+            const constraints = [
+                ...plan.filters.map(([field, operator, value]) => fs.where(field, operator, value)),
+                fs.orderBy(...plan.order)
+            ];
+            const page = await fs.getPage(vouchersCollection, constraints, { pageSize: SEARCH_READ_SIZE, after: search.cursor });
+            search.readCount += page.docs.length;
+            search.cursor = page.cursor;
+            // This query is done: move on to the next one
+            if (!page.hasMore) {
+                search.planIndex++;
+                search.cursor = null;
+            }
+            search.hasMore = search.planIndex < search.plans.length;
+
+            this.withCurrentTechnicianNames(page.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))).forEach(voucher => {
+                // Already found by an earlier query
+                if (search.matches.has(voucher.id)) return;
+                const matched = matchVoucher(voucher, search.parsed);
+                if (!matched) return;
+                found.push(voucher);
+                search.matches.set(voucher.id, matched);
             });
-            
-            this.showMessage("Voucher ဒေတာ ပြင်ဆင်ပြီးပါပြီ", false);
-        } catch (error) {
-            this.errorHandler.handleError(error, 'Failed to load voucher cache');
-            this.allVouchersCache = [];
         }
+        search.results.push(...found);
+        return found;
     }
 
     /**
-     * Perform fast voucher search using cached data
+     * Perform a voucher search, reading its first page of matches
+     * Searches the search controls' query and date bounds unless others are given.
      */
-    async performVoucherSearch() {
-        const voucherSearchInput = document.getElementById('voucherSearchInput');
-        const voucherSearchQuery = voucherSearchInput ? voucherSearchInput.value.trim() : '';
-        
-        if (!voucherSearchQuery || !this.currentUserId) {
+    async performVoucherSearch({ query, from, to } = this.readSearchControls()) {
+        if (!this.currentUserId || (query.length < 2 && !from && !to)) {
             return;
         }
 
+        // Remembered so the debounced input does not repeat the same search
+        this.lastSearchKey = searchKey({ query, from, to });
+
         try {
-            // Load cache if not already loaded
-            if (this.allVouchersCache === null) {
-                await this.loadAllVouchersCache();
-            }
-            
             // Show loading indicator
             this.showMessage("Voucher ရှာနေပါသည်...", false);
-            
-            const searchQuery = voucherSearchQuery.toLowerCase();
-            this.searchResults = [];
-            
-            // Fast client-side search through cached data
-            for (let i = 0; i < this.allVouchersCache.length; i++) {
-                const voucher = this.allVouchersCache[i];
-                const voucherNumber = (voucher.voucherNumber || '').toString().toLowerCase();
-                
-                if (voucherNumber.includes(searchQuery)) {
-                    this.searchResults.push(voucher);
-                    
-                    // Limit results for better performance (show first 100 matches)
-                    if (this.searchResults.length >= 100) {
-                        break;
-                    }
-                }
+
+            const search = this.createSearch(query, { from, to });
+            if (search.parsed.errors.length > 0) {
+                this.showMessage(search.parsed.errors.join(', '), true);
+                if (!hasSearchCriteria(search.parsed)) return;
             }
 
-            if (this.searchResults.length === 0) {
-                this.showMessage(`Voucher Number "${voucherSearchQuery}" ကို မတွေ့ပါ`, true);
+            this.search = search;
+            await this.fetchSearchResults(search);
+            // A newer search started while this one was reading
+            if (this.search !== search) return;
+
+            this.searchResults = search.results;
+            this.searchMatches = search.matches;
+            this.searchParsedQuery = search.parsed;
+            this.searchPage = 1;
+
+            if (this.searchResults.length === 0 && !search.hasMore) {
+                this.showMessage(`"${query}" ကို မတွေ့ပါ`, true);
                 this.isSearchMode = false;
+                this.renderSearchPagination(null);
+            } else if (this.searchResults.length === 0) {
+                // Not among the vouchers read so far: offer to keep reading older ones
+                this.isSearchMode = true;
+                this.showMessage(`"${query}" ကို Voucher ${search.readCount} ခုတွင် မတွေ့သေးပါ`, true);
+                this.displaySearchResults();
             } else {
                 this.isSearchMode = true;
-                const message = this.searchResults.length >= 100 ? 
-                    `100+ ခု Voucher တွေ့ပါသည် (ပထမ 100 ခုသာြသပါသည်)` :
-                    `${this.searchResults.length} ခု Voucher တွေ့ပါသည်`;
-                this.showMessage(message, false);
+                this.showMessage(`${this.searchResults.length}${search.hasMore ? '+' : ''} ခု Voucher တွေ့ပါသည်`, false);
                 this.displaySearchResults();
             }
         } catch (error) {
@@ -168,6 +307,55 @@ export class VoucherManager {
         }
     }
 
+    /**
+     * Leave search mode and show the day's vouchers again
+     */
+    exitSearchMode() {
+        this.isSearchMode = false;
+        this.search = null;
+        this.searchResults = [];
+        this.searchMatches = new Map();
+        this.searchParsedQuery = null;
+        this.lastSearchKey = '';
+        this.renderDailyVouchers();
+    }
+
+    /**
+     * Empty the search box and leave search mode (when the day or technician changes)
+     */
+    clearSearch() {
+        const voucherSearchInput = document.getElementById('voucherSearchInput');
+        if (voucherSearchInput) voucherSearchInput.value = '';
+        this.searchQuery = '';
+        this.exitSearchMode();
+    }
+
+    /**
+     * Read the next matches of the current search
+     * Returns { vouchers, hasMore }: the new matches the status filter shows, and whether the search can read further.
+     */
+    async loadMoreSearchResults() {
+        const search = this.search;
+        if (!search || !search.hasMore) return { vouchers: [], hasMore: false };
+
+        try {
+            const found = await this.fetchSearchResults(search);
+            if (this.search !== search) return { vouchers: [], hasMore: false };
+            return { vouchers: found.filter(voucher => matchesStatusFilter(voucher, this.statusFilter)), hasMore: search.hasMore };
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to load more search results');
+            return { vouchers: [], hasMore: false };
+        }
+    }
+
+    /**
+     * Register a callback for the filtered search results (e.g. a virtual scrolling list)
+     */
+    onSearchResultsChange(listener) {
+        this.searchListeners.add(listener);
+        return () => this.searchListeners.delete(listener);
+    }
+
     /**
      * Display search results in the table
      */
@@ -180,57 +368,261 @@ export class VoucherManager {
             actionHeader.textContent = 'Technician & Date';
         }
         
-        if (voucherTableBody) {
-            voucherTableBody.innerHTML = '';
-            
-            if (this.searchResults.length === 0) {
-                voucherTableBody.innerHTML = '<tr><td colspan="9" class="py-3 text-center text-gray-400">ရှာဖွေမှုရလဒ် မရှိပါ</td></tr>';
-                return;
-            }
+        const visibleResults = this.searchResults.filter(voucher => matchesStatusFilter(voucher, this.statusFilter));
+        this.searchListeners.forEach(listener => listener(visibleResults));
 
-            this.searchResults.forEach((voucher, index) => {
-                const row = this.createVoucherRow(voucher, index);
-                voucherTableBody.appendChild(row);
-            });
+        if (!voucherTableBody) return;
+        voucherTableBody.innerHTML = '';
+        
+        if (visibleResults.length === 0) {
+            const canReadMore = !!(this.search && this.search.hasMore);
+            voucherTableBody.innerHTML = `<tr><td colspan="9" class="py-3 text-center text-gray-400">ရှာဖွေမှုရလဒ် မရှိပါ${canReadMore
+                ? ` <button class="search-older-btn office-button py-1 px-3 ml-2">ပိုဟောင်းသော Voucher များ ရှာရန်</button>`
+                : ''}</td></tr>`;
+            const olderButton = voucherTableBody.querySelector('.search-older-btn');
+            if (olderButton) {
+                olderButton.addEventListener('click', async () => {
+                    olderButton.disabled = true;
+                    await this.loadMoreSearchResults();
+                    this.displaySearchResults();
+                });
+            }
+            this.renderSearchPagination(null);
+            return;
         }
 
+        const page = paginate(visibleResults, this.searchPage);
+        this.searchPage = page.page;
+        page.items.forEach((voucher, index) => {
+            voucherTableBody.appendChild(this.createVoucherRow(voucher, page.start - 1 + index));
+        });
+        this.renderSearchPagination(page);
+
         // Update daily total to show search results total
         if (dailyTotalDisplay) {
-            const totalAmount = this.searchResults.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
+            const totalAmount = visibleResults.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
             dailyTotalDisplay.textContent = `Search Total: ${totalAmount.toLocaleString()} ¥`;
         }
     }
 
+    /**
+     * Render prev/next controls under the table for multi-page search results
+     */
+    renderSearchPagination(page) {
+        const container = document.getElementById('searchPagination');
+        if (!container) return;
+
+        if (!page || (page.totalPages <= 1 && !(this.search && this.search.hasMore))) {
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.classList.remove('hidden');
+        const hasMore = !!(this.search && this.search.hasMore);
+        container.innerHTML = `
+            <span>${page.start}-${page.end} / ${page.total}${hasMore ? '+' : ''} (Page ${page.page} of ${page.totalPages}${hasMore ? '+' : ''})</span>
+            <div class="space-x-2">
+                <button class="search-prev-btn office-button py-1 px-3 disabled:opacity-50" ${page.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+                <button class="search-next-btn office-button py-1 px-3 disabled:opacity-50" ${page.page >= page.totalPages && !hasMore ? 'disabled' : ''}>Next ›</button>
+            </div>
+        `;
+        container.querySelector('.search-prev-btn').addEventListener('click', () => {
+            this.searchPage--;
+            this.displaySearchResults();
+        });
+        container.querySelector('.search-next-btn').addEventListener('click', async (event) => {
+            // The last page read so far: fetch the next matches first
+            if (page.page >= page.totalPages) {
+                event.currentTarget.disabled = true;
+                await this.loadMoreSearchResults();
+            }
+            this.searchPage++;
+            this.displaySearchResults();
+        });
+    }
+
+    /**
+     * Show the day's vouchers in the table
+     */
+    displayVouchers(vouchers) {
+        const voucherTableBody = document.getElementById('voucherTableBody');
+        const actionHeader = document.getElementById('actionHeader');
+        if (!voucherTableBody) return;
+
+        if (actionHeader) {
+            actionHeader.textContent = 'လုပ်ဆောင်ချက်';
+        }
+        this.renderSearchPagination(null);
+
+        voucherTableBody.innerHTML = '';
+        if (vouchers.length === 0) {
+            voucherTableBody.innerHTML = '<tr><td colspan="9" class="py-3 text-center text-gray-400">ဤနေ့အတွက် မှတ်တမ်းမရှိပါ</td></tr>';
+            return;
+        }
+        vouchers.forEach((voucher, index) => {
+            voucherTableBody.appendChild(this.createVoucherRow(voucher, index));
+        });
+    }
+
+    /**
+     * Register the page's handlers for row buttons the voucher manager cannot show itself
+     * `showAuditLog(voucher)` and `openWarrantyClaim(voucher)` add their buttons; `onTrashed(voucher)` follows a delete.
+     */
+    setRowActions(actions) {
+        this.rowActions = actions;
+    }
+
     /**
      * Create a voucher row element
+     * Search results highlight what matched and show the technician and date in place of edit and delete.
      */
     createVoucherRow(voucher, index) {
         const row = document.createElement('tr');
         row.className = 'border-b border-gray-700 hover:bg-gray-700 transition-colors duration-150';
         
-        // Determine taken status
-        const takenStatus = voucher.takenByCustomer ? 
-            '<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-900 text-green-300">Taken</span>' :
-            '<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-900 text-red-300">Not Taken</span>';
+        const searching = this.isSearchMode;
+        // Highlight what a search matched on
+        const parsed = searching && this.searchParsedQuery ? this.searchParsedQuery : { terms: [], fields: {} };
+        const mark = (field, key) => highlightMatches(voucher[field] || '', parsed, key);
+        const matchChips = searching ? `<div>${renderMatchChips(this.searchMatches.get(voucher.id) || [], voucher)}</div>` : '';
+        const phone = searching && voucher.customerPhone ? `<div class="text-xs text-gray-400">${mark('customerPhone', 'phone')}</div>` : '';
+        const currentStatus = getVoucherStatus(voucher);
+        const history = formatStatusHistory(voucher.statusHistory || []).replace(/"/g, '&quot;');
+        const showAuditLog = this.rowActions.showAuditLog && this.can('viewAuditLog');
+        const openWarrantyClaim = this.rowActions.openWarrantyClaim && !voucher.isWarrantyClaim && getWarrantyState(voucher).state === 'active';
+        const rowButtons = `
+            <button class="print-receipt-btn bg-blue-500 hover:bg-blue-600 text-white font-bold py-1 px-3 rounded-lg text-sm mt-1" title="ဘောင်ချာ ထုတ်ရန်">🖨️</button>
+            ${showAuditLog ? '<button class="audit-log-btn bg-gray-600 hover:bg-gray-500 text-white font-bold py-1 px-3 rounded-lg text-sm mt-1" title="ပြင်ဆင်မှတ်တမ်း">📜</button>' : ''}
+            ${openWarrantyClaim ? '<button class="warranty-claim-btn bg-green-600 hover:bg-green-500 text-white font-bold py-1 px-3 rounded-lg text-sm mt-1" title="Warranty ပြန်ပြင်">🛡️</button>' : ''}
+        `;
+        const actions = searching
+            ? `
+                <span class="text-sm text-gray-300 font-semibold">${mark('technicianName', 'tech') || 'Unknown'}</span>
+                <br>
+                <span class="text-xs text-gray-400">${voucher.date || 'No Date'}</span>
+                <br>
+                ${rowButtons}
+            `
+            : `
+                <button class="edit-voucher-btn ${this.can('editVoucher') ? '' : 'hidden'} bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-1 px-3 rounded-lg text-sm mr-2">ပြုပြင်ရန်</button>
+                <button class="delete-voucher-btn ${this.can('deleteVoucher') ? '' : 'hidden'} bg-red-500 hover:bg-red-600 text-white font-bold py-1 px-3 rounded-lg text-sm mr-2">ဖျက်ရန်</button>
+                ${rowButtons}
+            `;
         
         row.innerHTML = `
             <td class="py-3 px-6 text-left whitespace-nowrap">${index + 1}</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap">${voucher.customerName || 'Unknown'}</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap">${voucher.phoneModel || 'Unknown'}</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap">${voucher.phoneColor || 'Unknown'}</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap font-semibold text-green-400">${voucher.voucherNumber || 'N/A'}</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap">${(Number(voucher.amount) || 0).toLocaleString()} ¥</td>
-            <td class="py-3 px-6 text-left whitespace-nowrap">${takenStatus}</td>
+            <td class="py-3 px-6 text-left">${mark('customerName', 'customer')}${phone}</td>
+            <td class="py-3 px-6 text-left">${mark('phoneModel', 'model')}</td>
+            <td class="py-3 px-6 text-left">${mark('phoneColor', 'colour')}</td>
+            <td class="py-3 px-6 text-left">${mark('error', 'error')}${renderPartsSummary(voucher)}${matchChips}</td>
+            <td class="py-3 px-6 text-left${searching ? ' font-semibold text-teal-400' : ''}">${mark('voucherNumber', 'voucher')}</td>
             <td class="py-3 px-6 text-left">
-                <span class="text-sm text-gray-300 font-semibold">${voucher.technicianName || 'Unknown'}</span>
-                <br>
-                <span class="text-xs text-gray-400">${voucher.date || 'No Date'}</span>
+                <select class="status-select bg-gray-800 text-white border border-gray-600 rounded px-2 py-1 text-sm" title="${history}">
+                    ${buildStatusOptions(currentStatus, getNextStatuses(currentStatus))}
+                </select>${renderNotificationBadge(voucher.notification)}${renderWarrantyBadge(voucher)}
             </td>
+            <td class="py-3 px-6 text-left">${(Number(voucher.amount) || 0).toLocaleString()} ¥${renderProfit(voucher)}</td>
+            <td class="py-3 px-6 text-left">${actions}</td>
         `;
+
+        row.querySelector('.status-select').addEventListener('change', (event) => this.changeVoucherStatus(voucher.id, event.target.value));
+        row.querySelector('.print-receipt-btn').addEventListener('click', () => this.printReceipt(voucher));
+        if (showAuditLog) {
+            row.querySelector('.audit-log-btn').addEventListener('click', () => this.rowActions.showAuditLog(voucher));
+        }
+        if (openWarrantyClaim) {
+            row.querySelector('.warranty-claim-btn').addEventListener('click', () => this.rowActions.openWarrantyClaim(voucher));
+        }
+        if (!searching) {
+            row.querySelector('.edit-voucher-btn').addEventListener('click', () => this.editVoucherRow(row, voucher));
+            row.querySelector('.delete-voucher-btn').addEventListener('click', () => this.confirmTrashVoucher(voucher));
+        }
         
         return row;
     }
 
+    /**
+     * Turn a daily row into inputs for its voucher, with a parts editor underneath
+     * The amount of a voucher paid in a closed payroll run stays fixed.
+     */
+    editVoucherRow(row, voucher) {
+        if (!this.requirePermission('editVoucher')) return;
+        // Prevent re-entering edit mode if already editing
+        if (row.classList.contains('editing')) return;
+        row.classList.add('editing');
+
+        // Cells: 0=index, 1=customerName, 2=phoneModel, 3=phoneColor, 4=error, 5=voucherNumber, 6=status, 7=amount, 8=actions
+        const cells = row.children;
+        const field = (cell, value, type = 'text', extraClass = '') => {
+            cell.innerHTML = `<input type="${type}" class="bg-gray-600 p-1 rounded w-full ${extraClass}">`;
+            const input = cell.firstElementChild;
+            input.value = value ?? '';
+            return input;
+        };
+        const inputs = {
+            customerName: field(cells[1], voucher.customerName),
+            phoneModel: field(cells[2], voucher.phoneModel),
+            phoneColor: field(cells[3], voucher.phoneColor),
+            error: field(cells[4], voucher.error),
+            voucherNumber: field(cells[5], voucher.voucherNumber),
+            amount: field(cells[7], voucher.amount, 'number', 'text-right')
+        };
+        inputs.amount.step = '0.01';
+        if (isPayrollLocked(voucher)) {
+            // Paid in a closed pay period: the amount it was paid on stays fixed
+            inputs.amount.disabled = true;
+            inputs.amount.title = `🔒 ${voucher.payrollRunId}`;
+        }
+        const currentStatus = getVoucherStatus(voucher);
+        cells[6].innerHTML = `
+            <select class="bg-gray-600 p-1 rounded w-full text-white">
+                ${buildStatusOptions(currentStatus, getNextStatuses(currentStatus))}
+            </select>
+        `;
+        const statusSelect = cells[6].querySelector('select');
+
+        // Parts editor sits in its own row under the voucher being edited
+        const originalParts = voucher.partsUsed || [];
+        const partsRow = document.createElement('tr');
+        partsRow.className = 'parts-edit-row border-b border-gray-700';
+        partsRow.innerHTML = '<td colspan="9" class="py-2 px-6"><div class="parts-edit-picker"></div></td>';
+        row.after(partsRow);
+        const partsPicker = this.inventoryManager
+            ? this.inventoryManager.attachPartsPicker(partsRow.querySelector('.parts-edit-picker'), { initialParts: originalParts })
+            : null;
+
+        cells[8].innerHTML = `
+            <button class="save-voucher-btn bg-green-500 hover:bg-green-600 text-white font-bold py-1 px-3 rounded-lg text-sm mr-2">သိမ်းရန်</button>
+            <button class="cancel-edit-voucher-btn bg-gray-500 hover:bg-gray-600 text-white font-bold py-1 px-3 rounded-lg text-sm">ပယ်ဖျက်ရန်</button>
+        `;
+        cells[8].querySelector('.save-voucher-btn').addEventListener('click', async () => {
+            const updated = {
+                customerName: inputs.customerName.value.trim(),
+                ...(this.deviceCatalogManager
+                    ? this.deviceCatalogManager.fieldsFor(inputs.phoneModel.value)
+                    : { phoneModel: inputs.phoneModel.value.trim() }),
+                phoneColor: inputs.phoneColor.value.trim(),
+                error: inputs.error.value.trim(),
+                voucherNumber: inputs.voucherNumber.value.trim(),
+                voucherStatus: statusSelect.value,
+                amount: parseFloat(inputs.amount.value),
+                partsUsed: partsPicker ? partsPicker.getParts() : originalParts
+            };
+            updated.partsCost = calculatePartsCost(updated.partsUsed);
+
+            if (!hasRequiredVoucherFields(updated)) {
+                this.showMessage("ကျေးဇူးပြု၍ လိုအပ်သော အချက်အလက်များ ဖြည့်သွင်းပါ", true);
+                return;
+            }
+            // Re-render to exit edit mode and reflect latest snapshot
+            if (await this.saveVoucherEdit(voucher, updated)) {
+                this.renderDailyVouchers();
+            }
+        });
+        // Simply re-render current list to restore non-editing state
+        cells[8].querySelector('.cancel-edit-voucher-btn').addEventListener('click', () => this.renderDailyVouchers());
+    }
+
     /**
      * Handle adding a new voucher
      */
@@ -244,24 +636,31 @@ export class VoucherManager {
 
         try {
             const formData = new FormData(event.target);
+            const voucherStatus = formData.get('voucherStatus') || DEFAULT_VOUCHER_STATUS;
             const voucherData = {
                 customerName: formData.get('customerName'),
-                phoneModel: formData.get('phoneModel'),
+                customerPhone: formData.get('customerPhone') || '',
+                customerId: formData.get('customerId') || null,
+                ...(this.deviceCatalogManager
+                    ? this.deviceCatalogManager.fieldsFor(formData.get('phoneModel'))
+                    : { phoneModel: formData.get('phoneModel'), deviceId: null }),
                 phoneColor: formData.get('phoneColor'),
+                error: formData.get('error') || '',
+                ...(this.serviceCatalogManager
+                    ? this.serviceCatalogManager.fieldsFor(formData.get('serviceTypeId'))
+                    : { serviceTypeId: null, serviceType: '', warrantyDays: 0 }),
                 voucherNumber: formData.get('voucherNumber'),
-                amount: formData.get('amount'),
+                amount: parseFloat(formData.get('amount')),
                 date: formData.get('date'),
                 technicianName: formData.get('technicianName'),
-                takenByCustomer: formData.get('takenByCustomer') === 'on',
-                timestamp: new Date()
+                technicianId: this.technicianManager ? this.technicianManager.idForName(formData.get('technicianName')) : null,
+                voucherStatus: voucherStatus,
+                statusHistory: [createStatusHistoryEntry(null, voucherStatus, this.currentUserLabel())],
+                timestamp: new Date(),
+                revision: 1
             };
 
-            const vouchersCollection = this.firebaseService.collection(`artifacts/${this.firebaseService.appId}/users/${this.currentUserId}/vouchers`);
-            await this.firebaseService.addDoc(vouchersCollection, voucherData);
-            
-            // Invalidate cache so search includes new voucher
-            this.invalidateVoucherCache();
-            
+            await this.saveNewVoucher(voucherData);
             this.showMessage("Voucher ထည့်သွင်းပြီးပါပြီ။");
             
             // Clear form
@@ -273,35 +672,644 @@ export class VoucherManager {
     }
 
     /**
-     * Filter vouchers by taken status
+     * Find vouchers whose number exactly matches a scanned or typed code
+     */
+    async findByVoucherNumber(code) {
+        const raw = (code || '').toString().trim();
+        if (!raw) return [];
+
+        const candidates = [...new Set([raw, normalizeScannedCode(raw)])];
+        const vouchersCollection = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const snapshot = await this.firebaseService.getDocs(
+            this.firebaseService.createQuery(vouchersCollection, this.firebaseService.where('voucherNumber', 'in', candidates))
+        );
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Show the voucher(s) matching a scanned claim ticket in the table
+     */
+    async showScannedVoucher(code) {
+        if (!this.currentUserId) return;
+
+        try {
+            const vouchers = await this.findByVoucherNumber(code);
+            if (vouchers.length === 0) {
+                this.showMessage(`Voucher "${code}" ကို မတွေ့ပါ`, true);
+            }
+            this.showVoucherMatches(code, vouchers);
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to look up scanned voucher');
+        }
+    }
+
+    /**
+     * Build the status update that releases a voucher to the customer
+     * Throws if the voucher is not at a stage that can move to picked up
+     */
+    buildPickupUpdate(voucher, releasedBy) {
+        const currentStatus = getVoucherStatus(voucher);
+        if (!canTransition(currentStatus, 'picked_up')) {
+            throw new Error(`"${getStatusInfo(currentStatus).label}" အဆင့်မှ ယူသွားပြီး သို့ ပြောင်း၍ မရပါ`);
+        }
+
+        const historyEntry = createStatusHistoryEntry(currentStatus, 'picked_up', releasedBy);
+        return {
+            historyEntry,
+            data: {
+                voucherStatus: 'picked_up',
+                statusUpdatedAt: historyEntry.at,
+                releasedBy: releasedBy,
+                releasedAt: historyEntry.at
+            }
+        };
+    }
+
+    /**
+     * Mark a voucher as picked up, recording who released it and when
+     */
+    async markPickedUp(voucher, releasedBy) {
+        const { data, historyEntry } = this.buildPickupUpdate(voucher, releasedBy);
+        await this.updateVoucher(voucher.id, data, { historyEntry });
+        return { ...voucher, ...data, statusHistory: [...(voucher.statusHistory || []), historyEntry] };
+    }
+
+    /**
+     * Filter vouchers by repair status ('all', 'open', 'closed' or a stage)
      */
     filterVouchersByTakenStatus() {
         const takenStatusFilter = document.getElementById('takenStatusFilter');
         if (!takenStatusFilter) return;
 
-        const filterValue = takenStatusFilter.value;
-        // Implementation for filtering vouchers by taken status
-        this.renderDailyVouchers();
+        this.statusFilter = takenStatusFilter.value;
+        this.searchPage = 1;
+        if (this.isSearchMode) {
+            this.displaySearchResults();
+        } else {
+            this.renderDailyVouchers();
+        }
+    }
+
+    /**
+     * Vouchers with their technicians' current names (unchanged without a technician manager)
+     */
+    withCurrentTechnicianNames(vouchers) {
+        return this.technicianManager ? this.technicianManager.withCurrentNames(vouchers) : vouchers;
+    }
+
+    /**
+     * Re-resolve technician names in the live lists when a technician is renamed
+     */
+    watchTechnicians() {
+        if (!this.technicianManager || this.unsubscribeTechnicians) return;
+        this.unsubscribeTechnicians = this.technicianManager.onChange(() => {
+            this.dailyVouchers = this.withCurrentTechnicianNames(this.dailyVouchers);
+            this.invalidateVoucherCache();
+            this.renderDailyVouchers();
+        });
+    }
+
+    /**
+     * Listen to the vouchers of one day, oldest first
+     */
+    listenForDate(date, onError = (error) => this.errorHandler.handleError(error, 'Daily voucher listener')) {
+        if (this.unsubscribeDaily) {
+            this.unsubscribeDaily();
+        }
+        this.watchTechnicians();
+        const vouchersCollection = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const q = this.firebaseService.createQuery(vouchersCollection, this.firebaseService.where('date', '==', date));
+
+        this.unsubscribeDaily = this.firebaseService.onSnapshot(q, (snapshot) => {
+            const vouchers = this.withCurrentTechnicianNames(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+            vouchers.sort((a, b) => (a.timestamp && b.timestamp) ? a.timestamp.toDate() - b.timestamp.toDate() : 0);
+            this.dailyVouchers = vouchers;
+            this.invalidateVoucherCache();
+            this.renderDailyVouchers();
+        }, onError);
+    }
+
+    /**
+     * Stop the daily and technician listeners (on sign-out)
+     */
+    stopListening() {
+        [this.unsubscribeDaily, this.unsubscribeTechnicians].forEach(unsubscribe => unsubscribe && unsubscribe());
+        this.unsubscribeDaily = null;
+        this.unsubscribeTechnicians = null;
+        this.dailyVouchers = [];
+    }
+
+    /**
+     * Register a callback for the filtered daily voucher list
+     */
+    onDailyVouchersChange(listener) {
+        this.dailyListeners.add(listener);
+        return () => this.dailyListeners.delete(listener);
+    }
+
+    /**
+     * Today's vouchers after the technician, typed voucher number and status filters
+     */
+    getFilteredDailyVouchers() {
+        return this.dailyVouchers
+            .filter(voucher => !this.technicianFilter || voucher.technicianName === this.technicianFilter)
+            .filter(voucher => !this.searchQuery || (voucher.voucherNumber || '').toString().toLowerCase().includes(this.searchQuery.toLowerCase()))
+            .filter(voucher => matchesStatusFilter(voucher, this.statusFilter));
+    }
+
+    /**
+     * Find a voucher among the daily list and search results
+     */
+    findLoadedVoucher(voucherId) {
+        return this.dailyVouchers.find(v => v.id === voucherId) || this.searchResults.find(v => v.id === voucherId) || null;
     }
 
     /**
-     * Render daily vouchers (placeholder - will be implemented with virtual scrolling)
+     * Push the filtered daily vouchers to the registered views
      */
     renderDailyVouchers() {
         // If in search mode, don't render daily vouchers
         if (this.isSearchMode) {
             return;
         }
-        
-        // Implementation will be added with virtual scrolling
-        console.log('Rendering daily vouchers...');
+
+        const vouchers = this.getFilteredDailyVouchers();
+        this.dailyListeners.forEach(listener => listener(vouchers));
+    }
+
+    /**
+     * Reference to a voucher document
+     */
+    voucherRef(voucherId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${voucherId}`));
+    }
+
+    /**
+     * Current data of one voucher, or null if it no longer exists
+     */
+    async getVoucher(voucherId) {
+        const docSnap = await this.firebaseService.getDoc(this.voucherRef(voucherId));
+        return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+    }
+
+    /**
+     * Create a voucher: link the customer, take its parts out of stock, write it with its totals and record the visit
+     * Pass a voucherId chosen in advance to make the write idempotent; `step(name, run)` lets the
+     * offline queue journal each side effect so a replay never repeats one.
+     */
+    async createVoucher(voucherId, data, step = runDirectly) {
+        const ref = voucherId ? this.voucherRef(voucherId) : this.firebaseService.newDocRef(this.firebaseService.shopPath('vouchers'));
+        const voucherData = { revision: 1, ...data };
+        if (!voucherData.warrantyExpiresAt) {
+            Object.assign(voucherData, warrantyFieldsForPickup(voucherData, voucherData, voucherData.date));
+        }
+        Object.assign(voucherData, this.costFields({}, voucherData));
+
+        await step('customer', async () => {
+            if (this.customerManager) {
+                voucherData.customerId = await this.customerManager.resolveCustomerId(data.customerName, data.customerPhone, data.customerId);
+                data.customerId = voucherData.customerId;
+            }
+        });
+        await step('parts', async () => {
+            if (this.inventoryManager) await this.inventoryManager.consumeParts(data.partsUsed || []);
+        });
+        try {
+            await step('voucher', async () => {
+                const batch = this.firebaseService.batch();
+                batch.set(ref, voucherData);
+                batch.set(this.newAuditRef(), this.auditEntry('create', ref.id, voucherData));
+                writeTotalsChanges(batch, this.firebaseService, [{ before: null, after: voucherData }], ref.id);
+                await batch.commit();
+            });
+        } catch (error) {
+            // A journaled replay resumes at this step; a direct save puts the parts back
+            if (step === runDirectly && this.inventoryManager) {
+                await this.inventoryManager.restoreParts(data.partsUsed || []);
+            }
+            throw error;
+        }
+        await step('visit', async () => {
+            if (this.customerManager) await this.customerManager.recordVisit(voucherData.customerId, Number(data.amount) || 0, data.date);
+        });
+
+        this.invalidateVoucherCache();
+        return { id: ref.id, ...voucherData };
+    }
+
+    /**
+     * Part cost and technician commission to store when `data` changes what they are worked out from
+     * Commission comes from the payroll rules on managers' devices and the published commission rules
+     * on everyone else's; a voucher paid in a closed payroll run keeps the figures it was paid on.
+     */
+    costFields(current, data) {
+        if (current.payrollRunId || !COST_FIELDS.some(field => field in data)) return {};
+        const updated = { ...current, ...data };
+        const fields = {};
+        if ('partsUsed' in data && !('partsCost' in data)) {
+            fields.partsCost = calculatePartsCost(updated.partsUsed || []);
+        }
+        const commission = this.payrollManager ? this.payrollManager.commissionFor({ ...updated, ...fields }) : null;
+        if (commission !== null && commission !== current.commission) {
+            fields.commission = commission;
+        }
+        return fields;
+    }
+
+    /**
+     * Update a voucher, bumping its revision, moving its totals and logging each changed field's old and new value
+     * A move to "ready for pickup" queues the customer's pickup notification in the same write,
+     * and pickup starts the warranty of a voucher whose service type carries one.
+     * Options: historyEntry (appended to statusHistory when the status changes), partsChange
+     * ({ oldParts, newParts }) to move stock, customerStats from buildCustomerStatsChange, and
+     * createdAt, the time a queued edit was made, to date its audit entry.
+     */
+    async updateVoucher(voucherId, data, { historyEntry = null, partsChange = null, customerStats = null, createdAt } = {}, step = runDirectly) {
+        if (partsChange && 'partsUsed' in data && this.inventoryManager) {
+            await step('parts', () => this.inventoryManager.replaceParts(partsChange.oldParts, partsChange.newParts));
+        }
+        const update = { ...data, revision: this.firebaseService.increment(1) };
+        if (historyEntry && 'voucherStatus' in data) {
+            update.statusHistory = this.firebaseService.arrayUnion(historyEntry);
+        }
+        const ref = this.voucherRef(voucherId);
+        try {
+            await step('voucher', () => this.firebaseService.runTransaction(async (transaction) => {
+                const docSnap = await transaction.get(ref);
+                if (!docSnap.exists()) {
+                    throw Object.assign(new Error('Voucher no longer exists'), { code: 'not-found' });
+                }
+                const current = docSnap.data();
+                const updated = { ...current, ...data };
+                const notification = this.notificationManager && data.voucherStatus === 'ready_for_pickup' && getVoucherStatus(current) !== 'ready_for_pickup'
+                    ? this.notificationManager.buildPickupNotification(voucherId, updated)
+                    : null;
+                // Members who may not edit vouchers only move the status, which the rules allow without a new commission
+                const costs = this.can('editVoucher') ? this.costFields(current, data) : {};
+                const derived = { ...warrantyFieldsForPickup(current, data), ...costs };
+                const write = { ...update, ...derived };
+                if (notification) {
+                    transaction.set(notification.ref, notification.data);
+                    write.notification = notification.voucherStatus;
+                }
+                transaction.update(ref, write);
+                writeTotalsChanges(transaction, this.firebaseService, [{ before: current, after: { ...updated, ...derived } }], voucherId);
+                transaction.set(this.newAuditRef(), this.auditEntry('update', voucherId, updated, diffVoucherChanges(current, data), createdAt));
+            }));
+        } catch (error) {
+            // A journaled replay resumes at this step; a direct save puts the stock back as it was
+            if (step === runDirectly && partsChange && 'partsUsed' in data && this.inventoryManager) {
+                await this.inventoryManager.replaceParts(partsChange.newParts, partsChange.oldParts);
+            }
+            throw error;
+        }
+        if ('amount' in data) {
+            await step('customerStats', () => this.applyCustomerStatsChange(customerStats));
+        }
+        this.invalidateVoucherCache();
+    }
+
+    /**
+     * Delete a voucher into the trash, returning its parts to stock and reversing its customer stats
+     */
+    async deleteVoucher(voucherId, { parts = [], customerStats = null, createdAt } = {}, step = runDirectly) {
+        await step('voucher', () => this.moveToTrash(voucherId, createdAt));
+        await step('parts', async () => {
+            if (this.inventoryManager) await this.inventoryManager.restoreParts(parts);
+        });
+        await step('customerStats', () => this.applyCustomerStatsChange(customerStats));
+        this.invalidateVoucherCache();
+    }
+
+    /**
+     * Reference to a voucher in the trash
+     */
+    trashRef(voucherId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`deletedVouchers/${voucherId}`));
+    }
+
+    /**
+     * Reference for a new audit log entry
+     */
+    newAuditRef() {
+        return this.firebaseService.newDocRef(this.firebaseService.shopPath('voucherAudit'));
+    }
+
+    /**
+     * Audit entry for an action by the signed-in user, dated now unless `at` is given
+     */
+    auditEntry(action, voucherId, voucher, changes = [], at = undefined) {
+        return buildAuditEntry({ action, voucherId, voucher, changes, actor: getAuditActor(this.firebaseService), at });
+    }
+
+    /**
+     * Move a voucher to deletedVouchers, take it off the totals and log it, in one transaction
+     * A voucher that is already gone is left alone, so a replayed delete writes nothing twice.
+     */
+    async moveToTrash(voucherId, at) {
+        const ref = this.voucherRef(voucherId);
+        await this.firebaseService.runTransaction(async (transaction) => {
+            const docSnap = await transaction.get(ref);
+            if (!docSnap.exists()) return;
+            const voucher = docSnap.data();
+            const entry = this.auditEntry('delete', voucherId, voucher, [], at);
+            transaction.set(this.trashRef(voucherId), { ...voucher, deletedAt: entry.at, deletedBy: entry.userId, deletedByName: entry.userName });
+            transaction.delete(ref);
+            transaction.set(this.newAuditRef(), entry);
+            writeTotalsChanges(transaction, this.firebaseService, [{ before: voucher, after: null }], voucherId);
+        });
+    }
+
+    /**
+     * Vouchers in the trash, most recently deleted first
+     */
+    async listTrash() {
+        const fs = this.firebaseService;
+        const snapshot = await fs.getDocs(fs.createQuery(fs.collection(fs.shopPath('deletedVouchers')), fs.orderBy('deletedAt', 'desc')));
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Put a voucher back from the trash, taking its parts out of stock and counting it for its customer again
+     */
+    async restoreFromTrash(voucherId) {
+        const trashSnap = await this.firebaseService.getDoc(this.trashRef(voucherId));
+        if (!trashSnap.exists()) {
+            throw new Error('Voucher is not in the trash');
+        }
+        const { deletedAt, deletedBy, deletedByName, ...data } = trashSnap.data();
+        const voucher = { ...data, revision: (Number(data.revision) || 0) + 1 };
+
+        if (this.inventoryManager) await this.inventoryManager.consumeParts(voucher.partsUsed || []);
+        try {
+            const batch = this.firebaseService.batch();
+            batch.set(this.voucherRef(voucherId), voucher);
+            batch.delete(this.trashRef(voucherId));
+            batch.set(this.newAuditRef(), this.auditEntry('restore', voucherId, voucher));
+            writeTotalsChanges(batch, this.firebaseService, [{ before: null, after: voucher }], voucherId);
+            await batch.commit();
+        } catch (error) {
+            if (this.inventoryManager) await this.inventoryManager.restoreParts(voucher.partsUsed || []);
+            throw error;
+        }
+        await this.applyCustomerStatsChange(buildCustomerStatsChange(voucher, Number(voucher.amount) || 0, 1));
+
+        this.invalidateVoucherCache();
+        return { id: voucherId, ...voucher };
+    }
+
+    /**
+     * Delete a voucher from the trash for good, keeping its audit history
+     */
+    async purgeFromTrash(voucherId) {
+        const trashSnap = await this.firebaseService.getDoc(this.trashRef(voucherId));
+        if (!trashSnap.exists()) return;
+
+        const batch = this.firebaseService.batch();
+        batch.delete(this.trashRef(voucherId));
+        batch.set(this.newAuditRef(), this.auditEntry('purge', voucherId, trashSnap.data()));
+        await batch.commit();
+    }
+
+    /**
+     * Apply a change from buildCustomerStatsChange
+     */
+    async applyCustomerStatsChange(change) {
+        if (!change || !this.customerManager) return;
+        await this.customerManager.adjustStats(change.customerId, change.amountDelta, change.visitDelta);
+    }
+
+    /**
+     * Show the vouchers found for a scanned or typed code as search results
+     */
+    showVoucherMatches(code, vouchers) {
+        this.search = null;
+        this.searchResults = vouchers;
+        this.searchMatches = new Map(vouchers.map(voucher => [voucher.id, ['voucher']]));
+        this.searchParsedQuery = { terms: [], fields: { voucher: [code] } };
+        this.searchPage = 1;
+        this.isSearchMode = vouchers.length > 0;
+        if (this.isSearchMode) {
+            this.displaySearchResults();
+        }
+    }
+
+    /**
+     * Move a voucher to a new stage from its row's status dropdown
+     */
+    async changeVoucherStatus(voucherId, newStatus) {
+        if (!this.currentUserId) {
+            this.showMessage("ကျေးဇူးပြု၍ အကောင့်ဝင်ပါ", true);
+            return;
+        }
+
+        const voucher = this.findLoadedVoucher(voucherId);
+        const oldStatus = getVoucherStatus(voucher);
+        if (oldStatus === newStatus) return;
+
+        const historyEntry = createStatusHistoryEntry(oldStatus, newStatus, this.currentUserLabel());
+        await this.saveStatusChange(voucherId, voucher, { voucherStatus: newStatus, statusUpdatedAt: historyEntry.at }, historyEntry);
+    }
+
+    /**
+     * Write a status change (plus any extra fields) now, or queue it while offline; resolves to whether it was kept
+     * The loaded copy is updated as well so its next transition records the right "from".
+     */
+    async saveStatusChange(voucherId, voucher, data, historyEntry) {
+        try {
+            const queued = await this.saveVoucherChange(voucherId, voucher, data, { historyEntry });
+            this.showMessage(`Status: ${getStatusInfo(data.voucherStatus).label}${queued ? ' (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)' : ''}`, false);
+            if (voucher) {
+                Object.assign(voucher, data);
+                voucher.statusHistory = [...(voucher.statusHistory || []), historyEntry];
+            }
+            return true;
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to update voucher status');
+            return false;
+        }
+    }
+
+    /**
+     * Save an edit made in the table, recording the status transition and moving stock and customer totals
+     * Resolves to whether it was saved or queued; changes to fields a closed payroll run paid on are refused.
+     */
+    async saveVoucherEdit(voucher, updated) {
+        const oldStatus = getVoucherStatus(voucher);
+        let historyEntry = null;
+        // Record a transition only when the stage actually changed
+        if (updated.voucherStatus !== oldStatus) {
+            historyEntry = createStatusHistoryEntry(oldStatus, updated.voucherStatus, this.currentUserLabel());
+            updated.statusUpdatedAt = historyEntry.at;
+        }
+
+        const lockedChanges = getLockedFieldChanges(voucher, updated);
+        if (lockedChanges.length > 0) {
+            this.showMessage(`ဤ Voucher ကို ${voucher.payrollRunId} လစာတွင် ပေးပြီးဖြစ်၍ ${lockedChanges.join(', ')} ကို ပြင်၍ မရပါ`, true);
+            return false;
+        }
+
+        try {
+            const queued = await this.saveVoucherChange(voucher.id, voucher, updated, {
+                historyEntry,
+                customerStats: buildCustomerStatsChange(voucher, updated.amount - (Number(voucher.amount) || 0), 0),
+                partsChange: { oldParts: voucher.partsUsed || [], newParts: updated.partsUsed }
+            });
+            this.showMessage(queued ? "Voucher ကို ပြင်ဆင်ပြီးပါပြီ။ (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)" : "Voucher ကို ပြင်ဆင်ပြီးပါပြီ။", false);
+            return true;
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to update voucher');
+            return false;
+        }
+    }
+
+    /**
+     * Ask before moving a row's voucher to the trash
+     */
+    async confirmTrashVoucher(voucher) {
+        if (!this.requirePermission('deleteVoucher')) return;
+        if (isPayrollLocked(voucher)) {
+            this.showMessage(`ဤ Voucher ကို ${voucher.payrollRunId} လစာတွင် ပေးပြီးဖြစ်၍ ဖျက်၍ မရပါ`, true);
+            return;
+        }
+        const confirmed = window.confirm(`ယခု Voucher ကို ဖျက်ရန် သေချာပါသလား? (Trash ထဲသို့ ရွှေ့ပါမည်)\nCustomer: ${voucher.customerName}\nVoucher No: ${voucher.voucherNumber}`);
+        if (!confirmed) return;
+
+        try {
+            const queued = await this.trashVoucher(voucher);
+            this.showMessage(queued ? "Voucher ဖျက်ပြီးပါပြီ။ (အော့ဖ်လိုင်းတွင် သိမ်းထားပါသည်)" : "Voucher ကို Trash ထဲသို့ ရွှေ့ပြီးပါပြီ။", false);
+            if (!queued && this.rowActions.onTrashed) {
+                this.rowActions.onTrashed(voucher);
+            }
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to delete voucher');
+        }
+    }
+
+    /**
+     * Move a voucher to the trash now, or queue the delete while offline; resolves to true when it was queued
+     * Its parts go back to stock and its customer totals are reversed; a voucher paid in a closed payroll run is refused.
+     */
+    async trashVoucher(voucher) {
+        if (isPayrollLocked(voucher)) {
+            throw new Error(`ဤ Voucher ကို ${voucher.payrollRunId} လစာတွင် ပေးပြီးဖြစ်၍ ဖျက်၍ မရပါ`);
+        }
+        const parts = voucher.partsUsed || [];
+        const customerStats = buildCustomerStatsChange(voucher, -(Number(voucher.amount) || 0), -1);
+        if (this.isOffline()) {
+            await this.offlineOutbox.enqueue({ type: 'deleteVoucher', voucherId: voucher.id, customerStats, parts }, this.firebaseService.shopId);
+            return true;
+        }
+        await this.deleteVoucher(voucher.id, { parts, customerStats });
+        return false;
+    }
+
+    /**
+     * Update a voucher now, or queue the update while offline; resolves to true when it was queued
+     * `options` are updateVoucher's; a queued update also keeps the values it was made against.
+     */
+    async saveVoucherChange(voucherId, voucher, data, options = {}) {
+        if (this.isOffline()) {
+            await this.offlineOutbox.enqueue({
+                type: 'updateVoucher',
+                voucherId,
+                data,
+                base: captureBase(voucher, data),
+                ...options
+            }, this.firebaseService.shopId);
+            return true;
+        }
+        await this.updateVoucher(voucherId, data, options);
+        return false;
+    }
+
+    /**
+     * Create a voucher now, or queue it while offline; resolves to true when it was queued
+     */
+    async saveNewVoucher(voucherData) {
+        if (this.isOffline()) {
+            // The id is chosen now so a replay writes the same document instead of a duplicate
+            await this.offlineOutbox.enqueue({
+                type: 'addVoucher',
+                voucherId: this.firebaseService.newDocRef(this.firebaseService.shopPath('vouchers')).id,
+                data: voucherData
+            }, this.firebaseService.shopId);
+            return true;
+        }
+        await this.createVoucher(null, voucherData);
+        return false;
+    }
+
+    /**
+     * Whether writes go to the offline queue instead of Firestore
+     */
+    isOffline() {
+        return !!this.offlineOutbox && !this.firebaseService.isOnline();
+    }
+
+    /**
+     * Name recorded against status transitions made on this device
+     */
+    currentUserLabel() {
+        const user = this.firebaseService.getCurrentUser();
+        return user ? (user.displayName || user.email || user.uid) : this.currentUserId;
+    }
+
+    /**
+     * Whether the signed-in member may perform an action (always, without a workspace manager)
+     */
+    can(permission) {
+        return !this.workspaceManager || this.workspaceManager.can(permission);
+    }
+
+    /**
+     * Whether the signed-in member may perform an action; tells them when not
+     */
+    requirePermission(permission) {
+        if (this.can(permission)) return true;
+        this.showMessage("ဤလုပ်ဆောင်ချက်အတွက် ခွင့်ပြုချက် မရှိပါ", true);
+        return false;
+    }
+
+    /**
+     * Receipt layout chosen on this device (A5 or thermal)
+     */
+    getReceiptLayout() {
+        const saved = localStorage.getItem(RECEIPT_LAYOUT_KEY);
+        return RECEIPT_LAYOUTS[saved] ? saved : 'a5';
+    }
+
+    /**
+     * Remember the receipt layout for this device
+     */
+    setReceiptLayout(layout) {
+        if (RECEIPT_LAYOUTS[layout]) {
+            localStorage.setItem(RECEIPT_LAYOUT_KEY, layout);
+        }
+    }
+
+    /**
+     * Build the printable receipt / claim ticket HTML for a voucher
+     */
+    generateReceipt(voucher, layout = this.getReceiptLayout()) {
+        return buildReceiptHtml(voucher, layout);
+    }
+
+    /**
+     * Print a voucher's receipt through the browser print dialog
+     */
+    async printReceipt(voucher, layout = this.getReceiptLayout()) {
+        try {
+            await printReceiptHtml(this.generateReceipt(voucher, layout));
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Failed to print receipt');
+        }
     }
 
     /**
      * Invalidate voucher cache
      */
     invalidateVoucherCache() {
-        this.allVouchersCache = null;
         this.voucherCache.clear();
     }
 
@@ -0,0 +1,294 @@
+/**
+ * VoucherTotalsManager - Revenue totals kept up to date as vouchers change
+ * Every voucher write also adds its change to small aggregate documents (per day, per month, per
+ * technician, service type, phone model and repair stage), so the dashboard, monthly totals and
+ * range totals read a handful of totals instead of downloading every voucher.
+ * Totals live in aggregates/{kind}/entries/{id}; rebuild() recomputes them from the raw vouchers.
+ */
+
+import { getVoucherCosts } from './AnalyticsManager.js';
+import { getVoucherStatus } from './voucherStatus.js';
+import { deviceKey } from './DeviceCatalogManager.js';
+
+const BATCH_LIMIT = 400;
+
+// Summed figures on every aggregate entry
+export const TOTALS_FIGURES = ['count', 'total', 'partsCost', 'commission', 'grossProfit'];
+
+// Aggregate kinds; technicianDays only serves date-range totals, so dashboards skip it
+export const TOTALS_KINDS = ['days', 'months', 'technicianDays', 'technicianMonths', 'serviceTypeMonths', 'modelMonths', 'statuses'];
+
+/**
+ * Document id segment for free text (names may contain slashes)
+ */
+function entryKey(text) {
+    return encodeURIComponent(String(text));
+}
+
+/**
+ * Figures one voucher adds to each of its entries
+ * Commission counts as stored on the voucher, so the totals never depend on who saved it.
+ */
+export function voucherFigures(voucher) {
+    const costs = getVoucherCosts(voucher);
+    return { count: 1, total: costs.revenue, partsCost: costs.partsCost, commission: costs.commission, grossProfit: costs.grossProfit };
+}
+
+/**
+ * Aggregate entries a voucher counts towards: { kind, id, fields } with the fields that identify the entry
+ * A voucher without a date only counts towards its repair stage.
+ */
+export function voucherTotalsEntries(voucher) {
+    const status = getVoucherStatus(voucher);
+    const entries = [{ kind: 'statuses', id: status, fields: { voucherStatus: status } }];
+    if (!voucher.date) return entries;
+
+    const date = voucher.date;
+    const month = date.slice(0, 7);
+    const technician = { technicianId: voucher.technicianId || null, technicianName: voucher.technicianName || '' };
+    const technicianKey = entryKey(voucher.technicianId || voucher.technicianName || 'Unknown');
+    const serviceTypeKey = entryKey(voucher.serviceTypeId || voucher.serviceType || 'Unspecified');
+    const modelKey = entryKey(voucher.deviceId || deviceKey(voucher.phoneModel) || 'Unknown');
+
+    entries.push(
+        { kind: 'days', id: date, fields: { date, month } },
+        { kind: 'months', id: month, fields: { month } },
+        { kind: 'technicianDays', id: `${date}_${technicianKey}`, fields: { date, month, ...technician } },
+        { kind: 'technicianMonths', id: `${month}_${technicianKey}`, fields: { month, ...technician } },
+        { kind: 'serviceTypeMonths', id: `${month}_${serviceTypeKey}`, fields: { month, serviceTypeId: voucher.serviceTypeId || null, serviceType: voucher.serviceType || '' } },
+        { kind: 'modelMonths', id: `${month}_${modelKey}`, fields: { month, deviceId: voucher.deviceId || null, phoneModel: (voucher.phoneModel || '').trim() } }
+    );
+    return entries;
+}
+
+/**
+ * Net change to each aggregate entry when vouchers go from `before` to `after`
+ * `pairs` is a list of { before, after } (null for a created or deleted voucher); entries whose
+ * figures do not change are left out, so a status-only edit touches just the repair stages.
+ */
+export function buildTotalsChanges(pairs) {
+    const changes = new Map();
+    const add = (voucher, sign) => {
+        if (!voucher) return;
+        const figures = voucherFigures(voucher);
+        voucherTotalsEntries(voucher).forEach(({ kind, id, fields }) => {
+            const path = `${kind}/${id}`;
+            if (!changes.has(path)) {
+                changes.set(path, { kind, id, fields, delta: Object.fromEntries(TOTALS_FIGURES.map(figure => [figure, 0])) });
+            }
+            const change = changes.get(path);
+            // The voucher as saved names the entry (e.g. a technician's latest name)
+            if (sign > 0) change.fields = fields;
+            TOTALS_FIGURES.forEach(figure => { change.delta[figure] += sign * figures[figure]; });
+        });
+    };
+    pairs.forEach(({ before, after }) => {
+        add(before, -1);
+        add(after, 1);
+    });
+    return [...changes.values()].filter(change => TOTALS_FIGURES.some(figure => change.delta[figure] !== 0));
+}
+
+/**
+ * Aggregate entry reference
+ */
+export function totalsRef(firebaseService, kind, id) {
+    return firebaseService.doc(firebaseService.shopPath(`aggregates/${kind}/entries/${id}`));
+}
+
+/**
+ * Add the totals changes for `pairs` to a batch or transaction, as increments
+ * Changes from one voucher's write name it as lastVoucherId: the security rules only let
+ * non-managers move totals in the same write as the voucher they come from, and only by its figures.
+ */
+export function writeTotalsChanges(writer, firebaseService, pairs, voucherId = null) {
+    buildTotalsChanges(pairs).forEach(({ kind, id, fields, delta }) => {
+        const data = { ...fields };
+        if (voucherId) data.lastVoucherId = voucherId;
+        TOTALS_FIGURES.forEach(figure => { data[figure] = firebaseService.increment(delta[figure]); });
+        writer.set(totalsRef(firebaseService, kind, id), data, { merge: true });
+    });
+}
+
+/**
+ * Complete aggregate entries for a set of vouchers: { kind, id, data }
+ */
+export function buildVoucherTotals(vouchers) {
+    return buildTotalsChanges(vouchers.map(voucher => ({ before: null, after: voucher })))
+        .map(({ kind, id, fields, delta }) => ({ kind, id, data: { ...fields, ...delta } }));
+}
+
+/**
+ * Entries grouped by kind, as loadTotals() returns them
+ */
+export function groupTotalsByKind(entries) {
+    const totals = Object.fromEntries(TOTALS_KINDS.map(kind => [kind, []]));
+    entries.forEach(({ kind, id, data }) => totals[kind].push({ id, ...data }));
+    return totals;
+}
+
+/**
+ * Per-technician { total, count } from technician entries, keyed by `nameOf(entry)`
+ */
+export function summarizeTechnicianEntries(entries, nameOf = entry => entry.technicianName) {
+    const technicianTotals = {};
+    entries.forEach(entry => {
+        const name = nameOf(entry) || 'Unknown';
+        if (!technicianTotals[name]) {
+            technicianTotals[name] = { total: 0, count: 0 };
+        }
+        technicianTotals[name].total += Number(entry.total) || 0;
+        technicianTotals[name].count += Number(entry.count) || 0;
+    });
+    // Entries that net to nothing (e.g. every voucher moved to another technician) are not shown
+    Object.keys(technicianTotals).forEach(name => {
+        if (!technicianTotals[name].count) delete technicianTotals[name];
+    });
+    return technicianTotals;
+}
+
+export class VoucherTotalsManager {
+    constructor(firebaseService, errorHandler, technicianManager = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+        this.unsubscribeMonthly = null;
+        this.unsubscribeTechnicians = null;
+    }
+
+    /**
+     * Entries collection of one aggregate kind
+     */
+    entriesCollection(kind) {
+        return this.firebaseService.collection(this.firebaseService.shopPath(`aggregates/${kind}/entries`));
+    }
+
+    /**
+     * Record of the last rebuild (managers only)
+     */
+    statusRef() {
+        return this.firebaseService.doc(this.firebaseService.shopPath('settings/totals'));
+    }
+
+    /**
+     * Entries of one kind, optionally filtered by query constraints
+     */
+    async getEntries(kind, ...constraints) {
+        const ref = constraints.length
+            ? this.firebaseService.createQuery(this.entriesCollection(kind), ...constraints)
+            : this.entriesCollection(kind);
+        const snapshot = await this.firebaseService.getDocs(ref);
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Every dashboard aggregate, grouped by kind; `daysSince` (YYYY-MM-DD) limits the daily entries
+     */
+    async loadTotals({ daysSince = null } = {}) {
+        const fs = this.firebaseService;
+        const kinds = TOTALS_KINDS.filter(kind => kind !== 'technicianDays');
+        const results = await Promise.all(kinds.map(kind => kind === 'days' && daysSince
+            ? this.getEntries(kind, fs.where('date', '>=', daysSince))
+            : this.getEntries(kind)));
+        const totals = groupTotalsByKind([]);
+        kinds.forEach((kind, index) => { totals[kind] = results[index]; });
+        return totals;
+    }
+
+    /**
+     * Current name of the technician an entry belongs to, following renames
+     */
+    technicianNameOf(entry) {
+        return this.technicianManager ? this.technicianManager.resolveName(entry) : entry.technicianName;
+    }
+
+    /**
+     * Per-technician totals for a date range, optionally for one technician ('all' for everyone)
+     */
+    async getRangeTotals(startDate, endDate, selectedTechnician = 'all') {
+        const fs = this.firebaseService;
+        const entries = await this.getEntries('technicianDays', fs.where('date', '>=', startDate), fs.where('date', '<=', endDate));
+        const totals = summarizeTechnicianEntries(entries, entry => this.technicianNameOf(entry));
+        if (selectedTechnician === 'all') return totals;
+        return totals[selectedTechnician] ? { [selectedTechnician]: totals[selectedTechnician] } : {};
+    }
+
+    /**
+     * Listen to this month's per-technician totals, re-grouping them when a technician is renamed
+     */
+    listenForMonthlyTotals(onChange, onError = (error) => this.errorHandler.handleError(error, 'Monthly totals listener')) {
+        this.stopListening();
+        const now = new Date();
+        const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+        const q = this.firebaseService.createQuery(this.entriesCollection('technicianMonths'), this.firebaseService.where('month', '==', month));
+
+        let entries = [];
+        const emit = () => onChange(summarizeTechnicianEntries(entries, entry => this.technicianNameOf(entry)));
+        this.unsubscribeMonthly = this.firebaseService.onSnapshot(q, (snapshot) => {
+            entries = snapshot.docs.map(docSnap => docSnap.data());
+            emit();
+        }, onError);
+        if (this.technicianManager) {
+            this.unsubscribeTechnicians = this.technicianManager.onChange(emit);
+        }
+    }
+
+    /**
+     * Stop the monthly totals listener (on sign-out)
+     */
+    stopListening() {
+        [this.unsubscribeMonthly, this.unsubscribeTechnicians].forEach(unsubscribe => unsubscribe && unsubscribe());
+        this.unsubscribeMonthly = null;
+        this.unsubscribeTechnicians = null;
+    }
+
+    /**
+     * Whether the totals have been built for this shop
+     */
+    async isBuilt() {
+        const snap = await this.firebaseService.getDoc(this.statusRef());
+        return snap.exists();
+    }
+
+    /**
+     * Build the totals from the raw vouchers the first time a manager signs in
+     */
+    async ensureBuilt() {
+        if (await this.isBuilt()) return null;
+        return this.rebuild();
+    }
+
+    /**
+     * Recompute every aggregate from the raw vouchers, replacing what is stored
+     * Vouchers saved on another device while this runs may be missed; run it again if so.
+     * Returns { voucherCount, entryCount }
+     */
+    async rebuild() {
+        const fs = this.firebaseService;
+        const vouchersSnapshot = await fs.getDocs(fs.collection(fs.shopPath('vouchers')));
+        const entries = buildVoucherTotals(vouchersSnapshot.docs.map(docSnap => docSnap.data()));
+
+        const keep = new Set(entries.map(({ kind, id }) => `${kind}/${id}`));
+        const stale = [];
+        for (const kind of TOTALS_KINDS) {
+            const snapshot = await fs.getDocs(this.entriesCollection(kind));
+            snapshot.forEach(docSnap => {
+                if (!keep.has(`${kind}/${docSnap.id}`)) stale.push({ kind, id: docSnap.id });
+            });
+        }
+
+        const operations = [
+            ...entries.map(({ kind, id, data }) => batch => batch.set(totalsRef(fs, kind, id), data)),
+            ...stale.map(({ kind, id }) => batch => batch.delete(totalsRef(fs, kind, id)))
+        ];
+        for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+            const batch = fs.batch();
+            operations.slice(i, i + BATCH_LIMIT).forEach(operation => operation(batch));
+            await batch.commit();
+        }
+
+        const result = { voucherCount: vouchersSnapshot.size, entryCount: entries.length };
+        await fs.setDoc(this.statusRef(), { ...result, rebuiltAt: new Date().toISOString() });
+        return result;
+    }
+}
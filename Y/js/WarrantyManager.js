@@ -0,0 +1,212 @@
+/**
+ * WarrantyManager - Warranty periods, expiry and warranty-return vouchers
+ * A voucher takes its warranty period from its service type in the catalogue; the warranty runs from
+ * pickup, and a warranty claim is a new voucher linked to the original so returns can be reported
+ */
+
+import { createStatusHistoryEntry } from './voucherStatus.js';
+
+export const WARRANTY_STATES = {
+    none: { label: 'No warranty', icon: '', color: '' },
+    pending: { label: 'ယူသွားချိန်မှ စတင်မည်', icon: '🛡️', color: 'bg-gray-600' },
+    active: { label: 'Warranty ရှိ', icon: '🛡️', color: 'bg-green-600' },
+    expired: { label: 'Warranty ကုန်', icon: '🛡️', color: 'bg-red-700' }
+};
+
+/**
+ * YYYY-MM-DD `days` after a date or ISO timestamp
+ */
+export function addDays(date, days) {
+    const start = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() + days);
+    return start.toISOString().split('T')[0];
+}
+
+/**
+ * Warranty expiry to record when a voucher is picked up, or {} when there is nothing to record
+ */
+export function warrantyFieldsForPickup(voucher, update, now = new Date().toISOString()) {
+    const days = Number(voucher.warrantyDays) || 0;
+    if (update.voucherStatus !== 'picked_up' || days <= 0 || voucher.warrantyExpiresAt) return {};
+    return { warrantyExpiresAt: addDays(update.releasedAt || update.statusUpdatedAt || now, days) };
+}
+
+/**
+ * Where a voucher stands on its warranty: none, pending (not yet picked up), active or expired
+ */
+export function getWarrantyState(voucher, today = new Date().toISOString().split('T')[0]) {
+    if (!voucher || !(Number(voucher.warrantyDays) > 0)) return { state: 'none', expiresAt: null };
+    if (!voucher.warrantyExpiresAt) return { state: 'pending', expiresAt: null };
+    return { state: voucher.warrantyExpiresAt >= today ? 'active' : 'expired', expiresAt: voucher.warrantyExpiresAt };
+}
+
+/**
+ * Warranty badge for a voucher row, or '' when the voucher carries no warranty
+ */
+export function renderWarrantyBadge(voucher, today) {
+    const { state, expiresAt } = getWarrantyState(voucher, today);
+    if (state === 'none') return '';
+    const info = WARRANTY_STATES[state];
+    const text = expiresAt ? `${info.icon} ${expiresAt}` : `${info.icon} ${voucher.warrantyDays}d`;
+    return `<span class="${info.color} text-white text-xs px-2 py-0.5 rounded ml-1" title="${info.label}">${text}</span>`;
+}
+
+/**
+ * Voucher data for a warranty return of `original`: same customer, device and technician,
+ * linked back to the original, charged `amount` (0 for a free repair)
+ */
+export function buildWarrantyClaim(original, { amount = 0, error, date, claimNumber = 1, by = null }) {
+    return {
+        customerName: original.customerName || '',
+        customerPhone: original.customerPhone || '',
+        customerId: original.customerId || null,
+        phoneModel: original.phoneModel || '',
+        phoneColor: original.phoneColor || '',
+        error: error || original.error || '',
+        serviceTypeId: original.serviceTypeId || null,
+        serviceType: original.serviceType || '',
+        voucherNumber: `${original.voucherNumber}-W${claimNumber}`,
+        voucherStatus: 'received',
+        statusHistory: [createStatusHistoryEntry(null, 'received', by)],
+        amount: Number(amount) || 0,
+        partsUsed: [],
+        partsCost: 0,
+        date,
+        technicianName: original.technicianName || '',
+        technicianId: original.technicianId || null,
+        isWarrantyClaim: true,
+        warrantyClaimOf: original.id,
+        warrantyClaimOfNumber: original.voucherNumber || '',
+        warrantyDays: 0,
+        timestamp: new Date(),
+        revision: 1
+    };
+}
+
+/**
+ * Returned share of warranty vouchers in one group, as a one-decimal percentage
+ */
+function returnRate(group) {
+    return group.warrantyVouchers > 0 ? Number(((group.returned / group.warrantyVouchers) * 100).toFixed(1)) : 0;
+}
+
+/**
+ * Warranty return rate per technician and per part
+ * `vouchers` are the originals in the period; `claims` are warranty-claim vouchers, matched to
+ * their original by warrantyClaimOf. A voucher counts as returned once however many claims it has.
+ */
+export function buildWarrantyReport(vouchers, claims) {
+    const claimsByOriginal = new Map();
+    claims.forEach(claim => {
+        claimsByOriginal.set(claim.warrantyClaimOf, (claimsByOriginal.get(claim.warrantyClaimOf) || 0) + 1);
+    });
+
+    const byTechnician = new Map();
+    const byPart = new Map();
+    const totals = { warrantyVouchers: 0, returned: 0, claims: 0 };
+    const count = (groups, key, label, claimCount) => {
+        if (!groups.has(key)) groups.set(key, { name: label, warrantyVouchers: 0, returned: 0, claims: 0 });
+        const group = groups.get(key);
+        group.warrantyVouchers++;
+        group.returned += claimCount > 0 ? 1 : 0;
+        group.claims += claimCount;
+    };
+
+    vouchers
+        .filter(voucher => !voucher.isWarrantyClaim && Number(voucher.warrantyDays) > 0)
+        .forEach(voucher => {
+            const claimCount = claimsByOriginal.get(voucher.id) || 0;
+            totals.warrantyVouchers++;
+            totals.returned += claimCount > 0 ? 1 : 0;
+            totals.claims += claimCount;
+
+            const technician = voucher.technicianName || 'Unknown';
+            count(byTechnician, voucher.technicianId || technician, technician, claimCount);
+            const partKeys = new Set();
+            (voucher.partsUsed || []).forEach(part => {
+                if (partKeys.has(part.itemId)) return;
+                partKeys.add(part.itemId);
+                count(byPart, part.itemId, part.name || part.itemId, claimCount);
+            });
+        });
+
+    const withRates = (groups) => [...groups.values()]
+        .map(group => ({ ...group, rate: returnRate(group) }))
+        .sort((a, b) => b.rate - a.rate || b.warrantyVouchers - a.warrantyVouchers);
+    return {
+        totals: { ...totals, rate: returnRate(totals) },
+        byTechnician: withRates(byTechnician),
+        byPart: withRates(byPart)
+    };
+}
+
+/**
+ * Report markup: overall rate, then per-technician and per-part tables
+ */
+export function buildWarrantyReportHtml(report, { startDate, endDate }) {
+    const table = (title, rows) => `
+        <h4 class="text-lg font-semibold theme-text-primary mt-4 mb-2">${title}</h4>
+        <table class="w-full text-sm">
+            <thead><tr class="text-gray-400 text-left"><th class="py-1">Name</th><th>Warranty</th><th>Returned</th><th>Claims</th><th>Rate</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr class="border-t border-gray-700">
+                        <td class="py-1">${row.name}</td><td>${row.warrantyVouchers}</td><td>${row.returned}</td><td>${row.claims}</td><td>${row.rate}%</td>
+                    </tr>
+                `).join('') || '<tr><td colspan="5" class="py-2 text-gray-400">မှတ်တမ်း မရှိပါ</td></tr>'}
+            </tbody>
+        </table>
+    `;
+    return `
+        <div class="bg-gray-800 p-4 rounded-lg">
+            <h3 class="text-xl font-semibold theme-text-primary">Warranty Returns: ${startDate} to ${endDate}</h3>
+            <p class="text-sm text-gray-400">${report.totals.returned} / ${report.totals.warrantyVouchers} vouchers returned (${report.totals.rate}%), ${report.totals.claims} claims</p>
+            ${table('Technician', report.byTechnician)}
+            ${table('Part', report.byPart)}
+        </div>
+    `;
+}
+
+export class WarrantyManager {
+    constructor(firebaseService, errorHandler, technicianManager = null) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.technicianManager = technicianManager;
+    }
+
+    /**
+     * Warranty claims made against a voucher
+     */
+    async getClaimsFor(voucherId) {
+        const fs = this.firebaseService;
+        const snapshot = await fs.getDocs(fs.createQuery(fs.collection(fs.shopPath('vouchers')), fs.where('warrantyClaimOf', '==', voucherId)));
+        return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Claim voucher data for an original that is still under warranty
+     */
+    async prepareClaim(original, options) {
+        const { state } = getWarrantyState(original, options.date);
+        if (state !== 'active') {
+            throw new Error(state === 'expired' ? `Warranty expired on ${original.warrantyExpiresAt}` : 'Voucher has no warranty in effect');
+        }
+        const claims = await this.getClaimsFor(original.id);
+        return buildWarrantyClaim(original, { ...options, claimNumber: claims.length + 1 });
+    }
+
+    /**
+     * Warranty return report for vouchers dated within the range; claims count whenever they were made
+     */
+    async generateReport(startDate, endDate) {
+        const fs = this.firebaseService;
+        const vouchersCollection = fs.collection(fs.shopPath('vouchers'));
+        const [periodSnapshot, claimSnapshot] = await Promise.all([
+            fs.getDocs(fs.createQuery(vouchersCollection, fs.where('date', '>=', startDate), fs.where('date', '<=', endDate))),
+            fs.getDocs(fs.createQuery(vouchersCollection, fs.where('isWarrantyClaim', '==', true)))
+        ]);
+        const toVouchers = (snapshot) => snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+        const vouchers = this.technicianManager ? this.technicianManager.withCurrentNames(toVouchers(periodSnapshot)) : toVouchers(periodSnapshot);
+        return buildWarrantyReport(vouchers, toVouchers(claimSnapshot));
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * WorkspaceManager - Shared shop workspace and role-based access
+ * Resolves which shop a signed-in user works in and what their role allows
+ */
+
+// Roles a shop member can hold, most privileged first
+export const ROLES = {
+    owner: 'Owner',
+    manager: 'Manager',
+    technician: 'Technician'
+};
+
+// What each role may do; firestore.rules enforces the same matrix server-side
+export const ROLE_PERMISSIONS = {
+    owner: ['updateVoucherStatus', 'editVoucher', 'deleteVoucher', 'viewAuditLog', 'manageTrash', 'manageNotifications', 'manageWarranty', 'manageServices', 'manageDevices', 'rebuildTotals', 'viewPayroll', 'manageTechnicians', 'manageInventory', 'backup', 'restore', 'manageMembers'],
+    manager: ['updateVoucherStatus', 'editVoucher', 'deleteVoucher', 'viewAuditLog', 'manageNotifications', 'manageWarranty', 'manageServices', 'manageDevices', 'rebuildTotals', 'viewPayroll', 'manageTechnicians', 'manageInventory', 'backup'],
+    technician: ['updateVoucherStatus']
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+export function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Normalize an email address for use as an invite document id
+ */
+export function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+// Legacy per-user data copied into the owner's shop until the shop records a completed migration
+const LEGACY_DOCUMENTS = ['technicianList/technicians'];
+const LEGACY_COLLECTIONS = ['vouchers', 'inventory'];
+const MIGRATION_BATCH_SIZE = 400;
+
+// The old app read payroll settings from an invalid document path, so they only lived in the browser
+const LEGACY_PAYROLL_SETTINGS_KEY = 'payrollSettings';
+
+export class WorkspaceManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.user = null;
+        this.shopId = null;
+        this.role = null;
+    }
+
+    /**
+     * Path helper for app-level (non-shop) documents
+     */
+    appPath(subPath) {
+        return `artifacts/${this.firebaseService.appId}/${subPath}`;
+    }
+
+    /**
+     * Resolve the shop workspace for a signed-in user
+     * Order: existing membership, pending invite, otherwise the user's own shop
+     */
+    async resolveWorkspace(user) {
+        this.user = user;
+
+        const membership = await this.findMembership(user.uid);
+        if (membership) {
+            if (membership.shopId === user.uid) {
+                await this.ensureLegacyMigration();
+            }
+            return this.selectWorkspace(membership.shopId, membership.role);
+        }
+
+        const invite = await this.findInvite(user.email);
+        if (invite) {
+            await this.acceptInvite(invite);
+            return this.selectWorkspace(invite.shopId, invite.role);
+        }
+
+        await this.createOwnShop();
+        await this.ensureLegacyMigration();
+        return this.selectWorkspace(user.uid, 'owner');
+    }
+
+    /**
+     * Look up the user's shop pointer and confirm the membership still exists
+     */
+    async findMembership(uid) {
+        const pointerSnap = await this.firebaseService.getDoc(this.firebaseService.doc(this.appPath(`userShops/${uid}`)));
+        if (!pointerSnap.exists()) return null;
+
+        const { shopId } = pointerSnap.data();
+        try {
+            const memberSnap = await this.firebaseService.getDoc(
+                this.firebaseService.doc(this.appPath(`shops/${shopId}/members/${uid}`))
+            );
+            if (!memberSnap.exists()) return null;
+            return { shopId, role: memberSnap.data().role };
+        } catch (error) {
+            // Removed members can no longer read the shop
+            if (error.code === 'permission-denied') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Find a pending invite addressed to this email
+     */
+    async findInvite(email) {
+        const emailId = normalizeEmail(email);
+        if (!emailId) return null;
+
+        const inviteSnap = await this.firebaseService.getDoc(this.firebaseService.doc(this.appPath(`invites/${emailId}`)));
+        return inviteSnap.exists() ? { id: emailId, ...inviteSnap.data() } : null;
+    }
+
+    /**
+     * Join the inviting shop with the invited role
+     */
+    async acceptInvite(invite) {
+        const { uid, email, displayName } = this.user;
+
+        await this.firebaseService.setDoc(
+            this.firebaseService.doc(this.appPath(`shops/${invite.shopId}/members/${uid}`)),
+            {
+                role: invite.role,
+                email: normalizeEmail(email),
+                displayName: displayName || '',
+                joinedAt: new Date().toISOString()
+            }
+        );
+        await this.writeShopPointer(invite.shopId);
+        await this.firebaseService.deleteDoc(this.firebaseService.doc(this.appPath(`invites/${invite.id}`)));
+    }
+
+    /**
+     * Create a shop owned by the current user (shop id = owner uid)
+     */
+    async createOwnShop() {
+        const { uid, email, displayName } = this.user;
+        const shopRef = this.firebaseService.doc(this.appPath(`shops/${uid}`));
+        const shopSnap = await this.firebaseService.getDoc(shopRef).catch(() => null);
+        const isNewShop = !shopSnap || !shopSnap.exists();
+
+        if (isNewShop) {
+            await this.firebaseService.setDoc(shopRef, {
+                name: displayName ? `${displayName}'s Shop` : 'My Shop',
+                ownerUid: uid,
+                createdAt: new Date().toISOString()
+            });
+            await this.firebaseService.setDoc(this.firebaseService.doc(this.appPath(`shops/${uid}/members/${uid}`)), {
+                role: 'owner',
+                email: normalizeEmail(email),
+                displayName: displayName || '',
+                joinedAt: new Date().toISOString()
+            });
+        }
+
+        await this.writeShopPointer(uid);
+    }
+
+    /**
+     * Remember which shop a user belongs to
+     */
+    async writeShopPointer(shopId) {
+        await this.firebaseService.setDoc(this.firebaseService.doc(this.appPath(`userShops/${this.user.uid}`)), { shopId });
+    }
+
+    /**
+     * Migrate the owner's legacy data into their own shop unless the shop records a completed migration
+     * A failed run is reported and tried again on the next sign-in.
+     */
+    async ensureLegacyMigration() {
+        const uid = this.user.uid;
+        const shopRef = this.firebaseService.doc(this.appPath(`shops/${uid}`));
+        try {
+            const shopSnap = await this.firebaseService.getDoc(shopRef);
+            if (!shopSnap.exists() || shopSnap.data().legacyMigratedAt) return;
+
+            await this.migrateLegacyData(uid);
+            await this.firebaseService.updateDoc(shopRef, { legacyMigratedAt: new Date().toISOString() });
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Legacy data migration');
+        }
+    }
+
+    /**
+     * Copy data from the old per-user tree into the owner's shop
+     * Documents the shop already has are left alone, so a retried run never overwrites later edits.
+     */
+    async migrateLegacyData(uid) {
+        const fs = this.firebaseService;
+        const legacyRoot = this.appPath(`users/${uid}`);
+        const shopRoot = this.appPath(`shops/${uid}`);
+
+        for (const path of LEGACY_DOCUMENTS) {
+            const snap = await fs.getDoc(fs.doc(`${legacyRoot}/${path}`));
+            const shopRef = fs.doc(`${shopRoot}/${path}`);
+            if (snap.exists() && !(await fs.getDoc(shopRef)).exists()) {
+                await fs.setDoc(shopRef, snap.data());
+            }
+        }
+
+        for (const name of LEGACY_COLLECTIONS) {
+            const snapshot = await fs.getDocs(fs.collection(`${legacyRoot}/${name}`));
+            for (let i = 0; i < snapshot.docs.length; i += MIGRATION_BATCH_SIZE) {
+                const chunk = snapshot.docs.slice(i, i + MIGRATION_BATCH_SIZE).map(docSnap => ({ docSnap, ref: fs.doc(`${shopRoot}/${name}/${docSnap.id}`) }));
+                const existing = await Promise.all(chunk.map(({ ref }) => fs.getDoc(ref)));
+                const missing = chunk.filter((_, index) => !existing[index].exists());
+                if (missing.length === 0) continue;
+
+                const batch = fs.batch();
+                missing.forEach(({ docSnap, ref }) => batch.set(ref, docSnap.data()));
+                await batch.commit();
+            }
+        }
+
+        const savedPayroll = localStorage.getItem(LEGACY_PAYROLL_SETTINGS_KEY);
+        const payrollRef = fs.doc(`${shopRoot}/settings/payroll`);
+        if (savedPayroll && !(await fs.getDoc(payrollRef)).exists()) {
+            // Flat { method, voucherRate, percentageRate } settings, which PayrollManager reads as legacy rules
+            await fs.setDoc(payrollRef, JSON.parse(savedPayroll));
+        }
+    }
+
+    /**
+     * Point the Firebase service at the resolved shop
+     */
+    selectWorkspace(shopId, role) {
+        this.shopId = shopId;
+        this.role = role;
+        this.firebaseService.setShopId(shopId);
+        return { shopId, role };
+    }
+
+    /**
+     * Check a permission for the current member
+     */
+    can(permission) {
+        return hasPermission(this.role, permission);
+    }
+
+    /**
+     * Invite someone to the shop by email (owner only)
+     */
+    async inviteMember(email, role) {
+        const emailId = normalizeEmail(email);
+        if (!this.can('manageMembers')) {
+            throw new Error('Only the shop owner can invite members');
+        }
+        if (!emailId || !emailId.includes('@')) {
+            throw new Error('Invalid email address');
+        }
+        if (!ROLES[role] || role === 'owner') {
+            throw new Error(`Invalid role: ${role}`);
+        }
+
+        await this.firebaseService.setDoc(this.firebaseService.doc(this.appPath(`invites/${emailId}`)), {
+            shopId: this.shopId,
+            role,
+            invitedBy: this.user.uid,
+            invitedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * List invites that have not been accepted yet
+     */
+    async listPendingInvites() {
+        const invitesRef = this.firebaseService.collection(this.appPath('invites'));
+        const snapshot = await this.firebaseService.getDocs(
+            this.firebaseService.createQuery(invitesRef, this.firebaseService.where('shopId', '==', this.shopId))
+        );
+        return snapshot.docs.map(docSnap => ({ email: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Withdraw a pending invite
+     */
+    async cancelInvite(email) {
+        await this.firebaseService.deleteDoc(this.firebaseService.doc(this.appPath(`invites/${normalizeEmail(email)}`)));
+    }
+
+    /**
+     * List shop members
+     */
+    async listMembers() {
+        const snapshot = await this.firebaseService.getDocs(this.firebaseService.collection(this.firebaseService.shopPath('members')));
+        return snapshot.docs.map(docSnap => ({ uid: docSnap.id, ...docSnap.data() }));
+    }
+
+    /**
+     * Change a member's role (owner only, never the owner's own role)
+     */
+    async updateMemberRole(uid, role) {
+        if (!this.can('manageMembers')) {
+            throw new Error('Only the shop owner can change roles');
+        }
+        if (uid === this.user.uid || !ROLES[role] || role === 'owner') {
+            throw new Error(`Invalid role change: ${role}`);
+        }
+        await this.firebaseService.updateDoc(this.firebaseService.doc(this.firebaseService.shopPath(`members/${uid}`)), { role });
+    }
+
+    /**
+     * Remove a member from the shop (owner only)
+     */
+    async removeMember(uid) {
+        if (!this.can('manageMembers') || uid === this.user.uid) {
+            throw new Error('Cannot remove this member');
+        }
+        await this.firebaseService.deleteDoc(this.firebaseService.doc(this.firebaseService.shopPath(`members/${uid}`)));
+    }
+
+    /**
+     * Forget the workspace on sign-out
+     */
+    reset() {
+        this.user = null;
+        this.shopId = null;
+        this.role = null;
+        this.firebaseService.setShopId(null);
+    }
+}
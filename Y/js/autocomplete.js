@@ -0,0 +1,72 @@
+/**
+ * Suggestion dropdown under a text input, shared by the customer and phone model autocompletes
+ * search(text) returns the suggestions, renderItem(item) their row markup and labelOf(item) the text
+ * put in the input when one is picked; onSelect(item) fires on a pick and onInput() when the user types.
+ */
+export function attachSuggestionDropdown(input, { search, renderItem, labelOf, onSelect, onInput }) {
+    input.setAttribute('autocomplete', 'off');
+
+    const wrapper = input.parentElement;
+    wrapper.classList.add('relative');
+    const dropdown = document.createElement('ul');
+    dropdown.className = 'absolute z-20 w-full mt-1 bg-gray-800 border border-gray-600 rounded-lg shadow-lg max-h-60 overflow-y-auto hidden';
+    wrapper.appendChild(dropdown);
+
+    let suggestions = [];
+    let activeIndex = -1;
+
+    const close = () => {
+        dropdown.classList.add('hidden');
+        activeIndex = -1;
+    };
+
+    const choose = (item) => {
+        input.value = labelOf(item);
+        close();
+        if (onSelect) onSelect(item);
+    };
+
+    const render = () => {
+        dropdown.innerHTML = suggestions.map((item, index) => `
+            <li class="px-3 py-2 cursor-pointer ${index === activeIndex ? 'bg-gray-600' : 'hover:bg-gray-700'}" data-index="${index}">
+                ${renderItem(item)}
+            </li>
+        `).join('');
+        dropdown.classList.toggle('hidden', suggestions.length === 0);
+    };
+
+    input.addEventListener('input', () => {
+        if (onInput) onInput();
+        suggestions = search(input.value);
+        activeIndex = -1;
+        render();
+    });
+
+    input.addEventListener('keydown', (event) => {
+        if (dropdown.classList.contains('hidden')) return;
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            activeIndex = (activeIndex + 1) % suggestions.length;
+            render();
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            activeIndex = (activeIndex - 1 + suggestions.length) % suggestions.length;
+            render();
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            event.preventDefault();
+            choose(suggestions[activeIndex]);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+
+    // mousedown fires before the input's blur
+    dropdown.addEventListener('mousedown', (event) => {
+        const item = event.target.closest('li[data-index]');
+        if (!item) return;
+        event.preventDefault();
+        choose(suggestions[Number(item.dataset.index)]);
+    });
+
+    input.addEventListener('blur', close);
+}
@@ -0,0 +1,99 @@
+/**
+ * backupCrypto - Passphrase encryption for backup files
+ * PBKDF2-SHA-256 derives an AES-GCM key; the encrypted file is a small JSON envelope
+ * carrying the salt, IV and iteration count so it can be opened on any device
+ */
+
+export const ENCRYPTED_BACKUP_FORMAT = 'kkms-encrypted-backup';
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Base64 encode bytes (chunked so large backups don't overflow the call stack)
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ */
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * AES-GCM key from a passphrase and salt
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Whether parsed file content is an encrypted backup envelope
+ */
+export function isEncryptedBackup(content) {
+    return !!content && typeof content === 'object' && content.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+/**
+ * Encrypt a backup JSON string; returns the envelope object to write to a file
+ */
+export async function encryptBackupJson(json, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        createdAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        data: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an envelope back to the backup JSON string
+ * AES-GCM authenticates the data, so a wrong passphrase and a tampered file fail the same way
+ */
+export async function decryptBackupJson(envelope, passphrase) {
+    if (!isEncryptedBackup(envelope) || envelope.version !== 1) {
+        throw new Error('Unsupported encrypted backup format');
+    }
+    const key = await deriveKey(passphrase || '', fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+            key,
+            fromBase64(envelope.data)
+        );
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        throw new Error('Wrong passphrase or damaged backup file');
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * backupStore - Versioned backup snapshots kept in the browser's IndexedDB
+ * Snapshots are gzip-compressed JSON with a SHA-256 checksum of the uncompressed content
+ */
+
+const DB_NAME = 'kkms-backups';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+export const DEFAULT_RETENTION = { daily: 7, weekly: 4, monthly: 6, manual: 10 };
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the snapshot database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('shopId', 'shopId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run one request against the snapshot store and resolve with its result
+ */
+async function withStore(mode, run) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = run(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Save a snapshot record
+ */
+export function putSnapshot(snapshot) {
+    return withStore('readwrite', store => store.put(snapshot));
+}
+
+/**
+ * Load one snapshot record (including its data blob)
+ */
+export function getSnapshot(id) {
+    return withStore('readonly', store => store.get(id));
+}
+
+/**
+ * Delete one snapshot
+ */
+export function deleteSnapshot(id) {
+    return withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * All snapshots for a shop, newest first
+ */
+export async function listSnapshots(shopId) {
+    const snapshots = await withStore('readonly', store => store.index('shopId').getAll(shopId));
+    return (snapshots || []).sort((a, b) => b.version - a.version);
+}
+
+/**
+ * SHA-256 hex digest of a string
+ */
+export async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Gzip a JSON string into a Blob (stored uncompressed where CompressionStream is missing)
+ */
+export async function compressJson(json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    if (typeof CompressionStream === 'undefined') {
+        return { blob, compressed: false };
+    }
+    const compressedBlob = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    return { blob: new Blob([compressedBlob], { type: 'application/gzip' }), compressed: true };
+}
+
+/**
+ * Read a Blob back into its JSON string, gunzipping if needed
+ */
+export async function decompressToJson(blob, compressed = true) {
+    if (!compressed) {
+        return blob.text();
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed backups');
+    }
+    return new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+}
+
+/**
+ * Whether a Blob starts with the gzip magic bytes
+ */
+export async function isGzip(blob) {
+    const header = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+    return header[0] === 0x1f && header[1] === 0x8b;
+}
+
+/**
+ * Period keys used for grandfather-father-son retention
+ */
+function dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function weekKey(date) {
+    // ISO week: the Thursday of the week decides its year
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Snapshots that fall outside the retention policy
+ * Automatic snapshots keep the newest per day/week/month for the last N of each;
+ * manual snapshots keep the newest N. Returns the records to delete.
+ */
+export function selectSnapshotsToPrune(snapshots, retention = DEFAULT_RETENTION) {
+    const newestFirst = [...snapshots].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+    const keep = new Set();
+
+    const keepNewestPer = (list, keyOf, count) => {
+        const seen = new Set();
+        list.forEach(snapshot => {
+            const key = keyOf(new Date(snapshot.createdAt));
+            if (!seen.has(key) && seen.size < count) {
+                seen.add(key);
+                keep.add(snapshot.id);
+            }
+        });
+    };
+
+    const automatic = newestFirst.filter(snapshot => snapshot.trigger !== 'manual');
+    keepNewestPer(automatic, dayKey, retention.daily);
+    keepNewestPer(automatic, weekKey, retention.weekly);
+    keepNewestPer(automatic, monthKey, retention.monthly);
+
+    newestFirst.filter(snapshot => snapshot.trigger === 'manual')
+        .slice(0, retention.manual ?? DEFAULT_RETENTION.manual)
+        .forEach(snapshot => keep.add(snapshot.id));
+
+    return newestFirst.filter(snapshot => !keep.has(snapshot.id));
+}
@@ -0,0 +1,73 @@
+/**
+ * barcode - Dependency-free Code 128 (set B) barcode rendering as SVG
+ * Used on printed receipts so voucher numbers can be scanned back at the counter, offline
+ */
+
+// Bar/space module widths for Code 128 symbol values 0-106 (106 = stop)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const START_B = 104;
+const STOP = 106;
+const QUIET_ZONE = 10;
+
+/**
+ * Convert a value to the ASCII text a Code 128 B barcode can carry
+ * Myanmar digits are mapped to ASCII digits; returns null if other characters remain
+ */
+export function toBarcodeText(value) {
+    const text = (value || '').toString().trim()
+        .replace(/[၀-၉]/g, digit => String(digit.charCodeAt(0) - 0x1040));
+    return text && /^[\x20-\x7E]+$/.test(text) ? text : null;
+}
+
+/**
+ * Encode text into Code 128 B symbol values, including start, checksum and stop
+ */
+export function encodeCode128(text) {
+    const values = [START_B];
+    for (const char of text) {
+        values.push(char.charCodeAt(0) - 32);
+    }
+    const checksum = values.reduce((sum, value, index) => sum + value * (index === 0 ? 1 : index), 0) % 103;
+    values.push(checksum, STOP);
+    return values;
+}
+
+/**
+ * Render a Code 128 barcode as an SVG string (null if the value cannot be encoded)
+ */
+export function renderCode128Svg(value, { height = 50, moduleWidth = 2, showText = true } = {}) {
+    const text = toBarcodeText(value);
+    if (!text) return null;
+
+    const widths = encodeCode128(text).map(symbol => CODE128_PATTERNS[symbol]).join('');
+    let x = QUIET_ZONE;
+    const bars = [];
+    for (let i = 0; i < widths.length; i++) {
+        const width = Number(widths[i]) * moduleWidth;
+        // Patterns alternate bar, space, bar, ... starting with a bar
+        if (i % 2 === 0) {
+            bars.push(`<rect x="${x}" y="0" width="${width}" height="${height}"/>`);
+        }
+        x += width;
+    }
+
+    const totalWidth = x + QUIET_ZONE;
+    const textHeight = showText ? 14 : 0;
+    const label = showText
+        ? `<text x="${totalWidth / 2}" y="${height + 12}" font-family="monospace" font-size="12" text-anchor="middle">${text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</text>`
+        : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height + textHeight}" preserveAspectRatio="none" style="width:100%;max-width:${totalWidth}px;height:auto"><g fill="#000">${bars.join('')}</g>${label}</svg>`;
+}
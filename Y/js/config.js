@@ -18,6 +18,20 @@ export const appConfig = {
     chartColors: ['#10b981', '#3b82f6', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4']
 };
 
+// Printed receipt / claim ticket
+export const receiptConfig = {
+    shopName: "Kaung Kaung Mobile Service",
+    address: "",
+    phone: "",
+    defaultLayout: 'a5',
+    terms: [
+        "ဤ ဘောင်ချာ ပါမှသာ ဖုန်းကို ပြန်လည်ထုတ်ပေးပါမည်။",
+        "ခန့်မှန်းဈေးနှုန်းသည် စစ်ဆေးပြီးနောက် ပြောင်းလဲနိုင်ပါသည်။",
+        "ဖုန်းအတွင်းရှိ Data ပျောက်ဆုံးမှုအတွက် ဆိုင်မှ တာဝန်မယူပါ။",
+        "ပြင်ဆင်ပြီး ရက် ၃၀ အတွင်း လာမယူပါက ဆိုင်မှ တာဝန်မယူပါ။"
+    ]
+};
+
 // Error Messages
 export const errorMessages = {
     network: "အင်တာနက် ချိတ်ဆက်မှု ပြတ်တောက်ပါသည်။",
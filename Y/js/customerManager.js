@@ -0,0 +1,326 @@
+/**
+ * CustomerManager - Customer database for the shop workspace
+ * Handles customer CRUD, voucher-form autocomplete, service history and back-filling from vouchers
+ */
+
+import { attachSuggestionDropdown } from './autocomplete.js';
+
+const AUTOCOMPLETE_LIMIT = 8;
+const BACKFILL_BATCH_SIZE = 400;
+
+/**
+ * Normalize a customer name for matching
+ */
+export function normalizeCustomerName(name) {
+    return (name || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalize a phone number to digits (keeps a leading +)
+ */
+export function normalizePhone(phone) {
+    const value = (phone || '').toString().trim();
+    return value.startsWith('+') ? `+${value.slice(1).replace(/\D/g, '')}` : value.replace(/\D/g, '');
+}
+
+export class CustomerManager {
+    constructor(firebaseService, errorHandler) {
+        this.firebaseService = firebaseService;
+        this.errorHandler = errorHandler;
+        this.customers = new Map();
+        this.unsubscribe = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Start listening to the shop's customer collection
+     */
+    listen() {
+        this.stopListening();
+        const customersRef = this.firebaseService.collection(this.firebaseService.shopPath('customers'));
+
+        this.unsubscribe = this.firebaseService.onSnapshot(customersRef, (snapshot) => {
+            this.customers.clear();
+            snapshot.forEach(docSnap => {
+                this.customers.set(docSnap.id, { id: docSnap.id, ...docSnap.data() });
+            });
+            this.listeners.forEach(listener => listener(this.getAll()));
+        }, (error) => {
+            this.errorHandler.handleError(error, 'Customer listener');
+        });
+    }
+
+    /**
+     * Stop the customer listener (on sign-out)
+     */
+    stopListening() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.customers.clear();
+    }
+
+    /**
+     * Register a callback for customer list changes
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * All customers, most recently visited first
+     */
+    getAll() {
+        return Array.from(this.customers.values())
+            .sort((a, b) => (b.lastVisit || '').localeCompare(a.lastVisit || ''));
+    }
+
+    /**
+     * Get a customer by id
+     */
+    get(customerId) {
+        return this.customers.get(customerId) || null;
+    }
+
+    /**
+     * Search customers by name or phone number
+     */
+    search(term, limitCount = AUTOCOMPLETE_LIMIT) {
+        const nameQuery = normalizeCustomerName(term);
+        const phoneQuery = normalizePhone(term);
+        if (!nameQuery) return [];
+
+        return this.getAll()
+            .filter(customer =>
+                (customer.nameLower || '').includes(nameQuery) ||
+                (phoneQuery && (customer.phones || []).some(phone => normalizePhone(phone).includes(phoneQuery)))
+            )
+            .sort((a, b) => Number((b.nameLower || '').startsWith(nameQuery)) - Number((a.nameLower || '').startsWith(nameQuery)))
+            .slice(0, limitCount);
+    }
+
+    /**
+     * Find an existing customer by exact name, or by phone number when given
+     */
+    findMatch(name, phone = '') {
+        const normalizedPhone = normalizePhone(phone);
+        if (normalizedPhone) {
+            const byPhone = this.getAll().find(customer =>
+                (customer.phones || []).some(p => normalizePhone(p) === normalizedPhone)
+            );
+            if (byPhone) return byPhone;
+        }
+
+        const nameLower = normalizeCustomerName(name);
+        return this.getAll().find(customer => customer.nameLower === nameLower) || null;
+    }
+
+    /**
+     * Create a customer
+     */
+    async createCustomer({ name, phones = [], notes = '' }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Customer name is required');
+        }
+
+        const now = new Date().toISOString();
+        const customerData = {
+            name: trimmedName,
+            nameLower: normalizeCustomerName(trimmedName),
+            phones: phones.map(normalizePhone).filter(Boolean),
+            notes,
+            totalSpent: 0,
+            visitCount: 0,
+            lastVisit: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const customersRef = this.firebaseService.collection(this.firebaseService.shopPath('customers'));
+        const docRef = await this.firebaseService.addDoc(customersRef, customerData);
+        this.customers.set(docRef.id, { id: docRef.id, ...customerData });
+        return docRef.id;
+    }
+
+    /**
+     * Update a customer's name, phone numbers, notes or Viber ID (for pickup notifications)
+     */
+    async updateCustomer(customerId, { name, phones, notes, viberId }) {
+        const updates = { updatedAt: new Date().toISOString() };
+        if (name !== undefined) {
+            updates.name = name.trim();
+            updates.nameLower = normalizeCustomerName(name);
+        }
+        if (phones !== undefined) updates.phones = phones.map(normalizePhone).filter(Boolean);
+        if (notes !== undefined) updates.notes = notes;
+        if (viberId !== undefined) updates.viberId = viberId.trim();
+
+        await this.firebaseService.updateDoc(this.firebaseService.doc(this.firebaseService.shopPath(`customers/${customerId}`)), updates);
+    }
+
+    /**
+     * Delete a customer (vouchers keep their customerName)
+     */
+    async deleteCustomer(customerId) {
+        await this.firebaseService.deleteDoc(this.firebaseService.doc(this.firebaseService.shopPath(`customers/${customerId}`)));
+        this.customers.delete(customerId);
+    }
+
+    /**
+     * Resolve the customer for a new voucher, creating one if nobody matches
+     */
+    async resolveCustomerId(name, phone = '', selectedCustomerId = null) {
+        const selected = selectedCustomerId && this.get(selectedCustomerId);
+        if (selected && selected.nameLower === normalizeCustomerName(name)) {
+            if (phone && !(selected.phones || []).includes(normalizePhone(phone))) {
+                await this.updateCustomer(selected.id, { phones: [...(selected.phones || []), phone] });
+            }
+            return selected.id;
+        }
+
+        const match = this.findMatch(name, phone);
+        if (match) return match.id;
+
+        return await this.createCustomer({ name, phones: phone ? [phone] : [] });
+    }
+
+    /**
+     * Customer document reference
+     */
+    customerRef(customerId) {
+        return this.firebaseService.doc(this.firebaseService.shopPath(`customers/${customerId}`));
+    }
+
+    /**
+     * Update adding to a customer's spend and visits; lastVisit only moves forward
+     */
+    buildStatsUpdate(customerId, amountDelta, visitDelta = 0, visitDate = null) {
+        const updates = {
+            totalSpent: this.firebaseService.increment(Number(amountDelta) || 0),
+            visitCount: this.firebaseService.increment(visitDelta),
+            updatedAt: new Date().toISOString()
+        };
+        const customer = this.get(customerId);
+        if (visitDate && (!customer || !customer.lastVisit || visitDate > customer.lastVisit)) {
+            updates.lastVisit = visitDate;
+        }
+        return updates;
+    }
+
+    /**
+     * Adjust a customer's spend and visit statistics
+     */
+    async adjustStats(customerId, amountDelta, visitDelta = 0, visitDate = null) {
+        if (!customerId) return;
+
+        try {
+            await this.firebaseService.updateDoc(this.customerRef(customerId), this.buildStatsUpdate(customerId, amountDelta, visitDelta, visitDate));
+        } catch (error) {
+            this.errorHandler.handleError(error, 'Customer statistics update');
+        }
+    }
+
+    /**
+     * Record a new visit for a customer
+     */
+    async recordVisit(customerId, amount, date) {
+        await this.adjustStats(customerId, amount, 1, date);
+    }
+
+    /**
+     * All vouchers linked to a customer, newest first
+     */
+    async getServiceHistory(customerId) {
+        const vouchersRef = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const snapshot = await this.firebaseService.getDocs(
+            this.firebaseService.createQuery(vouchersRef, this.firebaseService.where('customerId', '==', customerId))
+        );
+
+        return snapshot.docs
+            .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+            .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    }
+
+    /**
+     * Create customers from existing vouchers and link the vouchers to them
+     * Vouchers are grouped by normalized customerName; returns counts of created customers and linked vouchers
+     */
+    async backfillFromVouchers() {
+        const vouchersRef = this.firebaseService.collection(this.firebaseService.shopPath('vouchers'));
+        const snapshot = await this.firebaseService.getDocs(vouchersRef);
+
+        const groups = new Map();
+        snapshot.forEach(docSnap => {
+            const voucher = docSnap.data();
+            const nameLower = normalizeCustomerName(voucher.customerName);
+            if (voucher.customerId || !nameLower) return;
+
+            if (!groups.has(nameLower)) {
+                groups.set(nameLower, { name: voucher.customerName.trim(), vouchers: [] });
+            }
+            groups.get(nameLower).vouchers.push({ id: docSnap.id, ...voucher });
+        });
+
+        let createdCount = 0;
+        let linkedCount = 0;
+        let batch = this.firebaseService.batch();
+        let operations = 0;
+        const commit = async () => {
+            if (operations) await batch.commit();
+            batch = this.firebaseService.batch();
+            operations = 0;
+        };
+
+        for (const [nameLower, group] of groups) {
+            let customer = this.getAll().find(c => c.nameLower === nameLower);
+            if (!customer) {
+                const customerId = await this.createCustomer({ name: group.name });
+                customer = this.get(customerId);
+                createdCount++;
+            }
+            const lastVisit = group.vouchers.reduce((latest, v) => (v.date || '') > latest ? v.date : latest, '');
+
+            // Vouchers are linked in the same batch that counts them, so a run that fails partway and is
+            // retried skips the linked ones above instead of counting them twice
+            for (let i = 0; i < group.vouchers.length;) {
+                if (operations + 2 > BACKFILL_BATCH_SIZE) await commit();
+                const chunk = group.vouchers.slice(i, i + BACKFILL_BATCH_SIZE - operations - 1);
+                chunk.forEach(voucher => {
+                    batch.update(this.firebaseService.doc(this.firebaseService.shopPath(`vouchers/${voucher.id}`)), { customerId: customer.id });
+                });
+                const amount = chunk.reduce((sum, v) => sum + (Number(v.amount) || 0), 0);
+                batch.update(this.customerRef(customer.id), this.buildStatsUpdate(customer.id, amount, chunk.length, lastVisit || null));
+                operations += chunk.length + 1;
+                linkedCount += chunk.length;
+                i += chunk.length;
+            }
+        }
+        await commit();
+
+        return { createdCount, linkedCount };
+    }
+
+    /**
+     * Attach a customer autocomplete dropdown to a text input
+     * onSelect(customer) fires when a suggestion is picked; onInput() fires when the user types
+     */
+    attachAutocomplete(input, { onSelect, onInput } = {}) {
+        if (!input || input.dataset.customerAutocompleteReady) return;
+        input.dataset.customerAutocompleteReady = 'true';
+
+        attachSuggestionDropdown(input, {
+            search: (text) => this.search(text),
+            labelOf: (customer) => customer.name,
+            renderItem: (customer) => `
+                <span class="text-white">${customer.name}</span>
+                <span class="text-xs text-gray-400 ml-2">${(customer.phones || []).join(', ')}</span>
+                <span class="text-xs text-teal-400 float-right">${customer.visitCount || 0} visits</span>
+            `,
+            onSelect,
+            onInput
+        });
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * myanmarText - Myanmar text normalization for search and matching
+ * Detects Zawgyi-encoded input, converts it to Unicode, and folds common Unicode spelling variants
+ */
+
+// Code points and orderings that only occur in Zawgyi-encoded text
+const ZAWGYI_PATTERN = /[\u105a\u1060-\u1097\u1033\u1034]|(^|[\s\u1040-\u104f])\u1031|\u1031[\u103b-\u103e]|[\u102b-\u1030\u1032]\u1031|\u1039(?![\u1000-\u1021])/;
+
+// Zawgyi to Unicode conversion rules, applied in order (after the Rabbit converter rule set)
+const ZAWGYI_RULES = [
+    ['\u200b', ''],
+    ['(\u103d|\u1087)', '\u103e'],
+    ['\u103c', '\u103d'],
+    ['(\u103b|\u107e|\u107f|\u1080|\u1081|\u1082|\u1083|\u1084)', '\u103c'],
+    ['(\u103a|\u107d)', '\u103b'],
+    ['\u1039', '\u103a'],
+    ['(\u1066|\u1067)', '\u1039\u1006'],
+    ['\u106a', '\u1009'],
+    ['\u106b', '\u100a'],
+    ['\u106c', '\u1039\u100b'],
+    ['\u106d', '\u1039\u100c'],
+    ['\u106e', '\u100d\u1039\u100d'],
+    ['\u106f', '\u100d\u1039\u100e'],
+    ['\u1070', '\u1039\u100f'],
+    ['(\u1071|\u1072)', '\u1039\u1010'],
+    ['\u1060', '\u1039\u1000'],
+    ['\u1061', '\u1039\u1001'],
+    ['\u1062', '\u1039\u1002'],
+    ['\u1063', '\u1039\u1003'],
+    ['\u1065', '\u1039\u1005'],
+    ['\u1068', '\u1039\u1007'],
+    ['\u1069', '\u1039\u1008'],
+    ['(\u1073|\u1074)', '\u1039\u1011'],
+    ['\u1075', '\u1039\u1012'],
+    ['\u1076', '\u1039\u1013'],
+    ['\u1077', '\u1039\u1014'],
+    ['\u1078', '\u1039\u1015'],
+    ['\u1079', '\u1039\u1016'],
+    ['\u107a', '\u1039\u1017'],
+    ['\u107c', '\u1039\u1019'],
+    ['\u1085', '\u1039\u101c'],
+    ['\u1033', '\u102f'],
+    ['\u1034', '\u1030'],
+    ['\u103f', '\u1030'],
+    ['\u1086', '\u103f'],
+    ['\u1036\u1088', '\u1088\u1036'],
+    ['\u1088', '\u103e\u102f'],
+    ['\u1089', '\u103e\u1030'],
+    ['\u108a', '\u103d\u103e'],
+    ['\u103c\u1064', '\u1064\u103c'],
+    ['(\u1031)?(\u103c)?([\u1000-\u1021])\u1064', '\u1004\u103a\u1039$1$2$3'],
+    ['(\u1031)?(\u103c)?([\u1000-\u1021])\u108b', '\u1004\u103a\u1039$1$2$3\u102d'],
+    ['(\u1031)?(\u103c)?([\u1000-\u1021])\u108c', '\u1004\u103a\u1039$1$2$3\u102e'],
+    ['(\u1031)?([\u1000-\u1021])\u108d', '\u1004\u103a\u1039$1$2\u1036'],
+    ['\u108e', '\u102d\u1036'],
+    ['\u108f', '\u1014'],
+    ['\u1090', '\u101b'],
+    ['\u1091', '\u100f\u1039\u100d'],
+    ['\u1092', '\u100b\u1039\u100c'],
+    ['\u1019\u102c(\u107b|\u1093)', '\u1019\u1039\u1018\u102c'],
+    ['(\u107b|\u1093)', '\u1039\u1018'],
+    ['(\u1094|\u1095)', '\u1037'],
+    ['\u1096', '\u1039\u1010\u103d'],
+    ['\u1097', '\u100b\u1039\u100b'],
+    ['\u103c([\u1000-\u1021])([\u1000-\u1021])?', '$1\u103c$2'],
+    ['([\u1000-\u1021])\u103c\u103a', '\u103c$1\u103a'],
+    ['\u1031([\u1000-\u1021])(\u103e)?(\u103b)?', '$1$2$3\u1031'],
+    ['([\u1000-\u1021])\u1031([\u103b\u103c\u103d\u103e]+)', '$1$2\u1031'],
+    ['\u1032\u103d', '\u103d\u1032'],
+    ['\u103d\u103b', '\u103b\u103d'],
+    ['\u103a\u1037', '\u1037\u103a'],
+    ['\u102f(\u102d|\u102e|\u1036|\u1037)\u102f', '\u102f$1'],
+    ['\u102f\u102f', '\u102f'],
+    ['(\u102f|\u1030)(\u102d|\u102e)', '$2$1'],
+    ['(\u103e)(\u103b|\u1037)', '$2$1'],
+    ['\u1025(\u103a|\u102c)', '\u1009$1'],
+    ['\u1025\u102e', '\u1026'],
+    ['\u1005\u103b', '\u1008'],
+    ['\u1036(\u102f|\u1030)', '$1\u1036'],
+    ['\u1031\u1037\u103e', '\u103e\u1031\u1037'],
+    ['\u1031\u103e\u102c', '\u103e\u1031\u102c'],
+    ['\u105a', '\u102b\u103a'],
+    ['\u1031\u103b\u103e', '\u103b\u103e\u1031'],
+    ['(\u102d|\u102e)(\u103d|\u103e)', '$2$1'],
+    ['\u102c\u1039([\u1000-\u1021])', '\u1039$1\u102c'],
+    ['\u103c\u1004\u103a\u1039([\u1000-\u1021])', '\u1004\u103a\u1039$1\u103c'],
+    ['\u1039\u103c\u103a\u1039([\u1000-\u1021])', '\u103a\u1039$1\u103c'],
+    ['\u103c\u1039([\u1000-\u1021])', '\u1039$1\u103c'],
+    ['\u1036\u1039([\u1000-\u1021])', '\u1039$1\u1036'],
+    ['\u104e', '\u104e\u1004\u103a\u1038'],
+    ['\u1040(\u102b|\u102c|\u1036)', '\u101d$1'],
+    ['\u1025\u1039', '\u1009\u1039'],
+    ['([\u1000-\u1021])\u103c\u1031\u103d', '$1\u103c\u103d\u1031'],
+    ['([\u1000-\u1021])\u103b\u1031\u103d(\u103e)?', '$1\u103b\u103d$2\u1031'],
+    ['([\u1000-\u1021])\u103d\u1031\u103b', '$1\u103b\u103d\u1031'],
+    ['([\u1000-\u1021])\u1031(\u1039[\u1000-\u1021])', '$1$2\u1031'],
+    ['\u1038\u103a', '\u103a\u1038'],
+    ['\u102d\u103a|\u103a\u102d', '\u102d'],
+    ['\u102d\u102f\u103a', '\u102d\u102f'],
+    [' \u1037', '\u1037'],
+    ['\u1037\u1036', '\u1036\u1037'],
+    ['[\u102d]+', '\u102d'],
+    ['[\u103a]+', '\u103a'],
+    ['[\u103d]+', '\u103d'],
+    ['[\u1037]+', '\u1037'],
+    ['[\u102e]+', '\u102e'],
+    ['\u102d\u102e|\u102e\u102d', '\u102e'],
+    ['\u102f\u102d', '\u102d\u102f'],
+    ['\u1032\u1032', '\u1032'],
+    ['\u1044\u1004\u103a\u1038', '\u104e\u1004\u103a\u1038'],
+    ['([\u102d\u102e])\u1039([\u1000-\u1021])', '\u1039$2$1'],
+    ['(\u103c\u1031)\u1039([\u1000-\u1021])', '\u1039$2$1'],
+    ['\u1036\u103d', '\u103d\u1036'],
+    ['\u1047(?=[\u1000-\u1021]\u103a|[\u102c-\u1030\u1032\u1036-\u1038\u103a-\u103e])', '\u101b']
+].map(([from, to]) => [new RegExp(from, 'g'), to]);
+
+// Unicode spellings that look identical but are encoded differently
+const UNICODE_VARIANT_RULES = [
+    [/[\u200b\u200c\u200d\ufeff]/g, ''],
+    [/\u103a\u1037/g, '\u1037\u103a'],
+    [/\u1025\u102e/g, '\u1026'],
+    [/\u1025\u103a/g, '\u1009\u103a'],
+    [/\u1036\u102f/g, '\u102f\u1036'],
+    [/\u1037\u1036/g, '\u1036\u1037']
+];
+
+/**
+ * Whether text looks Zawgyi-encoded rather than Unicode
+ */
+export function isZawgyi(text) {
+    return ZAWGYI_PATTERN.test(text || '');
+}
+
+/**
+ * Convert Zawgyi-encoded text to Unicode
+ */
+export function zawgyiToUnicode(text) {
+    return ZAWGYI_RULES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text || '');
+}
+
+/**
+ * Convert text to Unicode (if it is Zawgyi) and fold spelling variants
+ */
+export function normalizeMyanmar(text) {
+    let result = (text ?? '').toString().normalize('NFC');
+    if (isZawgyi(result)) {
+        result = zawgyiToUnicode(result);
+    }
+    return UNICODE_VARIANT_RULES.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), result);
+}
+
+/**
+ * Search key for text: Unicode Myanmar, ASCII digits, lower case, single spaces
+ */
+export function toSearchKey(text) {
+    return normalizeMyanmar(text)
+        .replace(/[\u1040-\u1049]/g, digit => String(digit.charCodeAt(0) - 0x1040))
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
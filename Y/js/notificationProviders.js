@@ -0,0 +1,103 @@
+/**
+ * notificationProviders - Delivery adapters for customer notifications
+ * Every provider exposes `channel` and `send({ to: { phone, viberId }, text })`, which resolves to
+ * { providerMessageId } or throws with a reason the notification outbox records on the voucher
+ */
+
+export const NOTIFICATION_PROVIDERS = {
+    mock: { label: 'Mock (စမ်းသပ်ရန်)', channel: 'mock' },
+    http: { label: 'HTTP SMS Gateway', channel: 'sms' },
+    viber: { label: 'Viber Bot', channel: 'viber' }
+};
+
+export const VIBER_SEND_URL = 'https://chatapi.viber.com/pa/send_message';
+
+/**
+ * Records messages instead of sending them, for testing templates and the queue
+ */
+export class MockNotificationProvider {
+    constructor({ failWith = null } = {}) {
+        this.channel = 'mock';
+        this.failWith = failWith;
+        this.sent = [];
+    }
+
+    async send({ to, text }) {
+        if (this.failWith) throw new Error(this.failWith);
+        this.sent.push({ to, text });
+        return { providerMessageId: `mock-${this.sent.length}` };
+    }
+}
+
+/**
+ * SMS through an HTTP gateway that accepts a JSON POST of { to, from, message }
+ */
+export class HttpSmsProvider {
+    constructor({ url, apiKey = '', sender = '' }, fetchImpl) {
+        if (!url) throw new Error('SMS gateway URL is not set');
+        this.channel = 'sms';
+        this.url = url;
+        this.apiKey = apiKey;
+        this.sender = sender;
+        this.fetch = fetchImpl;
+    }
+
+    async send({ to, text }) {
+        if (!to.phone) throw new Error('Customer has no phone number');
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({ to: to.phone, from: this.sender, message: text })
+        });
+        if (!response.ok) throw new Error(`SMS gateway responded ${response.status}`);
+        const body = await response.json().catch(() => ({}));
+        return { providerMessageId: body.id || body.messageId || null };
+    }
+}
+
+/**
+ * Viber bot message to a customer who has subscribed to the shop's bot (their Viber user id)
+ */
+export class ViberBotProvider {
+    constructor({ token, senderName = '', url = VIBER_SEND_URL }, fetchImpl) {
+        if (!token) throw new Error('Viber bot token is not set');
+        this.channel = 'viber';
+        this.token = token;
+        this.senderName = senderName;
+        this.url = url;
+        this.fetch = fetchImpl;
+    }
+
+    async send({ to, text }) {
+        if (!to.viberId) throw new Error('Customer has no Viber ID');
+        const response = await this.fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Viber-Auth-Token': this.token },
+            body: JSON.stringify({ receiver: to.viberId, type: 'text', sender: { name: this.senderName }, text })
+        });
+        if (!response.ok) throw new Error(`Viber responded ${response.status}`);
+        const body = await response.json();
+        // Viber reports failures in the body with a non-zero status
+        if (body.status !== 0) throw new Error(body.status_message || `Viber status ${body.status}`);
+        return { providerMessageId: String(body.message_token) };
+    }
+}
+
+/**
+ * Provider for the shop's notification settings
+ */
+export function createNotificationProvider(settings, fetchImpl = globalThis.fetch && globalThis.fetch.bind(globalThis)) {
+    switch (settings.provider) {
+        case 'http':
+            return new HttpSmsProvider(settings.http || {}, fetchImpl);
+        case 'viber':
+            return new ViberBotProvider(settings.viber || {}, fetchImpl);
+        case 'mock':
+            return new MockNotificationProvider();
+        default:
+            throw new Error(`Unknown notification provider: ${settings.provider}`);
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * offlineActions - Replays queued offline actions through the voucher and technician managers
+ * Shared by index.html and the modular app so both write queued changes the same way
+ */
+
+import { queuedEditEffects } from './voucherConflicts.js';
+
+/**
+ * Build the execute(action, step) callback that OfflineOutbox.process expects
+ * resolveVoucherEdit(action, currentVoucher) settles conflicts with edits made on another
+ * device and returns the fields to write.
+ */
+export function createOfflineActionExecutor({ voucherManager, technicianManager, resolveVoucherEdit }) {
+    return async function executeOfflineAction(action, step) {
+        switch (action.type) {
+            case 'addVoucher':
+                await voucherManager.createVoucher(action.voucherId, action.data, step);
+                break;
+
+            case 'updateVoucher': {
+                // Settle edits made on another device first, and move stock and customer totals from the
+                // voucher as the server has it; the outcome is journaled with the step
+                await step('resolve', async () => {
+                    const current = await voucherManager.getVoucher(action.voucherId);
+                    if (!current) {
+                        throw Object.assign(new Error('Voucher was deleted on another device'), { code: 'not-found' });
+                    }
+                    action.data = await resolveVoucherEdit(action, current);
+                    Object.assign(action, queuedEditEffects(action.data, current));
+                });
+                if (Object.keys(action.data).length === 0) break;
+                await voucherManager.updateVoucher(action.voucherId, action.data, action, step);
+                break;
+            }
+
+            case 'deleteVoucher':
+                await voucherManager.deleteVoucher(action.voucherId, action, step);
+                break;
+
+            case 'saveTechnician':
+                await step('technician', () => technicianManager.save(action.technicianId, action.data));
+                break;
+
+            // Whole name lists queued before technicians had records: add the names that are missing
+            case 'addTechnician':
+            case 'updateTechnician':
+                await step('technicians', () => technicianManager.importNames(action.data.names || []));
+                break;
+
+            default:
+                console.warn('Unknown action type:', action.type);
+        }
+    };
+}
@@ -0,0 +1,136 @@
+/**
+ * receipt - Printable customer receipt and claim ticket for a voucher
+ * Builds a self-contained HTML document (A5 or 58mm/80mm thermal) and prints it through the browser dialog
+ */
+
+import { receiptConfig } from './config.js';
+import { renderCode128Svg } from './barcode.js';
+
+// Page sizes and type scale for each printer layout
+export const RECEIPT_LAYOUTS = {
+    a5: { label: 'A5', pageSize: 'A5', width: '128mm', margin: '10mm', fontSize: '11pt', barcodeHeight: 50 },
+    thermal80: { label: 'Thermal 80mm', pageSize: '80mm auto', width: '72mm', margin: '4mm', fontSize: '9.5pt', barcodeHeight: 40 },
+    thermal58: { label: 'Thermal 58mm', pageSize: '58mm auto', width: '48mm', margin: '3mm', fontSize: '8pt', barcodeHeight: 36 }
+};
+
+const MYANMAR_FONT_STACK = "'Noto Sans Myanmar', 'Myanmar Text', 'Pyidaungsu', 'Padauk', sans-serif";
+
+/**
+ * Escape text for safe insertion into receipt HTML
+ */
+function escapeHtml(value) {
+    return (value ?? '').toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the receipt document for a voucher
+ * Returns a full HTML string with a customer copy (claim ticket) and a shop copy (device tag)
+ */
+export function buildReceiptHtml(voucher, layoutKey = receiptConfig.defaultLayout, shop = receiptConfig) {
+    const layout = RECEIPT_LAYOUTS[layoutKey] || RECEIPT_LAYOUTS.a5;
+    const barcode = renderCode128Svg(voucher.voucherNumber, { height: layout.barcodeHeight, moduleWidth: 2 }) ||
+        `<div class="voucher-number">${escapeHtml(voucher.voucherNumber)}</div>`;
+    const amount = `${(Number(voucher.amount) || 0).toLocaleString()} ¥`;
+
+    const row = (label, value) => value ?
+        `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>` : '';
+
+    const details = [
+        row('Voucher No.', voucher.voucherNumber),
+        row('Customer', voucher.customerName),
+        row('Phone', voucher.customerPhone),
+        row('Model', voucher.phoneModel),
+        row('Colour', voucher.phoneColor),
+        row('Error', voucher.error),
+        row('Est. Price', amount),
+        row('Date', voucher.date),
+        row('Technician', voucher.technicianName)
+    ].join('');
+
+    const terms = (shop.terms || []).map(term => `<li>${escapeHtml(term)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="my">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(voucher.voucherNumber)}</title>
+<style>
+    @page { size: ${layout.pageSize}; margin: ${layout.margin}; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: ${MYANMAR_FONT_STACK}; font-size: ${layout.fontSize}; line-height: 1.6; color: #000; background: #fff; }
+    .receipt { width: ${layout.width}; margin: 0 auto; }
+    .header { text-align: center; border-bottom: 1px solid #000; padding-bottom: 4px; margin-bottom: 6px; }
+    .header h1 { font-size: 1.3em; margin: 0; }
+    .header p { margin: 0; font-size: 0.85em; }
+    .copy-title { text-align: center; font-weight: bold; margin: 4px 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th { text-align: left; font-weight: normal; white-space: nowrap; padding: 1px 6px 1px 0; vertical-align: top; width: 35%; }
+    td { font-weight: bold; padding: 1px 0; word-break: break-word; }
+    .barcode { text-align: center; margin: 6px 0; }
+    .voucher-number { font-size: 1.6em; font-weight: bold; letter-spacing: 2px; }
+    .terms { font-size: 0.8em; margin: 6px 0 0; padding-left: 1.2em; }
+    .signature { margin-top: 14px; font-size: 0.85em; }
+    .cut { border: none; border-top: 1px dashed #000; margin: 10px 0; }
+</style>
+</head>
+<body>
+<div class="receipt">
+    <div class="header">
+        <h1>${escapeHtml(shop.shopName)}</h1>
+        ${shop.address ? `<p>${escapeHtml(shop.address)}</p>` : ''}
+        ${shop.phone ? `<p>☎ ${escapeHtml(shop.phone)}</p>` : ''}
+    </div>
+    <div class="copy-title">Customer Receipt / Claim Ticket</div>
+    <table>${details}</table>
+    <div class="barcode">${barcode}</div>
+    ${terms ? `<ol class="terms">${terms}</ol>` : ''}
+
+    <hr class="cut">
+
+    <div class="copy-title">Shop Copy</div>
+    <table>
+        ${row('Voucher No.', voucher.voucherNumber)}
+        ${row('Customer', voucher.customerName)}
+        ${row('Phone', voucher.customerPhone)}
+        ${row('Model', voucher.phoneModel)}
+        ${row('Error', voucher.error)}
+        ${row('Est. Price', amount)}
+    </table>
+    <div class="barcode">${barcode}</div>
+    <div class="signature">Customer signature: ____________________</div>
+</div>
+</body>
+</html>`;
+}
+
+/**
+ * Print an HTML document through a hidden iframe (works offline, no pop-up needed)
+ */
+export function printReceiptHtml(html) {
+    return new Promise((resolve) => {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+        document.body.appendChild(frame);
+
+        frame.onload = () => {
+            const printWindow = frame.contentWindow;
+            const cleanup = () => {
+                frame.remove();
+                resolve();
+            };
+            printWindow.addEventListener('afterprint', () => setTimeout(cleanup, 0), { once: true });
+            // Give web fonts a moment to load so Myanmar text is shaped before printing
+            const fontsReady = printWindow.document.fonts ? printWindow.document.fonts.ready : Promise.resolve();
+            fontsReady.then(() => {
+                printWindow.focus();
+                printWindow.print();
+            });
+        };
+        frame.srcdoc = html;
+    });
+}
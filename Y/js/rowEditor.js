@@ -0,0 +1,53 @@
+/**
+ * Editable list of rows for list-type settings, shared by the payroll rule and service catalogue editors
+ * columns: [{ key, type, placeholder, options, width }], where a 'select' column lists its options as { value: label }.
+ * Returns getRows() with copies of the edited rows and setRows(rows) to replace them.
+ */
+export function createRowEditor(container, columns, addLabel) {
+    let rows = [];
+
+    const render = () => {
+        container.innerHTML = `
+            <div class="space-y-2">
+                ${rows.map((row, index) => `
+                    <div class="flex flex-wrap gap-2 items-center" data-index="${index}">
+                        ${columns.map(column => column.type === 'select' ? `
+                            <select data-key="${column.key}" class="office-input p-2 ${column.width || 'flex-1'}">
+                                ${Object.entries(column.options).map(([value, label]) => `<option value="${value}" ${row[column.key] === value ? 'selected' : ''}>${label}</option>`).join('')}
+                            </select>
+                        ` : `
+                            <input data-key="${column.key}" type="${column.type}" ${column.type === 'number' ? 'min="0" step="any"' : ''} placeholder="${column.placeholder}" value="${row[column.key] ?? ''}" class="office-input p-2 ${column.width || 'flex-1'}">
+                        `).join('')}
+                        <button type="button" class="row-remove-btn text-red-400 hover:text-red-300 px-2">✕</button>
+                    </div>
+                `).join('')}
+                <button type="button" class="row-add-btn text-sm text-teal-400 hover:text-teal-300">+ ${addLabel}</button>
+            </div>
+        `;
+        container.querySelectorAll('[data-key]').forEach(input => {
+            input.addEventListener('input', () => {
+                const index = Number(input.closest('[data-index]').dataset.index);
+                rows[index][input.dataset.key] = input.value;
+            });
+        });
+        container.querySelectorAll('.row-remove-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                rows.splice(Number(button.closest('[data-index]').dataset.index), 1);
+                render();
+            });
+        });
+        container.querySelector('.row-add-btn').addEventListener('click', () => {
+            rows.push(Object.fromEntries(columns.map(column => [column.key, column.type === 'select' ? Object.keys(column.options)[0] : ''])));
+            render();
+        });
+    };
+
+    render();
+    return {
+        getRows: () => rows.map(row => ({ ...row })),
+        setRows: (newRows) => {
+            rows = (newRows || []).map(row => ({ ...row }));
+            render();
+        }
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * scanner - Claim ticket scanning with the device camera or a USB/Bluetooth wedge scanner
+ * Camera scanning uses the browser's BarcodeDetector (Chrome/Android); wedge scanners type the code followed by Enter
+ */
+
+import { toBarcodeText } from './barcode.js';
+
+const SCAN_FORMATS = ['code_128', 'qr_code'];
+const CAMERA_SCAN_INTERVAL = 200;
+// Wedge scanners "type" far faster than a person; slower keystrokes are treated as normal typing
+const WEDGE_MAX_KEY_INTERVAL = 40;
+const WEDGE_MIN_LENGTH = 3;
+
+/**
+ * Normalize a scanned or typed code for voucher number matching
+ */
+export function normalizeScannedCode(value) {
+    const raw = (value || '').toString().trim();
+    return toBarcodeText(raw) || raw;
+}
+
+/**
+ * Whether this browser can scan with the camera
+ */
+export function isCameraScanSupported() {
+    return typeof window !== 'undefined' && 'BarcodeDetector' in window &&
+        !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Start scanning with the rear camera into a <video> element
+ * onDetected(code) fires once with the first code read; returns a stop() function
+ */
+export async function startCameraScan(video, onDetected) {
+    if (!isCameraScanSupported()) {
+        throw new Error('Camera scanning is not supported in this browser');
+    }
+
+    const supportedFormats = await window.BarcodeDetector.getSupportedFormats();
+    const formats = SCAN_FORMATS.filter(format => supportedFormats.includes(format));
+    const detector = new window.BarcodeDetector({ formats: formats.length ? formats : SCAN_FORMATS });
+
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+    video.srcObject = stream;
+    video.setAttribute('playsinline', 'true');
+    await video.play();
+
+    let stopped = false;
+    let timer = null;
+
+    const stop = () => {
+        stopped = true;
+        clearTimeout(timer);
+        stream.getTracks().forEach(track => track.stop());
+        video.srcObject = null;
+    };
+
+    const scanFrame = async () => {
+        if (stopped) return;
+        try {
+            const codes = await detector.detect(video);
+            const code = codes.find(result => result.rawValue);
+            if (code) {
+                stop();
+                onDetected(normalizeScannedCode(code.rawValue));
+                return;
+            }
+        } catch (error) {
+            // Frames can fail while the camera is warming up; keep trying
+        }
+        timer = setTimeout(scanFrame, CAMERA_SCAN_INTERVAL);
+    };
+    scanFrame();
+
+    return stop;
+}
+
+/**
+ * Listen for wedge scanner input anywhere on the page
+ * Bursts of fast keystrokes ending in Enter are reported to onScan(code); returns a detach() function
+ */
+export function attachWedgeScanner(onScan, target = document) {
+    let buffer = '';
+    let lastKeyTime = 0;
+
+    const handleKeydown = (event) => {
+        const now = Date.now();
+        if (now - lastKeyTime > WEDGE_MAX_KEY_INTERVAL) {
+            buffer = '';
+        }
+        lastKeyTime = now;
+
+        if (event.key === 'Enter') {
+            if (buffer.length >= WEDGE_MIN_LENGTH) {
+                const scanned = buffer;
+                buffer = '';
+                // Keep the scan from also submitting a form or running a partial search
+                event.preventDefault();
+                event.stopPropagation();
+                // Don't leave the scanned code typed into whatever field had focus
+                const field = event.target;
+                if (field && typeof field.value === 'string' && field.value.endsWith(scanned)) {
+                    field.value = field.value.slice(0, -scanned.length);
+                }
+                onScan(normalizeScannedCode(scanned));
+            }
+            buffer = '';
+            return;
+        }
+
+        if (event.key.length === 1) {
+            buffer += event.key;
+        }
+    };
+
+    target.addEventListener('keydown', handleKeydown, true);
+    return () => target.removeEventListener('keydown', handleKeydown, true);
+}
@@ -0,0 +1,224 @@
+/**
+ * voucherConflicts - Revision tracking and conflict detection for offline voucher edits
+ * Every voucher write bumps `revision`; a queued edit remembers the revision and field values it
+ * was made against, so its replay can tell which fields another device changed in the meantime
+ */
+
+import { getStatusInfo } from './voucherStatus.js';
+
+export const REVISION_FIELD = 'revision';
+
+// Fields that only make sense together with another field follow that field's resolution
+const DEPENDENT_FIELDS = {
+    partsUsed: ['partsCost'],
+    voucherStatus: ['statusUpdatedAt', 'releasedBy', 'releasedAt']
+};
+const FOLLOWER_FIELDS = Object.values(DEPENDENT_FIELDS).flat();
+
+export const CONFLICT_FIELD_LABELS = {
+    customerName: 'Customer',
+    phoneModel: 'Model',
+    phoneColor: 'Color',
+    error: 'Error',
+    voucherNumber: 'Voucher No.',
+    voucherStatus: 'Status',
+    amount: 'Amount',
+    partsUsed: 'Parts'
+};
+
+/**
+ * JSON with sorted object keys, so field order never counts as a change
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+function sameValue(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Revision of a voucher (vouchers written before revisions existed count as 0)
+ */
+export function getRevision(voucher) {
+    return Number(voucher && voucher[REVISION_FIELD]) || 0;
+}
+
+/**
+ * What a queued edit was based on: the voucher's revision and its values for the edited fields
+ */
+export function captureBase(voucher, data) {
+    if (!voucher) return null;
+    const values = {};
+    Object.keys(data).forEach(field => {
+        values[field] = voucher[field] ?? null;
+    });
+    return { revision: getRevision(voucher), values };
+}
+
+/**
+ * Compare a queued edit with the voucher as it is now
+ * Fields the edit left untouched give way to the current values, fields only the edit changed
+ * are kept, and fields both sides changed to different values are returned as conflicts
+ * ({ field, base, mine, theirs }). Returns { data, conflicts }.
+ */
+export function planQueuedEdit(base, data, current) {
+    if (!base || getRevision(current) === base.revision) {
+        return { data: { ...data }, conflicts: [] };
+    }
+
+    const merged = { ...data };
+    const conflicts = [];
+    Object.keys(data).filter(field => !FOLLOWER_FIELDS.includes(field)).forEach(field => {
+        const baseValue = base.values[field] ?? null;
+        const theirs = current[field] ?? null;
+        if (sameValue(data[field], baseValue)) {
+            dropField(merged, field);
+        } else if (!sameValue(theirs, baseValue) && !sameValue(theirs, data[field])) {
+            conflicts.push({ field, base: baseValue, mine: data[field], theirs });
+        }
+    });
+    return { data: merged, conflicts };
+}
+
+/**
+ * Remove a field (and the fields that follow it) from an update
+ */
+function dropField(data, field) {
+    delete data[field];
+    (DEPENDENT_FIELDS[field] || []).forEach(follower => delete data[follower]);
+}
+
+/**
+ * Apply field-level choices ({ [field]: 'mine' | 'theirs' }) to a planned edit
+ * Fields resolved to 'theirs' are left out of the update so the current value stays.
+ */
+export function applyConflictChoices(data, conflicts, choices) {
+    const resolved = { ...data };
+    conflicts.forEach(({ field }) => {
+        if (choices[field] === 'theirs') {
+            dropField(resolved, field);
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Stock and customer changes a resolved edit makes to the voucher as it is on the server
+ * A queued edit's own partsChange and customerStats were worked out against the voucher it was
+ * made on, which another device may have changed since. Returns { partsChange, customerStats }.
+ */
+export function queuedEditEffects(data, current) {
+    const partsChange = 'partsUsed' in data ? { oldParts: current.partsUsed || [], newParts: data.partsUsed || [] } : null;
+    const amountDelta = 'amount' in data ? (Number(data.amount) || 0) - (Number(current.amount) || 0) : 0;
+    const customerStats = current.customerId && amountDelta ? { customerId: current.customerId, amountDelta, visitDelta: 0 } : null;
+    return { partsChange, customerStats };
+}
+
+/**
+ * Display text for a field value in the conflict dialog
+ */
+function formatConflictValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (field === 'partsUsed') {
+        return value.length ? value.map(part => `${part.name} × ${part.quantity}`).join(', ') : '—';
+    }
+    if (field === 'voucherStatus') return getStatusInfo(value).label;
+    if (field === 'amount') return `${(Number(value) || 0).toLocaleString()} ¥`;
+    return value.toString();
+}
+
+function escapeHtml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Side-by-side choice per conflicting field; resolves with { [field]: 'mine' | 'theirs' }
+ * "Later" rejects with a failed-precondition error so the offline queue parks the edit
+ * in its dead-letter list, where it can be retried when convenient.
+ */
+export function showConflictDialog(current, conflicts) {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50';
+    modal.innerHTML = `
+        <div class="bg-gray-800 p-6 rounded-lg max-w-3xl w-full mx-4 max-h-screen overflow-y-auto">
+            <h3 class="text-xl font-semibold theme-text-primary mb-1">⚠️ ပြင်ဆင်မှု ထပ်နေသည်</h3>
+            <p class="theme-text-muted text-sm mb-4">
+                ${escapeHtml(`${current.voucherNumber || ''} · ${current.customerName || ''}`)} ကို အော့ဖ်လိုင်းတွင် ပြင်ထားစဉ် အခြားစက်မှလည်း ပြင်ထားပါသည်။ ထားရှိမည့် တန်ဖိုးကို ရွေးပါ။
+            </p>
+            <table class="w-full text-sm mb-4">
+                <thead>
+                    <tr class="theme-text-muted text-left border-b border-gray-600">
+                        <th class="py-2 px-2">Field</th>
+                        <th class="py-2 px-2">ဤစက် (Offline)</th>
+                        <th class="py-2 px-2">အခြားစက် (Server)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${conflicts.map(({ field, base, mine, theirs }) => `
+                        <tr class="border-b border-gray-700">
+                            <td class="py-2 px-2 theme-text-primary">
+                                ${CONFLICT_FIELD_LABELS[field] || field}
+                                <div class="theme-text-muted text-xs">မူလ: ${escapeHtml(formatConflictValue(field, base))}</div>
+                            </td>
+                            <td class="py-2 px-2">
+                                <label class="flex items-start gap-2 cursor-pointer">
+                                    <input type="radio" name="conflict-${field}" value="mine" checked>
+                                    <span class="theme-text-primary">${escapeHtml(formatConflictValue(field, mine))}</span>
+                                </label>
+                            </td>
+                            <td class="py-2 px-2">
+                                <label class="flex items-start gap-2 cursor-pointer">
+                                    <input type="radio" name="conflict-${field}" value="theirs">
+                                    <span class="theme-text-primary">${escapeHtml(formatConflictValue(field, theirs))}</span>
+                                </label>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="flex flex-wrap gap-2 justify-end">
+                <button data-action="mine" class="bg-gray-600 hover:bg-gray-500 text-white py-2 px-3 rounded-lg text-sm">ဤစက်အားလုံး</button>
+                <button data-action="theirs" class="bg-gray-600 hover:bg-gray-500 text-white py-2 px-3 rounded-lg text-sm">အခြားစက်အားလုံး</button>
+                <button data-action="later" class="bg-gray-600 hover:bg-gray-500 text-white py-2 px-3 rounded-lg text-sm">နောက်မှ</button>
+                <button data-action="apply" class="office-button py-2 px-4">✔ အတည်ပြုရန်</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    return new Promise((resolve, reject) => {
+        modal.addEventListener('click', (event) => {
+            const action = event.target.dataset.action;
+            if (action === 'mine' || action === 'theirs') {
+                modal.querySelectorAll(`input[value="${action}"]`).forEach(input => { input.checked = true; });
+            } else if (action === 'apply') {
+                const choices = {};
+                conflicts.forEach(({ field }) => {
+                    choices[field] = modal.querySelector(`input[name="conflict-${field}"]:checked`).value;
+                });
+                modal.remove();
+                resolve(choices);
+            } else if (action === 'later') {
+                modal.remove();
+                reject(Object.assign(new Error('Conflict left for later'), { code: 'failed-precondition' }));
+            }
+        });
+    });
+}
+
+/**
+ * Merge a queued voucher edit with the live voucher, asking the user about fields both sides changed
+ */
+export async function resolveQueuedVoucherEdit(action, current) {
+    const { data, conflicts } = planQueuedEdit(action.base, action.data, current);
+    if (conflicts.length === 0) return data;
+    const choices = await showConflictDialog(current, conflicts);
+    return applyConflictChoices(data, conflicts, choices);
+}
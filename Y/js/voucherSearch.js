@@ -0,0 +1,277 @@
+/**
+ * voucherSearch - Full-text voucher search with field filters
+ * Parses queries like `model:iphone status:not_taken tech:ကိုကျော် from:2025-01-01`, matches across voucher fields and pages the results
+ */
+
+import { VOUCHER_STATUSES, STATUS_FILTER_GROUPS, matchesStatusFilter, getVoucherStatus, getStatusInfo } from './voucherStatus.js';
+import { toSearchKey, zawgyiToUnicode } from './myanmarText.js';
+
+export const SEARCH_PAGE_SIZE = 50;
+
+// Searchable voucher fields: free-text terms match any of them
+export const SEARCH_FIELDS = [
+    { key: 'voucher', field: 'voucherNumber', label: 'Voucher No.' },
+    { key: 'customer', field: 'customerName', label: 'Customer' },
+    { key: 'phone', field: 'customerPhone', label: 'Phone' },
+    { key: 'model', field: 'phoneModel', label: 'Model' },
+    { key: 'colour', field: 'phoneColor', label: 'Colour' },
+    { key: 'error', field: 'error', label: 'Error' },
+    { key: 'tech', field: 'technicianName', label: 'Technician' }
+];
+
+// Alternative names accepted before the colon
+const KEY_ALIASES = {
+    no: 'voucher',
+    number: 'voucher',
+    name: 'customer',
+    color: 'colour',
+    technician: 'tech',
+    from: 'from',
+    to: 'to',
+    date: 'date',
+    status: 'status'
+};
+
+const LEGACY_STATUS_FILTERS = ['taken', 'not_taken'];
+const TOKEN_PATTERN = /(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// A lone term with a digit and no spaces, e.g. "KK-0012" or "1203", is looked up as a voucher number first
+const VOUCHER_LIKE_PATTERN = /^[\p{L}\p{N}#._/-]*\p{N}[\p{L}\p{N}#._/-]*$/u;
+
+const fieldByKey = new Map(SEARCH_FIELDS.map(field => [field.key, field]));
+const searchKeyCache = new WeakMap();
+
+/**
+ * Search keys for a query term; ambiguous short text is also tried as Zawgyi
+ */
+function termVariants(term) {
+    return [...new Set([toSearchKey(term), toSearchKey(zawgyiToUnicode(term))])].filter(Boolean);
+}
+
+/**
+ * Normalized, cached search keys for a voucher's fields
+ */
+function getVoucherKeys(voucher) {
+    let keys = searchKeyCache.get(voucher);
+    if (!keys) {
+        keys = {};
+        SEARCH_FIELDS.forEach(({ key, field }) => {
+            keys[key] = toSearchKey(voucher[field]);
+        });
+        searchKeyCache.set(voucher, keys);
+    }
+    return keys;
+}
+
+/**
+ * Resolve a status filter typed as a stage value, English or Myanmar label, group or legacy value
+ */
+export function resolveStatusFilter(value) {
+    const wanted = (value || '').toString().trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!wanted) return null;
+    if (wanted === 'all' || STATUS_FILTER_GROUPS[wanted] || LEGACY_STATUS_FILTERS.includes(wanted)) {
+        return wanted;
+    }
+
+    const labelKey = toSearchKey(value);
+    const status = VOUCHER_STATUSES.find(s =>
+        s.value === wanted ||
+        s.english.toLowerCase().replace(/\s+/g, '_') === wanted ||
+        toSearchKey(s.label) === labelKey
+    );
+    return status ? status.value : null;
+}
+
+/**
+ * Parse a search query into free-text terms, field filters, status and date bounds
+ * Unknown keys are searched as plain text; invalid values are reported in `errors`
+ */
+export function parseSearchQuery(query) {
+    const parsed = { terms: [], fields: {}, status: null, from: null, to: null, errors: [] };
+
+    for (const match of (query || '').matchAll(TOKEN_PATTERN)) {
+        const rawKey = (match[1] || '').toLowerCase();
+        const value = (match[2] ?? match[3] ?? '').trim();
+        const key = fieldByKey.has(rawKey) ? rawKey : KEY_ALIASES[rawKey];
+        if (!value) continue;
+
+        if (!key) {
+            parsed.terms.push(rawKey ? `${match[1]}:${value}` : value);
+        } else if (key === 'status') {
+            const status = resolveStatusFilter(value);
+            if (status) {
+                parsed.status = status;
+            } else {
+                parsed.errors.push(`Unknown status "${value}"`);
+            }
+        } else if (key === 'from' || key === 'to' || key === 'date') {
+            if (!DATE_PATTERN.test(value)) {
+                parsed.errors.push(`Invalid date "${value}" (use YYYY-MM-DD)`);
+            } else if (key === 'date') {
+                parsed.from = value;
+                parsed.to = value;
+            } else {
+                parsed[key] = value;
+            }
+        } else {
+            (parsed.fields[key] = parsed.fields[key] || []).push(value);
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Check one voucher against a parsed query
+ * Returns the list of matched field keys, or null if the voucher does not match
+ */
+export function matchVoucher(voucher, parsed) {
+    if (parsed.status && !matchesStatusFilter(voucher, parsed.status)) return null;
+    if (parsed.from && (voucher.date || '') < parsed.from) return null;
+    if (parsed.to && (voucher.date || '') > parsed.to) return null;
+
+    const keys = getVoucherKeys(voucher);
+    const matched = new Set();
+
+    for (const [key, values] of Object.entries(parsed.fields)) {
+        for (const value of values) {
+            if (!termVariants(value).some(variant => keys[key].includes(variant))) return null;
+            matched.add(key);
+        }
+    }
+
+    for (const term of parsed.terms) {
+        const variants = termVariants(term);
+        const hits = SEARCH_FIELDS.filter(({ key }) => variants.some(variant => keys[key].includes(variant)));
+        if (hits.length === 0) return null;
+        hits.forEach(({ key }) => matched.add(key));
+    }
+
+    if (parsed.status) matched.add('status');
+    if (parsed.from || parsed.to) matched.add('date');
+    return Array.from(matched);
+}
+
+/**
+ * Parse a query and narrow it by extra bounds (e.g. from date pickers)
+ */
+export function parseSearchWithBounds(query, { from = null, to = null, status = null } = {}) {
+    const parsed = parseSearchQuery(query);
+    if (from && (!parsed.from || from > parsed.from)) parsed.from = from;
+    if (to && (!parsed.to || to < parsed.to)) parsed.to = to;
+    if (status && status !== 'all' && !parsed.status) parsed.status = status;
+    return parsed;
+}
+
+/**
+ * Firestore queries a search reads its candidates from, in order: [{ filters: [[field, operator, value]], order: [field, direction] }]
+ * A voucher number or customer phone filter reads just the vouchers starting with it (typed as stored). A lone
+ * voucher-like term reads the voucher numbers and phones starting with it first, then the date range like any
+ * other search, newest first, so it still matches the other fields. matchVoucher() checks the rest of the query
+ * on each voucher read.
+ */
+export function buildSearchQueryPlans(parsed) {
+    const prefix = (field, value) => ({
+        filters: [[field, '>=', value], [field, '<=', `${value}\uf8ff`]],
+        order: [field, 'asc']
+    });
+    const { voucher = [], phone = [] } = parsed.fields;
+    if (voucher.length === 1) return [prefix('voucherNumber', voucher[0])];
+    if (phone.length === 1) return [prefix('customerPhone', phone[0])];
+
+    const filters = [];
+    if (parsed.from) filters.push(['date', '>=', parsed.from]);
+    if (parsed.to) filters.push(['date', '<=', parsed.to]);
+    const byDate = { filters, order: ['date', 'desc'] };
+
+    const [term] = parsed.terms;
+    if (parsed.terms.length === 1 && Object.keys(parsed.fields).length === 0 && VOUCHER_LIKE_PATTERN.test(term)) {
+        return [prefix('voucherNumber', term), prefix('customerPhone', term), byDate];
+    }
+    return [byDate];
+}
+
+/**
+ * Search vouchers; extra bounds (e.g. from date pickers) narrow the typed query
+ * Results are { voucher, matched } sorted newest first
+ */
+export function searchVouchers(vouchers, query, bounds = {}) {
+    const parsed = parseSearchWithBounds(query, bounds);
+
+    const results = [];
+    vouchers.forEach(voucher => {
+        const matched = matchVoucher(voucher, parsed);
+        if (matched) results.push({ voucher, matched });
+    });
+
+    results.sort((a, b) =>
+        (b.voucher.date || '').localeCompare(a.voucher.date || '') ||
+        (b.voucher.voucherNumber || '').toString().localeCompare((a.voucher.voucherNumber || '').toString(), undefined, { numeric: true })
+    );
+
+    return { results, parsed };
+}
+
+/**
+ * Whether a parsed query has anything to search for
+ */
+export function hasSearchCriteria(parsed) {
+    return parsed.terms.length > 0 || Object.keys(parsed.fields).length > 0 || !!parsed.status || !!parsed.from || !!parsed.to;
+}
+
+/**
+ * Slice one page out of a result list
+ */
+export function paginate(items, page = 1, pageSize = SEARCH_PAGE_SIZE) {
+    const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    return {
+        items: items.slice(start, start + pageSize),
+        page: currentPage,
+        totalPages,
+        total: items.length,
+        start: items.length ? start + 1 : 0,
+        end: Math.min(start + pageSize, items.length)
+    };
+}
+
+/**
+ * Labels for the fields a result matched on
+ */
+export function describeMatches(matched, voucher = null) {
+    return matched.map(key => {
+        if (key === 'status') return voucher ? `Status: ${getStatusInfo(getVoucherStatus(voucher)).label}` : 'Status';
+        if (key === 'date') return 'Date';
+        return fieldByKey.get(key)?.label || key;
+    });
+}
+
+/**
+ * Render "matched on" chips for a search result
+ */
+export function renderMatchChips(matched, voucher = null) {
+    return describeMatches(matched, voucher)
+        .map(label => `<span class="inline-block bg-teal-900 text-teal-300 text-xs rounded px-1.5 py-0.5 mr-1 mt-1">${label}</span>`)
+        .join('');
+}
+
+/**
+ * Wrap the parts of a field value that match the query terms in <mark>
+ * Only exact (non-normalized) substrings are highlighted; the chips cover normalized matches
+ */
+export function highlightMatches(text, parsed, key) {
+    const value = (text ?? '').toString();
+    const needles = [...parsed.terms, ...(parsed.fields[key] || [])]
+        .map(term => term.trim())
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length);
+
+    const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    if (needles.length === 0) return escapeHtml(value);
+
+    const pattern = new RegExp(`(${needles.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return value.split(pattern)
+        .map((part, index) => index % 2 === 1 ? `<mark class="bg-yellow-500 text-black rounded px-0.5">${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
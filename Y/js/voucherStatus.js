@@ -0,0 +1,173 @@
+/**
+ * voucherStatus - Repair lifecycle definitions shared by all voucher views
+ * Maps legacy taken/not_taken values onto the multi-stage workflow
+ */
+
+// Ordered repair lifecycle
+export const VOUCHER_STATUSES = [
+    { value: 'received', label: 'လက်ခံပြီး', english: 'Received', color: 'bg-gray-700 text-gray-200', text: 'text-gray-300', terminal: false },
+    { value: 'diagnosing', label: 'စစ်ဆေးနေဆဲ', english: 'Diagnosing', color: 'bg-blue-900 text-blue-300', text: 'text-blue-400', terminal: false },
+    { value: 'waiting_parts', label: 'ပစ္စည်းစောင့်နေ', english: 'Waiting for Parts', color: 'bg-orange-900 text-orange-300', text: 'text-orange-400', terminal: false },
+    { value: 'repairing', label: 'ပြင်ဆင်နေဆဲ', english: 'Repairing', color: 'bg-purple-900 text-purple-300', text: 'text-purple-400', terminal: false },
+    { value: 'ready_for_pickup', label: 'ယူရန်အသင့်', english: 'Ready for Pickup', color: 'bg-yellow-900 text-yellow-300', text: 'text-yellow-400', terminal: false },
+    { value: 'picked_up', label: 'ယူသွားပြီး', english: 'Picked Up', color: 'bg-green-900 text-green-300', text: 'text-green-400', terminal: true },
+    { value: 'returned_unrepaired', label: 'မပြင်ဘဲ ပြန်ပေး', english: 'Returned Unrepaired', color: 'bg-red-900 text-red-300', text: 'text-red-400', terminal: true }
+];
+
+export const DEFAULT_VOUCHER_STATUS = 'received';
+
+// Which stages a voucher may move to from each stage
+export const STATUS_TRANSITIONS = {
+    received: ['diagnosing', 'repairing', 'ready_for_pickup', 'returned_unrepaired'],
+    diagnosing: ['waiting_parts', 'repairing', 'ready_for_pickup', 'returned_unrepaired'],
+    waiting_parts: ['repairing', 'returned_unrepaired'],
+    repairing: ['waiting_parts', 'ready_for_pickup', 'returned_unrepaired'],
+    ready_for_pickup: ['picked_up', 'repairing'],
+    picked_up: ['ready_for_pickup'],
+    returned_unrepaired: ['received']
+};
+
+// Legacy voucherStatus values written before the lifecycle existed
+const LEGACY_STATUS_MAP = {
+    taken: 'picked_up',
+    not_taken: 'ready_for_pickup'
+};
+
+// Status filter values that are not a single stage
+export const STATUS_FILTER_GROUPS = {
+    open: 'ဆိုင်တွင် ရှိဆဲ (အားလုံး)',
+    closed: 'ပိတ်ပြီး (အားလုံး)'
+};
+
+const statusByValue = new Map(VOUCHER_STATUSES.map(status => [status.value, status]));
+
+/**
+ * Resolve the lifecycle status of a voucher, mapping legacy fields
+ */
+export function getVoucherStatus(voucher) {
+    if (!voucher) return DEFAULT_VOUCHER_STATUS;
+
+    const raw = voucher.voucherStatus;
+    if (statusByValue.has(raw)) return raw;
+    if (LEGACY_STATUS_MAP[raw]) return LEGACY_STATUS_MAP[raw];
+
+    // VoucherManager used a separate boolean before voucherStatus existed
+    if (typeof voucher.takenByCustomer === 'boolean') {
+        return voucher.takenByCustomer ? 'picked_up' : 'ready_for_pickup';
+    }
+
+    return DEFAULT_VOUCHER_STATUS;
+}
+
+/**
+ * Get the definition for a status value
+ */
+export function getStatusInfo(status) {
+    return statusByValue.get(status) || statusByValue.get(DEFAULT_VOUCHER_STATUS);
+}
+
+/**
+ * Check whether a status ends the repair lifecycle
+ */
+export function isTerminalStatus(status) {
+    return getStatusInfo(status).terminal;
+}
+
+/**
+ * Statuses selectable from the current one (current status first)
+ */
+export function getNextStatuses(currentStatus) {
+    return [currentStatus, ...(STATUS_TRANSITIONS[currentStatus] || [])];
+}
+
+/**
+ * Check whether a transition is allowed
+ */
+export function canTransition(fromStatus, toStatus) {
+    if (fromStatus === toStatus) return true;
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Check a voucher against a status filter value ('all', 'open', 'closed' or a stage)
+ */
+export function matchesStatusFilter(voucher, filter) {
+    if (!filter || filter === 'all') return true;
+
+    const status = getVoucherStatus(voucher);
+    if (filter === 'open') return !isTerminalStatus(status);
+    if (filter === 'closed') return isTerminalStatus(status);
+    if (LEGACY_STATUS_MAP[filter]) return status === LEGACY_STATUS_MAP[filter];
+    return status === filter;
+}
+
+/**
+ * Create a history entry for a status change
+ */
+export function createStatusHistoryEntry(fromStatus, toStatus, changedBy = null) {
+    return {
+        from: fromStatus || null,
+        to: toStatus,
+        at: new Date().toISOString(),
+        by: changedBy || null
+    };
+}
+
+/**
+ * Build <option> markup for a status select
+ */
+export function buildStatusOptions(selectedStatus, statuses = VOUCHER_STATUSES.map(s => s.value)) {
+    return statuses.map(value => {
+        const info = getStatusInfo(value);
+        return `<option value="${value}" ${value === selectedStatus ? 'selected' : ''}>${info.label}</option>`;
+    }).join('');
+}
+
+/**
+ * Build <option> markup for a status filter select
+ */
+export function buildStatusFilterOptions(selectedFilter = 'all') {
+    const groups = Object.entries(STATUS_FILTER_GROUPS).map(([value, label]) =>
+        `<option value="${value}" ${value === selectedFilter ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    return `<option value="all" ${selectedFilter === 'all' ? 'selected' : ''}>All Status</option>${groups}${buildStatusOptions(selectedFilter)}`;
+}
+
+/**
+ * Render a coloured status badge
+ */
+export function renderStatusBadge(status) {
+    const info = getStatusInfo(status);
+    return `<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${info.color}">${info.label}</span>`;
+}
+
+/**
+ * Format a voucher's status history as plain text (one line per transition)
+ */
+export function formatStatusHistory(history = []) {
+    return history.map(entry => {
+        const when = entry.at ? new Date(entry.at).toLocaleString() : '';
+        const from = entry.from ? getStatusInfo(entry.from).english : '—';
+        const by = entry.by ? ` (${entry.by})` : '';
+        return `${when}: ${from} → ${getStatusInfo(entry.to).english}${by}`;
+    }).join('\n');
+}
+
+/**
+ * Count vouchers and amounts per status
+ */
+export function summarizeByStatus(vouchers) {
+    const summary = {};
+    VOUCHER_STATUSES.forEach(status => {
+        summary[status.value] = { count: 0, amount: 0 };
+    });
+
+    vouchers.forEach(voucher => {
+        const status = getVoucherStatus(voucher);
+        summary[status].count++;
+        summary[status].amount += Number(voucher.amount) || 0;
+    });
+
+    return summary;
+}
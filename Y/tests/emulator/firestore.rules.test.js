@@ -0,0 +1,355 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, increment, writeBatch } from 'firebase/firestore';
+import { VoucherManager } from '../../js/VoucherManager.js';
+import { PayrollManager } from '../../js/PayrollManager.js';
+import { hasPermission } from '../../js/WorkspaceManager.js';
+import { createTestEnvironment, seedShop, firestoreAs, EmulatorFirebaseService, SHOP_ID, SHOP_PATH, USERS } from '../helpers/emulator.js';
+
+const voucher = {
+    voucherNumber: 'KK-0001',
+    customerName: 'Mg Mg',
+    technicianName: 'ကိုကျော်',
+    date: '2025-06-01',
+    amount: 15000,
+    voucherStatus: 'repairing',
+    revision: 1
+};
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedShop(testEnv, {
+        'vouchers/open': voucher,
+        'vouchers/paid': { ...voucher, payrollRunId: '2025-05', payrollLockedAt: '2025-06-01T00:00:00.000Z' },
+        'inventory/screen': { name: 'Screen', quantity: 2, costPrice: 8000 },
+        'payrollRuns/2025-05': { totalNet: 120000 }
+    });
+});
+
+const voucherDoc = (db, id) => doc(db, `${SHOP_PATH}/vouchers/${id}`);
+const trashDoc = (db, id) => doc(db, `${SHOP_PATH}/deletedVouchers/${id}`);
+
+// Delete the way VoucherManager does: move to the trash in the same write
+function moveToTrash(db, id) {
+    const batch = writeBatch(db);
+    batch.set(trashDoc(db, id), { ...voucher, deletedAt: '2025-06-02T00:00:00.000Z' });
+    batch.delete(voucherDoc(db, id));
+    return batch.commit();
+}
+
+describe('vouchers', () => {
+    it('can be read and created by members only', async () => {
+        await assertSucceeds(getDoc(voucherDoc(firestoreAs(testEnv, 'technician'), 'open')));
+        await assertSucceeds(setDoc(voucherDoc(firestoreAs(testEnv, 'technician'), 'new'), voucher));
+        await assertFails(getDoc(voucherDoc(firestoreAs(testEnv, 'stranger'), 'open')));
+        await assertFails(getDoc(voucherDoc(testEnv.unauthenticatedContext().firestore(), 'open')));
+    });
+
+    it('lets a technician move the repair stage but not edit the money', async () => {
+        const db = firestoreAs(testEnv, 'technician');
+
+        await assertSucceeds(updateDoc(voucherDoc(db, 'open'), {
+            voucherStatus: 'ready_for_pickup',
+            statusUpdatedAt: '2025-06-02T10:00:00.000Z',
+            revision: increment(1)
+        }));
+        await assertFails(updateDoc(voucherDoc(db, 'open'), { amount: 1 }));
+        await assertFails(deleteDoc(voucherDoc(db, 'open')));
+        await assertFails(moveToTrash(db, 'open'));
+    });
+
+    it('lets a technician move a voucher with no stored commission through VoucherManager', async () => {
+        await setDoc(doc(firestoreAs(testEnv, 'manager'), `${SHOP_PATH}/settings/commissionRules`), { defaults: { perVoucherRate: 500 }, technicians: {} });
+        const fs = new EmulatorFirebaseService(firestoreAs(testEnv, 'technician'), SHOP_ID, USERS.technician);
+        const errorHandler = { handleError: vi.fn() };
+        const payrollManager = new PayrollManager(fs, errorHandler);
+        await payrollManager.loadCommissionRules();
+        const workspace = { can: (permission) => hasPermission('technician', permission) };
+        const voucherManager = new VoucherManager(fs, errorHandler, null, null, null, null, null, null, payrollManager, null, workspace);
+
+        await assertSucceeds(voucherManager.updateVoucher('open', { voucherStatus: 'ready_for_pickup' }));
+        await assertSucceeds(voucherManager.markPickedUp(await voucherManager.getVoucher('open'), 'Tech'));
+        const stored = await voucherManager.getVoucher('open');
+        expect(stored.voucherStatus).toBe('picked_up');
+        expect(stored.commission).toBeUndefined();
+    });
+
+    it('lets a manager edit an unpaid voucher and delete it only into the trash', async () => {
+        const db = firestoreAs(testEnv, 'manager');
+
+        await assertSucceeds(updateDoc(voucherDoc(db, 'open'), { amount: 18000, revision: increment(1) }));
+        await assertFails(deleteDoc(voucherDoc(db, 'open')));
+        await assertFails(setDoc(trashDoc(db, 'open'), voucher));
+        await assertSucceeds(moveToTrash(db, 'open'));
+    });
+
+    it('keeps a paid voucher\'s payroll fields and existence fixed', async () => {
+        const db = firestoreAs(testEnv, 'owner');
+
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { amount: 1 }));
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { payrollRunId: null }));
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { technicianId: 'tech-2' }));
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { commission: 1 }));
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { serviceTypeId: 'battery' }));
+        await assertFails(updateDoc(voucherDoc(db, 'paid'), { serviceType: 'Battery' }));
+        await assertFails(deleteDoc(voucherDoc(db, 'paid')));
+        await assertSucceeds(updateDoc(voucherDoc(db, 'paid'), { voucherStatus: 'picked_up', revision: increment(1) }));
+    });
+});
+
+describe('trash and audit log', () => {
+    const auditDoc = (db, id) => doc(db, `${SHOP_PATH}/voucherAudit/${id}`);
+    const entry = (userKey) => ({ action: 'update', voucherId: 'open', changes: [], userId: USERS[userKey].uid, at: '2025-06-02T00:00:00.000Z' });
+
+    it('lets only the owner restore or purge a deleted voucher', async () => {
+        await moveToTrash(firestoreAs(testEnv, 'manager'), 'open');
+
+        await assertSucceeds(getDoc(trashDoc(firestoreAs(testEnv, 'manager'), 'open')));
+        await assertFails(getDoc(trashDoc(firestoreAs(testEnv, 'technician'), 'open')));
+        await assertFails(deleteDoc(trashDoc(firestoreAs(testEnv, 'manager'), 'open')));
+        await assertFails(updateDoc(trashDoc(firestoreAs(testEnv, 'owner'), 'open'), { amount: 1 }));
+        await assertSucceeds(deleteDoc(trashDoc(firestoreAs(testEnv, 'owner'), 'open')));
+    });
+
+    it('does not let a voucher in the trash be recreated except by the owner', async () => {
+        await moveToTrash(firestoreAs(testEnv, 'manager'), 'open');
+
+        await assertFails(setDoc(voucherDoc(firestoreAs(testEnv, 'technician'), 'open'), { amount: 1 }));
+        await assertFails(setDoc(voucherDoc(firestoreAs(testEnv, 'manager'), 'open'), { amount: 1 }));
+        await assertSucceeds(setDoc(voucherDoc(firestoreAs(testEnv, 'owner'), 'open'), { amount: 1 }));
+    });
+
+    it('keeps audit entries append-only and signed by their writer', async () => {
+        const technician = firestoreAs(testEnv, 'technician');
+
+        await assertSucceeds(setDoc(auditDoc(technician, 'a1'), entry('technician')));
+        await assertFails(setDoc(auditDoc(technician, 'a2'), entry('manager')));
+        await assertFails(getDoc(auditDoc(technician, 'a1')));
+        await assertSucceeds(getDoc(auditDoc(firestoreAs(testEnv, 'manager'), 'a1')));
+        await assertFails(updateDoc(auditDoc(firestoreAs(testEnv, 'owner'), 'a1'), { changes: [] }));
+        await assertFails(deleteDoc(auditDoc(firestoreAs(testEnv, 'owner'), 'a1')));
+    });
+});
+
+describe('notifications', () => {
+    const notificationDoc = (db, id) => doc(db, `${SHOP_PATH}/notifications/${id}`);
+
+    it('lets a technician queue a pickup notification but only managers read and send it', async () => {
+        const technician = firestoreAs(testEnv, 'technician');
+
+        await assertSucceeds(updateDoc(voucherDoc(technician, 'open'), {
+            voucherStatus: 'ready_for_pickup',
+            notification: { status: 'queued', at: '2025-06-02T10:00:00.000Z' },
+            revision: increment(1)
+        }));
+        await assertSucceeds(setDoc(notificationDoc(technician, 'n1'), { voucherId: 'open', status: 'queued' }));
+        await assertFails(setDoc(notificationDoc(technician, 'n2'), { voucherId: 'open', status: 'sent' }));
+        await assertFails(getDoc(notificationDoc(technician, 'n1')));
+        await assertFails(getDoc(doc(technician, `${SHOP_PATH}/settings/notifications`)));
+        await assertSucceeds(updateDoc(notificationDoc(firestoreAs(testEnv, 'manager'), 'n1'), { status: 'sent' }));
+    });
+});
+
+describe('warranty', () => {
+    it('lets a technician start the warranty at pickup and read, but not change, the service catalogue', async () => {
+        const technician = firestoreAs(testEnv, 'technician');
+        const settingsDoc = (db) => doc(db, `${SHOP_PATH}/settings/serviceCatalog`);
+
+        await assertSucceeds(updateDoc(voucherDoc(technician, 'open'), {
+            voucherStatus: 'picked_up',
+            warrantyExpiresAt: '2025-08-31',
+            revision: increment(1)
+        }));
+        await assertFails(updateDoc(voucherDoc(technician, 'open'), { warrantyDays: 365 }));
+        await assertSucceeds(setDoc(settingsDoc(firestoreAs(testEnv, 'manager')), { serviceTypes: [] }));
+        await assertSucceeds(getDoc(settingsDoc(technician)));
+        await assertFails(setDoc(settingsDoc(technician), { serviceTypes: [] }));
+        await assertFails(getDoc(doc(technician, `${SHOP_PATH}/settings/warranty`)));
+    });
+});
+
+describe('members', () => {
+    const memberDoc = (db, uid) => doc(db, `${SHOP_PATH}/members/${uid}`);
+
+    it('lets nobody change their own role', async () => {
+        await assertFails(updateDoc(memberDoc(firestoreAs(testEnv, 'technician'), USERS.technician.uid), { role: 'owner' }));
+        await assertFails(updateDoc(memberDoc(firestoreAs(testEnv, 'owner'), USERS.owner.uid), { role: 'manager' }));
+        await assertSucceeds(updateDoc(memberDoc(firestoreAs(testEnv, 'owner'), USERS.technician.uid), { role: 'manager' }));
+        await assertFails(updateDoc(memberDoc(firestoreAs(testEnv, 'manager'), USERS.technician.uid), { role: 'manager' }));
+    });
+
+    it('lets an invited, verified user join with the invited role only', async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await setDoc(doc(context.firestore(), `artifacts/kkss-app/invites/${USERS.stranger.email}`), { shopId: USERS.owner.uid, role: 'technician' });
+        });
+
+        await assertFails(setDoc(memberDoc(firestoreAs(testEnv, 'stranger'), USERS.stranger.uid), { role: 'manager' }));
+        await assertFails(setDoc(memberDoc(firestoreAs(testEnv, 'stranger', { email_verified: false }), USERS.stranger.uid), { role: 'technician' }));
+        await assertSucceeds(setDoc(memberDoc(firestoreAs(testEnv, 'stranger'), USERS.stranger.uid), { role: 'technician' }));
+    });
+
+    it('keeps a pending invite in the shop that made it', async () => {
+        const inviteDoc = (db, email) => doc(db, `artifacts/kkss-app/invites/${email}`);
+        // The stranger owns a shop of their own
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, `artifacts/kkss-app/shops/${USERS.stranger.uid}`), { ownerUid: USERS.stranger.uid });
+            await setDoc(doc(db, `artifacts/kkss-app/shops/${USERS.stranger.uid}/members/${USERS.stranger.uid}`), { role: 'owner' });
+        });
+        const owner = firestoreAs(testEnv, 'owner');
+        const otherOwner = firestoreAs(testEnv, 'stranger');
+
+        await assertSucceeds(setDoc(inviteDoc(owner, 'new@example.com'), { shopId: USERS.owner.uid, role: 'technician' }));
+        await assertSucceeds(setDoc(inviteDoc(owner, 'new@example.com'), { shopId: USERS.owner.uid, role: 'manager' }));
+        await assertFails(setDoc(inviteDoc(otherOwner, 'new@example.com'), { shopId: USERS.stranger.uid, role: 'technician' }));
+        await assertSucceeds(setDoc(inviteDoc(otherOwner, 'other@example.com'), { shopId: USERS.stranger.uid, role: 'technician' }));
+    });
+
+    it('only lets a user create the shop keyed by their own uid', async () => {
+        const db = firestoreAs(testEnv, 'stranger');
+
+        await assertSucceeds(setDoc(doc(db, `artifacts/kkss-app/shops/${USERS.stranger.uid}`), { ownerUid: USERS.stranger.uid }));
+        await assertFails(setDoc(doc(db, 'artifacts/kkss-app/shops/someone-else'), { ownerUid: USERS.stranger.uid }));
+    });
+});
+
+describe('inventory', () => {
+    const itemDoc = (db) => doc(db, `${SHOP_PATH}/inventory/screen`);
+
+    it('lets a technician take stock but not below zero or edit the item', async () => {
+        const db = firestoreAs(testEnv, 'technician');
+
+        await assertSucceeds(updateDoc(itemDoc(db), { quantity: 1, updatedAt: '2025-06-01T00:00:00.000Z' }));
+        await assertFails(updateDoc(itemDoc(db), { quantity: -1 }));
+        await assertFails(updateDoc(itemDoc(db), { costPrice: 1 }));
+        await assertSucceeds(updateDoc(itemDoc(firestoreAs(testEnv, 'manager')), { costPrice: 7500 }));
+    });
+});
+
+describe('technicians', () => {
+    const technicianDoc = (db) => doc(db, `${SHOP_PATH}/technicians/t1`);
+
+    it('can be read by members and written by managers only', async () => {
+        await assertSucceeds(setDoc(technicianDoc(firestoreAs(testEnv, 'manager')), { name: 'ကိုကျော်', status: 'active' }));
+        await assertSucceeds(getDoc(technicianDoc(firestoreAs(testEnv, 'technician'))));
+        await assertFails(updateDoc(technicianDoc(firestoreAs(testEnv, 'technician')), { name: 'Me' }));
+        await assertFails(getDoc(technicianDoc(firestoreAs(testEnv, 'stranger'))));
+    });
+});
+
+describe('devices', () => {
+    const deviceDoc = (db) => doc(db, `${SHOP_PATH}/devices/d1`);
+
+    it('can be read by members and written by managers only', async () => {
+        await assertSucceeds(setDoc(deviceDoc(firestoreAs(testEnv, 'manager')), { brand: 'iPhone', model: 'iPhone 11', aliases: [], colors: [] }));
+        await assertSucceeds(getDoc(deviceDoc(firestoreAs(testEnv, 'technician'))));
+        await assertFails(updateDoc(deviceDoc(firestoreAs(testEnv, 'technician')), { aliases: ['ip11'] }));
+        await assertFails(getDoc(deviceDoc(firestoreAs(testEnv, 'stranger'))));
+    });
+});
+
+describe('revenue totals', () => {
+    const entryDoc = (db, kind, id) => doc(db, `${SHOP_PATH}/aggregates/${kind}/entries/${id}`);
+    const monthDoc = (db) => entryDoc(db, 'months', '2025-06');
+    const figures = (sign, amount = voucher.amount) => ({ count: sign, total: sign * amount, partsCost: 0, commission: 0, grossProfit: sign * amount });
+
+    // A technician's voucher write, moving aggregate entries by [entry, figures] pairs in the same batch
+    function writeWithTotals(db, voucherId, voucherData, changes) {
+        const batch = writeBatch(db);
+        batch.set(voucherDoc(db, voucherId), voucherData, { merge: true });
+        changes.forEach(([entry, delta]) => {
+            const increments = Object.fromEntries(Object.entries(delta).map(([figure, value]) => [figure, increment(value)]));
+            batch.set(entry, { lastVoucherId: voucherId, ...increments }, { merge: true });
+        });
+        return batch.commit();
+    }
+
+    it('are moved by members only alongside a new voucher, by that voucher\'s figures on its own entries', async () => {
+        const technician = firestoreAs(testEnv, 'technician');
+        const created = { ...voucher, revision: 1 };
+
+        await assertFails(setDoc(monthDoc(technician), { month: '2025-06', count: increment(1), total: increment(5000) }, { merge: true }));
+        await assertFails(setDoc(monthDoc(technician), { month: '2025-06', lastVoucherId: 'open', count: increment(1) }, { merge: true }));
+        await assertFails(writeWithTotals(technician, 'new', created, [[monthDoc(technician), { ...figures(1), count: 2 }]]));
+        await assertFails(writeWithTotals(technician, 'new', created, [[monthDoc(technician), { ...figures(1), total: 900000 }]]));
+        await assertFails(writeWithTotals(technician, 'new', created, [[entryDoc(technician, 'months', '2025-07'), figures(1)]]));
+        await assertSucceeds(writeWithTotals(technician, 'new', created, [[monthDoc(technician), figures(1)], [entryDoc(technician, 'statuses', 'repairing'), figures(1)]]));
+        await assertSucceeds(setDoc(monthDoc(firestoreAs(testEnv, 'manager')), { month: '2025-06', count: 40, total: 200000 }));
+    });
+
+    it('let a member\'s status move shift only the voucher\'s own figures from its old repair stage to its new one', async () => {
+        const technician = firestoreAs(testEnv, 'technician');
+        const move = { voucherStatus: 'ready_for_pickup', revision: increment(1) };
+
+        await assertFails(writeWithTotals(technician, 'open', move, [[monthDoc(technician), { count: 0, total: 900000 }]]));
+        await assertFails(writeWithTotals(technician, 'open', move, [[entryDoc(technician, 'statuses', 'ready_for_pickup'), figures(1, 900000)]]));
+        await assertFails(writeWithTotals(technician, 'open', move, [[entryDoc(technician, 'statuses', 'picked_up'), figures(1)]]));
+        await assertSucceeds(writeWithTotals(technician, 'open', move, [
+            [entryDoc(technician, 'statuses', 'repairing'), figures(-1)],
+            [entryDoc(technician, 'statuses', 'ready_for_pickup'), figures(1)]
+        ]));
+    });
+
+    it('accept the totals VoucherManager writes for a technician\'s new voucher and its status moves', async () => {
+        await setDoc(doc(firestoreAs(testEnv, 'manager'), `${SHOP_PATH}/settings/commissionRules`), { defaults: { perVoucherRate: 500 }, technicians: {} });
+        const fs = new EmulatorFirebaseService(firestoreAs(testEnv, 'technician'), SHOP_ID, USERS.technician);
+        const errorHandler = { handleError: vi.fn() };
+        const payrollManager = new PayrollManager(fs, errorHandler);
+        await payrollManager.loadCommissionRules();
+        const workspace = { can: (permission) => hasPermission('technician', permission) };
+        const voucherManager = new VoucherManager(fs, errorHandler, null, null, null, null, null, null, payrollManager, null, workspace);
+
+        const parts = [{ itemId: 'screen', name: 'Screen', quantity: 1, unitCost: 8000 }];
+        await assertSucceeds(voucherManager.createVoucher('new', { customerName: 'Ko Ko', technicianName: 'ကိုကျော်', date: '2025-06-01', amount: 15000, partsUsed: parts }));
+        await assertSucceeds(voucherManager.updateVoucher('new', { voucherStatus: 'repairing' }));
+        await assertSucceeds(voucherManager.updateVoucher('new', { voucherStatus: 'ready_for_pickup' }));
+
+        const stage = (await getDoc(entryDoc(firestoreAs(testEnv, 'manager'), 'statuses', 'ready_for_pickup'))).data();
+        expect(stage).toMatchObject({ count: 1, total: 15000, partsCost: 8000, commission: 500, grossProfit: 6500 });
+    });
+
+    it('are read by every member and cleared by managers only', async () => {
+        await assertSucceeds(setDoc(monthDoc(firestoreAs(testEnv, 'manager')), { month: '2025-06', count: 1, total: 5000 }));
+        await assertSucceeds(getDoc(monthDoc(firestoreAs(testEnv, 'technician'))));
+        await assertFails(deleteDoc(monthDoc(firestoreAs(testEnv, 'technician'))));
+        await assertSucceeds(deleteDoc(monthDoc(firestoreAs(testEnv, 'manager'))));
+        await assertFails(getDoc(monthDoc(firestoreAs(testEnv, 'stranger'))));
+    });
+});
+
+describe('payroll and settings', () => {
+    it('are managers-only, and closed runs cannot be rewritten', async () => {
+        const manager = firestoreAs(testEnv, 'manager');
+        const technician = firestoreAs(testEnv, 'technician');
+
+        await assertSucceeds(setDoc(doc(manager, `${SHOP_PATH}/payrollRuns/2025-06`), { totalNet: 1 }));
+        await assertFails(setDoc(doc(manager, `${SHOP_PATH}/payrollRuns/2025-05`), { totalNet: 1 }));
+        await assertFails(deleteDoc(doc(manager, `${SHOP_PATH}/payrollRuns/2025-05`)));
+        await assertFails(getDoc(doc(technician, `${SHOP_PATH}/payrollRuns/2025-05`)));
+        await assertFails(getDoc(doc(technician, `${SHOP_PATH}/settings/payroll`)));
+        await assertSucceeds(setDoc(doc(manager, `${SHOP_PATH}/settings/payroll`), { rules: {} }));
+    });
+
+    it('let every member read the published commission rules but only managers write them', async () => {
+        const commissionRulesDoc = (db) => doc(db, `${SHOP_PATH}/settings/commissionRules`);
+
+        await assertSucceeds(setDoc(commissionRulesDoc(firestoreAs(testEnv, 'manager')), { defaults: { perVoucherRate: 500 }, technicians: {} }));
+        await assertSucceeds(getDoc(commissionRulesDoc(firestoreAs(testEnv, 'technician'))));
+        await assertFails(setDoc(commissionRulesDoc(firestoreAs(testEnv, 'technician')), { defaults: { perVoucherRate: 0 }, technicians: {} }));
+        await assertFails(getDoc(commissionRulesDoc(firestoreAs(testEnv, 'stranger'))));
+    });
+
+    it('denies paths outside the app', async () => {
+        await assertFails(getDoc(doc(firestoreAs(testEnv, 'owner'), 'other/thing')));
+    });
+});
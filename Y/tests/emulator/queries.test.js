@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { Timestamp } from 'firebase/firestore';
+import { StatusReportManager } from '../../js/StatusReportManager.js';
+import { PayrollManager, monthPeriod } from '../../js/PayrollManager.js';
+import { VoucherManager } from '../../js/VoucherManager.js';
+import { CustomerManager } from '../../js/customerManager.js';
+import { VoucherAuditLog } from '../../js/VoucherAuditLog.js';
+import { createTestEnvironment, seedShop, firestoreAs, EmulatorFirebaseService, SHOP_ID, USERS } from '../helpers/emulator.js';
+
+const indexes = JSON.parse(readFileSync(new URL('../../firestore.indexes.json', import.meta.url), 'utf8')).indexes;
+
+const at = (iso) => Timestamp.fromDate(new Date(iso));
+const vouchers = {
+    v1: { voucherNumber: 'KK-0001', date: '2025-05-31', technicianName: 'A', amount: 9000, customerId: 'c1', timestamp: at('2025-05-31T09:00:00Z') },
+    v2: { voucherNumber: 'KK-0002', date: '2025-06-01', technicianName: 'A', amount: 10000, customerId: 'c1', timestamp: at('2025-06-01T11:00:00Z') },
+    v3: { voucherNumber: 'KK-0003', date: '2025-06-01', technicianName: 'B', amount: 5000, timestamp: at('2025-06-01T09:00:00Z') },
+    v4: { voucherNumber: 'KK-0004', date: '2025-06-30', technicianName: 'A', amount: 7000, timestamp: at('2025-06-30T09:00:00Z') },
+    v5: { voucherNumber: 'KK-0005', date: '2025-07-01', technicianName: 'A', amount: 99000, timestamp: at('2025-07-01T09:00:00Z') }
+};
+
+/**
+ * Composite queries the app runs and the index each one needs
+ * Keep in step with FirebaseService's query helpers and any manager query that orders by a second field.
+ */
+const COMPOSITE_QUERIES = [
+    {
+        name: 'FirebaseService.getVouchersByDate',
+        constraints: (fs) => [fs.where('date', '==', '2025-06-01'), fs.orderBy('timestamp', 'desc')],
+        index: [['date', 'ASCENDING'], ['timestamp', 'DESCENDING']],
+        expected: ['v2', 'v3']
+    },
+    {
+        name: 'FirebaseService.getVouchersByDateRange',
+        constraints: (fs) => [fs.where('date', '>=', '2025-06-01'), fs.where('date', '<=', '2025-06-30'), fs.orderBy('date', 'desc'), fs.orderBy('timestamp', 'desc')],
+        index: [['date', 'DESCENDING'], ['timestamp', 'DESCENDING']],
+        expected: ['v4', 'v2', 'v3']
+    },
+    {
+        name: 'FirebaseService.getVouchersByTechnician',
+        constraints: (fs) => [fs.where('technicianName', '==', 'A'), fs.orderBy('timestamp', 'desc')],
+        index: [['technicianName', 'ASCENDING'], ['timestamp', 'DESCENDING']],
+        expected: ['v5', 'v4', 'v2', 'v1']
+    }
+];
+
+function hasIndex(collectionGroup, fields) {
+    return indexes.some(index =>
+        index.collectionGroup === collectionGroup &&
+        index.queryScope === 'COLLECTION' &&
+        index.fields.length === fields.length &&
+        index.fields.every((field, i) => field.fieldPath === fields[i][0] && field.order === fields[i][1]));
+}
+
+let testEnv;
+
+beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedShop(testEnv, Object.fromEntries(Object.entries(vouchers).map(([id, data]) => [`vouchers/${id}`, data])));
+});
+
+const serviceAs = (userKey) => new EmulatorFirebaseService(firestoreAs(testEnv, userKey), SHOP_ID, USERS[userKey]);
+const ids = (list) => list.map(voucher => voucher.id);
+
+describe('composite queries', () => {
+    it.each(COMPOSITE_QUERIES)('$name has a matching index in firestore.indexes.json', ({ index }) => {
+        expect(hasIndex('vouchers', index)).toBe(true);
+    });
+
+    it.each(['voucherId', 'userId'])('VoucherAuditLog by %s has a matching index', (field) => {
+        expect(hasIndex('voucherAudit', [[field, 'ASCENDING'], ['at', 'DESCENDING']])).toBe(true);
+    });
+
+    it.each(COMPOSITE_QUERIES)('$name is allowed for a technician and ordered as expected', async ({ constraints, expected }) => {
+        const fs = serviceAs('technician');
+        const snapshot = await fs.getDocs(fs.createQuery(fs.collection(fs.shopPath('vouchers')), ...constraints(fs)));
+
+        expect(snapshot.docs.map(docSnap => docSnap.id)).toEqual(expected);
+    });
+});
+
+describe('manager queries', () => {
+    const errorHandler = { handleError: vi.fn() };
+
+    it('status report covers the date range inclusively, oldest first', async () => {
+        const statusReportManager = new StatusReportManager(serviceAs('technician'), errorHandler);
+
+        const report = await statusReportManager.generate('2025-06-01', '2025-06-30');
+        expect(ids(report.vouchers).sort()).toEqual(['v2', 'v3', 'v4']);
+        expect(report.vouchers.map(voucher => voucher.date)).toEqual(['2025-06-01', '2025-06-01', '2025-06-30']);
+        expect(report.totalAmount).toBe(22000);
+    });
+
+    it('payroll reads exactly the calendar month', async () => {
+        const payrollManager = new PayrollManager(serviceAs('manager'), errorHandler);
+
+        const periodVouchers = await payrollManager.getVouchersForPeriod(monthPeriod(2025, 6));
+        expect(ids(periodVouchers).sort()).toEqual(['v2', 'v3', 'v4']);
+
+        const [payslip] = await payrollManager.runPayroll(['A'], monthPeriod(2025, 6));
+        expect(payslip.revenue).toBe(17000);
+    });
+
+    it('payroll close locks the paid vouchers under the rules', async () => {
+        const fs = serviceAs('manager');
+        const payrollManager = new PayrollManager(fs, errorHandler);
+        const period = monthPeriod(2025, 6);
+
+        const payslips = await payrollManager.runPayroll(['A', 'B'], period);
+        await payrollManager.closePeriod(payslips, period, 'Manager');
+
+        const paid = await new VoucherManager(fs, errorHandler).getVoucher('v2');
+        expect(paid).toMatchObject({ payrollRunId: period.key });
+        await expect(payrollManager.closePeriod(payslips, period, 'Manager')).rejects.toThrow();
+    });
+
+    it('voucher edits and deletes are logged and readable per voucher and per user', async () => {
+        const voucherManager = new VoucherManager(serviceAs('manager'), errorHandler);
+        const auditLog = new VoucherAuditLog(serviceAs('owner'), errorHandler);
+
+        await voucherManager.updateVoucher('v3', { amount: 6000 });
+        await voucherManager.deleteVoucher('v3');
+
+        expect((await auditLog.getForVoucher('v3')).map(entry => entry.action)).toEqual(['delete', 'update']);
+        expect(await auditLog.getForUser(USERS.manager.uid)).toHaveLength(2);
+        expect(ids(await voucherManager.listTrash())).toEqual(['v3']);
+    });
+
+    it('scanned voucher numbers and customer history find their vouchers', async () => {
+        const fs = serviceAs('technician');
+
+        expect(ids(await new VoucherManager(fs, errorHandler).findByVoucherNumber('KK-0003'))).toEqual(['v3']);
+        expect(ids(await new CustomerManager(fs, errorHandler).getServiceHistory('c1'))).toEqual(['v2', 'v1']);
+    });
+
+    it('searches read their indexed query a page at a time', async () => {
+        const voucherManager = new VoucherManager(serviceAs('technician'), errorHandler);
+
+        const byNumber = voucherManager.createSearch('voucher:KK-000');
+        await voucherManager.fetchSearchResults(byNumber);
+        expect(ids(byNumber.results)).toEqual(['v1', 'v2', 'v3', 'v4', 'v5']);
+
+        const byDate = voucherManager.createSearch('', { from: '2025-06-01', to: '2025-06-30' });
+        await voucherManager.fetchSearchResults(byDate);
+        expect(ids(byDate.results).sort()).toEqual(['v2', 'v3', 'v4']);
+
+        const fs = serviceAs('technician');
+        const first = await fs.getPage(fs.collection(fs.shopPath('vouchers')), [fs.orderBy('date', 'desc')], { pageSize: 2 });
+        const second = await fs.getPage(fs.collection(fs.shopPath('vouchers')), [fs.orderBy('date', 'desc')], { pageSize: 2, after: first.cursor });
+        expect([...ids(first.docs), ...ids(second.docs)]).toEqual(['v5', 'v4', 'v3', 'v2']);
+    });
+});
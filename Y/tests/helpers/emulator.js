@@ -0,0 +1,107 @@
+/**
+ * Emulator helpers - Firestore emulator test environment with the shop's security rules
+ * Seeds a shop with an owner, a manager and a technician, and wraps an emulator Firestore in
+ * the FirebaseService method surface so managers run their real queries against it
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+    collection, doc, getDoc, setDoc, addDoc, getDocs, updateDoc, deleteDoc, query, where, orderBy, limit, startAfter,
+    increment, arrayUnion, onSnapshot, writeBatch, runTransaction, Timestamp
+} from 'firebase/firestore';
+
+export const PROJECT_ID = 'demo-kkss';
+export const SHOP_ID = 'owner-uid';
+export const SHOP_PATH = `artifacts/kkss-app/shops/${SHOP_ID}`;
+
+export const USERS = {
+    owner: { uid: 'owner-uid', email: 'owner@example.com', role: 'owner' },
+    manager: { uid: 'manager-uid', email: 'manager@example.com', role: 'manager' },
+    technician: { uid: 'tech-uid', email: 'tech@example.com', role: 'technician' },
+    stranger: { uid: 'stranger-uid', email: 'stranger@example.com', role: null }
+};
+
+const rulesPath = fileURLToPath(new URL('../../firestore.rules', import.meta.url));
+
+/**
+ * Start a test environment against the running emulator with firestore.rules loaded
+ */
+export async function createTestEnvironment() {
+    return await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: readFileSync(rulesPath, 'utf8') }
+    });
+}
+
+/**
+ * Write the shop, its members and any extra documents with rules bypassed
+ */
+export async function seedShop(testEnv, documents = {}) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, SHOP_PATH), { name: 'Test Shop', ownerUid: USERS.owner.uid });
+        for (const user of Object.values(USERS)) {
+            if (user.role) {
+                await setDoc(doc(db, `${SHOP_PATH}/members/${user.uid}`), { role: user.role, email: user.email });
+            }
+        }
+        for (const [path, data] of Object.entries(documents)) {
+            await setDoc(doc(db, path.startsWith('artifacts/') ? path : `${SHOP_PATH}/${path}`), data);
+        }
+    });
+}
+
+/**
+ * Firestore signed in as one of USERS
+ */
+export function firestoreAs(testEnv, userKey, tokenOverrides = {}) {
+    const user = USERS[userKey];
+    return testEnv.authenticatedContext(user.uid, { email: user.email, email_verified: true, ...tokenOverrides }).firestore();
+}
+
+/**
+ * FirebaseService method surface over an emulator Firestore, scoped to the test shop
+ */
+export class EmulatorFirebaseService {
+    constructor(db, shopId = SHOP_ID, user = null) {
+        this.db = db;
+        this.appId = 'kkss-app';
+        this.shopId = shopId;
+        this.user = user;
+    }
+
+    shopPath(subPath = '') {
+        const root = `artifacts/${this.appId}/shops/${this.shopId}`;
+        return subPath ? `${root}/${subPath}` : root;
+    }
+
+    collection(path) { return collection(this.db, path); }
+    doc(path) { return doc(this.db, path); }
+    newDocRef(collectionPath) { return doc(collection(this.db, collectionPath)); }
+    getDoc(docRef) { return getDoc(docRef); }
+    setDoc(docRef, data, options = {}) { return setDoc(docRef, data, options); }
+    addDoc(collectionRef, data) { return addDoc(collectionRef, data); }
+    getDocs(ref) { return getDocs(ref); }
+    updateDoc(docRef, data) { return updateDoc(docRef, data); }
+    deleteDoc(docRef) { return deleteDoc(docRef); }
+    createQuery(collectionRef, ...constraints) { return query(collectionRef, ...constraints); }
+    where(field, operator, value) { return where(field, operator, value); }
+    orderBy(field, direction = 'asc') { return orderBy(field, direction); }
+    limit(count) { return limit(count); }
+    startAfter(...values) { return startAfter(...values); }
+    increment(amount) { return increment(amount); }
+    arrayUnion(...elements) { return arrayUnion(...elements); }
+    timestamp(seconds, nanoseconds = 0) { return new Timestamp(seconds, nanoseconds); }
+    onSnapshot(ref, callback, errorCallback) { return onSnapshot(ref, callback, errorCallback); }
+    batch() { return writeBatch(this.db); }
+    runTransaction(updateFunction) { return runTransaction(this.db, updateFunction); }
+    async getPage(collectionRef, constraints = [], { pageSize = 100, after = null } = {}) {
+        const cursor = after ? [startAfter(after)] : [];
+        const snapshot = await getDocs(query(collectionRef, ...constraints, ...cursor, limit(pageSize)));
+        return { docs: snapshot.docs, cursor: snapshot.docs.length ? snapshot.docs[snapshot.docs.length - 1] : after, hasMore: snapshot.docs.length === pageSize };
+    }
+    isOnline() { return true; }
+    getCurrentUser() { return this.user; }
+}
@@ -0,0 +1,353 @@
+/**
+ * FakeFirebaseService - In-memory stand-in for FirebaseService
+ * Same method surface as js/FirebaseService.js, backed by a Map of document paths, so managers
+ * can be exercised without a network or the Firebase SDK
+ */
+
+const INCREMENT = Symbol('increment');
+const ARRAY_UNION = Symbol('arrayUnion');
+
+let autoId = 0;
+
+/**
+ * Immutable timestamp with the Firestore Timestamp accessors the app uses
+ */
+export class FakeTimestamp {
+    constructor(seconds, nanoseconds = 0) {
+        this.seconds = seconds;
+        this.nanoseconds = nanoseconds;
+    }
+
+    toMillis() {
+        return this.seconds * 1000 + this.nanoseconds / 1e6;
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+}
+
+/**
+ * Deep copy of stored data, so callers never share objects with the store
+ */
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+/**
+ * Apply increment()/arrayUnion() sentinels against the stored value
+ */
+function resolveFieldValue(current, value) {
+    if (value && value[INCREMENT] !== undefined) {
+        return (Number(current) || 0) + value[INCREMENT];
+    }
+    if (value && value[ARRAY_UNION]) {
+        const existing = Array.isArray(current) ? current : [];
+        const additions = value[ARRAY_UNION].filter(element =>
+            !existing.some(item => JSON.stringify(item) === JSON.stringify(element)));
+        return [...existing, ...clone(additions)];
+    }
+    return clone(value);
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (a instanceof FakeTimestamp) return a.toMillis() - b.toMillis();
+    return a < b ? -1 : 1;
+}
+
+const OPERATORS = {
+    '==': (a, b) => compare(a, b) === 0,
+    '!=': (a, b) => compare(a, b) !== 0,
+    '<': (a, b) => a !== undefined && compare(a, b) < 0,
+    '<=': (a, b) => a !== undefined && compare(a, b) <= 0,
+    '>': (a, b) => a !== undefined && compare(a, b) > 0,
+    '>=': (a, b) => a !== undefined && compare(a, b) >= 0,
+    'in': (a, b) => b.some(value => compare(a, value) === 0),
+    'array-contains': (a, b) => Array.isArray(a) && a.some(value => compare(value, b) === 0)
+};
+
+class FakeDocSnapshot {
+    constructor(path, data) {
+        this.ref = { path, id: path.split('/').pop() };
+        this.id = this.ref.id;
+        this.stored = data;
+    }
+
+    exists() {
+        return this.stored !== undefined;
+    }
+
+    data() {
+        return clone(this.stored);
+    }
+}
+
+class FakeQuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+export class FakeFirebaseService {
+    constructor({ shopId = 'shop-1', online = true, user = { uid: 'user-1', displayName: 'Tester' } } = {}) {
+        this.appId = 'kkss-app';
+        this.shopId = shopId;
+        this.online = online;
+        this.user = user;
+        this.documents = new Map();
+        this.listeners = new Set();
+        // Paths whose next write rejects, to exercise failure handling
+        this.failingWrites = new Map();
+        this.writes = [];
+    }
+
+    setShopId(shopId) {
+        this.shopId = shopId;
+    }
+
+    shopPath(subPath = '') {
+        if (!this.shopId) {
+            throw new Error('Shop workspace not selected');
+        }
+        const root = `artifacts/${this.appId}/shops/${this.shopId}`;
+        return subPath ? `${root}/${subPath}` : root;
+    }
+
+    collection(path) {
+        return { type: 'collection', path };
+    }
+
+    doc(path) {
+        return { type: 'doc', path, id: path.split('/').pop() };
+    }
+
+    newDocRef(collectionPath) {
+        autoId++;
+        return this.doc(`${collectionPath}/auto-${autoId}`);
+    }
+
+    createQuery(collectionRef, ...constraints) {
+        return { type: 'query', path: collectionRef.path, constraints };
+    }
+
+    where(field, operator, value) {
+        return { kind: 'where', field, operator, value };
+    }
+
+    orderBy(field, direction = 'asc') {
+        return { kind: 'orderBy', field, direction };
+    }
+
+    limit(count) {
+        return { kind: 'limit', count };
+    }
+
+    startAfter(cursor) {
+        return { kind: 'startAfter', cursor };
+    }
+
+    increment(amount) {
+        return { [INCREMENT]: amount };
+    }
+
+    arrayUnion(...elements) {
+        return { [ARRAY_UNION]: elements };
+    }
+
+    timestamp(seconds, nanoseconds = 0) {
+        return new FakeTimestamp(seconds, nanoseconds);
+    }
+
+    isOnline() {
+        return this.online;
+    }
+
+    getCurrentUser() {
+        return this.user;
+    }
+
+    /**
+     * Seed a document directly (test setup; not recorded as a write)
+     */
+    seed(path, data) {
+        this.documents.set(path, clone(data));
+    }
+
+    /**
+     * Stored data of a document, or undefined
+     */
+    read(path) {
+        return clone(this.documents.get(path));
+    }
+
+    /**
+     * Make the next write to `path` reject with `error`
+     */
+    failNextWrite(path, error = Object.assign(new Error('unavailable'), { code: 'unavailable' })) {
+        this.failingWrites.set(path, error);
+    }
+
+    checkWrite(path, type) {
+        if (this.failingWrites.has(path)) {
+            const error = this.failingWrites.get(path);
+            this.failingWrites.delete(path);
+            throw error;
+        }
+        this.writes.push({ type, path });
+    }
+
+    async getDoc(docRef) {
+        return new FakeDocSnapshot(docRef.path, this.documents.get(docRef.path));
+    }
+
+    async setDoc(docRef, data, options = {}) {
+        this.checkWrite(docRef.path, 'set');
+        const base = options.merge || options.mergeFields ? (this.documents.get(docRef.path) || {}) : {};
+        const next = { ...base };
+        Object.entries(data).forEach(([field, value]) => {
+            next[field] = resolveFieldValue(base[field], value);
+        });
+        this.documents.set(docRef.path, next);
+        this.notify();
+    }
+
+    async addDoc(collectionRef, data) {
+        const docRef = this.newDocRef(collectionRef.path);
+        await this.setDoc(docRef, data);
+        return docRef;
+    }
+
+    async updateDoc(docRef, data) {
+        const current = this.documents.get(docRef.path);
+        if (current === undefined) {
+            throw Object.assign(new Error(`No document to update: ${docRef.path}`), { code: 'not-found' });
+        }
+        this.checkWrite(docRef.path, 'update');
+        const next = { ...current };
+        Object.entries(data).forEach(([field, value]) => {
+            next[field] = resolveFieldValue(current[field], value);
+        });
+        this.documents.set(docRef.path, next);
+        this.notify();
+    }
+
+    async deleteDoc(docRef) {
+        this.checkWrite(docRef.path, 'delete');
+        this.documents.delete(docRef.path);
+        this.notify();
+    }
+
+    /**
+     * Documents directly inside a collection path, filtered and ordered like Firestore would
+     */
+    runQuery(ref) {
+        const depth = ref.path.split('/').length + 1;
+        let docs = [...this.documents.entries()]
+            .filter(([path]) => path.startsWith(`${ref.path}/`) && path.split('/').length === depth)
+            .map(([path, data]) => new FakeDocSnapshot(path, data));
+
+        const constraints = ref.constraints || [];
+        constraints.filter(c => c.kind === 'where').forEach(({ field, operator, value }) => {
+            docs = docs.filter(docSnap => OPERATORS[operator](docSnap.stored[field], value));
+        });
+        // Ties (and queries without orderBy) fall back to document path, in the last ordering's direction
+        const orderings = constraints.filter(c => c.kind === 'orderBy');
+        const lastDirection = orderings.length ? orderings[orderings.length - 1].direction : 'asc';
+        const compareDocs = (a, b) => {
+            for (const { field, direction } of orderings) {
+                const result = compare(a.stored[field], b.stored[field]);
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            const result = compare(a.ref.path, b.ref.path);
+            return lastDirection === 'desc' ? -result : result;
+        };
+        docs.sort(compareDocs);
+
+        const start = constraints.find(c => c.kind === 'startAfter');
+        if (start) {
+            docs = docs.filter(docSnap => compareDocs(docSnap, start.cursor) > 0);
+        }
+        const limit = constraints.find(c => c.kind === 'limit');
+        if (limit) {
+            docs = docs.slice(0, limit.count);
+        }
+        return new FakeQuerySnapshot(docs);
+    }
+
+    async getDocs(ref) {
+        return this.runQuery(ref);
+    }
+
+    async getPage(collectionRef, constraints = [], { pageSize = 100, after = null } = {}) {
+        const cursor = after ? [this.startAfter(after)] : [];
+        const snapshot = await this.getDocs(this.createQuery(collectionRef, ...constraints, ...cursor, this.limit(pageSize)));
+        return {
+            docs: snapshot.docs,
+            cursor: snapshot.docs.length ? snapshot.docs[snapshot.docs.length - 1] : after,
+            hasMore: snapshot.docs.length === pageSize
+        };
+    }
+
+    onSnapshot(ref, callback) {
+        const emit = () => callback(ref.type === 'doc'
+            ? new FakeDocSnapshot(ref.path, this.documents.get(ref.path))
+            : this.runQuery(ref));
+        this.listeners.add(emit);
+        emit();
+        return () => this.listeners.delete(emit);
+    }
+
+    notify() {
+        this.listeners.forEach(emit => emit());
+    }
+
+    batch() {
+        const operations = [];
+        return {
+            set: (ref, data, options) => operations.push(() => this.setDoc(ref, data, options)),
+            update: (ref, data) => operations.push(() => this.updateDoc(ref, data)),
+            delete: (ref) => operations.push(() => this.deleteDoc(ref)),
+            commit: async () => {
+                // Firestore rejects a batch of more than 500 writes
+                if (operations.length > 500) {
+                    throw Object.assign(new Error('A write batch can contain up to 500 operations'), { code: 'invalid-argument' });
+                }
+                // All or nothing: a failed write undoes the ones before it
+                const before = new Map(this.documents);
+                try {
+                    for (const operation of operations) await operation();
+                } catch (error) {
+                    this.documents = before;
+                    this.notify();
+                    throw error;
+                }
+            }
+        };
+    }
+
+    async runTransaction(updateFunction) {
+        const pending = [];
+        const transaction = {
+            get: (ref) => this.getDoc(ref),
+            set: (ref, data, options) => { pending.push(() => this.setDoc(ref, data, options)); return transaction; },
+            update: (ref, data) => { pending.push(() => this.updateDoc(ref, data)); return transaction; },
+            delete: (ref) => { pending.push(() => this.deleteDoc(ref)); return transaction; }
+        };
+        const result = await updateFunction(transaction);
+        for (const write of pending) await write();
+        return result;
+    }
+}
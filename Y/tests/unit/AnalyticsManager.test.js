@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AnalyticsManager, getVoucherCosts } from '../../js/AnalyticsManager.js';
+import { buildVoucherTotals, groupTotalsByKind } from '../../js/VoucherTotalsManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+function summarize(vouchers) {
+    const analyticsManager = new AnalyticsManager(new FakeFirebaseService(), { handleError: vi.fn() });
+    analyticsManager.analyticsData.totals = groupTotalsByKind(buildVoucherTotals(vouchers));
+    analyticsManager.calculateRevenueSummaries();
+    return analyticsManager.analyticsData;
+}
+
+describe('AnalyticsManager.calculateRevenueSummaries', () => {
+    const vouchers = [
+        { date: '2025-05-31', technicianName: 'ကိုကျော်', amount: 12000 },
+        { date: '2025-06-01', technicianName: 'ကိုကျော်', amount: '8000' },
+        { date: '2025-06-01', technicianName: 'မေသန္တာ', amount: 5000 },
+        { date: '2025-06-15', technicianName: 'မေသန္တာ', amount: 'n/a' },
+        { date: '2025-06-15', amount: 3000 }
+    ];
+
+    it('totals each day, counting bad amounts as zero', () => {
+        const { dailyTotals } = summarize(vouchers);
+
+        expect(dailyTotals['2025-06-01'].total).toBe(13000);
+        expect(dailyTotals['2025-06-01'].count).toBe(2);
+        expect(dailyTotals['2025-06-15'].total).toBe(3000);
+        expect(dailyTotals['2025-06-15'].count).toBe(2);
+    });
+
+    it('rolls days up into calendar months', () => {
+        const { monthlyTotals } = summarize(vouchers);
+
+        expect(monthlyTotals['2025-05']).toMatchObject({ count: 1, total: 12000 });
+        expect(monthlyTotals['2025-06']).toMatchObject({ count: 4, total: 16000 });
+        expect(monthlyTotals['2025-06'].days.size).toBe(2);
+    });
+
+    it('tracks technician totals and averages, skipping unassigned vouchers', () => {
+        const { technicianPerformance } = summarize(vouchers);
+
+        expect(Object.keys(technicianPerformance)).toEqual(['ကိုကျော်', 'မေသန္တာ']);
+        expect(technicianPerformance['ကိုကျော်']).toMatchObject({ voucherCount: 2, totalAmount: 20000, averageAmount: 10000 });
+        expect(technicianPerformance['မေသန္တာ']).toMatchObject({ voucherCount: 2, totalAmount: 5000, averageAmount: 2500 });
+    });
+
+    it('leaves empty summaries when there are no vouchers', () => {
+        const data = summarize([]);
+
+        expect(data.dailyTotals).toEqual({});
+        expect(data.monthlyTotals).toEqual({});
+        expect(data.technicianPerformance).toEqual({});
+    });
+});
+
+describe('AnalyticsManager profit', () => {
+    const vouchers = [
+        { date: '2025-06-01', technicianName: 'ကိုကျော်', phoneModel: 'iPhone 12', serviceType: 'Screen Replacement', amount: 20000, partsCost: 8000, commission: 2000 },
+        { date: '2025-06-01', technicianName: 'ကိုကျော်', phoneModel: 'iPhone 12', serviceTypeId: 'battery', error: 'Screen flickers after battery swap', amount: 10000, partsUsed: [{ itemId: 'b', unitCost: 3000, quantity: 1 }] },
+        { date: '2025-06-02', technicianName: 'မေသန္တာ', phoneModel: 'Galaxy A52', serviceType: 'Screen Replacement', amount: 0, partsCost: 1000 }
+    ];
+
+    it('takes part cost and stored commission off revenue, estimating commission for older vouchers', () => {
+        expect(getVoucherCosts(vouchers[0])).toEqual({ revenue: 20000, partsCost: 8000, commission: 2000, grossProfit: 10000 });
+        expect(getVoucherCosts(vouchers[1], () => 500)).toEqual({ revenue: 10000, partsCost: 3000, commission: 500, grossProfit: 6500 });
+        expect(getVoucherCosts(vouchers[0], () => 500).commission).toBe(2000);
+    });
+
+    it('reports gross profit and margin per day, month, technician, model and service type', () => {
+        const data = summarize(vouchers);
+
+        expect(data.dailyTotals['2025-06-01']).toMatchObject({ total: 30000, partsCost: 11000, commission: 2000, grossProfit: 17000, margin: 56.7 });
+        expect(data.dailyTotals['2025-06-02']).toMatchObject({ grossProfit: -1000, margin: 0 });
+        expect(data.monthlyTotals['2025-06']).toMatchObject({ total: 30000, grossProfit: 16000, margin: 53.3 });
+        expect(data.technicianPerformance['ကိုကျော်']).toMatchObject({ grossProfit: 17000, margin: 56.7 });
+        expect(data.profitByModel['iPhone 12']).toMatchObject({ count: 2, revenue: 30000, grossProfit: 17000 });
+        expect(data.profitByServiceType).toMatchObject({
+            'Screen Replacement': { count: 2, revenue: 20000, grossProfit: 9000, margin: 45 },
+            'Battery Replacement': { count: 1, grossProfit: 7000, margin: 70 }
+        });
+    });
+
+    it('groups service types by the catalogue, never by the fault description', () => {
+        const data = summarize([{ date: '2025-06-01', amount: 5000, error: 'Battery' }, { date: '2025-06-01', amount: 5000, serviceType: 'Glass Polish' }]);
+
+        expect(Object.keys(data.profitByServiceType)).toEqual(['Unspecified', 'Glass Polish']);
+    });
+});
+
+describe('AnalyticsManager revenue summary', () => {
+    it('totals today, the week from Sunday, the month and all time, and fills days without vouchers with zero', () => {
+        const analyticsManager = new AnalyticsManager(new FakeFirebaseService(), { handleError: vi.fn() });
+        analyticsManager.analyticsData.totals = groupTotalsByKind(buildVoucherTotals([
+            { date: '2025-05-31', amount: 4000, partsCost: 1000 },
+            { date: '2025-06-01', amount: 5000 },
+            { date: '2025-06-03', amount: 2000, partsCost: 500 },
+            { date: '2025-06-04', amount: 3000 }
+        ]));
+        analyticsManager.calculateRevenueSummaries();
+
+        // Wednesday 4 June 2025: the week began on Sunday 1 June
+        expect(analyticsManager.getRevenueSummary(new Date(2025, 5, 4, 12))).toEqual({
+            today: 3000,
+            week: 10000,
+            month: 10000,
+            total: 14000,
+            monthProfit: 9500,
+            totalProfit: 12500
+        });
+        expect(analyticsManager.getDailyRevenueData(new Date(2025, 5, 4, 12)).data.slice(-4)).toEqual([5000, 0, 2000, 3000]);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AutoSaveManager } from '../../js/AutoSaveManager.js';
+
+const STORAGE_KEY = 'voucher_autosave';
+
+function renderForm() {
+    document.body.innerHTML = `
+        <div id="messageBox"></div>
+        <input id="datePicker" type="date">
+        <form id="addVoucherForm">
+            <input name="customerName">
+            <input name="amount" type="number">
+            <input name="urgent" type="checkbox">
+        </form>
+    `;
+}
+
+describe('AutoSaveManager', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        localStorage.clear();
+        renderForm();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('saves the form after the debounce interval', () => {
+        const autoSave = new AutoSaveManager(STORAGE_KEY, 2000);
+        const customerName = document.querySelector('[name="customerName"]');
+        customerName.value = 'Mg Mg';
+        customerName.dispatchEvent(new Event('input', { bubbles: true }));
+
+        vi.advanceTimersByTime(1999);
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+        vi.advanceTimersByTime(1);
+
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        expect(saved.data).toMatchObject({ customerName: 'Mg Mg', urgent: false });
+        expect(autoSave.getStatus().hasSavedData).toBe(true);
+    });
+
+    it('does not save a blank form', () => {
+        document.querySelector('[name="urgent"]').remove();
+        const autoSave = new AutoSaveManager(STORAGE_KEY);
+
+        autoSave.saveNow();
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it('restores data saved within the last 24 hours', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            data: { customerName: 'Ko Ko', amount: '15000', urgent: true, datePicker: '2025-06-01' },
+            timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        }));
+
+        new AutoSaveManager(STORAGE_KEY);
+
+        expect(document.querySelector('[name="customerName"]').value).toBe('Ko Ko');
+        expect(document.querySelector('[name="amount"]').value).toBe('15000');
+        expect(document.querySelector('[name="urgent"]').checked).toBe(true);
+        expect(document.getElementById('datePicker').value).toBe('2025-06-01');
+    });
+
+    it('discards data older than 24 hours', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            data: { customerName: 'Ko Ko' },
+            timestamp: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString()
+        }));
+
+        new AutoSaveManager(STORAGE_KEY);
+
+        expect(document.querySelector('[name="customerName"]').value).toBe('');
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it('clears saved data when the form is submitted', () => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ data: { customerName: 'Ko Ko' }, timestamp: new Date().toISOString() }));
+        new AutoSaveManager(STORAGE_KEY);
+
+        document.getElementById('addVoucherForm').dispatchEvent(new Event('submit'));
+        expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DeviceCatalogManager, deviceKey, deviceName, normalizeDevice, findDevice, searchDevices, buildModelNormalizationPlan } from '../../js/DeviceCatalogManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('device catalogue', () => {
+    const devices = [
+        { id: 'ip11', brand: 'iPhone', model: 'iPhone 11', aliases: ['ip11'], colors: ['Black'] },
+        { id: 'ip11pro', brand: 'iPhone', model: 'iPhone 11 Pro', aliases: [], colors: [] },
+        { id: 's21', brand: 'Samsung', model: 'Galaxy S21', aliases: [], colors: [] }
+    ];
+
+    it('matches spellings that differ only in case, spacing or punctuation', () => {
+        expect(['iPhone 11', 'iphone11', 'I phone 11', 'i-phone 11'].map(deviceKey)).toEqual(['iphone11', 'iphone11', 'iphone11', 'iphone11']);
+        expect(findDevice(devices, 'I phone 11').id).toBe('ip11');
+        expect(findDevice(devices, 'IP 11').id).toBe('ip11');
+        expect(findDevice(devices, 'samsung galaxy s21').id).toBe('s21');
+        expect(findDevice(devices, 'iPhone 12')).toBeNull();
+    });
+
+    it('names a device by its model, adding the brand only when the model leaves it out', () => {
+        expect(deviceName(devices[0])).toBe('iPhone 11');
+        expect(deviceName(devices[2])).toBe('Samsung Galaxy S21');
+    });
+
+    it('cleans up a device and rejects one without a brand or model', () => {
+        expect(normalizeDevice({ brand: ' iPhone ', model: 'iPhone 11 ', aliases: ['iphone11', 'ip11', 'IP 11', ''], colors: ['Black', 'black '] }))
+            .toEqual({ brand: 'iPhone', model: 'iPhone 11', aliases: ['ip11'], colors: ['Black'] });
+        expect(() => normalizeDevice({ brand: 'iPhone', model: ' ' })).toThrow();
+    });
+
+    it('suggests models starting with the typed text before ones containing it', () => {
+        expect(searchDevices(devices, 'iphone 11').map(device => device.id)).toEqual(['ip11', 'ip11pro']);
+        expect(searchDevices(devices, 's21').map(device => device.id)).toEqual(['s21']);
+        expect(searchDevices(devices, ' ')).toEqual([]);
+    });
+
+    it('plans one entry per spelling family of the unlinked vouchers, most used first', () => {
+        const plan = buildModelNormalizationPlan([
+            { id: 'v1', phoneModel: 'iphone11' },
+            { id: 'v2', phoneModel: 'I Phone 11 ' },
+            { id: 'v3', phoneModel: 'Redmi 9' },
+            { id: 'v4', phoneModel: 'iPhone 11', deviceId: 'ip11' },
+            { id: 'v5', phoneModel: '' }
+        ], devices);
+
+        expect(plan).toEqual([
+            { key: 'iphone11', spellings: ['iphone11', 'I Phone 11'], voucherIds: ['v1', 'v2'], deviceId: 'ip11' },
+            { key: 'redmi9', spellings: ['Redmi 9'], voucherIds: ['v3'], deviceId: null }
+        ]);
+    });
+});
+
+describe('DeviceCatalogManager', () => {
+    let firebaseService;
+    let deviceCatalogManager;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+
+    beforeEach(() => {
+        localStorage.clear();
+        firebaseService = new FakeFirebaseService();
+        deviceCatalogManager = new DeviceCatalogManager(firebaseService, { handleError: vi.fn() });
+    });
+
+    it('stores the matching device on a voucher and refuses a model another device answers to', async () => {
+        deviceCatalogManager.listen();
+        const deviceId = await deviceCatalogManager.saveDevice(null, { brand: 'iPhone', model: 'iPhone 11', colors: ['Black'] });
+        await flush();
+
+        expect(deviceCatalogManager.fieldsFor('iphone 11')).toEqual({ phoneModel: 'iPhone 11', deviceId });
+        expect(deviceCatalogManager.fieldsFor(' Redmi 9 ')).toEqual({ phoneModel: 'Redmi 9', deviceId: null });
+        expect(deviceCatalogManager.labelFor({ phoneModel: 'I phone 11' })).toBe('iPhone 11');
+        await expect(deviceCatalogManager.saveDevice(null, { brand: 'Apple', model: 'iPhone11' })).rejects.toThrow();
+    });
+
+    it('moves the stock app\'s local brand list into the shop once', async () => {
+        firebaseService.seed(firebaseService.shopPath('devices/d1'), { brand: 'iPhone', model: 'iPhone 11', aliases: [], colors: [] });
+        localStorage.setItem('phoneData', JSON.stringify({ iPhone: ['iPhone 11', 'iPhone 12'], Samsung: [] }));
+
+        expect(await deviceCatalogManager.importLegacyBrands()).toBe(1);
+        expect(await deviceCatalogManager.importLegacyBrands()).toBe(0);
+        expect(deviceCatalogManager.getAll().map(deviceName)).toEqual(['iPhone 11', 'iPhone 12']);
+    });
+
+    it('links the chosen vouchers to their device and keeps new spellings as aliases', async () => {
+        const deviceId = await deviceCatalogManager.saveDevice(null, { brand: 'iPhone', model: 'iPhone 11' });
+        firebaseService.seed(voucherPath('v1'), { phoneModel: 'iphone11', revision: 1 });
+        firebaseService.seed(voucherPath('v2'), { phoneModel: 'ip eleven', revision: 1 });
+        firebaseService.seed(voucherPath('v3'), { phoneModel: 'Redmi 9', revision: 1 });
+
+        const plan = await deviceCatalogManager.planModelNormalization();
+        const assignments = plan.map(entry => entry.key === 'ipeleven' ? { ...entry, deviceId } : entry).filter(entry => entry.deviceId);
+        expect(await deviceCatalogManager.applyModelNormalization(assignments)).toBe(2);
+
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ phoneModel: 'iPhone 11', deviceId, revision: 2 });
+        expect(firebaseService.read(voucherPath('v2'))).toMatchObject({ phoneModel: 'iPhone 11', deviceId });
+        expect(firebaseService.read(voucherPath('v3')).deviceId).toBeUndefined();
+        expect(deviceCatalogManager.get(deviceId).aliases).toEqual(['ip eleven']);
+        expect(await deviceCatalogManager.planModelNormalization()).toHaveLength(1);
+    });
+
+    it('moves relinked vouchers\' model totals and logs each change', async () => {
+        const deviceId = await deviceCatalogManager.saveDevice(null, { brand: 'iPhone', model: 'iPhone 11' });
+        const voucher = { date: '2025-06-01', amount: 10000, voucherStatus: 'received', revision: 1 };
+        firebaseService.seed(voucherPath('v1'), { ...voucher, phoneModel: 'iphone11' });
+        firebaseService.seed(voucherPath('v2'), { ...voucher, phoneModel: 'iphone11', voucherNumber: 'KK-2' });
+        firebaseService.seed(firebaseService.shopPath('aggregates/modelMonths/entries/2025-06_iphone11'), { month: '2025-06', count: 2, total: 20000 });
+
+        const [entry] = await deviceCatalogManager.planModelNormalization();
+        expect(await deviceCatalogManager.applyModelNormalization([{ ...entry, deviceId }])).toBe(2);
+
+        const totalsPath = (id) => firebaseService.shopPath(`aggregates/modelMonths/entries/2025-06_${id}`);
+        expect(firebaseService.read(totalsPath('iphone11'))).toMatchObject({ count: 0, total: 0 });
+        expect(firebaseService.read(totalsPath(deviceId))).toMatchObject({ deviceId, phoneModel: 'iPhone 11', count: 2, total: 20000 });
+        expect(firebaseService.read(firebaseService.shopPath('aggregates/months/entries/2025-06'))).toBeUndefined();
+
+        const auditSnapshot = await firebaseService.getDocs(firebaseService.collection(firebaseService.shopPath('voucherAudit')));
+        const auditEntries = auditSnapshot.docs.map(docSnap => docSnap.data());
+        expect(auditEntries).toHaveLength(2);
+        expect(auditEntries.find(e => e.voucherId === 'v2')).toMatchObject({
+            action: 'update',
+            voucherNumber: 'KK-2',
+            changes: [{ field: 'phoneModel', before: 'iphone11', after: 'iPhone 11' }, { field: 'deviceId', before: null, after: deviceId }]
+        });
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { InventoryManager } from '../../js/InventoryManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('InventoryManager legacy import', () => {
+    let firebaseService;
+    let inventoryManager;
+
+    beforeEach(() => {
+        localStorage.clear();
+        firebaseService = new FakeFirebaseService();
+        inventoryManager = new InventoryManager(firebaseService, { handleError: vi.fn() });
+    });
+
+    it('imports more items than one batch can hold, once per browser and shop', async () => {
+        const items = Array.from({ length: 1200 }, (_, index) => ({ id: index, brand: 'iPhone', model: `Part ${index}`, quantity: 2 }));
+        localStorage.setItem('phoneStockItems', JSON.stringify(items));
+
+        expect(await inventoryManager.importLegacyItems()).toBe(1200);
+        expect(await inventoryManager.importLegacyItems()).toBe(0);
+        expect(firebaseService.read(firebaseService.shopPath('inventory/legacy_1199'))).toMatchObject({ name: 'iPhone Part 1199', quantity: 2 });
+    });
+
+    it('imports into each shop once, skips items a failed run already wrote and survives unreadable dates', async () => {
+        localStorage.setItem('phoneStockItems', JSON.stringify([
+            { id: 1, brand: 'iPhone', model: 'X', quantity: 5, createdAt: 'not a date' },
+            { id: 2, brand: 'iPhone', model: '11', quantity: 3, createdAt: '2024-01-02T00:00:00.000Z' }
+        ]));
+        firebaseService.seed(firebaseService.shopPath('inventory/legacy_1'), { name: 'iPhone X', quantity: 1 });
+
+        expect(await inventoryManager.importLegacyItems()).toBe(1);
+        expect(firebaseService.read(firebaseService.shopPath('inventory/legacy_1')).quantity).toBe(1);
+        expect(firebaseService.read(firebaseService.shopPath('inventory/legacy_2')).createdAt).toBe('2024-01-02T00:00:00.000Z');
+
+        firebaseService.setShopId('shop-2');
+        expect(await inventoryManager.importLegacyItems()).toBe(2);
+        expect(firebaseService.read(firebaseService.shopPath('inventory/legacy_1')).createdAt).toEqual(expect.any(String));
+        expect(await inventoryManager.importLegacyItems()).toBe(0);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { NotificationManager, renderNotificationTemplate, buildTemplateValues } from '../../js/NotificationManager.js';
+import { MockNotificationProvider, HttpSmsProvider, ViberBotProvider, createNotificationProvider } from '../../js/notificationProviders.js';
+import { VoucherManager } from '../../js/VoucherManager.js';
+import { CustomerManager } from '../../js/customerManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('notification templates', () => {
+    it('fills placeholders from the voucher and leaves unknown ones as written', () => {
+        const values = buildTemplateValues({ customerName: 'Mg Mg', phoneModel: 'iPhone 12', voucherNumber: 'KK-0001', amount: 15000 });
+
+        expect(renderNotificationTemplate('{customer}: {model} {voucher} {amount} {unknown}', values))
+            .toBe(`Mg Mg: iPhone 12 KK-0001 ${(15000).toLocaleString()} {unknown}`);
+    });
+});
+
+describe('notification providers', () => {
+    it('posts the message to an HTTP SMS gateway and reports gateway errors', async () => {
+        const fetchImpl = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ id: 'sms-1' }) });
+        const provider = createNotificationProvider({ provider: 'http', http: { url: 'https://sms.example/send', apiKey: 'k', sender: 'KKMS' } }, fetchImpl);
+
+        expect(provider).toBeInstanceOf(HttpSmsProvider);
+        await expect(provider.send({ to: { phone: '09123' }, text: 'Hi' })).resolves.toEqual({ providerMessageId: 'sms-1' });
+        const [url, request] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://sms.example/send');
+        expect(request.headers.Authorization).toBe('Bearer k');
+        expect(JSON.parse(request.body)).toEqual({ to: '09123', from: 'KKMS', message: 'Hi' });
+
+        fetchImpl.mockResolvedValueOnce({ ok: false, status: 502 });
+        await expect(provider.send({ to: { phone: '09123' }, text: 'Hi' })).rejects.toThrow('SMS gateway responded 502');
+        await expect(provider.send({ to: {}, text: 'Hi' })).rejects.toThrow('Customer has no phone number');
+    });
+
+    it('sends through the Viber bot API and surfaces Viber\'s own failure status', async () => {
+        const fetchImpl = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ status: 6, status_message: 'notSubscribed' }) });
+        const provider = new ViberBotProvider({ token: 'token' }, fetchImpl);
+
+        await expect(provider.send({ to: { viberId: 'abc' }, text: 'Hi' })).rejects.toThrow('notSubscribed');
+        expect(fetchImpl.mock.calls[0][1].headers['X-Viber-Auth-Token']).toBe('token');
+        await expect(provider.send({ to: { phone: '09123' }, text: 'Hi' })).rejects.toThrow('Customer has no Viber ID');
+        expect(() => createNotificationProvider({ provider: 'viber', viber: {} })).toThrow('Viber bot token is not set');
+    });
+});
+
+describe('NotificationManager outbox', () => {
+    let firebaseService;
+    let provider;
+    let notificationManager;
+    let voucherManager;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+    const queued = () => [...firebaseService.documents.entries()]
+        .filter(([path]) => path.startsWith(`${firebaseService.shopPath('notifications')}/`))
+        .map(([, data]) => data);
+
+    beforeEach(async () => {
+        firebaseService = new FakeFirebaseService();
+        provider = new MockNotificationProvider();
+        const errorHandler = { handleError: vi.fn() };
+        notificationManager = new NotificationManager(firebaseService, errorHandler, new CustomerManager(firebaseService, errorHandler), provider);
+        voucherManager = new VoucherManager(firebaseService, errorHandler, null, null, null, null, notificationManager);
+        firebaseService.seed(voucherPath('v1'), {
+            voucherNumber: 'KK-0001', customerName: 'Mg Mg', customerPhone: '09123', phoneModel: 'iPhone 12',
+            amount: 15000, voucherStatus: 'in_repair', revision: 1
+        });
+        await notificationManager.saveSettings({ enabled: true, provider: 'mock', language: 'en' });
+    });
+
+    it('queues one notification when a voucher becomes ready for pickup', async () => {
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'ready_for_pickup' });
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'ready_for_pickup', amount: 16000 });
+
+        expect(queued()).toHaveLength(1);
+        expect(queued()[0]).toMatchObject({ event: 'ready_for_pickup', voucherId: 'v1', phone: '09123', status: 'queued' });
+        expect(firebaseService.read(voucherPath('v1')).notification).toMatchObject({ status: 'queued' });
+    });
+
+    it('sends queued notifications in the shop\'s language and records delivery on the voucher', async () => {
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'ready_for_pickup' });
+
+        expect(await notificationManager.processQueue()).toEqual({ sent: 1, failed: 0 });
+        expect(provider.sent).toEqual([{ to: { phone: '09123', viberId: '' }, text: expect.stringContaining('Hi Mg Mg, your iPhone 12 (voucher KK-0001)') }]);
+        expect(queued()[0]).toMatchObject({ status: 'sent', channel: 'mock', attempts: 1 });
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ notification: { status: 'sent', channel: 'mock' }, revision: 3 });
+    });
+
+    it('marks a failed send on the voucher and sends it again on retry', async () => {
+        provider.failWith = 'gateway down';
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'ready_for_pickup' });
+        notificationManager.listen();
+        await flush();
+
+        expect(queued()[0]).toMatchObject({ status: 'failed', error: 'gateway down' });
+        expect(firebaseService.read(voucherPath('v1')).notification).toMatchObject({ status: 'failed', error: 'gateway down' });
+
+        provider.failWith = null;
+        const [notification] = await notificationManager.listRecent();
+        await notificationManager.retry(notification.id);
+        await flush();
+
+        expect(queued()[0]).toMatchObject({ status: 'sent', attempts: 2 });
+        expect(provider.sent).toHaveLength(1);
+        notificationManager.stopListening();
+    });
+
+    it('leaves the queue alone while sending is turned off', async () => {
+        await notificationManager.saveSettings({ enabled: false });
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'ready_for_pickup' });
+
+        expect(await notificationManager.processQueue()).toBeNull();
+        expect(queued()[0].status).toBe('queued');
+    });
+});
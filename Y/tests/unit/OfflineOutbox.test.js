@@ -0,0 +1,79 @@
+import { describe, it, expect, vi } from 'vitest';
+import { OfflineOutbox } from '../../js/OfflineOutbox.js';
+
+// The outbox over in-memory item and dead-letter lists instead of IndexedDB
+function createOutbox(items) {
+    const outbox = new OfflineOutbox({ retry: (run) => run() });
+    const stored = new Map(items.map(item => [item.id, item]));
+    const parked = new Map();
+    outbox.list = async () => [...stored.values()].sort((a, b) => a.sequence - b.sequence);
+    outbox.listDeadLetters = async () => [...parked.values()];
+    outbox.transact = async (storeName, mode, run) => run({
+        put: (item) => stored.set(item.id, item),
+        delete: (id) => stored.delete(id)
+    });
+    outbox.park = vi.fn(async (item) => {
+        stored.delete(item.id);
+        parked.set(item.id, item);
+    });
+    outbox.notify = async () => {};
+    return { outbox, stored, parked };
+}
+
+const item = (id, sequence, voucherId, extra = {}) => ({
+    id, sequence, voucherId, shopId: 'shop', type: 'updateVoucher', attempts: 0, nextAttemptAt: 0, completedSteps: [], lastError: null, ...extra
+});
+
+describe('OfflineOutbox', () => {
+    it('holds back a voucher\'s later items once one of its items fails or is backing off', async () => {
+        const { outbox, stored } = createOutbox([
+            item('a1', 1, 'a'),
+            item('a2', 2, 'a'),
+            item('b1', 3, 'b', { attempts: 1, nextAttemptAt: Date.now() + 60000 }),
+            item('b2', 4, 'b'),
+            item('c1', 5, 'c')
+        ]);
+        const executed = [];
+        const execute = async ({ id }) => {
+            executed.push(id);
+            if (id === 'a1') throw Object.assign(new Error('unavailable'), { code: 'unavailable' });
+        };
+
+        expect(await outbox.process('shop', execute)).toEqual({ synced: 1, failed: 1, parked: 0 });
+        expect(executed).toEqual(['a1', 'c1']);
+        expect([...stored.keys()]).toEqual(['a1', 'a2', 'b1', 'b2']);
+        expect(stored.get('a1').attempts).toBe(1);
+    });
+
+    it('holds back the rest of a voucher\'s items while one is parked, until it is discarded', async () => {
+        const { outbox, stored, parked } = createOutbox([item('a1', 1, 'a'), item('a2', 2, 'a')]);
+        const execute = vi.fn(async ({ id }) => {
+            if (id === 'a1') throw Object.assign(new Error('denied'), { code: 'permission-denied' });
+        });
+
+        expect(await outbox.process('shop', execute)).toEqual({ synced: 0, failed: 0, parked: 1 });
+        expect(await outbox.process('shop', execute)).toEqual({ synced: 0, failed: 0, parked: 0 });
+        expect(execute).toHaveBeenCalledTimes(1);
+        expect([...stored.keys()]).toEqual(['a2']);
+
+        parked.delete('a1');
+        expect(await outbox.process('shop', execute)).toEqual({ synced: 1, failed: 0, parked: 0 });
+    });
+
+    it('gives an add queued without a voucher id one id that every retry keeps', async () => {
+        const { outbox, stored } = createOutbox([item('add', 1, undefined, { type: 'addVoucher', data: { voucherNumber: 'KK-1' } })]);
+        const voucherIds = [];
+        const execute = async ({ voucherId }) => {
+            voucherIds.push(voucherId);
+            throw Object.assign(new Error('unavailable'), { code: 'unavailable' });
+        };
+
+        await outbox.process('shop', execute);
+        stored.get('add').nextAttemptAt = 0;
+        await outbox.process('shop', execute);
+
+        expect(voucherIds).toHaveLength(2);
+        expect(voucherIds[0]).toEqual(expect.any(String));
+        expect(voucherIds[1]).toBe(voucherIds[0]);
+    });
+});
@@ -0,0 +1,279 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+    PayrollManager,
+    calculatePayslip,
+    calculateTieredCommission,
+    calculateVoucherCommission,
+    normalizePayrollRules,
+    getLockedFieldChanges,
+    monthPeriod
+} from '../../js/PayrollManager.js';
+import { TechnicianManager } from '../../js/TechnicianManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+const june = monthPeriod(2025, 6);
+
+const vouchers = [
+    { id: 'v1', technicianName: 'A', date: '2025-06-02', amount: 30000, error: 'Battery', voucherStatus: 'picked_up' },
+    { id: 'v2', technicianName: 'A', date: '2025-06-10', amount: '20000', partsCost: 5000, error: 'Screen replace', voucherStatus: 'picked_up' },
+    { id: 'v3', technicianName: 'A', date: '2025-06-12', amount: 10000, voucherStatus: 'returned_unrepaired' },
+    { id: 'v4', technicianName: 'A', date: '2025-06-20', amount: 50000, payrollRunId: '2025-05' },
+    { id: 'v5', technicianName: 'B', date: '2025-06-21', amount: 10000 }
+];
+
+const rules = normalizePayrollRules({
+    baseSalary: 100000,
+    perVoucherRate: 1000,
+    serviceRates: [{ match: 'screen', label: 'Screen', amount: 3000 }],
+    commissionTiers: [{ threshold: 40000, rate: 10 }, { threshold: 0, rate: 5 }],
+    bonuses: [
+        { label: '2 vouchers', metric: 'vouchers', threshold: 2, amount: 5000 },
+        { label: 'Big month', metric: 'revenue', threshold: 100000, amount: 9999 }
+    ],
+    deductions: [{ label: 'Meals', amount: 2000 }]
+});
+
+describe('calculateTieredCommission', () => {
+    it('pays each band its own rate', () => {
+        const bands = calculateTieredCommission(50000, [{ threshold: 0, rate: 5 }, { threshold: 40000, rate: 10 }]);
+
+        expect(bands.map(band => band.amount)).toEqual([2000, 1000]);
+    });
+
+    it('pays nothing below the first threshold', () => {
+        expect(calculateTieredCommission(500, [{ threshold: 1000, rate: 10 }])).toEqual([]);
+    });
+});
+
+describe('calculateVoucherCommission', () => {
+    it('adds the voucher\'s piece rate to the first tier\'s share of its revenue or profit', () => {
+        expect(calculateVoucherCommission(vouchers[0], rules)).toBe(2500);
+        expect(calculateVoucherCommission(vouchers[1], rules)).toBe(4000);
+        expect(calculateVoucherCommission(vouchers[1], { ...rules, commissionBasis: 'profit' })).toBe(3750);
+        expect(calculateVoucherCommission(vouchers[2], rules)).toBe(0);
+    });
+});
+
+describe('calculatePayslip', () => {
+    it('adds up base, service and voucher rates, commission, bonuses and deductions', () => {
+        const payslip = calculatePayslip({
+            technicianName: 'A',
+            vouchers,
+            rules,
+            adjustments: [{ type: 'advance', label: 'Advance', amount: 10000 }],
+            period: june
+        });
+
+        expect(payslip.voucherIds).toEqual(['v1', 'v2']);
+        expect(payslip.excludedCount).toBe(2);
+        expect(payslip.revenue).toBe(50000);
+        expect(payslip.profit).toBe(45000);
+        expect(payslip.lines.map(line => [line.type, line.amount])).toEqual([
+            ['base', 100000],
+            ['service', 3000],
+            ['voucher', 1000],
+            ['commission', 2000],
+            ['commission', 1000],
+            ['bonus', 5000],
+            ['deduction', -2000],
+            ['advance', -10000]
+        ]);
+        expect(payslip.gross).toBe(112000);
+        expect(payslip.deductions).toBe(-12000);
+        expect(payslip.net).toBe(100000);
+    });
+
+    it('uses profit as the commission basis when configured', () => {
+        const payslip = calculatePayslip({
+            technicianName: 'A',
+            vouchers,
+            rules: { ...rules, commissionBasis: 'profit', bonuses: [], deductions: [], baseSalary: 0 },
+            period: june
+        });
+
+        expect(payslip.lines.filter(line => line.type === 'commission').map(line => line.amount)).toEqual([2000, 500]);
+        expect(payslip.net).toBe(3000 + 1000 + 2500);
+    });
+
+    it('rounds fractional commission to the cent', () => {
+        const payslip = calculatePayslip({
+            technicianName: 'B',
+            vouchers: [{ id: 'x', technicianName: 'B', amount: 333 }],
+            rules: normalizePayrollRules({ perVoucherRate: 0, commissionTiers: [{ threshold: 0, rate: 3.3 }] }),
+            period: june
+        });
+
+        expect(payslip.net).toBe(10.99);
+    });
+});
+
+describe('normalizePayrollRules', () => {
+    it('converts the legacy percentage setting into a single commission tier', () => {
+        const normalized = normalizePayrollRules({}, { method: 'percentage', percentageRate: '12' });
+
+        expect(normalized.perVoucherRate).toBe(0);
+        expect(normalized.commissionTiers).toEqual([{ threshold: 0, rate: 12 }]);
+    });
+});
+
+describe('getLockedFieldChanges', () => {
+    it('flags money fields edited on a paid voucher', () => {
+        const paid = { payrollRunId: '2025-05', amount: 5000, partsUsed: [] };
+
+        expect(getLockedFieldChanges(paid, { amount: 6000, customerName: 'X' })).toEqual(['amount']);
+        expect(getLockedFieldChanges(paid, { partsUsed: null })).toEqual([]);
+        expect(getLockedFieldChanges({ amount: 5000 }, { amount: 6000 })).toEqual([]);
+    });
+
+    it('flags a change of technician, commission or service type on a paid voucher', () => {
+        const paid = { payrollRunId: '2025-05', technicianId: 't1', commission: 500, serviceTypeId: 'screen', serviceType: 'Screen' };
+
+        expect(getLockedFieldChanges(paid, { technicianId: 't2' })).toEqual(['technicianId']);
+        expect(getLockedFieldChanges(paid, { commission: 600 })).toEqual(['commission']);
+        expect(getLockedFieldChanges(paid, { serviceTypeId: 'battery', serviceType: 'Battery' })).toEqual(['serviceTypeId', 'serviceType']);
+        expect(getLockedFieldChanges(paid, { technicianId: 't1', serviceType: 'Screen' })).toEqual([]);
+    });
+});
+
+describe('monthPeriod', () => {
+    it('covers the whole month, including leap days', () => {
+        expect(monthPeriod(2024, 2)).toEqual({ key: '2024-02', start: '2024-02-01', end: '2024-02-29', label: '2/2024' });
+        expect(monthPeriod(2025, 12).end).toBe('2025-12-31');
+    });
+});
+
+describe('PayrollManager pay run', () => {
+    let firebaseService;
+    let payrollManager;
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        payrollManager = new PayrollManager(firebaseService, { handleError: vi.fn() });
+        vouchers.forEach(({ id, ...data }) => firebaseService.seed(firebaseService.shopPath(`vouchers/${id}`), { ...data, revision: 1 }));
+        firebaseService.seed(firebaseService.shopPath('vouchers/july'), { technicianName: 'A', date: '2025-07-01', amount: 99999 });
+        firebaseService.seed(firebaseService.shopPath(`payrollAdjustments/${june.key}`), {
+            technicians: { B: [{ type: 'bonus', label: 'Cover shift', amount: 1500 }] }
+        });
+    });
+
+    it('prices a voucher\'s commission only once the rules are loaded', async () => {
+        expect(payrollManager.commissionFor(vouchers[0])).toBeNull();
+
+        await payrollManager.loadConfig();
+        expect(payrollManager.commissionFor(vouchers[0])).toBe(6);
+
+        payrollManager.clear();
+        expect(payrollManager.commissionFor(vouchers[0])).toBeNull();
+    });
+
+    it('runs every technician over the period with their adjustments', async () => {
+        await payrollManager.saveConfig({ defaults: { perVoucherRate: 1000 }, technicians: { B: { baseSalary: 50000 } } });
+
+        const payslips = await payrollManager.runPayroll(['A', 'B'], june);
+
+        expect(payslips.map(payslip => [payslip.technicianName, payslip.voucherCount, payslip.net])).toEqual([
+            ['A', 2, 2000],
+            ['B', 1, 50000 + 6 + 1500]
+        ]);
+    });
+
+    it('closes a period once, locking the vouchers it paid', async () => {
+        const payslips = await payrollManager.runPayroll(['A'], june);
+
+        const run = await payrollManager.closePeriod(payslips, june, 'Owner');
+        expect(run.totalNet).toBe(12);
+        expect(firebaseService.read(firebaseService.shopPath('vouchers/v1'))).toMatchObject({ payrollRunId: june.key, revision: 2 });
+        expect(firebaseService.read(firebaseService.shopPath('vouchers/v3')).payrollRunId).toBeUndefined();
+
+        await expect(payrollManager.closePeriod(payslips, june, 'Owner')).rejects.toThrow('already closed');
+        expect(await payrollManager.getPayslipHistory('A')).toHaveLength(1);
+    });
+
+    it('previews a payslip under unsaved rules and adjustments', async () => {
+        await payrollManager.loadConfig();
+        payrollManager.useRules({ defaults: { perVoucherRate: 1000 }, technicians: {} });
+
+        const payslip = await payrollManager.previewPayslip('A', june, [{ type: 'deduction', label: 'Late', amount: 500 }]);
+
+        expect(payslip).toMatchObject({ voucherCount: 2, net: 2000 - 500 });
+        expect(firebaseService.read(firebaseService.shopPath('settings/payroll'))).toBeUndefined();
+    });
+
+    it('lists history rows for one technician with their run and payslip positions', async () => {
+        const runs = [
+            { id: 'r2', payslips: [{ technicianName: 'B' }, { technicianName: 'A' }] },
+            { id: 'r1', payslips: [{ technicianName: 'A' }] }
+        ];
+
+        expect(payrollManager.listHistoryRows(runs, 'A').map(({ run, runIndex, slipIndex }) => [run.id, runIndex, slipIndex])).toEqual([
+            ['r2', 0, 1],
+            ['r1', 1, 0]
+        ]);
+        expect(payrollManager.listHistoryRows(runs)).toHaveLength(3);
+    });
+});
+
+describe('PayrollManager with technician records', () => {
+    it('keeps pay profiles and vouchers with a technician across a rename', async () => {
+        const firebaseService = new FakeFirebaseService();
+        const technicianManager = new TechnicianManager(firebaseService, { handleError: vi.fn() });
+        technicianManager.listen();
+        const added = technicianManager.withAdded({ name: 'A' });
+        await technicianManager.save(added.technicianId, added.data);
+        firebaseService.seed(firebaseService.shopPath('vouchers/v1'), { technicianName: 'A', date: '2025-06-02', amount: 10000 });
+        firebaseService.seed(firebaseService.shopPath('settings/payroll'), { rules: { defaults: {}, technicians: { A: { baseSalary: 70000 } } } });
+        const payrollManager = new PayrollManager(firebaseService, { handleError: vi.fn() }, technicianManager);
+
+        const config = await payrollManager.loadConfig();
+        expect(Object.keys(config.technicians)).toEqual([added.technicianId]);
+        await payrollManager.saveConfig(config);
+        expect(Object.keys(firebaseService.read(firebaseService.shopPath('settings/payroll')).rules.technicians)).toEqual([added.technicianId]);
+
+        const renamed = technicianManager.withUpdated(added.technicianId, { name: 'A2' });
+        await technicianManager.save(added.technicianId, renamed.data);
+
+        const [payslip] = await payrollManager.runPayroll(['A2'], june);
+        expect(payslip).toMatchObject({ technicianId: added.technicianId, voucherIds: ['v1'], net: 70000 + 6 });
+    });
+
+    it('keeps adjustments and payslips with the technician, not the name, when a new technician takes the old name', async () => {
+        const firebaseService = new FakeFirebaseService();
+        const technicianManager = new TechnicianManager(firebaseService, { handleError: vi.fn() });
+        technicianManager.listen();
+        const first = technicianManager.withAdded({ name: 'A' });
+        await technicianManager.save(first.technicianId, first.data);
+        firebaseService.seed(firebaseService.shopPath('vouchers/v1'), { technicianName: 'A', technicianId: first.technicianId, date: '2025-06-02', amount: 10000 });
+        firebaseService.seed(firebaseService.shopPath(`payrollAdjustments/${june.key}`), { technicians: { A: [{ type: 'bonus', label: 'Old', amount: 100 }] } });
+        const payrollManager = new PayrollManager(firebaseService, { handleError: vi.fn() }, technicianManager);
+
+        await payrollManager.saveAdjustments(june.key, 'A', [{ type: 'advance', label: 'Advance', amount: 2000 }]);
+        expect(Object.keys(firebaseService.read(firebaseService.shopPath(`payrollAdjustments/${june.key}`)).technicians)).toEqual([first.technicianId]);
+        await payrollManager.closePeriod(await payrollManager.runPayroll(['A'], june), june, 'Owner');
+
+        await technicianManager.save(first.technicianId, technicianManager.withUpdated(first.technicianId, { name: 'A2' }).data);
+        const second = technicianManager.withAdded({ name: 'A' });
+        await technicianManager.save(second.technicianId, second.data);
+        firebaseService.seed(firebaseService.shopPath('vouchers/v2'), { technicianName: 'A', technicianId: second.technicianId, date: '2025-06-03', amount: 5000 });
+
+        const [renamed, newcomer] = await payrollManager.runPayroll(['A2', 'A'], june);
+        expect(renamed).toMatchObject({ voucherIds: ['v1'], net: 6 - 2000 });
+        expect(newcomer).toMatchObject({ voucherIds: ['v2'], net: 6 });
+        expect(payrollManager.adjustmentsFor(await payrollManager.loadAdjustments(june.key), 'A')).toEqual([]);
+        expect(await payrollManager.getPayslipHistory('A2')).toHaveLength(1);
+        expect(await payrollManager.getPayslipHistory('A')).toHaveLength(0);
+    });
+
+    it('lists a payslip closed under an earlier name under the technician\'s current name', async () => {
+        const firebaseService = new FakeFirebaseService();
+        const technicianManager = new TechnicianManager(firebaseService, { handleError: vi.fn() });
+        technicianManager.listen();
+        const added = technicianManager.withAdded({ name: 'A' });
+        await technicianManager.save(added.technicianId, added.data);
+        await technicianManager.save(added.technicianId, technicianManager.withUpdated(added.technicianId, { name: 'A2' }).data);
+        const payrollManager = new PayrollManager(firebaseService, { handleError: vi.fn() }, technicianManager);
+        const runs = [{ id: june.key, payslips: [{ technicianName: 'A', technicianId: added.technicianId }] }];
+
+        expect(payrollManager.listHistoryRows(runs, 'A2')).toHaveLength(1);
+        expect(payrollManager.listHistoryRows(runs, 'A')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ServiceCatalogManager, normalizeServiceCatalog, getSuggestedPrice, serviceTypeLabel, parsePriceOverrides, formatPriceOverrides, formatPriceRange } from '../../js/ServiceCatalogManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('service catalogue', () => {
+    const screen = {
+        id: 'screen', label: 'Screen Replacement', warrantyDays: 90, minPrice: 8000, maxPrice: 30000,
+        prices: [{ match: 'iPhone', minPrice: 15000, maxPrice: 35000 }, { match: 'iPhone 15 Pro', minPrice: 40000, maxPrice: 40000 }]
+    };
+
+    it('cleans up edited service types, keeping ids and giving new types one', () => {
+        const catalog = normalizeServiceCatalog([
+            { id: 'screen', label: ' Screen ', warrantyDays: '90', minPrice: '9000', maxPrice: '5000', prices: [{ match: ' iPhone ', minPrice: 15000, maxPrice: 35000 }, { match: '', minPrice: 1 }] },
+            { label: 'screen', warrantyDays: 1 },
+            { label: '', warrantyDays: 5 },
+            { label: 'Glass', warrantyDays: -3 }
+        ]);
+
+        expect(catalog[0]).toEqual({ id: 'screen', label: 'Screen', warrantyDays: 90, minPrice: 9000, maxPrice: 9000, prices: [{ match: 'iPhone', minPrice: 15000, maxPrice: 35000 }] });
+        expect(catalog.map(type => type.label)).toEqual(['Screen', 'Glass']);
+        expect(catalog[1]).toMatchObject({ warrantyDays: 0, minPrice: 0, maxPrice: 0, prices: [] });
+        expect(catalog[1].id).toBeTruthy();
+    });
+
+    it('suggests the most specific brand or model price for the phone', () => {
+        expect(getSuggestedPrice(screen, 'Galaxy A52')).toEqual({ minPrice: 8000, maxPrice: 30000, match: null });
+        expect(getSuggestedPrice(screen, 'iphone 12')).toEqual({ minPrice: 15000, maxPrice: 35000, match: 'iPhone' });
+        expect(getSuggestedPrice(screen, 'iPhone 15 Pro Max')).toEqual({ minPrice: 40000, maxPrice: 40000, match: 'iPhone 15 Pro' });
+        expect(getSuggestedPrice({ ...screen, minPrice: 0, maxPrice: 0, prices: [] }, 'iPhone')).toBeNull();
+        expect(getSuggestedPrice(null, 'iPhone')).toBeNull();
+    });
+
+    it('reports a voucher under its catalogue label, by id first', () => {
+        const catalog = [{ ...screen, label: 'Display' }];
+
+        expect(serviceTypeLabel({ serviceTypeId: 'screen', serviceType: 'Screen Replacement' }, catalog)).toBe('Display');
+        expect(serviceTypeLabel({ serviceType: 'display' }, catalog)).toBe('Display');
+        expect(serviceTypeLabel({ serviceTypeId: 'gone', serviceType: 'Glass Polish' }, catalog)).toBe('Glass Polish');
+        expect(serviceTypeLabel({ error: 'Screen broken' }, catalog)).toBe('Unspecified');
+    });
+
+    it('edits brand and model prices as one line', () => {
+        expect(formatPriceOverrides(screen.prices)).toBe('iPhone = 15000-35000, iPhone 15 Pro = 40000-40000');
+        expect(parsePriceOverrides('iPhone = 15000-35000, Pixel = 9000,')).toEqual([
+            { match: 'iPhone', minPrice: '15000', maxPrice: '35000' },
+            { match: 'Pixel', minPrice: '9000', maxPrice: '9000' }
+        ]);
+        expect(formatPriceRange({ minPrice: 8000, maxPrice: 8000 })).toBe('¥8,000');
+    });
+});
+
+describe('ServiceCatalogManager', () => {
+    let firebaseService;
+    let serviceCatalogManager;
+
+    const catalogPath = () => firebaseService.shopPath('settings/serviceCatalog');
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        serviceCatalogManager = new ServiceCatalogManager(firebaseService, { handleError: vi.fn() });
+    });
+
+    it('uses the defaults without saving them until a manager loads the catalogue', async () => {
+        await serviceCatalogManager.load();
+        expect(serviceCatalogManager.fieldsFor('waterDamage')).toEqual({ serviceTypeId: 'waterDamage', serviceType: 'Water Damage', warrantyDays: 0 });
+        expect(firebaseService.read(catalogPath())).toBeUndefined();
+
+        await serviceCatalogManager.load({ canMigrate: true });
+        expect(firebaseService.read(catalogPath()).serviceTypes.map(type => type.id)).toContain('screen');
+    });
+
+    it('carries the warranty periods saved before the catalogue over to it', async () => {
+        firebaseService.seed(firebaseService.shopPath('settings/warranty'), {
+            serviceTypes: [{ label: 'Screen Replacement', warrantyDays: 180 }, { label: 'Back Glass', warrantyDays: 30 }]
+        });
+
+        const catalog = await serviceCatalogManager.load({ canMigrate: true });
+
+        expect(catalog[0]).toMatchObject({ id: 'screen', warrantyDays: 180, minPrice: 8000 });
+        expect(catalog[1]).toMatchObject({ label: 'Back Glass', warrantyDays: 30, prices: [] });
+        expect(serviceCatalogManager.suggestPrice('screen', 'iPhone 11')).toMatchObject({ minPrice: 15000 });
+    });
+
+    it('keeps a service type\'s id through a rename', async () => {
+        await serviceCatalogManager.load({ canMigrate: true });
+        const renamed = serviceCatalogManager.getAll().map(type => type.id === 'screen' ? { ...type, label: 'Display' } : type);
+
+        await serviceCatalogManager.save(renamed);
+        const reloaded = new ServiceCatalogManager(firebaseService, { handleError: vi.fn() });
+        await reloaded.load();
+
+        expect(reloaded.labelFor({ serviceTypeId: 'screen', serviceType: 'Screen Replacement' })).toBe('Display');
+        await expect(serviceCatalogManager.save([])).rejects.toThrow();
+    });
+});
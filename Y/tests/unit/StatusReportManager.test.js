@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StatusReportManager, buildStatusReport, buildStatusReportSheets } from '../../js/StatusReportManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+const vouchers = [
+    { id: 'v1', date: '2025-06-01', technicianName: 'A', amount: 10000, voucherStatus: 'picked_up' },
+    { id: 'v2', date: '2025-06-02', technicianName: 'A', amount: '5000', voucherStatus: 'repairing' },
+    { id: 'v3', date: '2025-06-03', technicianName: 'B', amount: 7000, voucherStatus: 'picked_up' },
+    { id: 'v4', date: '2025-06-04', amount: 'free' }
+];
+
+describe('buildStatusReport', () => {
+    const report = buildStatusReport(vouchers, { startDate: '2025-06-01', endDate: '2025-06-30', selectedTechnician: 'all' });
+
+    it('totals amounts overall and per status', () => {
+        expect(report.totalVouchers).toBe(4);
+        expect(report.totalAmount).toBe(22000);
+        expect(report.statusSummary.picked_up).toEqual({ count: 2, amount: 17000 });
+        expect(report.statusSummary.repairing).toEqual({ count: 1, amount: 5000 });
+        expect(report.statusSummary.received).toEqual({ count: 1, amount: 0 });
+        expect(report.completionRate).toBe('50.0');
+    });
+
+    it('breaks the stages down per technician', () => {
+        expect(report.technicianStats.A.total).toBe(2);
+        expect(report.technicianStats.A.byStatus.picked_up).toEqual({ count: 1, amount: 10000 });
+        expect(report.technicianStats.Unknown.total).toBe(1);
+    });
+
+    it('puts the same totals in the spreadsheet', () => {
+        const [summary, technicians, details] = buildStatusReportSheets(report);
+
+        expect(summary.rows).toContainEqual(['Total Vouchers', 4, 22000, '100%']);
+        expect(summary.rows).toContainEqual(['Picked Up', 2, 17000, '50.0%']);
+        expect(technicians.rows.find(row => row[0] === 'B').at(-1)).toBe('100.0');
+        expect(details.rows.slice(3).map(row => row.at(-1))).toEqual([10000, 5000, 7000, 0]);
+    });
+});
+
+describe('StatusReportManager.generate', () => {
+    it('loads the date range for one technician and keeps the report for export', async () => {
+        const firebaseService = new FakeFirebaseService();
+        vouchers.forEach(({ id, ...data }) => firebaseService.seed(firebaseService.shopPath(`vouchers/${id}`), data));
+        firebaseService.seed(firebaseService.shopPath('vouchers/old'), { date: '2025-05-31', technicianName: 'A', amount: 40000 });
+        const statusReportManager = new StatusReportManager(firebaseService, { handleError: vi.fn() });
+
+        const report = await statusReportManager.generate('2025-06-01', '2025-06-30', 'A');
+
+        expect(report.vouchers.map(voucher => voucher.id)).toEqual(['v1', 'v2']);
+        expect(report.totalAmount).toBe(15000);
+        expect(report.technicianText).toBe('A');
+        expect(statusReportManager.currentReport).toBe(report);
+
+        statusReportManager.clear();
+        expect(statusReportManager.currentReport).toBeNull();
+    });
+});
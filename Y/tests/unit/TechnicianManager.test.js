@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TechnicianManager, DEFAULT_TECHNICIANS } from '../../js/TechnicianManager.js';
+import { createOfflineActionExecutor } from '../../js/offlineActions.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('TechnicianManager migration', () => {
+    let firebaseService;
+    let technicianManager;
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        technicianManager = new TechnicianManager(firebaseService, { handleError: vi.fn() });
+    });
+
+    it('turns the name list into records and links every voucher by id', async () => {
+        firebaseService.seed(firebaseService.shopPath('technicianList/technicians'), { names: ['A', 'B'] });
+        firebaseService.seed(voucherPath('v1'), { technicianName: 'A', revision: 1 });
+        firebaseService.seed(voucherPath('v2'), { technicianName: 'Gone', revision: 1 });
+        firebaseService.seed(voucherPath('v3'), { technicianName: '', revision: 1 });
+
+        technicianManager.listen({ seedDefaults: true });
+        await flush();
+
+        expect(technicianManager.getAll().map(technician => [technician.name, technician.status])).toEqual([
+            ['A', 'active'],
+            ['B', 'active'],
+            ['Gone', 'inactive']
+        ]);
+        expect(technicianManager.getNames()).toEqual(['A', 'B']);
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ technicianId: technicianManager.idForName('A'), revision: 2 });
+        expect(firebaseService.read(voucherPath('v2')).technicianId).toBe(technicianManager.idForName('Gone'));
+        expect(firebaseService.read(voucherPath('v3')).technicianId).toBeUndefined();
+        expect(firebaseService.read(firebaseService.shopPath('technicianList/technicians')).migratedAt).toBeTruthy();
+    });
+
+    it('seeds the defaults only for a shop with no list and no vouchers', async () => {
+        technicianManager.listen({ seedDefaults: true });
+        await flush();
+        expect(technicianManager.getNames()).toEqual(DEFAULT_TECHNICIANS);
+
+        const other = new FakeFirebaseService({ shopId: 'shop-2' });
+        other.seed(other.shopPath('vouchers/v1'), { technicianName: '' });
+        const otherManager = new TechnicianManager(other, { handleError: vi.fn() });
+        otherManager.listen({ seedDefaults: true });
+        await flush();
+        expect(otherManager.getAll()).toEqual([]);
+    });
+
+    it('shows a member the old names read-only until a manager migrates', async () => {
+        firebaseService.seed(firebaseService.shopPath('technicianList/technicians'), { names: ['A'] });
+
+        technicianManager.listen({ seedDefaults: false });
+        await flush();
+
+        expect(technicianManager.getNames()).toEqual(['A']);
+        expect(technicianManager.get(null)).toBeNull();
+        expect(firebaseService.writes).toEqual([]);
+    });
+});
+
+describe('TechnicianManager records', () => {
+    let firebaseService;
+    let technicianManager;
+
+    beforeEach(async () => {
+        firebaseService = new FakeFirebaseService();
+        technicianManager = new TechnicianManager(firebaseService, { handleError: vi.fn() });
+        technicianManager.listen();
+        const { technicianId, data } = technicianManager.withAdded({ name: ' Ko Kyaw ', phone: '0901', joinDate: '2024-01-15' });
+        await technicianManager.save(technicianId, data);
+    });
+
+    it('validates names against every technician', () => {
+        expect(() => technicianManager.withAdded({ name: '  ' })).toThrow('ကျေးဇူးပြု၍ နာမည်အသစ် ထည့်သွင်းပါ');
+        expect(() => technicianManager.withAdded({ name: 'ko kyaw' })).toThrow('ဤနာမည်သည် ရှိနှင့်ပြီးသား ဖြစ်သည်');
+
+        const [technician] = technicianManager.getAll();
+        expect(technician).toMatchObject({ name: 'Ko Kyaw', phone: '0901', joinDate: '2024-01-15', status: 'active' });
+        expect(() => technicianManager.withUpdated(technician.id, { name: '' })).toThrow('နာမည်ကို ဗလာထား၍မရပါ');
+    });
+
+    it('carries a rename through to vouchers stored under the old name or the id', async () => {
+        const [technician] = technicianManager.getAll();
+        const { data } = technicianManager.withUpdated(technician.id, { name: 'Ko Kyaw Gyi' });
+        await technicianManager.save(technician.id, data);
+
+        const vouchers = technicianManager.withCurrentNames([
+            { id: 'linked', technicianId: technician.id, technicianName: 'Ko Kyaw' },
+            { id: 'legacy', technicianName: 'Ko Kyaw' },
+            { id: 'other', technicianName: 'Someone' }
+        ]);
+
+        expect(vouchers.map(voucher => voucher.technicianName)).toEqual(['Ko Kyaw Gyi', 'Ko Kyaw Gyi', 'Someone']);
+        expect(technicianManager.get(technician.id).previousNames).toEqual(['Ko Kyaw']);
+        expect(technicianManager.idForName('Ko Kyaw')).toBe(technician.id);
+        expect(technicianManager.get(technician.id).phone).toBe('0901');
+    });
+
+    it('deactivates instead of deleting', async () => {
+        const [technician] = technicianManager.getAll();
+        const { data } = technicianManager.withStatus(technician.id, 'inactive');
+        await technicianManager.save(technician.id, data);
+
+        expect(technicianManager.getNames()).toEqual([]);
+        expect(technicianManager.resolveName({ technicianId: technician.id })).toBe('Ko Kyaw');
+        expect(() => technicianManager.withStatus(technician.id, 'deleted')).toThrow();
+    });
+
+    it('replays queued records and old queued name lists', async () => {
+        const execute = createOfflineActionExecutor({ technicianManager });
+        const step = (name, run) => run();
+        const queued = technicianManager.withAdded({ name: 'Ma Ma' });
+
+        await execute({ type: 'saveTechnician', ...queued }, step);
+        await execute({ type: 'updateTechnician', data: { names: ['Ko Kyaw', 'Ma Ma', 'Aung'] } }, step);
+
+        expect(technicianManager.getNames().sort()).toEqual(['Aung', 'Ko Kyaw', 'Ma Ma']);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VirtualScrollingManager } from '../../js/VirtualScrollingManager.js';
+
+function createManager(itemCount, { itemHeight = 60, bufferSize = 5, containerHeight = 600 } = {}) {
+    const manager = new VirtualScrollingManager('#list', itemHeight, bufferSize);
+    manager.data = Array.from({ length: itemCount }, (_, index) => ({ id: `v${index}` }));
+    manager.containerHeight = containerHeight;
+    return manager;
+}
+
+describe('VirtualScrollingManager.calculateVisibleRange', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="list"></div>';
+    });
+
+    it('starts at the first item with a buffer below the viewport', () => {
+        const manager = createManager(1000);
+        manager.scrollTop = 0;
+        manager.calculateVisibleRange();
+
+        // 600px / 60px = 10 rows on screen, plus 5 buffered
+        expect(manager.startIndex).toBe(0);
+        expect(manager.endIndex).toBe(15);
+    });
+
+    it('buffers on both sides in the middle of the list', () => {
+        const manager = createManager(1000);
+        manager.scrollTop = 6000;
+        manager.calculateVisibleRange();
+
+        expect(manager.startIndex).toBe(95);
+        expect(manager.endIndex).toBe(115);
+    });
+
+    it('includes a partly visible row', () => {
+        const manager = createManager(1000);
+        manager.scrollTop = 6030;
+        manager.calculateVisibleRange();
+
+        expect(manager.startIndex).toBe(95);
+        expect(manager.endIndex).toBe(116);
+    });
+
+    it('stops at the last item', () => {
+        const manager = createManager(50);
+        manager.scrollTop = 2400;
+        manager.calculateVisibleRange();
+
+        expect(manager.startIndex).toBe(35);
+        expect(manager.endIndex).toBe(49);
+    });
+
+    it('covers the whole list when it fits on screen', () => {
+        const manager = createManager(4);
+        manager.scrollTop = 0;
+        manager.calculateVisibleRange();
+
+        expect(manager.startIndex).toBe(0);
+        expect(manager.endIndex).toBe(3);
+    });
+
+    it('throws for a missing container', () => {
+        expect(() => new VirtualScrollingManager('#missing')).toThrow('#missing');
+    });
+});
+
+describe('VirtualScrollingManager.setData with loadMore', () => {
+    const rows = (from, count) => Array.from({ length: count }, (_, index) => ({ id: `v${from + index}` }));
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="list"></div>';
+    });
+
+    it('fetches more rows once the end of the list comes into view, until there are none', async () => {
+        const manager = new VirtualScrollingManager('#list', 60, 5);
+        manager.containerHeight = 600;
+        const loadMore = vi.fn()
+            .mockResolvedValueOnce({ rows: rows(30, 30), hasMore: true })
+            .mockResolvedValueOnce({ rows: [], hasMore: false });
+
+        manager.setData(rows(0, 30), () => {}, loadMore);
+        expect(loadMore).not.toHaveBeenCalled();
+
+        manager.scrollTop = 900;
+        manager.updateVisibleItems();
+        await flush();
+        expect(manager.data).toHaveLength(60);
+
+        manager.scrollTop = 2700;
+        manager.updateVisibleItems();
+        await flush();
+        manager.updateVisibleItems();
+        expect(loadMore).toHaveBeenCalledTimes(2);
+        expect(manager.hasMore).toBe(false);
+    });
+
+    it('waits for a scroll or a click after an empty page the loader says has more behind it', async () => {
+        const manager = new VirtualScrollingManager('#list', 60, 5);
+        manager.containerHeight = 600;
+        const loadMore = vi.fn()
+            .mockResolvedValueOnce({ rows: [], hasMore: true })
+            .mockResolvedValueOnce({ rows: [], hasMore: true })
+            .mockResolvedValueOnce({ rows: rows(0, 2), hasMore: false });
+        const footer = manager.loadMoreFooter;
+
+        manager.setData([], () => {}, loadMore);
+        await flush();
+        manager.updateVisibleItems();
+        await flush();
+        expect(loadMore).toHaveBeenCalledTimes(1);
+        expect(footer.classList.contains('hidden')).toBe(false);
+
+        manager.container.scrollTop = 100;
+        manager.handleScroll();
+        await flush();
+        expect(loadMore).toHaveBeenCalledTimes(2);
+
+        footer.querySelector('button').click();
+        await flush();
+        expect(loadMore).toHaveBeenCalledTimes(3);
+        expect(manager.data.map(row => row.id)).toEqual(['v0', 'v1']);
+        expect(manager.hasMore).toBe(false);
+        expect(footer.classList.contains('hidden')).toBe(true);
+    });
+
+    it('drops rows that arrive after the list was replaced', async () => {
+        const manager = new VirtualScrollingManager('#list', 60, 5);
+        manager.containerHeight = 600;
+        let resolveRows;
+        manager.setData(rows(0, 3), () => {}, () => new Promise(resolve => { resolveRows = resolve; }));
+
+        manager.setData(rows(100, 3), () => {});
+        resolveRows({ rows: rows(3, 10), hasMore: true });
+        await flush();
+        expect(manager.data.map(row => row.id)).toEqual(['v100', 'v101', 'v102']);
+    });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { diffVoucherChanges, buildAuditLogHtml } from '../../js/VoucherAuditLog.js';
+
+describe('diffVoucherChanges', () => {
+    it('lists only fields whose value changed, ignoring bookkeeping and key order', () => {
+        const before = { customerName: 'Mg Mg', amount: 5000, partsUsed: [{ itemId: 'screen', quantity: 1 }], revision: 3 };
+        const after = {
+            customerName: 'Mg Mg',
+            amount: 6000,
+            partsUsed: [{ quantity: 1, itemId: 'screen' }],
+            phoneColor: 'Black',
+            revision: 4,
+            statusUpdatedAt: '2025-06-01T10:00:00.000Z'
+        };
+
+        expect(diffVoucherChanges(before, after)).toEqual([
+            { field: 'amount', before: 5000, after: 6000 },
+            { field: 'phoneColor', before: null, after: 'Black' }
+        ]);
+    });
+});
+
+describe('buildAuditLogHtml', () => {
+    it('shows each change with readable values and escapes user text', () => {
+        const html = buildAuditLogHtml([{
+            action: 'update',
+            voucherNumber: 'KK-0001',
+            userName: '<b>Ko Ko</b>',
+            at: '2025-06-01T10:00:00.000Z',
+            changes: [{ field: 'voucherStatus', before: 'received', after: 'in_repair' }]
+        }], { showVoucher: true });
+
+        expect(html).toContain('KK-0001');
+        expect(html).toContain('&lt;b&gt;Ko Ko&lt;/b&gt;');
+        expect(html).toContain('Status:');
+        expect(buildAuditLogHtml([])).toContain('မှတ်တမ်း မရှိသေးပါ');
+    });
+});
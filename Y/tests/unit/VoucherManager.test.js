@@ -0,0 +1,479 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VoucherManager, buildCustomerStatsChange, hasRequiredVoucherFields } from '../../js/VoucherManager.js';
+import { CustomerManager } from '../../js/customerManager.js';
+import { InventoryManager } from '../../js/InventoryManager.js';
+import { VoucherAuditLog } from '../../js/VoucherAuditLog.js';
+import { PayrollManager } from '../../js/PayrollManager.js';
+import { hasPermission } from '../../js/WorkspaceManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('buildCustomerStatsChange', () => {
+    it('returns null without a linked customer or without a change', () => {
+        expect(buildCustomerStatsChange({ amount: 100 }, 100, 1)).toBeNull();
+        expect(buildCustomerStatsChange({ customerId: 'c1' }, 0, 0)).toBeNull();
+    });
+
+    it('carries the deltas for a linked customer', () => {
+        expect(buildCustomerStatsChange({ customerId: 'c1' }, -3000, -1)).toEqual({ customerId: 'c1', amountDelta: -3000, visitDelta: -1 });
+    });
+});
+
+describe('hasRequiredVoucherFields', () => {
+    const voucher = { customerName: 'Mg Mg', phoneModel: 'iPhone 11', error: 'Screen', voucherNumber: 'KK-1', amount: 15000 };
+
+    it('accepts a free repair such as a warranty claim but not a negative or missing amount', () => {
+        expect(hasRequiredVoucherFields(voucher)).toBe(true);
+        expect(hasRequiredVoucherFields({ ...voucher, amount: 0, isWarrantyClaim: true })).toBe(true);
+        expect(hasRequiredVoucherFields({ ...voucher, amount: -1 })).toBe(false);
+        expect(hasRequiredVoucherFields({ ...voucher, amount: NaN })).toBe(false);
+        expect(hasRequiredVoucherFields({ ...voucher, error: '' })).toBe(false);
+    });
+});
+
+describe('VoucherManager writes', () => {
+    let firebaseService;
+    let errorHandler;
+    let customerManager;
+    let inventoryManager;
+    let voucherManager;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+    const itemPath = (id) => firebaseService.shopPath(`inventory/${id}`);
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        errorHandler = { handleError: vi.fn() };
+        customerManager = new CustomerManager(firebaseService, errorHandler);
+        inventoryManager = new InventoryManager(firebaseService, errorHandler);
+        voucherManager = new VoucherManager(firebaseService, errorHandler, customerManager, inventoryManager);
+        firebaseService.seed(itemPath('screen'), { name: 'Screen', quantity: 3, costPrice: 8000 });
+    });
+
+    it('creates a voucher at revision 1, links a new customer, takes parts from stock and records the visit', async () => {
+        const voucher = await voucherManager.createVoucher('v1', {
+            customerName: 'Mg Mg',
+            customerPhone: '09 123 456',
+            technicianName: 'ကိုကျော်',
+            amount: 15000,
+            date: '2025-06-01',
+            partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 2 }]
+        });
+
+        const stored = firebaseService.read(voucherPath('v1'));
+        expect(voucher.id).toBe('v1');
+        expect(stored.revision).toBe(1);
+        expect(stored.customerId).toBeTruthy();
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(1);
+
+        const customer = firebaseService.read(firebaseService.shopPath(`customers/${stored.customerId}`));
+        expect(customer).toMatchObject({ name: 'Mg Mg', totalSpent: 15000, visitCount: 1, lastVisit: '2025-06-01' });
+    });
+
+    it('puts the parts back when the voucher write fails', async () => {
+        firebaseService.failNextWrite(voucherPath('v1'));
+
+        await expect(voucherManager.createVoucher('v1', {
+            customerName: 'Mg Mg',
+            amount: 15000,
+            partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 2 }]
+        })).rejects.toMatchObject({ code: 'unavailable' });
+
+        expect(firebaseService.read(voucherPath('v1'))).toBeUndefined();
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(3);
+    });
+
+    it('refuses to take more parts than are in stock', async () => {
+        await expect(voucherManager.createVoucher('v1', {
+            customerName: 'Mg Mg',
+            partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 5 }]
+        })).rejects.toThrow(/Screen/);
+
+        expect(firebaseService.read(voucherPath('v1'))).toBeUndefined();
+    });
+
+    it('skips steps a journaled replay has already completed', async () => {
+        const completed = new Set(['customer', 'parts']);
+        const step = vi.fn(async (name, run) => {
+            if (!completed.has(name)) await run();
+        });
+
+        await voucherManager.createVoucher('v1', {
+            customerName: 'Mg Mg',
+            customerId: 'c1',
+            amount: 1000,
+            partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 1 }]
+        }, step);
+
+        expect(step.mock.calls.map(([name]) => name)).toEqual(['customer', 'parts', 'voucher', 'visit']);
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(3);
+        expect(firebaseService.read(voucherPath('v1')).customerId).toBe('c1');
+    });
+
+    it('bumps the revision on update and only appends history for a status change', async () => {
+        firebaseService.seed(voucherPath('v1'), { amount: 1000, revision: 4, voucherStatus: 'received', statusHistory: [] });
+        const historyEntry = { from: 'received', to: 'in_repair', at: '2025-06-01T10:00:00.000Z', by: 'Owner' };
+
+        await voucherManager.updateVoucher('v1', { customerName: 'Ko Ko' }, { historyEntry });
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ customerName: 'Ko Ko', revision: 5, statusHistory: [] });
+
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'in_repair' }, { historyEntry });
+        const stored = firebaseService.read(voucherPath('v1'));
+        expect(stored.revision).toBe(6);
+        expect(stored.statusHistory).toEqual([historyEntry]);
+    });
+
+    it('moves stock and customer totals when parts and amount are edited', async () => {
+        firebaseService.seed(firebaseService.shopPath('customers/c1'), { name: 'Mg Mg', totalSpent: 5000, visitCount: 1 });
+        firebaseService.seed(voucherPath('v1'), { amount: 5000, customerId: 'c1', revision: 1, partsUsed: [{ itemId: 'screen', quantity: 1 }] });
+
+        await voucherManager.updateVoucher('v1', {
+            amount: 8000,
+            partsUsed: [{ itemId: 'screen', quantity: 3 }]
+        }, {
+            partsChange: { oldParts: [{ itemId: 'screen', quantity: 1 }], newParts: [{ itemId: 'screen', quantity: 3 }] },
+            customerStats: buildCustomerStatsChange({ customerId: 'c1' }, 3000, 0)
+        });
+
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(1);
+        expect(firebaseService.read(firebaseService.shopPath('customers/c1'))).toMatchObject({ totalSpent: 8000, visitCount: 1 });
+    });
+
+    it('puts the stock back when the voucher update is rejected or the voucher is gone', async () => {
+        const partsChange = { oldParts: [{ itemId: 'screen', quantity: 1 }], newParts: [{ itemId: 'screen', quantity: 3 }] };
+        firebaseService.seed(voucherPath('v1'), { amount: 5000, revision: 1, partsUsed: partsChange.oldParts });
+        firebaseService.failNextWrite(voucherPath('v1'), Object.assign(new Error('denied'), { code: 'permission-denied' }));
+
+        await expect(voucherManager.updateVoucher('v1', { partsUsed: partsChange.newParts }, { partsChange }))
+            .rejects.toMatchObject({ code: 'permission-denied' });
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(3);
+        expect(firebaseService.read(voucherPath('v1')).partsUsed).toEqual(partsChange.oldParts);
+
+        await expect(voucherManager.updateVoucher('gone', { partsUsed: partsChange.newParts }, { partsChange }))
+            .rejects.toMatchObject({ code: 'not-found' });
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(3);
+    });
+
+    it('deletes a voucher, restoring its parts and reversing the customer totals', async () => {
+        firebaseService.seed(firebaseService.shopPath('customers/c1'), { name: 'Mg Mg', totalSpent: 5000, visitCount: 1 });
+        firebaseService.seed(voucherPath('v1'), { amount: 5000, customerId: 'c1' });
+
+        await voucherManager.deleteVoucher('v1', {
+            parts: [{ itemId: 'screen', quantity: 2 }],
+            customerStats: buildCustomerStatsChange({ customerId: 'c1' }, -5000, -1)
+        });
+
+        expect(firebaseService.read(voucherPath('v1'))).toBeUndefined();
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(5);
+        expect(firebaseService.read(firebaseService.shopPath('customers/c1'))).toMatchObject({ totalSpent: 0, visitCount: 0 });
+    });
+
+    it('marks a ready voucher as picked up and rejects one still in repair', async () => {
+        firebaseService.seed(voucherPath('v1'), { voucherStatus: 'ready_for_pickup', revision: 2 });
+        firebaseService.seed(voucherPath('v2'), { voucherStatus: 'received', revision: 1 });
+
+        const released = await voucherManager.markPickedUp({ id: 'v1', voucherStatus: 'ready_for_pickup' }, 'Owner');
+        expect(released).toMatchObject({ voucherStatus: 'picked_up', releasedBy: 'Owner' });
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ voucherStatus: 'picked_up', revision: 3 });
+
+        await expect(voucherManager.markPickedUp({ id: 'v2', voucherStatus: 'received' }, 'Owner')).rejects.toThrow();
+    });
+
+    it('starts the warranty when a voucher with one is picked up', async () => {
+        firebaseService.seed(voucherPath('v1'), { voucherStatus: 'ready_for_pickup', warrantyDays: 30, revision: 2 });
+
+        const { data, historyEntry } = voucherManager.buildPickupUpdate({ voucherStatus: 'ready_for_pickup' }, 'Owner');
+        await voucherManager.updateVoucher('v1', { ...data, releasedAt: '2025-06-01T09:00:00.000Z' }, { historyEntry });
+        expect(firebaseService.read(voucherPath('v1')).warrantyExpiresAt).toBe('2025-07-01');
+
+        const voucher = await voucherManager.createVoucher('v2', { customerName: 'Mg Mg', voucherStatus: 'picked_up', warrantyDays: 30, date: '2025-06-10' });
+        expect(voucher.warrantyExpiresAt).toBe('2025-07-10');
+    });
+});
+
+describe('VoucherManager audit trail and trash', () => {
+    let firebaseService;
+    let customerManager;
+    let inventoryManager;
+    let voucherManager;
+    let auditLog;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+    const trashPath = (id) => firebaseService.shopPath(`deletedVouchers/${id}`);
+    const itemPath = (id) => firebaseService.shopPath(`inventory/${id}`);
+    const customerPath = (id) => firebaseService.shopPath(`customers/${id}`);
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService({ user: { uid: 'manager-1', displayName: 'Ko Manager' } });
+        const errorHandler = { handleError: vi.fn() };
+        customerManager = new CustomerManager(firebaseService, errorHandler);
+        inventoryManager = new InventoryManager(firebaseService, errorHandler);
+        voucherManager = new VoucherManager(firebaseService, errorHandler, customerManager, inventoryManager);
+        auditLog = new VoucherAuditLog(firebaseService, errorHandler);
+        firebaseService.seed(itemPath('screen'), { name: 'Screen', quantity: 3, costPrice: 8000 });
+        firebaseService.seed(customerPath('c1'), { name: 'Mg Mg', totalSpent: 5000, visitCount: 1 });
+        firebaseService.seed(voucherPath('v1'), {
+            voucherNumber: 'KK-0001', customerName: 'Mg Mg', customerId: 'c1', amount: 5000,
+            voucherStatus: 'received', revision: 1, partsUsed: [{ itemId: 'screen', quantity: 1 }]
+        });
+    });
+
+    it('logs who changed which field from what to what, dating queued edits when they were made', async () => {
+        await voucherManager.updateVoucher('v1', { customerName: 'Ko Ko', amount: 5000 });
+        await voucherManager.updateVoucher('v1', { amount: 6000 }, { createdAt: '2025-06-01T08:00:00.000Z' });
+
+        const entries = await auditLog.getForVoucher('v1');
+        // Newest first: the queued edit is dated before the direct one
+        expect(entries.map(entry => entry.changes)).toEqual([
+            [{ field: 'customerName', before: 'Mg Mg', after: 'Ko Ko' }],
+            [{ field: 'amount', before: 5000, after: 6000 }]
+        ]);
+        expect(entries[1]).toMatchObject({
+            action: 'update', voucherNumber: 'KK-0001', userId: 'manager-1', userName: 'Ko Manager', at: '2025-06-01T08:00:00.000Z'
+        });
+        expect(await auditLog.getForUser('manager-1')).toHaveLength(2);
+        expect(await auditLog.getForUser('someone-else')).toEqual([]);
+    });
+
+    it('moves a deleted voucher to the trash and lets it be restored with its stock and customer totals', async () => {
+        await voucherManager.deleteVoucher('v1', {
+            parts: [{ itemId: 'screen', quantity: 1 }],
+            customerStats: buildCustomerStatsChange({ customerId: 'c1' }, -5000, -1)
+        });
+
+        expect(firebaseService.read(voucherPath('v1'))).toBeUndefined();
+        expect(firebaseService.read(trashPath('v1'))).toMatchObject({ voucherNumber: 'KK-0001', deletedBy: 'manager-1', deletedByName: 'Ko Manager' });
+        expect((await voucherManager.listTrash()).map(voucher => voucher.id)).toEqual(['v1']);
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(4);
+
+        const restored = await voucherManager.restoreFromTrash('v1');
+        expect(restored).toMatchObject({ id: 'v1', voucherNumber: 'KK-0001', revision: 2 });
+        expect(firebaseService.read(voucherPath('v1')).deletedAt).toBeUndefined();
+        expect(firebaseService.read(trashPath('v1'))).toBeUndefined();
+        expect(firebaseService.read(itemPath('screen')).quantity).toBe(3);
+        expect(firebaseService.read(customerPath('c1'))).toMatchObject({ totalSpent: 5000, visitCount: 1 });
+
+        const actions = (await auditLog.getForVoucher('v1')).map(entry => entry.action).sort();
+        expect(actions).toEqual(['delete', 'restore']);
+    });
+
+    it('purges from the trash but keeps the voucher\'s history, and a replayed delete writes nothing twice', async () => {
+        await voucherManager.deleteVoucher('v1');
+        await voucherManager.deleteVoucher('v1');
+        await voucherManager.purgeFromTrash('v1');
+
+        expect(firebaseService.read(trashPath('v1'))).toBeUndefined();
+        expect((await auditLog.getForVoucher('v1')).map(entry => entry.action).sort()).toEqual(['delete', 'purge']);
+        await expect(voucherManager.restoreFromTrash('v1')).rejects.toThrow('Voucher is not in the trash');
+    });
+});
+
+describe('VoucherManager part cost and commission', () => {
+    let firebaseService;
+    let payrollManager;
+    let voucherManager;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        const errorHandler = { handleError: vi.fn() };
+        payrollManager = new PayrollManager(firebaseService, errorHandler);
+        voucherManager = new VoucherManager(firebaseService, errorHandler, null, null, null, null, null, null, payrollManager);
+        firebaseService.seed(firebaseService.shopPath('settings/payroll'), {
+            rules: { defaults: { perVoucherRate: 500, commissionTiers: [{ threshold: 0, rate: 10 }] }, technicians: {} }
+        });
+    });
+
+    it('stores part cost, and commission once the payroll rules are loaded', async () => {
+        await voucherManager.createVoucher('v1', { amount: 10000, partsUsed: [{ itemId: 's', unitCost: 4000, quantity: 1 }] });
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ partsCost: 4000 });
+        expect(firebaseService.read(voucherPath('v1')).commission).toBeUndefined();
+
+        await payrollManager.loadConfig();
+        await voucherManager.updateVoucher('v1', { amount: 20000 });
+        expect(firebaseService.read(voucherPath('v1'))).toMatchObject({ partsCost: 4000, commission: 2500 });
+
+        await voucherManager.updateVoucher('v1', { voucherStatus: 'returned_unrepaired' });
+        expect(firebaseService.read(voucherPath('v1')).commission).toBe(0);
+    });
+
+    it('prices commission on a technician\'s device from the rules a manager published', async () => {
+        await payrollManager.loadConfig();
+        expect(firebaseService.read(firebaseService.shopPath('settings/commissionRules')).defaults).toMatchObject({ perVoucherRate: 500 });
+        expect(firebaseService.read(firebaseService.shopPath('settings/commissionRules')).defaults.baseSalary).toBeUndefined();
+
+        const technicianPayroll = new PayrollManager(firebaseService, { handleError: vi.fn() });
+        const technicianVouchers = new VoucherManager(firebaseService, { handleError: vi.fn() }, null, null, null, null, null, null, technicianPayroll);
+        await technicianPayroll.loadCommissionRules();
+        await technicianVouchers.createVoucher('v1', { amount: 10000 });
+        expect(firebaseService.read(voucherPath('v1')).commission).toBe(1500);
+
+        await payrollManager.saveConfig({ defaults: { perVoucherRate: 1000 }, technicians: {} });
+        await technicianPayroll.loadCommissionRules();
+        await technicianVouchers.updateVoucher('v1', { amount: 12000 });
+        expect(firebaseService.read(voucherPath('v1')).commission).toBe(1000);
+    });
+
+    it('leaves the figures of a voucher paid in a closed payroll run alone', async () => {
+        await payrollManager.loadConfig();
+        firebaseService.seed(voucherPath('paid'), { amount: 10000, commission: 1500, payrollRunId: '2025-05', revision: 1 });
+
+        await voucherManager.updateVoucher('paid', { voucherStatus: 'picked_up' });
+        expect(firebaseService.read(voucherPath('paid')).commission).toBe(1500);
+    });
+
+    it('leaves commission alone when a technician only moves the status', async () => {
+        await payrollManager.loadConfig();
+        const technicianWorkspace = { can: (permission) => hasPermission('technician', permission) };
+        const technicianVouchers = new VoucherManager(firebaseService, { handleError: vi.fn() }, null, null, null, null, null, null, payrollManager, null, technicianWorkspace);
+        firebaseService.seed(voucherPath('old'), { amount: 10000, voucherStatus: 'repairing', revision: 1 });
+
+        await technicianVouchers.updateVoucher('old', { voucherStatus: 'returned_unrepaired' });
+        const stored = firebaseService.read(voucherPath('old'));
+        expect(stored.voucherStatus).toBe('returned_unrepaired');
+        expect(stored.commission).toBeUndefined();
+    });
+});
+
+describe('VoucherManager daily list', () => {
+    it('emits the day\'s vouchers oldest first, filtered by technician', () => {
+        const firebaseService = new FakeFirebaseService();
+        const voucherManager = new VoucherManager(firebaseService, { handleError: vi.fn() });
+        const at = (seconds) => firebaseService.timestamp(seconds);
+        firebaseService.seed(firebaseService.shopPath('vouchers/a'), { date: '2025-06-01', technicianName: 'A', timestamp: at(300) });
+        firebaseService.seed(firebaseService.shopPath('vouchers/b'), { date: '2025-06-01', technicianName: 'B', timestamp: at(100) });
+        firebaseService.seed(firebaseService.shopPath('vouchers/c'), { date: '2025-06-02', technicianName: 'A', timestamp: at(200) });
+
+        const emitted = [];
+        voucherManager.onDailyVouchersChange(vouchers => emitted.push(vouchers.map(v => v.id)));
+        voucherManager.listenForDate('2025-06-01');
+        expect(emitted.at(-1)).toEqual(['b', 'a']);
+
+        voucherManager.technicianFilter = 'A';
+        voucherManager.renderDailyVouchers();
+        expect(emitted.at(-1)).toEqual(['a']);
+
+        voucherManager.stopListening();
+        expect(voucherManager.dailyVouchers).toEqual([]);
+    });
+});
+
+describe('VoucherManager search', () => {
+    let firebaseService;
+    let voucherManager;
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        voucherManager = new VoucherManager(firebaseService, { handleError: vi.fn() });
+        for (let i = 0; i < 260; i++) {
+            firebaseService.seed(firebaseService.shopPath(`vouchers/v${i}`), {
+                voucherNumber: `KK-${String(i).padStart(4, '0')}`,
+                date: `2025-06-${String(1 + (i % 28)).padStart(2, '0')}`,
+                customerName: i % 10 === 0 ? 'Mg Mg' : 'Ko Ko'
+            });
+        }
+    });
+
+    it('reads a term\'s matches a page at a time, newest first, until the query runs out', async () => {
+        const search = voucherManager.createSearch('mg mg');
+        const first = await voucherManager.fetchSearchResults(search, 5);
+        expect(first.length).toBeGreaterThanOrEqual(5);
+        expect(first.length).toBeLessThan(26);
+        expect(search.hasMore).toBe(true);
+        expect(first.map(voucher => voucher.date)).toEqual([...first.map(voucher => voucher.date)].sort().reverse());
+
+        while (search.hasMore) await voucherManager.fetchSearchResults(search);
+        expect(new Set(search.results.map(voucher => voucher.id)).size).toBe(26);
+        expect(search.matches.get(first[0].id)).toEqual(['customer']);
+    });
+
+    it('queries just the vouchers starting with a voucher number, or the dates in range', async () => {
+        const getPage = vi.spyOn(firebaseService, 'getPage');
+        const byNumber = voucherManager.createSearch('voucher:KK-001');
+        expect(byNumber.plans).toEqual([{ filters: [['voucherNumber', '>=', 'KK-001'], ['voucherNumber', '<=', 'KK-001\uf8ff']], order: ['voucherNumber', 'asc'] }]);
+        await voucherManager.fetchSearchResults(byNumber);
+        expect(byNumber.results.map(voucher => voucher.voucherNumber)).toEqual(Array.from({ length: 10 }, (_, i) => `KK-001${i}`));
+        expect(byNumber.hasMore).toBe(false);
+        expect(getPage).toHaveBeenCalledTimes(1);
+
+        const byDate = voucherManager.createSearch('ko', { from: '2025-06-27' });
+        expect(byDate.plans).toEqual([{ filters: [['date', '>=', '2025-06-27']], order: ['date', 'desc'] }]);
+        await voucherManager.fetchSearchResults(byDate);
+        expect(byDate.results.every(voucher => voucher.date >= '2025-06-27' && voucher.customerName === 'Ko Ko')).toBe(true);
+        expect(byDate.results).toHaveLength(16);
+    });
+
+    it('looks a bare voucher number up by its prefix first, then in every field, listing each voucher once', async () => {
+        const getPage = vi.spyOn(firebaseService, 'getPage');
+        const search = voucherManager.createSearch('KK-0012');
+        expect(search.plans.map(plan => plan.order[0])).toEqual(['voucherNumber', 'customerPhone', 'date']);
+
+        const first = await voucherManager.fetchSearchResults(search, 1);
+        expect(first.map(voucher => voucher.id)).toEqual(['v12']);
+        expect(getPage).toHaveBeenCalledTimes(1);
+
+        while (search.hasMore) await voucherManager.fetchSearchResults(search);
+        expect(search.results.map(voucher => voucher.id)).toEqual(['v12']);
+    });
+
+    it('keeps reading older vouchers after a batch with no match', async () => {
+        for (let i = 260; i < 1100; i++) {
+            firebaseService.seed(firebaseService.shopPath(`vouchers/v${i}`), { voucherNumber: `KK-${i}`, date: '2025-07-01', customerName: 'Ko Ko' });
+        }
+        firebaseService.seed(firebaseService.shopPath('vouchers/old'), { voucherNumber: 'OLD-1', date: '2020-01-01', customerName: 'Daw Hla' });
+
+        voucherManager.search = voucherManager.createSearch('daw hla');
+        expect(await voucherManager.fetchSearchResults(voucherManager.search)).toEqual([]);
+        expect(voucherManager.search.readCount).toBe(1000);
+        expect(voucherManager.search.hasMore).toBe(true);
+
+        const more = await voucherManager.loadMoreSearchResults();
+        expect(more).toEqual({ vouchers: [expect.objectContaining({ id: 'old' })], hasMore: false });
+    });
+});
+
+describe('VoucherManager saves from the voucher table', () => {
+    let firebaseService;
+    let offlineOutbox;
+    let voucherManager;
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService({ online: false });
+        offlineOutbox = { enqueue: vi.fn() };
+        voucherManager = new VoucherManager(firebaseService, { handleError: vi.fn() }, null, null, offlineOutbox);
+    });
+
+    it('queues edits, deletes and new vouchers while offline', async () => {
+        const voucher = { id: 'v1', customerId: 'c1', amount: 10000, partsUsed: [], voucherStatus: 'repairing', revision: 2 };
+
+        expect(await voucherManager.saveVoucherEdit(voucher, { amount: 12000, partsUsed: [], voucherStatus: 'repairing' })).toBe(true);
+        expect(offlineOutbox.enqueue).toHaveBeenLastCalledWith(expect.objectContaining({
+            type: 'updateVoucher',
+            voucherId: 'v1',
+            historyEntry: null,
+            customerStats: { customerId: 'c1', amountDelta: 2000, visitDelta: 0 }
+        }), 'shop-1');
+
+        expect(await voucherManager.trashVoucher(voucher)).toBe(true);
+        expect(offlineOutbox.enqueue).toHaveBeenLastCalledWith({
+            type: 'deleteVoucher',
+            voucherId: 'v1',
+            customerStats: { customerId: 'c1', amountDelta: -10000, visitDelta: -1 },
+            parts: []
+        }, 'shop-1');
+
+        expect(await voucherManager.saveNewVoucher({ voucherNumber: 'KK-1', amount: 5000 })).toBe(true);
+        const [added] = offlineOutbox.enqueue.mock.calls.at(-1);
+        expect(added).toMatchObject({ type: 'addVoucher', data: { voucherNumber: 'KK-1' } });
+        expect(added.voucherId).toEqual(expect.any(String));
+        expect(firebaseService.read(firebaseService.shopPath('vouchers/v1'))).toBeUndefined();
+    });
+
+    it('refuses to change the paid figures of, or trash, a voucher in a closed payroll run', async () => {
+        const paid = { id: 'paid', amount: 10000, commission: 1500, payrollRunId: '2025-05', voucherStatus: 'picked_up' };
+
+        expect(await voucherManager.saveVoucherEdit(paid, { amount: 20000, partsUsed: [], voucherStatus: 'picked_up' })).toBe(false);
+        await expect(voucherManager.trashVoucher(paid)).rejects.toThrow('2025-05');
+        expect(offlineOutbox.enqueue).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { VoucherTotalsManager, buildTotalsChanges, summarizeTechnicianEntries, TOTALS_KINDS } from '../../js/VoucherTotalsManager.js';
+import { VoucherManager } from '../../js/VoucherManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('voucher totals', () => {
+    const voucher = { date: '2025-06-01', technicianName: 'ကိုကျော်', amount: 10000, partsCost: 3000, commission: 1000, serviceTypeId: 'screen', phoneModel: 'iPhone 11', voucherStatus: 'received' };
+
+    it('counts a new voucher towards its day, month, technician, service type, model and repair stage', () => {
+        const changes = buildTotalsChanges([{ before: null, after: voucher }]);
+
+        expect(changes.map(change => `${change.kind}/${change.id}`)).toEqual([
+            'statuses/received',
+            'days/2025-06-01',
+            'months/2025-06',
+            `technicianDays/2025-06-01_${encodeURIComponent('ကိုကျော်')}`,
+            `technicianMonths/2025-06_${encodeURIComponent('ကိုကျော်')}`,
+            'serviceTypeMonths/2025-06_screen',
+            'modelMonths/2025-06_iphone11'
+        ]);
+        expect(changes[1].delta).toEqual({ count: 1, total: 10000, partsCost: 3000, commission: 1000, grossProfit: 6000 });
+    });
+
+    it('touches only the repair stages on a status change, and moves figures between technicians on a reassignment', () => {
+        const statusChanges = buildTotalsChanges([{ before: voucher, after: { ...voucher, voucherStatus: 'repairing' } }]);
+        expect(statusChanges.map(change => [change.id, change.delta.count])).toEqual([['received', -1], ['repairing', 1]]);
+
+        const moved = buildTotalsChanges([{ before: voucher, after: { ...voucher, technicianName: 'မေသန္တာ', amount: 12000 } }]);
+        expect(moved.filter(change => change.kind === 'technicianMonths').map(change => [change.fields.technicianName, change.delta.count, change.delta.total]))
+            .toEqual([['ကိုကျော်', -1, -10000], ['မေသန္တာ', 1, 12000]]);
+        expect(moved.find(change => change.kind === 'days').delta).toMatchObject({ count: 0, total: 2000 });
+    });
+
+    it('sums technician entries under one name, leaving out technicians with nothing left', () => {
+        const totals = summarizeTechnicianEntries([
+            { technicianName: 'ကိုကျော်', total: 5000, count: 1 },
+            { technicianName: 'ကိုကျော်', total: 2500, count: 1 },
+            { technicianName: 'မေသန္တာ', total: 0, count: 0 },
+            { technicianName: '', total: 1000, count: 1 }
+        ]);
+
+        expect(totals).toEqual({
+            'ကိုကျော်': { total: 7500, count: 2 },
+            Unknown: { total: 1000, count: 1 }
+        });
+    });
+});
+
+describe('VoucherTotalsManager', () => {
+    let firebaseService;
+    let voucherManager;
+    let totalsManager;
+
+    const storedTotals = async () => {
+        const totals = {};
+        for (const kind of TOTALS_KINDS) {
+            // lastVoucherId only names the latest write, so a rebuild need not match it
+            (await totalsManager.getEntries(kind)).forEach(({ id, lastVoucherId, ...data }) => {
+                if (data.count) totals[`${kind}/${id}`] = data;
+            });
+        }
+        return totals;
+    };
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        const errorHandler = { handleError: vi.fn() };
+        // Renamed technicians report under their current name
+        const technicianManager = {
+            resolveName: (record) => record.technicianName === 'Ko Aung' ? 'Ko Aung Aung' : record.technicianName,
+            onChange: () => () => {}
+        };
+        voucherManager = new VoucherManager(firebaseService, errorHandler);
+        totalsManager = new VoucherTotalsManager(firebaseService, errorHandler, technicianManager);
+    });
+
+    it('keeps the totals equal to a rebuild from the raw vouchers through adds, edits, deletes and restores', async () => {
+        await voucherManager.createVoucher('v1', { date: '2025-06-01', technicianName: 'Ko Aung', amount: 10000, voucherStatus: 'received' });
+        await voucherManager.createVoucher('v2', { date: '2025-06-02', technicianName: 'Ma Hla', amount: 5000, voucherStatus: 'received' });
+        await voucherManager.createVoucher('v3', { date: '2025-07-01', technicianName: 'Ma Hla', amount: 7000, voucherStatus: 'received' });
+        await voucherManager.updateVoucher('v1', { amount: 12000, technicianName: 'Ma Hla' });
+        await voucherManager.updateVoucher('v2', { voucherStatus: 'repairing' });
+        await voucherManager.deleteVoucher('v3');
+        await voucherManager.restoreFromTrash('v3');
+        await voucherManager.deleteVoucher('v2');
+
+        const maintained = await storedTotals();
+        expect(maintained['months/2025-06']).toMatchObject({ count: 1, total: 12000 });
+        expect(maintained['statuses/received']).toMatchObject({ count: 2, total: 19000 });
+        expect(firebaseService.read(firebaseService.shopPath('aggregates/months/entries/2025-07'))).toMatchObject({ lastVoucherId: 'v3' });
+
+        expect(await totalsManager.rebuild()).toEqual({ voucherCount: 2, entryCount: Object.keys(maintained).length });
+        expect(await storedTotals()).toEqual(maintained);
+    });
+
+    it('totals a date range and the current month per technician under their current names', async () => {
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+        await voucherManager.createVoucher('v1', { date: '2025-06-01', technicianName: 'Ko Aung', amount: 10000 });
+        await voucherManager.createVoucher('v2', { date: '2025-06-20', technicianName: 'Ma Hla', amount: 5000 });
+        await voucherManager.createVoucher('v3', { date: today, technicianName: 'Ko Aung', amount: 3000 });
+
+        expect(await totalsManager.getRangeTotals('2025-06-01', '2025-06-10')).toEqual({ 'Ko Aung Aung': { total: 10000, count: 1 } });
+        expect(await totalsManager.getRangeTotals('2025-06-01', '2025-06-30', 'Ma Hla')).toEqual({ 'Ma Hla': { total: 5000, count: 1 } });
+
+        const onChange = vi.fn();
+        totalsManager.listenForMonthlyTotals(onChange);
+        expect(onChange).toHaveBeenLastCalledWith({ 'Ko Aung Aung': { total: 3000, count: 1 } });
+        totalsManager.stopListening();
+    });
+
+    it('builds the totals from existing vouchers once, when none have been built', async () => {
+        firebaseService.seed(firebaseService.shopPath('vouchers/old'), { date: '2025-01-05', technicianName: 'Ma Hla', amount: 4000 });
+        firebaseService.seed(firebaseService.shopPath('aggregates/months/entries/2024-12'), { month: '2024-12', count: 3, total: 9000 });
+
+        expect(await totalsManager.ensureBuilt()).toMatchObject({ voucherCount: 1 });
+        expect(await totalsManager.ensureBuilt()).toBeNull();
+
+        const { months } = await totalsManager.loadTotals();
+        expect(months).toEqual([expect.objectContaining({ id: '2025-01', count: 1, total: 4000 })]);
+    });
+});
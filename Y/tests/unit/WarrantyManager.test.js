@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WarrantyManager, addDays, warrantyFieldsForPickup, buildWarrantyClaim, getWarrantyState, buildWarrantyReport } from '../../js/WarrantyManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('warranty periods', () => {
+    it('starts the warranty at pickup and never moves an expiry already set', () => {
+        expect(addDays('2025-01-30T15:00:00.000Z', 30)).toBe('2025-03-01');
+        expect(warrantyFieldsForPickup({ warrantyDays: 90 }, { voucherStatus: 'picked_up', releasedAt: '2025-06-01T09:00:00.000Z' }))
+            .toEqual({ warrantyExpiresAt: '2025-08-30' });
+        expect(warrantyFieldsForPickup({ warrantyDays: 90 }, { voucherStatus: 'ready_for_pickup' })).toEqual({});
+        expect(warrantyFieldsForPickup({ warrantyDays: 0 }, { voucherStatus: 'picked_up' })).toEqual({});
+        expect(warrantyFieldsForPickup({ warrantyDays: 90, warrantyExpiresAt: '2025-07-01' }, { voucherStatus: 'picked_up' })).toEqual({});
+    });
+
+    it('reports a voucher as pending until pickup, then active through its last day', () => {
+        expect(getWarrantyState({ warrantyDays: 0 }).state).toBe('none');
+        expect(getWarrantyState({ warrantyDays: 30 }).state).toBe('pending');
+        expect(getWarrantyState({ warrantyDays: 30, warrantyExpiresAt: '2025-07-01' }, '2025-07-01').state).toBe('active');
+        expect(getWarrantyState({ warrantyDays: 30, warrantyExpiresAt: '2025-07-01' }, '2025-07-02').state).toBe('expired');
+    });
+});
+
+describe('WarrantyManager', () => {
+    let firebaseService;
+    let warrantyManager;
+
+    const voucherPath = (id) => firebaseService.shopPath(`vouchers/${id}`);
+    const original = {
+        voucherNumber: 'KK-0001', customerName: 'Mg Mg', customerId: 'c1', phoneModel: 'iPhone 12',
+        technicianName: 'ကိုကျော်', technicianId: 't1', serviceType: 'Screen Replacement', amount: 15000,
+        warrantyDays: 90, warrantyExpiresAt: '2025-08-30', voucherStatus: 'picked_up'
+    };
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        warrantyManager = new WarrantyManager(firebaseService, { handleError: vi.fn() });
+    });
+
+    it('prepares a linked, numbered claim only while the warranty is in effect', async () => {
+        firebaseService.seed(voucherPath('v1'), original);
+        firebaseService.seed(voucherPath('w1'), { warrantyClaimOf: 'v1', isWarrantyClaim: true });
+
+        const claim = await warrantyManager.prepareClaim({ id: 'v1', ...original }, { error: 'Touch not working', date: '2025-07-10' });
+        expect(claim).toMatchObject({
+            voucherNumber: 'KK-0001-W2', customerId: 'c1', technicianId: 't1', amount: 0, error: 'Touch not working',
+            isWarrantyClaim: true, warrantyClaimOf: 'v1', warrantyDays: 0, voucherStatus: 'received', date: '2025-07-10'
+        });
+
+        await expect(warrantyManager.prepareClaim({ id: 'v1', ...original }, { date: '2025-09-01' })).rejects.toThrow('Warranty expired on 2025-08-30');
+        await expect(warrantyManager.prepareClaim({ id: 'v1', ...original, warrantyDays: 0 }, { date: '2025-07-10' })).rejects.toThrow();
+    });
+
+    it('reports the return rate per technician and per part, counting a voucher once however many claims it has', async () => {
+        firebaseService.seed(voucherPath('v1'), { ...original, date: '2025-06-01', partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 1 }] });
+        firebaseService.seed(voucherPath('v2'), { ...original, date: '2025-06-02', partsUsed: [{ itemId: 'screen', name: 'Screen', quantity: 1 }] });
+        firebaseService.seed(voucherPath('v3'), { ...original, date: '2025-06-03', technicianName: 'ကိုဇော်', technicianId: 't2', partsUsed: [{ itemId: 'battery', name: 'Battery', quantity: 1 }] });
+        firebaseService.seed(voucherPath('v4'), { ...original, date: '2025-06-04', warrantyDays: 0 });
+        firebaseService.seed(voucherPath('w1'), { date: '2025-07-01', isWarrantyClaim: true, warrantyClaimOf: 'v1', technicianId: 't1' });
+        firebaseService.seed(voucherPath('w2'), { date: '2025-07-05', isWarrantyClaim: true, warrantyClaimOf: 'v1', technicianId: 't1' });
+
+        const report = await warrantyManager.generateReport('2025-06-01', '2025-06-30');
+
+        expect(report.totals).toEqual({ warrantyVouchers: 3, returned: 1, claims: 2, rate: 33.3 });
+        expect(report.byTechnician).toEqual([
+            { name: 'ကိုကျော်', warrantyVouchers: 2, returned: 1, claims: 2, rate: 50 },
+            { name: 'ကိုဇော်', warrantyVouchers: 1, returned: 0, claims: 0, rate: 0 }
+        ]);
+        expect(report.byPart.map(part => [part.name, part.rate])).toEqual([['Screen', 50], ['Battery', 0]]);
+    });
+
+    it('keeps the original\'s catalogue service type on the claim', () => {
+        expect(buildWarrantyClaim({ id: 'v1', ...original, serviceTypeId: 'screen' }, { date: '2025-07-10' }))
+            .toMatchObject({ serviceTypeId: 'screen', serviceType: 'Screen Replacement' });
+    });
+
+    it('ignores claim vouchers when counting originals', () => {
+        const report = buildWarrantyReport([{ id: 'w1', isWarrantyClaim: true, warrantyDays: 90 }], []);
+        expect(report.totals.warrantyVouchers).toBe(0);
+    });
+});
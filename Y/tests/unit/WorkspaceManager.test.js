@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { WorkspaceManager } from '../../js/WorkspaceManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('WorkspaceManager legacy migration', () => {
+    const user = { uid: 'owner-1', email: 'Owner@Example.com', displayName: 'Owner' };
+    const legacyPath = (subPath) => `artifacts/kkss-app/users/owner-1/${subPath}`;
+    const shopPath = (subPath = '') => `artifacts/kkss-app/shops/owner-1${subPath ? `/${subPath}` : ''}`;
+    let firebaseService;
+    let errorHandler;
+    let workspaceManager;
+
+    beforeEach(() => {
+        localStorage.clear();
+        firebaseService = new FakeFirebaseService({ shopId: null, user });
+        errorHandler = { handleError: vi.fn() };
+        workspaceManager = new WorkspaceManager(firebaseService, errorHandler);
+        firebaseService.seed(legacyPath('vouchers/v1'), { voucherNumber: 'KK-1', amount: 1000 });
+        firebaseService.seed(legacyPath('vouchers/v2'), { voucherNumber: 'KK-2', amount: 2000 });
+        firebaseService.seed(legacyPath('inventory/screen'), { name: 'Screen', quantity: 4 });
+        firebaseService.seed(legacyPath('technicianList/technicians'), { names: ['A'] });
+    });
+
+    it('copies vouchers, stock, the technician list and the browser\'s payroll settings into the new shop once', async () => {
+        localStorage.setItem('payrollSettings', JSON.stringify({ method: 'percentage', voucherRate: 6, percentageRate: 10 }));
+
+        expect(await workspaceManager.resolveWorkspace(user)).toEqual({ shopId: 'owner-1', role: 'owner' });
+
+        expect(firebaseService.read(shopPath('vouchers/v2'))).toMatchObject({ voucherNumber: 'KK-2' });
+        expect(firebaseService.read(shopPath('inventory/screen'))).toMatchObject({ quantity: 4 });
+        expect(firebaseService.read(shopPath('technicianList/technicians'))).toEqual({ names: ['A'] });
+        expect(firebaseService.read(shopPath('settings/payroll'))).toMatchObject({ method: 'percentage', percentageRate: 10 });
+        expect(firebaseService.read(shopPath()).legacyMigratedAt).toEqual(expect.any(String));
+        expect(errorHandler.handleError).not.toHaveBeenCalled();
+    });
+
+    it('retries a failed migration on the next sign-in without overwriting what the shop has since changed', async () => {
+        firebaseService.failNextWrite(shopPath('vouchers/v1'));
+
+        await workspaceManager.resolveWorkspace(user);
+        expect(errorHandler.handleError).toHaveBeenCalledWith(expect.objectContaining({ code: 'unavailable' }), 'Legacy data migration');
+        expect(firebaseService.read(shopPath('vouchers/v2'))).toBeUndefined();
+        expect(firebaseService.read(shopPath()).legacyMigratedAt).toBeUndefined();
+
+        firebaseService.seed(shopPath('vouchers/v1'), { voucherNumber: 'KK-1', amount: 1500, revision: 2 });
+        await workspaceManager.resolveWorkspace(user);
+
+        expect(firebaseService.read(shopPath('vouchers/v1')).amount).toBe(1500);
+        expect(firebaseService.read(shopPath('vouchers/v2'))).toMatchObject({ voucherNumber: 'KK-2' });
+        expect(firebaseService.read(shopPath()).legacyMigratedAt).toEqual(expect.any(String));
+
+        firebaseService.seed(legacyPath('vouchers/v3'), { voucherNumber: 'KK-3' });
+        await workspaceManager.resolveWorkspace(user);
+        expect(firebaseService.read(shopPath('vouchers/v3'))).toBeUndefined();
+    });
+});
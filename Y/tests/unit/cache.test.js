@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CacheManager } from '../../js/cache.js';
+import { appConfig } from '../../js/config.js';
+
+describe('CacheManager', () => {
+    let cache;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        localStorage.clear();
+        cache = new CacheManager();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('returns what was stored until it expires', () => {
+        cache.set('vouchers', [{ id: 'v1' }]);
+        expect(cache.get('vouchers')).toEqual([{ id: 'v1' }]);
+        expect(cache.has('vouchers')).toBe(true);
+
+        vi.advanceTimersByTime(appConfig.cacheExpiry + 1);
+        expect(cache.has('vouchers')).toBe(false);
+        expect(cache.get('vouchers')).toBeNull();
+        expect(localStorage.getItem('cache_vouchers')).toBeNull();
+    });
+
+    it('reloads unexpired entries from localStorage in a new instance', () => {
+        cache.set('technicians', ['ကိုကျော်']);
+
+        const reloaded = new CacheManager();
+        expect(reloaded.get('technicians')).toEqual(['ကိုကျော်']);
+        expect(reloaded.getStats().keys).toEqual(['technicians']);
+    });
+
+    it('ignores expired entries left in localStorage', () => {
+        cache.set('technicians', ['ကိုကျော်']);
+        vi.advanceTimersByTime(appConfig.cacheExpiry + 1);
+
+        expect(new CacheManager().get('technicians')).toBeNull();
+        expect(localStorage.getItem('cache_technicians')).toBeNull();
+    });
+
+    it('evicts the oldest entries beyond the size limit', () => {
+        cache.maxCacheSize = 3;
+        ['a', 'b', 'c', 'd'].forEach(key => {
+            cache.set(key, key);
+            vi.advanceTimersByTime(10);
+        });
+
+        expect(cache.getStats().keys).toEqual(['b', 'c', 'd']);
+        expect(localStorage.getItem('cache_a')).toBeNull();
+    });
+
+    it('clears only its own localStorage keys', () => {
+        localStorage.setItem('receiptLayout', 'thermal');
+        cache.set('vouchers', []);
+
+        cache.clear();
+        expect(cache.getStats().size).toBe(0);
+        expect(localStorage.getItem('cache_vouchers')).toBeNull();
+        expect(localStorage.getItem('receiptLayout')).toBe('thermal');
+    });
+});
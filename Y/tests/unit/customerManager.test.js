@@ -0,0 +1,35 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CustomerManager } from '../../js/customerManager.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('CustomerManager backfill', () => {
+    let firebaseService;
+    let customerManager;
+
+    beforeEach(() => {
+        firebaseService = new FakeFirebaseService();
+        customerManager = new CustomerManager(firebaseService, { handleError: vi.fn() });
+        for (let i = 0; i < 600; i++) {
+            firebaseService.seed(firebaseService.shopPath(`vouchers/v${i}`), {
+                customerName: i < 300 ? 'Mg Mg' : 'Daw Hla',
+                amount: 1000,
+                date: `2025-06-${String(1 + (i % 28)).padStart(2, '0')}`
+            });
+        }
+    });
+
+    it('counts every voucher once when a run that failed partway is retried', async () => {
+        firebaseService.failNextWrite(firebaseService.shopPath('vouchers/v599'));
+        await expect(customerManager.backfillFromVouchers()).rejects.toThrow();
+
+        const retry = await customerManager.backfillFromVouchers();
+        expect(retry.createdCount).toBe(0);
+
+        const customers = customerManager.getAll().map(customer => firebaseService.read(firebaseService.shopPath(`customers/${customer.id}`)));
+        expect(customers.map(customer => [customer.name, customer.visitCount, customer.totalSpent]).sort()).toEqual([
+            ['Daw Hla', 300, 300000],
+            ['Mg Mg', 300, 300000]
+        ]);
+        expect(customers.every(customer => customer.lastVisit === '2025-06-28')).toBe(true);
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ErrorHandler } from '../../js/errorHandler.js';
+
+describe('ErrorHandler.retry', () => {
+    let errorHandler;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        errorHandler = new ErrorHandler();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('returns the first successful result without waiting', async () => {
+        const operation = vi.fn().mockResolvedValue('ok');
+
+        await expect(errorHandler.retry(operation)).resolves.toBe('ok');
+        expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries with doubling delays until the operation succeeds', async () => {
+        const operation = vi.fn()
+            .mockRejectedValueOnce(new Error('unavailable'))
+            .mockRejectedValueOnce(new Error('unavailable'))
+            .mockResolvedValue('saved');
+
+        const result = errorHandler.retry(operation, 3, 100);
+        await vi.advanceTimersByTimeAsync(99);
+        expect(operation).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(operation).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(199);
+        expect(operation).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+
+        await expect(result).resolves.toBe('saved');
+        expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it('throws the last error once the attempts run out', async () => {
+        const operation = vi.fn()
+            .mockRejectedValueOnce(new Error('first'))
+            .mockRejectedValueOnce(new Error('second'));
+
+        const result = errorHandler.retry(operation, 2, 50);
+        const assertion = expect(result).rejects.toThrow('second');
+        await vi.runAllTimersAsync();
+
+        await assertion;
+        expect(operation).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('ErrorHandler.getErrorType', () => {
+    it('maps Firestore codes and JavaScript error names', () => {
+        const errorHandler = new ErrorHandler();
+
+        expect(errorHandler.getErrorType({ code: 'permission-denied' })).toBe('PERMISSION_ERROR');
+        expect(errorHandler.getErrorType({ code: 'unavailable' })).toBe('NETWORK_ERROR');
+        expect(errorHandler.getErrorType({ code: 'resource-exhausted' })).toBe('FIREBASE_ERROR');
+        expect(errorHandler.getErrorType(new TypeError('x'))).toBe('TYPE_ERROR');
+        expect(errorHandler.getErrorType(new Error('x'))).toBe('UNKNOWN_ERROR');
+    });
+});
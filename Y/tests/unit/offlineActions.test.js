@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createOfflineActionExecutor } from '../../js/offlineActions.js';
+import { VoucherManager } from '../../js/VoucherManager.js';
+import { captureBase, planQueuedEdit, applyConflictChoices } from '../../js/voucherConflicts.js';
+import { FakeFirebaseService } from '../helpers/fakeFirebaseService.js';
+
+describe('offline voucher edits', () => {
+    it('move stock and customer totals from the voucher as the server has it', async () => {
+        const firebaseService = new FakeFirebaseService();
+        const inventoryManager = { replaceParts: vi.fn() };
+        const customerManager = { adjustStats: vi.fn() };
+        const voucherManager = new VoucherManager(firebaseService, { handleError: vi.fn() }, customerManager, inventoryManager);
+        const voucherPath = firebaseService.shopPath('vouchers/v1');
+        const partA = { itemId: 'a', name: 'A', quantity: 1, unitCost: 1000 };
+        const partB = { itemId: 'b', name: 'B', quantity: 1, unitCost: 2000 };
+        const partC = { itemId: 'c', name: 'C', quantity: 1, unitCost: 3000 };
+        const queuedOn = { customerId: 'cust', amount: 10000, partsUsed: [partA], revision: 1 };
+        // Another device changed the amount and parts after this one went offline
+        firebaseService.seed(voucherPath, { ...queuedOn, amount: 15000, partsUsed: [partB], revision: 2 });
+
+        const data = { amount: 12000, partsUsed: [partC] };
+        const action = {
+            type: 'updateVoucher',
+            voucherId: 'v1',
+            data,
+            base: captureBase(queuedOn, data),
+            customerStats: { customerId: 'cust', amountDelta: 2000, visitDelta: 0 },
+            partsChange: { oldParts: [partA], newParts: [partC] }
+        };
+        const execute = createOfflineActionExecutor({
+            voucherManager,
+            resolveVoucherEdit: (queued, current) => {
+                const { data: planned, conflicts } = planQueuedEdit(queued.base, queued.data, current);
+                return applyConflictChoices(planned, conflicts, { amount: 'mine', partsUsed: 'mine' });
+            }
+        });
+
+        await execute(action, (name, run) => run());
+
+        expect(inventoryManager.replaceParts).toHaveBeenCalledWith([partB], [partC]);
+        expect(customerManager.adjustStats).toHaveBeenCalledWith('cust', -3000, 0);
+        expect(firebaseService.read(voucherPath)).toMatchObject({ amount: 12000, partsUsed: [partC], revision: 3 });
+    });
+});
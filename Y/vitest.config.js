@@ -0,0 +1,9 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests: js/ modules in jsdom against the in-memory FirebaseService
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        include: ['tests/unit/**/*.test.js']
+    }
+});
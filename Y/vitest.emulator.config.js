@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+// Integration tests: firestore.rules and the app's queries against the Firestore emulator
+// Run through `npm run test:emulator`, which starts the emulator and sets FIRESTORE_EMULATOR_HOST
+export default defineConfig({
+    test: {
+        environment: 'node',
+        include: ['tests/emulator/**/*.test.js'],
+        testTimeout: 20000,
+        hookTimeout: 30000,
+        // Every file clears the same emulator project
+        fileParallelism: false
+    }
+});